@@ -3,12 +3,16 @@ let accessibilityEnabled = false;
 let colorblindMode = false;
 let highContrastMode = false;
 let fontSize = 16;
+let activeColorScheme = 'scheme1';
 
-// Colorblind-friendly color schemes
+// Colorblind-friendly color schemes, one color per seat (snake colorIndex) for rooms of up to 12
 const COLORBLIND_COLORS = {
-  scheme1: ['#E6194B', '#3CB44B', '#FFE119', '#4363D8'], // Red, Green, Yellow, Blue
-  scheme2: ['#F58231', '#911EB4', '#46F0F0', '#F032E6'], // Orange, Purple, Cyan, Magenta
-  scheme3: ['#000000', '#808080', '#FFFFFF', '#FF0000'] // Black, Gray, White, Red (high contrast)
+  // Red, Green, Yellow, Blue, then Orange, Purple, Cyan, Magenta, Lime, Pink, Teal, Brown
+  scheme1: ['#E6194B', '#3CB44B', '#FFE119', '#4363D8', '#F58231', '#911EB4', '#46F0F0', '#F032E6', '#BCF60C', '#FABEBE', '#008080', '#9A6324'],
+  // Orange, Purple, Cyan, Magenta, then Red, Green, Yellow, Blue, Brown, Maroon, Mint, Navy
+  scheme2: ['#F58231', '#911EB4', '#46F0F0', '#F032E6', '#E6194B', '#3CB44B', '#FFE119', '#4363D8', '#9A6324', '#800000', '#AAFFC3', '#000075'],
+  // Black, Gray, White, Red, then Blue, Yellow, Green, Magenta, Cyan, Maroon, Navy, Orange (high contrast)
+  scheme3: ['#000000', '#808080', '#FFFFFF', '#FF0000', '#0000FF', '#FFFF00', '#00FF00', '#FF00FF', '#00FFFF', '#800000', '#000080', '#FF8000']
 };
 
 function initAccessibility() {
@@ -69,7 +73,7 @@ function createAccessibilityUI() {
   document.getElementById('colorblindMode').addEventListener('change', (e) => {
     colorblindMode = e.target.checked;
     document.getElementById('colorScheme').style.display = colorblindMode ? 'block' : 'none';
-    applyColorblindMode();
+    applyColorblindMode(document.getElementById('colorScheme').value);
     saveAccessibilitySettings();
   });
 
@@ -114,6 +118,7 @@ function createAccessibilityUI() {
 }
 
 function applyColorblindMode(scheme = 'scheme1') {
+  activeColorScheme = COLORBLIND_COLORS[scheme] ? scheme : 'scheme1';
   if (!colorblindMode) {
     // Reset to original colors
     document.documentElement.style.setProperty('--snake-color-1', '#FF6B6B');
@@ -123,11 +128,18 @@ function applyColorblindMode(scheme = 'scheme1') {
     return;
   }
 
-  const colors = COLORBLIND_COLORS[scheme] || COLORBLIND_COLORS.scheme1;
-  document.documentElement.style.setProperty('--snake-color-1', colors[0]);
-  document.documentElement.style.setProperty('--snake-color-2', colors[1]);
-  document.documentElement.style.setProperty('--snake-color-3', colors[2]);
-  document.documentElement.style.setProperty('--snake-color-4', colors[3]);
+  COLORBLIND_COLORS[activeColorScheme].forEach((color, index) => {
+    document.documentElement.style.setProperty(`--snake-color-${index + 1}`, color);
+  });
+}
+
+// Color to draw a player's snake with: the server color, or the colorblind scheme color for that seat
+function getSnakeDisplayColor(player) {
+  if (colorblindMode && player && Number.isInteger(player.colorIndex)) {
+    const colors = COLORBLIND_COLORS[activeColorScheme];
+    return colors[player.colorIndex % colors.length];
+  }
+  return (player && player.color) || '#FF6B6B';
 }
 
 function applyHighContrastMode() {
@@ -10,6 +10,7 @@ class AudioManager {
     this.fileStatus = {};
     this.unlockSetup = false;
     this.soundUrls = {}; // Store URL mapping for lazy loading
+    this.synthSounds = {}; // Power-up synth specs by sound name (see registerSynthSound)
   }
 
   // Preload all sounds
@@ -32,7 +33,12 @@ class AudioManager {
       speedBoost: 'assets/sounds/speed-boost.mp3',
       shield: 'assets/sounds/shield.mp3',
       shrink: 'assets/sounds/shrink.mp3',
-      slowOthers: 'assets/sounds/slow-others.mp3'
+      slowOthers: 'assets/sounds/slow-others.mp3',
+      magnet: 'assets/sounds/magnet.mp3',
+      ghost: 'assets/sounds/ghost.mp3',
+      reverseControls: 'assets/sounds/reverse-controls.mp3',
+      teleport: 'assets/sounds/teleport.mp3',
+      foodFrenzy: 'assets/sounds/food-frenzy.mp3'
     };
     
     // Initialize pools and status (lazy loading - no file checks yet)
@@ -64,12 +70,22 @@ class AudioManager {
       playerDeath: () => this.playTone(audioContext, 100, 0.4),
       pause: () => this.playTone(audioContext, 300, 0.15),
       resume: () => this.playTone(audioContext, 400, 0.15),
-      quit: () => this.playTone(audioContext, 200, 0.3),
-      speedBoost: () => this.playSpeedBoostSound(audioContext),
-      shield: () => this.playShieldSound(audioContext),
-      shrink: () => this.playShrinkSound(audioContext),
-      slowOthers: () => this.playSlowOthersSound(audioContext)
+      quit: () => this.playTone(audioContext, 200, 0.3)
     };
+    // Power-up sounds come from the server's power-up catalog (see powerups.js)
+    Object.values(this.synthSounds).forEach(spec => {
+      this.sounds[spec.name] = () => this.playSynthSound(audioContext, spec);
+    });
+  }
+
+  // Add a synth sound described by a power-up definition:
+  // { name, wave, frequencies, glide?, step?, wobble?: { rate, depth }, duration }
+  registerSynthSound(spec) {
+    this.synthSounds[spec.name] = spec;
+    if (this.audioContext) {
+      const audioContext = this.audioContext;
+      this.sounds[spec.name] = () => this.playSynthSound(audioContext, spec);
+    }
   }
 
   // Load file-based sounds if present (lazy loading - no upfront checks)
@@ -188,103 +204,46 @@ class AudioManager {
     oscillator.stop(audioContext.currentTime + duration);
   }
 
-  // Speed Boost power-up sound (⚡ - ascending chirp)
-  playSpeedBoostSound(audioContext) {
+  // Synth sound: frequencies either glide from the first to the last (glide) or play as
+  // notes `step` seconds apart; wobble adds a low frequency oscillation
+  playSynthSound(audioContext, spec) {
     if (!this.enabled) return;
-    
-    const osc = audioContext.createOscillator();
-    const gain = audioContext.createGain();
-    
-    osc.connect(gain);
-    gain.connect(audioContext.destination);
-    
-    osc.type = 'square';
-    gain.gain.setValueAtTime(this.volume, audioContext.currentTime);
-    gain.gain.exponentialRampToValueAtTime(0.01, audioContext.currentTime + 0.2);
-    
-    // Ascending frequency for speed boost effect
-    osc.frequency.setValueAtTime(600, audioContext.currentTime);
-    osc.frequency.exponentialRampToValueAtTime(1000, audioContext.currentTime + 0.2);
-    
-    osc.start(audioContext.currentTime);
-    osc.stop(audioContext.currentTime + 0.2);
-  }
 
-  // Shield power-up sound (🛡️ - resonant tone)
-  playShieldSound(audioContext) {
-    if (!this.enabled) return;
-    
     const osc = audioContext.createOscillator();
     const gain = audioContext.createGain();
-    
-    osc.connect(gain);
-    gain.connect(audioContext.destination);
-    
-    osc.type = 'triangle';
-    gain.gain.setValueAtTime(this.volume, audioContext.currentTime);
-    gain.gain.exponentialRampToValueAtTime(0.01, audioContext.currentTime + 0.35);
-    
-    // Steady resonant tone for shield protection
-    osc.frequency.setValueAtTime(520, audioContext.currentTime);
-    osc.frequency.setValueAtTime(440, audioContext.currentTime + 0.1);
-    osc.frequency.setValueAtTime(520, audioContext.currentTime + 0.2);
-    
-    osc.start(audioContext.currentTime);
-    osc.stop(audioContext.currentTime + 0.35);
-  }
+    const start = audioContext.currentTime;
+    const frequencies = spec.frequencies;
 
-  // Shrink power-up sound (📉 - descending chirp)
-  playShrinkSound(audioContext) {
-    if (!this.enabled) return;
-    
-    const osc = audioContext.createOscillator();
-    const gain = audioContext.createGain();
-    
     osc.connect(gain);
     gain.connect(audioContext.destination);
-    
-    osc.type = 'sine';
-    gain.gain.setValueAtTime(this.volume, audioContext.currentTime);
-    gain.gain.exponentialRampToValueAtTime(0.01, audioContext.currentTime + 0.25);
-    
-    // Descending frequency for shrink effect
-    osc.frequency.setValueAtTime(800, audioContext.currentTime);
-    osc.frequency.exponentialRampToValueAtTime(400, audioContext.currentTime + 0.25);
-    
-    osc.start(audioContext.currentTime);
-    osc.stop(audioContext.currentTime + 0.25);
-  }
 
-  // Slow Others power-up sound (🐌 - slow wobble)
-  playSlowOthersSound(audioContext) {
-    if (!this.enabled) return;
-    
-    const osc = audioContext.createOscillator();
-    const lfo = audioContext.createOscillator(); // Low frequency oscillator for wobble
-    const gain = audioContext.createGain();
-    const lfoGain = audioContext.createGain();
-    
-    osc.connect(gain);
-    lfo.connect(lfoGain);
-    lfoGain.connect(osc.frequency);
-    gain.connect(audioContext.destination);
-    
-    osc.type = 'sine';
-    lfo.type = 'sine';
-    
-    gain.gain.setValueAtTime(this.volume, audioContext.currentTime);
-    gain.gain.exponentialRampToValueAtTime(0.01, audioContext.currentTime + 0.4);
-    
-    // Wobbling effect with low frequency oscillation
-    osc.frequency.setValueAtTime(350, audioContext.currentTime);
-    lfo.frequency.setValueAtTime(5, audioContext.currentTime); // 5 Hz wobble
-    lfoGain.gain.setValueAtTime(50, audioContext.currentTime); // Wobble amplitude
-    
-    osc.start(audioContext.currentTime);
-    lfo.start(audioContext.currentTime);
-    
-    osc.stop(audioContext.currentTime + 0.4);
-    lfo.stop(audioContext.currentTime + 0.4);
+    osc.type = spec.wave || 'sine';
+    gain.gain.setValueAtTime(this.volume, start);
+    gain.gain.exponentialRampToValueAtTime(0.01, start + spec.duration);
+
+    osc.frequency.setValueAtTime(frequencies[0], start);
+    if (spec.glide && frequencies.length > 1) {
+      osc.frequency.exponentialRampToValueAtTime(frequencies[frequencies.length - 1], start + spec.duration);
+    } else {
+      frequencies.slice(1).forEach((frequency, index) => {
+        osc.frequency.setValueAtTime(frequency, start + (index + 1) * (spec.step || 0.1));
+      });
+    }
+
+    if (spec.wobble) {
+      const lfo = audioContext.createOscillator(); // Low frequency oscillator for wobble
+      const lfoGain = audioContext.createGain();
+      lfo.connect(lfoGain);
+      lfoGain.connect(osc.frequency);
+      lfo.type = 'sine';
+      lfo.frequency.setValueAtTime(spec.wobble.rate, start);
+      lfoGain.gain.setValueAtTime(spec.wobble.depth, start);
+      lfo.start(start);
+      lfo.stop(start + spec.duration);
+    }
+
+    osc.start(start);
+    osc.stop(start + spec.duration);
   }
 
   // Play sound from pool
@@ -401,19 +360,3 @@ function playPlayerDeathSound() {
   audioManager.playSound('playerDeath');
 }
 
-// Power-up sound functions
-function playSpeedBoostSound() {
-  audioManager.playSound('speedBoost');
-}
-
-function playShieldSound() {
-  audioManager.playSound('shield');
-}
-
-function playShrinkSound() {
-  audioManager.playSound('shrink');
-}
-
-function playSlowOthersSound() {
-  audioManager.playSound('slowOthers');
-}
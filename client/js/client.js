@@ -20,6 +20,28 @@ function getOrCreatePlayerToken() {
   return token;
 }
 
+// Key codes -> directions for each keyboard control scheme (input.js; the lobby hands out
+// couch-mode schemes with them)
+const CONTROL_SCHEME_KEYS = {
+  wasd: { 'KeyW': 'up', 'KeyS': 'down', 'KeyA': 'left', 'KeyD': 'right' },
+  arrows: { 'ArrowUp': 'up', 'ArrowDown': 'down', 'ArrowLeft': 'left', 'ArrowRight': 'right' },
+  ijkl: { 'KeyI': 'up', 'KeyK': 'down', 'KeyJ': 'left', 'KeyL': 'right' },
+  tfgh: { 'KeyT': 'up', 'KeyG': 'down', 'KeyF': 'left', 'KeyH': 'right' }
+};
+
+// Custom key bindings saved from the game menu (action -> key code); input.js validates them
+const KEY_BINDINGS_KEY = 'snakeGameKeyBindings';
+
+function getSavedKeyBindings() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(KEY_BINDINGS_KEY));
+    return saved && typeof saved === 'object' ? saved : null;
+  } catch (e) {
+    console.error('Error loading key bindings:', e);
+    return null;
+  }
+}
+
 function normalizeServerUrl(url) {
   if (!url) return null;
   // Remove whitespace
@@ -176,6 +198,11 @@ function initSocket() {
     window.featureFlags = flags; // Make globally accessible
   });
 
+  // Power-up registry descriptors (only sent when power-ups are enabled on the server)
+  socket.on('powerUpTypes', (catalog) => {
+    window.powerUpCatalog = catalog;
+  });
+
   socket.on('error', (data) => {
     console.error('Error:', data.message);
     showError(data.message);
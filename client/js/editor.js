@@ -0,0 +1,304 @@
+// Map editor: draw obstacle maps and export/import them as map JSON
+// (format documented in server/maps.js). Saved maps are handed to the join screen
+// through localStorage and validated by the server when a game uses them.
+const CUSTOM_MAP_KEY = 'snakeGameCustomMap';
+const MAP_FORMAT = 'snake-map';
+const MAP_VERSION = 1;
+const MIN_MAP_SIZE = 15;
+const MAX_MAP_SIZE = 60;
+
+let mapWidth = 30;
+let mapHeight = 30;
+let obstacles = new Set(); // "x,y" strings
+let spawnZone = new Set();
+let editorCells = [];
+let activeStroke = null; // 'paint' | 'erase' while a mouse button is held
+let drawMode = 'paint';
+
+// Mirrors getSpawnZone in server/maps.js (spawn points and the cells ahead of them stay clear)
+function getSpawnZone(width, height) {
+  const zone = new Set();
+  const starts = [
+    { x: 5, y: 5, dir: 'right' },
+    { x: width - 6, y: height - 6, dir: 'left' },
+    { x: 5, y: height - 6, dir: 'right' },
+    { x: width - 6, y: 5, dir: 'left' }
+  ];
+  starts.forEach(pos => {
+    for (let dy = -2; dy <= 2; dy++) {
+      for (let dx = -2; dx <= 2; dx++) {
+        zone.add(`${pos.x + dx},${pos.y + dy}`);
+      }
+    }
+    const step = pos.dir === 'right' ? 1 : -1;
+    for (let i = 3; i <= 5; i++) {
+      zone.add(`${pos.x + step * i},${pos.y}`);
+    }
+  });
+  return zone;
+}
+
+function clampMapSize(value) {
+  const parsed = parseInt(value, 10);
+  if (!Number.isFinite(parsed)) {
+    return 30;
+  }
+  return Math.min(Math.max(parsed, MIN_MAP_SIZE), MAX_MAP_SIZE);
+}
+
+function showEditorMessage(message, type = 'info') {
+  const messageEl = document.getElementById('editorMessage');
+  if (messageEl) {
+    messageEl.textContent = message;
+    messageEl.className = `editor-message ${type}`;
+  }
+}
+
+function updateObstacleCount() {
+  const countEl = document.getElementById('obstacleCount');
+  if (countEl) {
+    countEl.textContent = `${obstacles.size} wall${obstacles.size === 1 ? '' : 's'}`;
+  }
+}
+
+function paintCell(cell) {
+  const key = `${cell.dataset.x},${cell.dataset.y}`;
+  cell.classList.toggle('obstacle', obstacles.has(key));
+}
+
+function applyTool(cell, mode) {
+  const key = `${cell.dataset.x},${cell.dataset.y}`;
+  if (spawnZone.has(key)) {
+    return;
+  }
+  if (mode === 'paint') {
+    obstacles.add(key);
+  } else {
+    obstacles.delete(key);
+  }
+  paintCell(cell);
+  updateObstacleCount();
+}
+
+function buildEditorBoard() {
+  const board = document.getElementById('editorBoard');
+  if (!board) {
+    return;
+  }
+  spawnZone = getSpawnZone(mapWidth, mapHeight);
+  // Drop walls that no longer fit (after a resize) or now sit in a spawn area
+  obstacles = new Set(Array.from(obstacles).filter(key => {
+    const [x, y] = key.split(',').map(Number);
+    return x < mapWidth && y < mapHeight && !spawnZone.has(key);
+  }));
+
+  const cellSize = Math.max(8, Math.min(20, Math.floor(600 / Math.max(mapWidth, mapHeight))));
+  board.innerHTML = '';
+  board.style.gridTemplateColumns = `repeat(${mapWidth}, ${cellSize}px)`;
+  board.style.gridTemplateRows = `repeat(${mapHeight}, ${cellSize}px)`;
+  editorCells = [];
+
+  for (let y = 0; y < mapHeight; y++) {
+    for (let x = 0; x < mapWidth; x++) {
+      const cell = document.createElement('div');
+      cell.className = 'editor-cell';
+      cell.dataset.x = x;
+      cell.dataset.y = y;
+      if (spawnZone.has(`${x},${y}`)) {
+        cell.classList.add('spawn');
+      }
+      paintCell(cell);
+      board.appendChild(cell);
+      editorCells.push(cell);
+    }
+  }
+
+  document.getElementById('mapWidth').value = mapWidth;
+  document.getElementById('mapHeight').value = mapHeight;
+  updateObstacleCount();
+}
+
+function getMapJson() {
+  const nameInput = document.getElementById('mapName');
+  return {
+    format: MAP_FORMAT,
+    version: MAP_VERSION,
+    name: (nameInput && nameInput.value.trim()) || 'Custom map',
+    width: mapWidth,
+    height: mapHeight,
+    obstacles: Array.from(obstacles).map(key => {
+      const [x, y] = key.split(',').map(Number);
+      return { x, y };
+    }).sort((a, b) => (a.y - b.y) || (a.x - b.x))
+  };
+}
+
+function loadMapJson(map) {
+  mapWidth = clampMapSize(map.width);
+  mapHeight = clampMapSize(map.height);
+  obstacles = new Set((map.obstacles || []).map(cell => `${cell.x},${cell.y}`));
+  const nameInput = document.getElementById('mapName');
+  if (nameInput && map.name) {
+    nameInput.value = map.name;
+  }
+  buildEditorBoard();
+}
+
+// Ask the server to validate the map; resolves to the normalized map or null
+async function validateWithServer(map) {
+  try {
+    const response = await fetch('/api/maps/validate', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(map)
+    });
+    const result = await response.json();
+    if (!result.valid) {
+      showEditorMessage(`Invalid map: ${result.error}`, 'error');
+      return null;
+    }
+    return result.map;
+  } catch (error) {
+    console.error('Map validation failed:', error);
+    showEditorMessage('Could not reach the server to validate the map', 'error');
+    return null;
+  }
+}
+
+async function loadBuiltInMapList() {
+  const select = document.getElementById('baseMapSelect');
+  if (!select) {
+    return;
+  }
+  try {
+    const response = await fetch('/api/maps');
+    const data = await response.json();
+    select.innerHTML = '';
+    (data.maps || []).forEach(map => {
+      const option = document.createElement('option');
+      option.value = map.id;
+      option.textContent = map.name;
+      select.appendChild(option);
+    });
+  } catch (error) {
+    console.error('Failed to load built-in maps:', error);
+  }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  const board = document.getElementById('editorBoard');
+
+  // Start from the map saved last time, if any
+  try {
+    const stored = localStorage.getItem(CUSTOM_MAP_KEY);
+    if (stored) {
+      loadMapJson(JSON.parse(stored));
+    } else {
+      buildEditorBoard();
+    }
+  } catch (error) {
+    console.error('Failed to read saved map:', error);
+    buildEditorBoard();
+  }
+  loadBuiltInMapList();
+
+  document.querySelectorAll('input[name="editorTool"]').forEach(radio => {
+    radio.addEventListener('change', () => {
+      drawMode = radio.value;
+    });
+  });
+
+  // Click and drag drawing (right mouse button always erases)
+  board.addEventListener('contextmenu', (e) => e.preventDefault());
+  board.addEventListener('mousedown', (e) => {
+    if (!e.target.classList.contains('editor-cell')) {
+      return;
+    }
+    e.preventDefault();
+    activeStroke = e.button === 2 ? 'erase' : drawMode;
+    applyTool(e.target, activeStroke);
+  });
+  board.addEventListener('mouseover', (e) => {
+    if (activeStroke && e.target.classList.contains('editor-cell')) {
+      applyTool(e.target, activeStroke);
+    }
+  });
+  document.addEventListener('mouseup', () => {
+    activeStroke = null;
+  });
+
+  document.getElementById('resizeMap').addEventListener('click', () => {
+    mapWidth = clampMapSize(document.getElementById('mapWidth').value);
+    mapHeight = clampMapSize(document.getElementById('mapHeight').value);
+    buildEditorBoard();
+    showEditorMessage(`Board resized to ${mapWidth}x${mapHeight}`);
+  });
+
+  document.getElementById('loadBaseMap').addEventListener('click', async () => {
+    const mapId = document.getElementById('baseMapSelect').value;
+    try {
+      const response = await fetch(`/api/maps/${encodeURIComponent(mapId)}?width=${mapWidth}&height=${mapHeight}`);
+      if (!response.ok) {
+        showEditorMessage('Could not load that map', 'error');
+        return;
+      }
+      loadMapJson(await response.json());
+      showEditorMessage('Map loaded - edit away');
+    } catch (error) {
+      console.error('Failed to load map:', error);
+      showEditorMessage('Could not reach the server to load the map', 'error');
+    }
+  });
+
+  document.getElementById('clearMap').addEventListener('click', () => {
+    obstacles.clear();
+    editorCells.forEach(paintCell);
+    updateObstacleCount();
+    showEditorMessage('All walls removed');
+  });
+
+  document.getElementById('validateMap').addEventListener('click', async () => {
+    const map = await validateWithServer(getMapJson());
+    if (map) {
+      showEditorMessage(`"${map.name}" is valid (${map.width}x${map.height}, ${map.obstacles.length} walls)`, 'success');
+    }
+  });
+
+  document.getElementById('saveMap').addEventListener('click', async () => {
+    const map = await validateWithServer(getMapJson());
+    if (map) {
+      localStorage.setItem(CUSTOM_MAP_KEY, JSON.stringify(map));
+      showEditorMessage(`Saved "${map.name}" - pick "Custom (from map editor)" in the map options`, 'success');
+    }
+  });
+
+  document.getElementById('exportMap').addEventListener('click', () => {
+    const map = getMapJson();
+    const blob = new Blob([JSON.stringify(map, null, 2)], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `${map.name.replace(/[^A-Za-z0-9_-]+/g, '-').toLowerCase() || 'map'}.json`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(link.href), 0);
+  });
+
+  document.getElementById('importMap').addEventListener('change', async (e) => {
+    const file = e.target.files && e.target.files[0];
+    e.target.value = '';
+    if (!file) {
+      return;
+    }
+    let parsed;
+    try {
+      parsed = JSON.parse(await file.text());
+    } catch (error) {
+      showEditorMessage('That file is not valid JSON', 'error');
+      return;
+    }
+    const map = await validateWithServer(parsed);
+    if (map) {
+      loadMapJson(map);
+      showEditorMessage(`Imported "${map.name}"`, 'success');
+    }
+  });
+});
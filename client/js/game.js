@@ -8,15 +8,29 @@ const DEBUG = false; // Set to true for debugging
 let gameState = null;
 let previousSnakePositions = new Map(); // playerId -> Set of "x,y" strings
 let previousFoodPositions = new Set(); // "x,y" strings
+let renderedObstacles = { key: null, cells: [] }; // Map obstacles currently painted on the board
+let renderedArenaInset = 0; // Shrinking arena: depth of the closed ring currently painted
+let renderedHill = { key: null, cells: [] }; // King of the hill: zone cells currently painted
+let renderedPellets = []; // Corpse food: pellet cells currently painted
 let currentPlayerId = '';
 let currentRoomCode = '';
 let currentGameMode = null; // Track current game mode ('single-player' or 'multi-player')
 let isCountdownActive = false; // Track if countdown is active (prevents snake movement rendering)
+let isSpectator = false; // Watching a room without controlling a snake
 
 // Expose gameState globally so menu.js can access it
 window.gameState = null;
 window.currentPlayerId = '';
 window.isHost = false; // Track if current player is host
+window.isSpectator = false; // Checked by input.js and menu.js
+window.localPlayers = []; // Couch mode: [{ id, name, controlScheme }] sharing this keyboard, read by input.js
+
+const CONTROL_SCHEME_LABELS = {
+  wasd: 'WASD (W/A/S/D)',
+  arrows: 'Arrow Keys (↑/↓/←/→)',
+  ijkl: 'IJKL (I/J/K/L)',
+  tfgh: 'TFGH (T/F/G/H)'
+};
 
 let gameBoard = null;
 let cells = [];
@@ -28,8 +42,11 @@ let fpsFrames = 0;
 let previousScores = {};
 let previousFoodCount = 0;
 let gameEndedShown = false; // Track if game ended overlay has been shown to prevent duplicates
+let lastSeriesOverlay = null; // Series game over screen { title, message, series }, re-shown when the host changes
 let playerKicked = false; // Track if player was kicked (to stop rendering)
 let gridConfigKey = `${GRID_WIDTH}x${GRID_HEIGHT}x${CELL_SIZE}`;
+let lastStateSeq = null; // Sequence number of the last applied keyframe/delta
+let keyframeRequested = false; // Avoid flooding the server with keyframe requests
 
 function applyGridConfig(state) {
   if (!state) {
@@ -55,6 +72,22 @@ function applyGridConfig(state) {
     }
   }
 }
+// Ask the server for a full keyframe after a gap in the delta stream
+function requestKeyframe() {
+  if (keyframeRequested || !socket || !socket.connected || !currentRoomCode) {
+    return;
+  }
+  keyframeRequested = true;
+  socket.emit('requestGameState', {
+    roomCode: currentRoomCode,
+    keyframe: true
+  });
+  // Allow another request if this one got lost
+  setTimeout(() => {
+    keyframeRequested = false;
+  }, 1000);
+}
+
 // Update wall mode visual indicator
 function updateWallModeIndicator() {
   if (!gameBoard) return;
@@ -125,6 +158,20 @@ document.addEventListener('DOMContentLoaded', () => {
   const urlParams = new URLSearchParams(window.location.search);
   currentRoomCode = urlParams.get('room');
   currentPlayerId = urlParams.get('player');
+  if (urlParams.get('spectate') === '1') {
+    enableSpectatorMode();
+  }
+
+  // Replay viewer: no game session, frames come from /api/replays (see replay.js)
+  const replayId = urlParams.get('replay');
+  if (replayId) {
+    enableReplayMode();
+    gameBoard = document.getElementById('gameBoard');
+    initializeGameBoard();
+    startGameLoop();
+    startReplayViewer(replayId);
+    return;
+  }
   
   // Check if there's a pending game state from join.js redirect
   const pendingGameState = sessionStorage.getItem('pendingGameState');
@@ -184,18 +231,16 @@ document.addEventListener('DOMContentLoaded', () => {
   // Update controls display immediately
   function updateControlsDisplay(scheme) {
     const controlSchemeDisplay = document.getElementById('controlSchemeDisplay');
-    if (controlSchemeDisplay) {
-      if (scheme === 'wasd') {
-        controlSchemeDisplay.textContent = 'WASD (W/A/S/D)';
-      } else if (scheme === 'arrows') {
-        controlSchemeDisplay.textContent = 'Arrow Keys (↑/↓/←/→)';
-      }
+    // Rebound keys (keybindings.js) replace the preset
+    const customLabel = typeof describeCustomBindings === 'function' ? describeCustomBindings() : null;
+    if (controlSchemeDisplay && (customLabel || CONTROL_SCHEME_LABELS[scheme])) {
+      controlSchemeDisplay.textContent = customLabel || CONTROL_SCHEME_LABELS[scheme];
     }
   }
   
   updateControlsDisplay(currentControlScheme);
 
-  if (!currentRoomCode || !currentPlayerId) {
+  if (!currentRoomCode || (!currentPlayerId && !isSpectator)) {
     alert('Invalid game session. Redirecting to join screen.');
     window.location.href = '/';
     return;
@@ -264,8 +309,9 @@ document.addEventListener('DOMContentLoaded', () => {
     startGameLoop();
     
     // Request game state in case we missed the gameStarted event (reduced delay)
+    // Spectators always request it so the server registers their new socket
     setTimeout(() => {
-      if (!gameState) {
+      if (!gameState || isSpectator) {
         if (DEBUG) console.log('No game state received after 500ms, requesting...');
         requestGameState();
       }
@@ -295,7 +341,9 @@ document.addEventListener('DOMContentLoaded', () => {
     if (DEBUG) console.log('Requesting game state from server for room:', currentRoomCode);
     socket.emit('requestGameState', {
       roomCode: currentRoomCode,
-      playerToken: typeof getOrCreatePlayerToken === 'function' ? getOrCreatePlayerToken() : null
+      playerToken: typeof getOrCreatePlayerToken === 'function' ? getOrCreatePlayerToken() : null,
+      spectate: isSpectator,
+      spectatorName: isSpectator ? urlParams.get('name') : undefined
     });
     
     // If still no game state after 1 second, try again (but limit retries)
@@ -333,6 +381,10 @@ document.addEventListener('DOMContentLoaded', () => {
 function initializeGameBoard() {
   // Create grid cells
   cells = [];
+  renderedObstacles = { key: null, cells: [] };
+  renderedArenaInset = 0;
+  renderedHill = { key: null, cells: [] };
+  renderedPellets = [];
   if (gameBoard) {
     gameBoard.innerHTML = '';
   }
@@ -385,6 +437,7 @@ function setupSocketListeners() {
   socket.off('gamePreStart');
   socket.off('gameStarted');
   socket.off('gameStateUpdate');
+  socket.off('gameStateDelta');
   socket.off('gameEnded');
   socket.off('playerQuit');
   socket.off('playerLeft');
@@ -575,14 +628,24 @@ function setupSocketListeners() {
     // Don't hide overlay yet - countdown will happen on game board after redirect
     // hideOverlay();
     
+    // Series rematch: the next round starts on this page, so clear the game over screen
+    if (gameEndedShown) {
+      hideOverlay();
+    }
+
     // Reset game ended flag for new game
     gameEndedShown = false;
+    lastSeriesOverlay = null;
     
     // Update room code if provided
     if (data.roomCode) {
       currentRoomCode = data.roomCode;
     }
     
+    if (data.isSpectator && !isSpectator) {
+      enableSpectatorMode();
+    }
+
     // Store game mode
     if (data.gameMode) {
       currentGameMode = data.gameMode;
@@ -590,6 +653,10 @@ function setupSocketListeners() {
         window.devLog.log('Game mode set to:', currentGameMode);
       }
     }
+
+    if (data.localPlayers) {
+      setLocalPlayers(data.localPlayers);
+    }
     
     if (data.gameState) {
       const oldPlayerId = currentPlayerId;
@@ -631,14 +698,25 @@ function setupSocketListeners() {
         startGameLoop();
       }
       
-      // Show rules screen before countdown starts (for all game modes including single-player)
-      // Use setTimeout to ensure DOM is fully ready (fixes hard refresh issue)
-      setTimeout(() => showRulesScreen(currentGameMode), 100);
+      // Rejoining a multiplayer game that is already running (reconnect grace period):
+      // skip the rules screen and resume control right away
+      const rejoinedInProgress = currentGameMode === 'multi-player' && gameState.startTime > 0;
+      if (isSpectator) {
+        // Spectators don't ready up - countdown and game updates arrive on their own
+        hideRulesScreen();
+      } else if (rejoinedInProgress) {
+        hideRulesScreen();
+        hideOverlay();
+      } else {
+        // Show rules screen before countdown starts (for all game modes including single-player)
+        // Use setTimeout to ensure DOM is fully ready (fixes hard refresh issue)
+        setTimeout(() => showRulesScreen(currentGameMode), 100);
+      }
       
       // Show leave button only in multiplayer mode
       const leaveGameButton = document.getElementById('leaveGameButton');
       if (leaveGameButton) {
-        if (currentGameMode === 'multi-player') {
+        if (currentGameMode === 'multi-player' || isSpectator) {
           leaveGameButton.style.display = 'block';
         } else {
           leaveGameButton.style.display = 'none';
@@ -649,7 +727,7 @@ function setupSocketListeners() {
       setupSoundToggle();
       
       // Play game start sound after rendering
-      if (typeof playGameStartSound === 'function') {
+      if (typeof playGameStartSound === 'function' && !rejoinedInProgress) {
         playGameStartSound();
       }
     } else {
@@ -657,15 +735,41 @@ function setupSocketListeners() {
     }
   });
 
-  // Track inactivity warning state
-  let lastInactivityWarningState = false;
-
   socket.on('gameStateUpdate', (data) => {
     if (!data || !data.gameState) {
       console.error('Invalid gameStateUpdate received:', data);
       return;
     }
-    
+
+    // Keyframes carry the sequence number that following deltas build on
+    if (typeof data.seq === 'number') {
+      lastStateSeq = data.seq;
+      keyframeRequested = false;
+    }
+
+    handleGameStateUpdate(data.gameState);
+  });
+
+  // Per-tick diffs between keyframes (see server/stateSync.js)
+  socket.on('gameStateDelta', (data) => {
+    if (!data || typeof data.seq !== 'number') {
+      return;
+    }
+    // Stale or duplicate delta
+    if (lastStateSeq !== null && data.seq <= lastStateSeq) {
+      return;
+    }
+    // Missed a delta (or no base state yet) - ask for a fresh keyframe
+    if (!gameState || lastStateSeq === null || data.seq !== lastStateSeq + 1) {
+      requestKeyframe();
+      return;
+    }
+
+    lastStateSeq = data.seq;
+    handleGameStateUpdate(applyGameStateDelta(gameState, data.delta));
+  });
+
+  function handleGameStateUpdate(incomingState) {
     // Add timestamp to track update delay for lag handling
     const updateTimestamp = performance.now();
     const timeSinceLastUpdate = lastUpdateTime > 0 ? updateTimestamp - lastUpdateTime : 0;
@@ -712,9 +816,9 @@ function setupSocketListeners() {
     // Preserve local pause state if pause was initiated locally and incoming state says unpaused
     // This prevents server updates from overwriting a local pause
     const wasLocallyPaused = gameState?._pauseInitiatedLocally && gameState?.isPaused;
-    const incomingIsPaused = data.gameState.isPaused;
+    const incomingIsPaused = incomingState.isPaused;
     
-    gameState = data.gameState;
+    gameState = incomingState;
     applyGridConfig(gameState);
     
     // Update wall mode indicator after gameState is updated
@@ -738,35 +842,9 @@ function setupSocketListeners() {
       detectGameEvents(previousGameStateForEvents, gameState);
     }
     
-    // Check if inactivity warning was cleared (player moved)
-    if (gameState && gameState.inactivityWarnings && currentPlayerId) {
-      const hasWarning = gameState.inactivityWarnings[currentPlayerId] === true;
-      const overlay = document.getElementById('gameOverlay');
-      const overlayTitle = document.getElementById('overlayTitle');
-      
-      // If warning was cleared (was true, now false/undefined), hide overlay
-      if (lastInactivityWarningState && !hasWarning && overlay && overlay.style.display !== 'none') {
-        if (overlayTitle && overlayTitle.textContent.includes('Inactivity Warning')) {
-          hideOverlay();
-          // Reset pointer events
-          overlay.style.pointerEvents = '';
-          const overlayContent = overlay.querySelector('.overlay-content');
-          if (overlayContent) {
-            overlayContent.style.pointerEvents = '';
-          }
-        }
-      }
-      
-      // Update last state
-      lastInactivityWarningState = hasWarning;
-    } else if (lastInactivityWarningState) {
-      // If inactivityWarnings doesn't exist or playerId not found, clear state
-      lastInactivityWarningState = false;
-    }
-    
     // Server is the ONLY authority for game end - don't check winner here
     // Game over will be handled by 'gameEnded' socket event only
-  });
+  }
 
   socket.on('inactivityWarning', (data) => {
     // Show warning to player about inactivity (multiplayer only)
@@ -782,7 +860,6 @@ function setupSocketListeners() {
         }
       }
       showOverlay('⚠️ Inactivity Warning', data.message);
-      lastInactivityWarningState = true; // Track that warning is active
       // Auto-hide after 10 seconds, but player can dismiss it
       setTimeout(() => {
         const overlay = document.getElementById('gameOverlay');
@@ -791,7 +868,6 @@ function setupSocketListeners() {
           const overlayTitle = document.getElementById('overlayTitle');
           if (overlayTitle && overlayTitle.textContent.includes('Inactivity Warning')) {
             hideOverlay();
-            lastInactivityWarningState = false;
             // Reset pointer events
             overlay.style.pointerEvents = '';
             const overlayContent = overlay.querySelector('.overlay-content');
@@ -834,6 +910,12 @@ function setupSocketListeners() {
         return;
       }
       
+      // A rejected rematch (e.g. everyone else left) can be retried
+      const rematchButton = document.getElementById('rematchButton');
+      if (rematchButton) {
+        rematchButton.disabled = false;
+      }
+
       // For other errors, just show notification
       if (typeof showNotification === 'function') {
         showNotification(data.message, 'error');
@@ -949,6 +1031,27 @@ function setupSocketListeners() {
     }
   });
 
+  socket.on('playerRespawned', (data) => {
+    if (data && data.playerName && typeof showNotification === 'function') {
+      const lifeText = data.livesLeft === 1 ? 'last life' : `${data.livesLeft} lives left`;
+      showNotification(`${data.playerName} respawned (${lifeText})`);
+    }
+  });
+
+  // Time ran out with the lead tied (see server/winConditions.js)
+  socket.on('overtimeStarted', () => {
+    if (typeof showNotification === 'function') {
+      showNotification('Sudden death! The next point or death wins');
+    }
+  });
+
+  // Kill feed: every death, credited to the snake that was hit (see server/kills.js)
+  socket.on('playerKilled', (data) => {
+    if (data && data.victimName) {
+      addKillFeedEntry(data);
+    }
+  });
+
   // Handle winner announcement
   socket.on('playerWon', (data) => {
     if (data && data.playerName) {
@@ -1056,6 +1159,18 @@ function setupSocketListeners() {
       playerStatusHTML += '</ul></div>';
     }
     
+    if (data.replayId) {
+      playerStatusHTML += `<div style="margin-top: 15px;"><a href="/game.html?replay=${encodeURIComponent(data.replayId)}" target="_blank" rel="noopener">▶ Watch replay</a></div>`;
+    }
+
+    if (data.series && !isSinglePlayer) {
+      // Best-of-N series: the room stays open and the host starts the next round from here
+      const title = data.series.isOver ? '🏆 Series Over!' : `Round ${data.series.round} Over!`;
+      const roundResult = data.winner ? `Winner: ${data.winner.name} (Score: ${data.winner.score})` : (data.reason || 'Round ended in a draw');
+      showSeriesOverlay(title, roundResult + buildSeriesScoreboardHTML(data.series) + playerStatusHTML, data.series);
+      return;
+    }
+
     if (data.winner) {
       const winnerMessage = `Winner: ${data.winner.name} (Score: ${data.winner.score})${playerStatusHTML}`;
       if (isSinglePlayer) {
@@ -1086,6 +1201,20 @@ function setupSocketListeners() {
   });
 
 
+  // Another player dropped mid-game - their snake is frozen while the seat is held
+  socket.on('playerDisconnected', (data) => {
+    const seconds = Math.round((data.gracePeriod || 0) / 1000);
+    if (typeof showNotification === 'function') {
+      showNotification(`${data.playerName} disconnected - waiting ${seconds}s for them to reconnect`);
+    }
+  });
+
+  socket.on('playerReconnected', (data) => {
+    if (typeof showNotification === 'function') {
+      showNotification(`${data.playerName} reconnected`);
+    }
+  });
+
   socket.on('playerLeft', (data) => {
     // Show notification
     const reason = data.reason || 'left';
@@ -1127,6 +1256,11 @@ function setupSocketListeners() {
       showNotification(message);
     }
     
+    // Between series rounds keep the scoreboard up - the notification is enough
+    if (gameEndedShown && lastSeriesOverlay) {
+      return;
+    }
+
     // Also show overlay for important cases (inactive, host left)
     if (reason === 'inactive' || data.wasHost) {
       showOverlay(title, message);
@@ -1185,8 +1319,10 @@ function setupSocketListeners() {
         }
       }
       
-      // Update HUD pause button visibility
-      if (window.isHost) {
+      // Update HUD pause button visibility (between series rounds: show the new host the Rematch button)
+      if (gameEndedShown && lastSeriesOverlay) {
+        showSeriesOverlay(lastSeriesOverlay.title, lastSeriesOverlay.message, lastSeriesOverlay.series);
+      } else if (window.isHost) {
         showOverlay('You are now the host', 'You can now pause/resume the game for everyone.');
       }
       // Show notification for all
@@ -1258,11 +1394,17 @@ function detectGameEvents(oldState, newState) {
     const oldPlayer = oldState.players[playerId];
     const newPlayer = newState.players[playerId];
         
+    // Vibration feedback (touch.js) only for snakes steered on this device
+    const isOwnSnake = playerId === currentPlayerId || Boolean(getLocalPlayer(playerId));
+
     if (oldPlayer && newPlayer && newPlayer.score > oldPlayer.score) {
       // Player ate food
       if (typeof playFoodEatenSound === 'function') {
         playFoodEatenSound();
       }
+      if (isOwnSnake && typeof vibrateFeedback === 'function') {
+        vibrateFeedback('eat');
+      }
     }
 
     // Detect player death
@@ -1270,10 +1412,21 @@ function detectGameEvents(oldState, newState) {
       if (typeof playPlayerDeathSound === 'function') {
         playPlayerDeathSound();
       }
+      if (isOwnSnake && typeof vibrateFeedback === 'function') {
+        vibrateFeedback('death');
+      }
     }
   });
 }
 
+// Snake color for a player (accessibility.js swaps in colorblind colors when enabled)
+function getPlayerColor(player) {
+  if (typeof getSnakeDisplayColor === 'function') {
+    return getSnakeDisplayColor(player);
+  }
+  return player.color || '#FF6B6B';
+}
+
 function renderGame() {
   if (!gameState) {
     // Show loading message if no game state yet
@@ -1351,7 +1504,7 @@ function renderGame() {
         if (index >= 0 && index < cells.length) {
           cellsToUpdate.add(index);
           if (!positionMap.has(posKey)) {
-            positionMap.set(posKey, { type: 'food' });
+            positionMap.set(posKey, { type: 'food', foodType: food.type || 'normal' });
           }
         }
       }
@@ -1373,6 +1526,78 @@ function renderGame() {
     });
   }
 
+  // Corpse food pellets (repaint where they were last frame so eaten/decayed ones clear)
+  renderedPellets.forEach(index => cellsToUpdate.add(index));
+  renderedPellets = [];
+  (Array.isArray(gameState.pellets) ? gameState.pellets : []).forEach(pellet => {
+    const posKey = `${pellet.x},${pellet.y}`;
+    const index = pellet.y * GRID_WIDTH + pellet.x;
+    if (index >= 0 && index < cells.length) {
+      cellsToUpdate.add(index);
+      renderedPellets.push(index);
+      if (!positionMap.has(posKey)) {
+        positionMap.set(posKey, { type: 'pellet' });
+      }
+    }
+  });
+
+  // Map obstacles never move: only repaint them when a different map arrives
+  const obstacles = Array.isArray(gameState.obstacles) ? gameState.obstacles : [];
+  const obstacleKey = obstacles.length > 0
+    ? `${obstacles.length}:${obstacles[0].x},${obstacles[0].y}:${obstacles[obstacles.length - 1].x},${obstacles[obstacles.length - 1].y}`
+    : '';
+  if (obstacleKey !== renderedObstacles.key) {
+    renderedObstacles.cells.forEach(index => cellsToUpdate.add(index));
+    renderedObstacles = { key: obstacleKey, cells: [] };
+    obstacles.forEach(obstacle => {
+      const index = obstacle.y * GRID_WIDTH + obstacle.x;
+      if (index >= 0 && index < cells.length) {
+        cellsToUpdate.add(index);
+        renderedObstacles.cells.push(index);
+      }
+    });
+  }
+  obstacles.forEach(obstacle => {
+    const posKey = `${obstacle.x},${obstacle.y}`;
+    if (!positionMap.has(posKey)) {
+      positionMap.set(posKey, { type: 'obstacle' });
+    }
+  });
+
+  // Shrinking arena: repaint the outer rings when the closed zone changes
+  const arenaInset = gameState.arena ? gameState.arena.inset : 0;
+  if (arenaInset !== renderedArenaInset) {
+    const ringDepth = Math.max(arenaInset, renderedArenaInset);
+    for (let index = 0; index < cells.length; index++) {
+      const x = index % GRID_WIDTH;
+      const y = Math.floor(index / GRID_WIDTH);
+      if (Math.min(x, y, GRID_WIDTH - 1 - x, GRID_HEIGHT - 1 - y) < ringDepth) {
+        cellsToUpdate.add(index);
+      }
+    }
+    renderedArenaInset = arenaInset;
+  }
+
+  // King of the hill: repaint the zone when it moves or changes hands
+  const hill = gameState.hill;
+  const hillState = hill ? (hill.contested ? 'hill-contested' : (hill.holderId ? 'hill-held' : '')) : '';
+  const hillKey = hill ? `${hill.x},${hill.y},${hill.size}:${hillState}` : '';
+  if (hillKey !== renderedHill.key) {
+    renderedHill.cells.forEach(index => cellsToUpdate.add(index));
+    renderedHill = { key: hillKey, cells: [] };
+    if (hill) {
+      for (let dy = 0; dy < hill.size; dy++) {
+        for (let dx = 0; dx < hill.size; dx++) {
+          const index = (hill.y + dy) * GRID_WIDTH + hill.x + dx;
+          if (index >= 0 && index < cells.length) {
+            cellsToUpdate.add(index);
+            renderedHill.cells.push(index);
+          }
+        }
+      }
+    }
+  }
+
   // Batch update only changed cells using O(1) lookup
   cellsToUpdate.forEach(index => {
     const cell = cells[index];
@@ -1385,6 +1610,16 @@ function renderGame() {
     // Reset cell
     cell.className = 'cell';
     cell.style.backgroundColor = '';
+
+    if (Math.min(x, y, GRID_WIDTH - 1 - x, GRID_HEIGHT - 1 - y) < arenaInset) {
+      cell.classList.add('danger-zone');
+    }
+    if (hill && x >= hill.x && x < hill.x + hill.size && y >= hill.y && y < hill.y + hill.size) {
+      cell.classList.add('hill-zone');
+      if (hillState) {
+        cell.classList.add(hillState);
+      }
+    }
     
     // O(1) lookup from position map
     const entity = positionMap.get(posKey);
@@ -1397,15 +1632,42 @@ function renderGame() {
         } else {
           cell.classList.add('snake-body');
         }
-        cell.style.backgroundColor = player.color || '#FF6B6B';
+        cell.style.backgroundColor = getPlayerColor(player);
         cell.style.boxShadow = '';
+
+        // Frozen snake while its player is reconnecting
+        if (player.disconnected) {
+          cell.classList.add('snake-disconnected');
+        }
+
+        // Replay viewer camera: highlight the followed snake
+        if (window.replayFocusPlayerId) {
+          cell.classList.add(player.id === window.replayFocusPlayerId ? 'snake-focused' : 'snake-unfocused');
+        }
         
         // Show shield effect if active
-        if (player.activePowerups && player.activePowerups.shield && player.activePowerups.shield > Date.now()) {
+        if (player.activePowerups && player.activePowerups.shield && player.activePowerups.shield > (gameState.simTime || 0)) {
           cell.style.boxShadow = '0 0 10px rgba(0, 206, 209, 0.8)';
         }
+
+        // Ghost power-up: snake drawn see-through
+        if (player.activePowerups && player.activePowerups.ghost && player.activePowerups.ghost > (gameState.simTime || 0)) {
+          cell.classList.add('snake-ghost');
+        }
+
+        // Lives mode: blinks while spawn protection lasts
+        if (player.spawnProtectedUntil && player.spawnProtectedUntil > (gameState.simTime || 0)) {
+          cell.classList.add('snake-protected');
+        }
       } else if (entity.type === 'food') {
         cell.classList.add('food');
+        if (entity.foodType !== 'normal') {
+          cell.classList.add(`food-${entity.foodType}`);
+        }
+      } else if (entity.type === 'pellet') {
+        cell.classList.add('pellet');
+      } else if (entity.type === 'obstacle') {
+        cell.classList.add('obstacle');
       } else if (entity.type === 'powerup') {
         cell.classList.add('powerup');
         cell.classList.add(`powerup-${entity.powerup.type}`);
@@ -1415,16 +1677,6 @@ function renderGame() {
   });
 }
 
-function getPowerupColor(type) {
-  const colors = {
-    'speed_boost': '#FFD700',
-    'shield': '#00CED1',
-    'shrink': '#FF69B4',
-    'slow_others': '#9370DB'
-  };
-  return colors[type] || '#FFFFFF';
-}
-
 function updateUI() {
   if (!gameState) return;
 
@@ -1447,6 +1699,63 @@ function updateUI() {
   } else {
   }
 
+  // Shrinking arena: countdown to the next ring closing
+  const arenaShrinkDisplay = document.getElementById('arenaShrinkDisplay');
+  if (arenaShrinkDisplay) {
+    const arena = gameState.arena;
+    arenaShrinkDisplay.style.display = arena ? 'block' : 'none';
+    if (arena) {
+      const arenaShrinkLabel = document.getElementById('arenaShrinkLabel');
+      const arenaShrinkTimer = document.getElementById('arenaShrinkTimer');
+      if (arena.nextShrinkTime === null) {
+        arenaShrinkLabel.textContent = 'Zone: ';
+        arenaShrinkTimer.textContent = 'fully closed';
+      } else {
+        const secondsLeft = Math.max(0, Math.ceil((arena.nextShrinkTime - (gameState.simTime || 0)) / 1000));
+        arenaShrinkLabel.textContent = 'Zone closes in: ';
+        arenaShrinkTimer.textContent = `${secondsLeft}s`;
+      }
+    }
+  }
+
+  // King of the hill: who holds the zone, the score target and when the zone moves
+  const hillStatusDisplay = document.getElementById('hillStatusDisplay');
+  if (hillStatusDisplay) {
+    const hill = gameState.hill;
+    hillStatusDisplay.style.display = hill ? 'block' : 'none';
+    if (hill) {
+      const holder = hill.holderId ? gameState.players[hill.holderId] : null;
+      document.getElementById('hillHolder').textContent = hill.contested
+        ? 'Contested'
+        : (holder ? holder.name : 'Empty');
+      const secondsLeft = Math.max(0, Math.ceil((hill.nextMoveTime - (gameState.simTime || 0)) / 1000));
+      document.getElementById('hillStatusDetail').textContent = `First to ${hill.scoreTarget} · moves in ${secondsLeft}s`;
+    }
+  }
+
+  // Win conditions: score target, time left, sudden-death overtime (see server/winConditions.js)
+  const matchGoalDisplay = document.getElementById('matchGoalDisplay');
+  if (matchGoalDisplay) {
+    const simTime = gameState.simTime || 0;
+    const overtime = gameState.overtime;
+    const goals = [];
+    if (overtime) {
+      goals.push(`next point or death wins (${Math.max(0, Math.ceil((overtime.startTime + overtime.maxDuration - simTime) / 1000))}s)`);
+    } else {
+      if (gameState.scoreTarget) {
+        goals.push(describeScoreTarget(gameState.scoreTarget));
+      }
+      if (gameState.timeLimit) {
+        const secondsLeft = Math.max(0, Math.ceil((gameState.timeLimit - simTime) / 1000));
+        goals.push(`${Math.floor(secondsLeft / 60)}:${String(secondsLeft % 60).padStart(2, '0')} left`);
+      }
+    }
+    matchGoalDisplay.style.display = goals.length > 0 ? 'block' : 'none';
+    matchGoalDisplay.classList.toggle('sudden-death', Boolean(overtime));
+    document.getElementById('matchGoalLabel').textContent = overtime ? 'Sudden death: ' : 'Goal: ';
+    document.getElementById('matchGoalValue').textContent = goals.join(' · ');
+  }
+
   // Render active power-ups indicators
   if (typeof renderActivePowerups === 'function') {
     renderActivePowerups(gameState, currentPlayerId);
@@ -1463,13 +1772,20 @@ function updateUI() {
     const scoreChanged = prevScore === undefined || prevScore.score !== player.score;
     const aliveChanged = prevScore === undefined || prevScore.isAlive !== player.isAlive;
     const hostChanged = prevScore === undefined || prevScore.isHost !== player.isHost;
+    const connectionChanged = prevScore === undefined || prevScore.disconnected !== !!player.disconnected;
+    const killsChanged = prevScore === undefined || prevScore.kills !== (player.kills || 0);
+    const livesChanged = prevScore === undefined || prevScore.lives !== player.lives || prevScore.respawning !== isRespawning(player);
     
-    if (scoreChanged || aliveChanged || hostChanged) {
+    if (scoreChanged || aliveChanged || hostChanged || connectionChanged || killsChanged || livesChanged) {
       scoresChanged = true;
       previousScores[player.id] = {
         score: player.score,
         isAlive: player.isAlive,
-        isHost: player.isHost || false // Store host status
+        isHost: player.isHost || false, // Store host status
+        disconnected: !!player.disconnected,
+        kills: player.kills || 0,
+        lives: player.lives,
+        respawning: isRespawning(player)
       };
     }
   });
@@ -1478,27 +1794,153 @@ function updateUI() {
     const scoresList = document.getElementById('scoresList');
     scoresList.innerHTML = '';
 
+    // Team mode: team totals above the individual scores
+    if (gameState.teams) {
+      gameState.teams
+        .map(team => {
+          const members = players.filter(p => p.teamId === team.id);
+          return {
+            ...team,
+            score: members.reduce((sum, p) => sum + p.score, 0),
+            alive: members.filter(p => p.isAlive).length
+          };
+        })
+        .sort((a, b) => b.score - a.score)
+        .forEach(team => {
+          const teamDiv = document.createElement('div');
+          teamDiv.className = 'score-item team-score';
+          teamDiv.innerHTML = `
+            <span class="score-color-box" style="background-color: ${getPlayerColor({ color: team.color, colorIndex: team.id })}; border: 1px solid rgba(0,0,0,0.2);"></span>
+            <span class="player-name">${team.name}</span>
+            <span class="player-score">${team.score}</span>
+            ${team.alive === 0 ? '<span class="player-status">(Out)</span>' : ''}
+          `;
+          scoresList.appendChild(teamDiv);
+        });
+    }
+
     players.forEach(player => {
       const scoreDiv = document.createElement('div');
       scoreDiv.className = 'score-item';
-      if (player.id === currentPlayerId) {
+      const localPlayer = getLocalPlayer(player.id);
+      if (player.id === currentPlayerId || localPlayer) {
         scoreDiv.classList.add('current-player-score');
       }
+      const youLabel = player.id === currentPlayerId ? '(You)' : (localPlayer ? `(${CONTROL_SCHEME_LABELS[localPlayer.controlScheme]})` : '');
       const playerType = player.type === 'npc' ? 'Bot' : 'Player';
-      const colorBox = `<span class="score-color-box" style="background-color: ${player.color || '#FF6B6B'}; border: 1px solid rgba(0,0,0,0.2);"></span>`;
+      const colorBox = `<span class="score-color-box" style="background-color: ${getPlayerColor(player)}; border: 1px solid rgba(0,0,0,0.2);"></span>`;
       // Show crown icon for host in multiplayer mode
       const hostIcon = (currentGameMode === 'multi-player' && player.isHost) ? '👑 ' : '';
       scoreDiv.innerHTML = `
         ${colorBox}
-        <span class="player-name">${hostIcon}${player.name} ${player.id === currentPlayerId ? '(You)' : ''} (${playerType})</span>
+        <span class="player-name">${hostIcon}${player.name} ${youLabel} (${playerType})</span>
         <span class="player-score">${player.score}</span>
-        ${!player.isAlive ? '<span class="player-status">(Collided)</span>' : ''}
+        ${player.kills ? `<span class="player-kills" title="Kills">⚔ ${player.kills}</span>` : ''}
+        ${gameState.lives && player.lives !== null && player.lives !== undefined ? `<span class="player-lives" title="Lives left">❤ ${player.lives}</span>` : ''}
+        ${isRespawning(player) ? '<span class="player-status">(Respawning...)</span>' : ''}
+        ${!player.isAlive && !isRespawning(player) ? `<span class="player-status">${gameState.lives && player.lives === 0 ? '(Out)' : '(Collided)'}</span>` : ''}
+        ${player.isAlive && player.disconnected ? '<span class="player-status">(Reconnecting...)</span>' : ''}
       `;
       scoresList.appendChild(scoreDiv);
     });
   }
 }
 
+// Couch mode: players sharing this keyboard (see server/localPlayers.js). input.js reads
+// window.localPlayers to route their keys.
+function setLocalPlayers(players) {
+  window.localPlayers = players;
+  const bindingsConflict = players.length > 0 && typeof resetConflictingKeyBindings === 'function'
+    ? resetConflictingKeyBindings()
+    : null;
+  if (bindingsConflict) {
+    const controlSchemeDisplay = document.getElementById('controlSchemeDisplay');
+    if (controlSchemeDisplay) {
+      controlSchemeDisplay.textContent = CONTROL_SCHEME_LABELS[playerControlScheme];
+    }
+    if (typeof updatePauseKeyHint === 'function') {
+      updatePauseKeyHint();
+    }
+    showNotification(`Custom key bindings reset to ${CONTROL_SCHEME_LABELS[playerControlScheme]}: ${bindingsConflict}`);
+  }
+  const playerControls = document.getElementById('playerControls');
+  if (!playerControls) {
+    return;
+  }
+  playerControls.querySelectorAll('.local-control-scheme').forEach(el => el.remove());
+  players.forEach(player => {
+    const schemeDiv = document.createElement('div');
+    schemeDiv.className = 'control-scheme local-control-scheme';
+    const name = document.createElement('span');
+    name.textContent = `${player.name}: `;
+    const keys = document.createElement('strong');
+    keys.textContent = CONTROL_SCHEME_LABELS[player.controlScheme] || player.controlScheme;
+    schemeDiv.append(name, keys);
+    playerControls.appendChild(schemeDiv);
+  });
+  if (typeof updateGamepadControls === 'function') {
+    updateGamepadControls(); // Local players can be picked for a controller
+  }
+}
+
+function getLocalPlayer(playerId) {
+  return (window.localPlayers || []).find(player => player.id === playerId) || null;
+}
+
+// Score target text, e.g. "First to 500 points" (see server/winConditions.js)
+function describeScoreTarget(scoreTarget) {
+  return scoreTarget.type === 'length'
+    ? `First to length ${scoreTarget.value}`
+    : `First to ${scoreTarget.value} points`;
+}
+
+// Lives mode: dead but coming back (see server/lives.js)
+function isRespawning(player) {
+  return !player.isAlive && player.respawnAt !== null && player.respawnAt !== undefined;
+}
+
+const KILL_FEED_MAX_ENTRIES = 5;
+const KILL_FEED_ENTRY_TIME = 6000; // ms an entry stays in the HUD
+const KILL_CAUSE_TEXT = {
+  'head-to-head': 'traded heads',
+  wall: 'hit a wall',
+  self: 'ran into themself',
+  obstacle: 'hit an obstacle',
+  zone: 'was caught by the zone'
+};
+
+function addKillFeedEntry(kill) {
+  const killFeed = document.getElementById('killFeed');
+  if (!killFeed) {
+    return;
+  }
+  // Names go in as text - they are player input
+  const entry = document.createElement('div');
+  entry.className = 'kill-feed-entry';
+  if (kill.killerName) {
+    const killer = document.createElement('strong');
+    killer.textContent = kill.killerName;
+    entry.appendChild(killer);
+    entry.appendChild(document.createTextNode(' 💀 '));
+    const victim = document.createElement('strong');
+    victim.textContent = kill.victimName;
+    entry.appendChild(victim);
+  } else {
+    const victim = document.createElement('strong');
+    victim.textContent = kill.victimName;
+    entry.appendChild(victim);
+    entry.appendChild(document.createTextNode(` ${KILL_CAUSE_TEXT[kill.cause] || 'crashed'}`));
+  }
+  if (kill.killerId && kill.killerId === currentPlayerId) {
+    entry.classList.add('kill-feed-own');
+  }
+  killFeed.prepend(entry);
+  while (killFeed.children.length > KILL_FEED_MAX_ENTRIES) {
+    killFeed.lastChild.remove();
+  }
+  setTimeout(() => entry.remove(), KILL_FEED_ENTRY_TIME);
+}
+
 function showOverlay(title, message, onClose = null, isCountdown = false) {
   const overlay = document.getElementById('gameOverlay');
   const overlayTitle = document.getElementById('overlayTitle');
@@ -1541,11 +1983,15 @@ function showOverlay(title, message, onClose = null, isCountdown = false) {
   
   const button = document.getElementById('overlayButton');
   const playAgainButton = document.getElementById('playAgainButton');
+  const rematchButton = document.getElementById('rematchButton');
   
-  // Hide Play Again button for regular overlay
+  // Hide Play Again and Rematch buttons for regular overlay
   if (playAgainButton) {
     playAgainButton.style.display = 'none';
   }
+  if (rematchButton) {
+    rematchButton.style.display = 'none';
+  }
   
   if (onClose) {
     if (button) {
@@ -1562,6 +2008,49 @@ function showOverlay(title, message, onClose = null, isCountdown = false) {
   overlay.style.display = 'flex';
 }
 
+// Series standings for the game over overlay
+function buildSeriesScoreboardHTML(series) {
+  const headline = series.isOver
+    ? `${series.champion.name} wins the series!`
+    : `Best of ${series.bestOf} - first to ${series.winsNeeded} wins`;
+  let html = `<div style="margin-top: 15px;"><strong>${headline}</strong><ol style="margin: 5px 0; padding-left: 20px;">`;
+  series.standings.forEach(standing => {
+    const wins = standing.wins === 1 ? '1 win' : `${standing.wins} wins`;
+    html += `<li style="margin: 3px 0;">${standing.name} - ${wins}, ${standing.points} pts</li>`;
+  });
+  html += '</ol></div>';
+  return html;
+}
+
+// Game over screen between series rounds: Back to Menu, plus Rematch for the host
+// (the server starts the next round with the same players and options)
+function showSeriesOverlay(title, message, series) {
+  lastSeriesOverlay = { title, message, series };
+  const localPlayer = gameState && gameState.players ? gameState.players[currentPlayerId] : null;
+  const isRoomHost = !isSpectator && (window.isHost || !!(localPlayer && localPlayer.isHost));
+  const waitingNote = isRoomHost
+    ? ''
+    : `<p style="margin-top: 15px;">Waiting for the host to start the ${series.isOver ? 'rematch' : 'next round'}...</p>`;
+  showOverlay(title, message + waitingNote, () => {
+    window.location.href = '/';
+  });
+
+  const button = document.getElementById('overlayButton');
+  if (button) {
+    button.textContent = 'Back to Menu';
+  }
+  const rematchButton = document.getElementById('rematchButton');
+  if (rematchButton && isRoomHost) {
+    rematchButton.style.display = 'block';
+    rematchButton.disabled = false;
+    rematchButton.textContent = series.isOver ? 'Rematch (new series)' : 'Rematch';
+    rematchButton.onclick = () => {
+      rematchButton.disabled = true;
+      socket.emit('startGame', { roomCode: currentRoomCode });
+    };
+  }
+}
+
 function showOverlayWithPlayAgain(title, message, onClose = null) {
   const overlay = document.getElementById('gameOverlay');
   const overlayTitle = document.getElementById('overlayTitle');
@@ -1601,6 +2090,11 @@ function showOverlayWithPlayAgain(title, message, onClose = null) {
     });
   }
   
+  const rematchButton = document.getElementById('rematchButton');
+  if (rematchButton) {
+    rematchButton.style.display = 'none';
+  }
+
   if (playAgainButton) {
     playAgainButton.style.display = 'block';
     playAgainButton.onclick = () => {
@@ -1866,6 +2360,38 @@ function showRulesScreen(gameMode) {
   
 }
 
+// Watch-only mode: no snake, no input, no pause
+function enableSpectatorMode() {
+  isSpectator = true;
+  window.isSpectator = true;
+  currentPlayerId = '';
+  window.currentPlayerId = '';
+  document.body.classList.add('spectator-mode');
+  const spectatorBadge = document.getElementById('spectatorBadge');
+  if (spectatorBadge) {
+    spectatorBadge.style.display = 'inline-block';
+  }
+}
+
+// Replay viewer: watch-only, driven by replay.js instead of the server
+function enableReplayMode() {
+  enableSpectatorMode();
+  window.isReplay = true;
+  document.body.classList.add('replay-mode');
+  const badge = document.getElementById('spectatorBadge');
+  if (badge) {
+    badge.textContent = '⏪ Replay';
+  }
+}
+
+// Show one replay frame (called by replay.js)
+function setReplayFrame(state) {
+  gameState = state;
+  window.gameState = state;
+  applyGridConfig(state);
+  updateWallModeIndicator();
+}
+
 function hideRulesScreen() {
   const rulesOverlay = document.getElementById('rulesScreenOverlay');
   if (rulesOverlay) {
@@ -1907,7 +2433,7 @@ function displayGameSettings() {
     const minutes = gameState.timeLimit / 60000;
     settings.push({
       label: 'Time Limit',
-      value: `${minutes} minute${minutes !== 1 ? 's' : ''}`
+      value: `${minutes} minute${minutes !== 1 ? 's' : ''}${gameState.suddenDeath ? ' (sudden-death overtime on a tie)' : ''}`
     });
   } else if (gameState.timeLimit !== undefined) {
     settings.push({
@@ -1915,12 +2441,49 @@ function displayGameSettings() {
       value: 'None'
     });
   }
+
+  // Score target (see server/winConditions.js)
+  if (gameState.scoreTarget) {
+    settings.push({
+      label: 'Score Target',
+      value: `${describeScoreTarget(gameState.scoreTarget)} wins`
+    });
+  }
   
-  // Power-ups
-  if (gameState.enablePowerups !== undefined) {
+  // Lives (see server/lives.js)
+  if (gameState.lives) {
+    settings.push({
+      label: 'Lives',
+      value: `${gameState.lives.max} per player (respawn after ${gameState.lives.respawnDelay / 1000}s)`
+    });
+  }
+
+  // Kill bonus (see server/kills.js)
+  if (gameState.killPoints) {
+    settings.push({
+      label: 'Kill Bonus',
+      value: `+${gameState.killPoints} points per kill`
+    });
+  }
+
+  // Power-ups (room rules, see server/powerups.js)
+  const powerupConfig = gameState.powerupConfig;
+  settings.push({
+    label: 'Power-ups',
+    value: powerupConfig ? 'Enabled' : 'Disabled'
+  });
+  if (powerupConfig) {
+    settings.push({
+      label: 'Power-up Types',
+      value: powerupConfig.types.length > 0
+        ? powerupConfig.types.map(type => `${getPowerupIcon(type)} ${getPowerupName(type)}`).join(', ')
+        : 'None'
+    });
     settings.push({
-      label: 'Power-ups',
-      value: gameState.enablePowerups ? 'Enabled' : 'Disabled'
+      label: 'Power-up Rules',
+      value: `${powerupConfig.duration ? `${powerupConfig.duration}s effects` : 'Default durations'}, ` +
+        `${powerupConfig.spawnFrequency} spawns, max ${powerupConfig.maxOnBoard} on board, ` +
+        `vanish after ${powerupConfig.despawnTime}s, ${powerupConfig.stacking ? 'stacking' : 'no stacking'}`
     });
   }
   
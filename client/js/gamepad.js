@@ -0,0 +1,165 @@
+// Gamepad support (Gamepad API): D-pad and analog sticks steer, the shoulder buttons turn left/right
+// relative to the snake's heading, Start opens the pause menu.
+// Each connected pad steers one player on this client - the own snake or a couch-mode local
+// player (window.localPlayers). Pads go to players in connection order until reassigned in the
+// controls panel.
+const GAMEPAD_DEAD_ZONE = 0.5; // Stick deflection below this is ignored
+const GAMEPAD_BUTTONS = { up: 12, down: 13, left: 14, right: 15, start: 9, turnLeft: 4, turnRight: 5 }; // Standard mapping
+const GAMEPAD_STICKS = [[0, 1], [2, 3]]; // Left and right stick axes (x, y)
+
+const gamepadAssignments = {}; // gamepad index -> player id ('' = own snake)
+const gamepadStates = {}; // gamepad index -> { direction, turn, start } from the last poll
+let gamepadPollId = null;
+
+document.addEventListener('DOMContentLoaded', () => {
+  if (!navigator.getGamepads) {
+    return;
+  }
+
+  window.addEventListener('gamepadconnected', (e) => {
+    gamepadStates[e.gamepad.index] = { direction: null, turn: null, start: false };
+    showNotification(`Controller connected: ${e.gamepad.id}`);
+    updateGamepadControls();
+    startGamepadPolling();
+  });
+
+  window.addEventListener('gamepaddisconnected', (e) => {
+    delete gamepadStates[e.gamepad.index];
+    delete gamepadAssignments[e.gamepad.index];
+    updateGamepadControls();
+  });
+
+  // Pads already connected on an earlier page (e.g. the lobby) show up without a new event
+  updateGamepadControls();
+  if (getConnectedGamepads().length > 0) {
+    startGamepadPolling();
+  }
+});
+
+function getConnectedGamepads() {
+  return Array.from(navigator.getGamepads ? navigator.getGamepads() : []).filter(Boolean);
+}
+
+function startGamepadPolling() {
+  if (gamepadPollId === null) {
+    gamepadPollId = requestAnimationFrame(pollGamepads);
+  }
+}
+
+function pollGamepads() {
+  const gamepads = getConnectedGamepads();
+  if (gamepads.length === 0) {
+    gamepadPollId = null;
+    return;
+  }
+
+  gamepads.forEach(gamepad => {
+    const state = gamepadStates[gamepad.index] || { direction: null, turn: null, start: false };
+    gamepadStates[gamepad.index] = state;
+
+    // Start opens/closes the pause menu (menu.js), once per press
+    const startPressed = isButtonPressed(gamepad, GAMEPAD_BUTTONS.start);
+    if (startPressed && !state.start && !window.isReplay) {
+      toggleMenu();
+    }
+    state.start = startPressed;
+
+    // Steer when the direction changes; holding it doesn't resend (like keyboard key repeat)
+    const direction = getGamepadDirection(gamepad);
+    if (direction && direction !== state.direction && !window.isReplay) {
+      steerSnake(direction, getGamepadPlayerId(gamepad.index) || null);
+    }
+    state.direction = direction;
+
+    // Shoulder buttons: relative turns (the server turns from the snake's heading), once per press
+    const turn = ['turnLeft', 'turnRight'].find(action => isButtonPressed(gamepad, GAMEPAD_BUTTONS[action])) || null;
+    if (turn && turn !== state.turn && !window.isReplay) {
+      steerSnake(turn, getGamepadPlayerId(gamepad.index) || null);
+    }
+    state.turn = turn;
+  });
+
+  gamepadPollId = requestAnimationFrame(pollGamepads);
+}
+
+function isButtonPressed(gamepad, buttonIndex) {
+  const button = gamepad.buttons[buttonIndex];
+  return Boolean(button && button.pressed);
+}
+
+// D-pad first, then whichever stick is pushed past the dead zone (dominant axis wins)
+function getGamepadDirection(gamepad) {
+  for (const direction of ['up', 'down', 'left', 'right']) {
+    if (isButtonPressed(gamepad, GAMEPAD_BUTTONS[direction])) {
+      return direction;
+    }
+  }
+  for (const [xAxis, yAxis] of GAMEPAD_STICKS) {
+    const x = gamepad.axes[xAxis] || 0;
+    const y = gamepad.axes[yAxis] || 0;
+    if (Math.max(Math.abs(x), Math.abs(y)) < GAMEPAD_DEAD_ZONE) {
+      continue;
+    }
+    if (Math.abs(x) > Math.abs(y)) {
+      return x > 0 ? 'right' : 'left';
+    }
+    return y > 0 ? 'down' : 'up';
+  }
+  return null;
+}
+
+// Players a pad can steer: the own snake ('') and this client's local players
+function getGamepadPlayers() {
+  return [{ id: '', name: 'You' }, ...(window.localPlayers || [])];
+}
+
+function getGamepadPlayerId(gamepadIndex) {
+  const players = getGamepadPlayers();
+  const assigned = gamepadAssignments[gamepadIndex];
+  if (assigned !== undefined && players.some(player => player.id === assigned)) {
+    return assigned;
+  }
+  const position = getConnectedGamepads().findIndex(gamepad => gamepad.index === gamepadIndex);
+  return players[Math.max(position, 0) % players.length].id;
+}
+
+// Controls panel: one row per pad with the player it steers; the rules screen and menu hints
+// mention connected pads
+function updateGamepadControls() {
+  const gamepads = getConnectedGamepads();
+  document.querySelectorAll('.controls-hint').forEach(hint => {
+    hint.textContent = gamepads.length > 0
+      ? 'Use WASD or Arrow keys, or the D-pad / either stick on your controller (Start opens the menu)'
+      : 'Use WASD or Arrow keys to control your snake (controllers work too - press any button to connect one)';
+  });
+
+  const gamepadControls = document.getElementById('gamepadControls');
+  if (!gamepadControls) {
+    return;
+  }
+  gamepadControls.innerHTML = '';
+  gamepadControls.style.display = gamepads.length > 0 ? '' : 'none';
+
+  const players = getGamepadPlayers();
+  gamepads.forEach((gamepad, position) => {
+    const row = document.createElement('div');
+    row.className = 'control-scheme gamepad-control';
+    const label = document.createElement('label');
+    label.textContent = `🎮 Controller ${position + 1}: `;
+    const select = document.createElement('select');
+    select.setAttribute('aria-label', `Player for controller ${position + 1}`);
+    players.forEach(player => {
+      const option = document.createElement('option');
+      option.value = player.id;
+      option.textContent = player.name;
+      select.appendChild(option);
+    });
+    select.value = getGamepadPlayerId(gamepad.index);
+    select.addEventListener('change', () => {
+      gamepadAssignments[gamepad.index] = select.value;
+    });
+    label.appendChild(select);
+    row.appendChild(label);
+    gamepadControls.appendChild(row);
+  });
+}
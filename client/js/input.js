@@ -1,23 +1,21 @@
 // Keyboard input handling
-let lastDirection = null;
+let lastDirections = {}; // Per player: own snake under 'self', local players under their id
 let keyState = {};
 
-// Player's selected control scheme (wasd or arrows)
+// Player's selected control scheme (wasd, arrows, ijkl or tfgh)
 let playerControlScheme = 'wasd'; // Default to WASD
 
-// Map key codes to directions based on selected control scheme
-const KEY_TO_DIRECTION = {
-  // WASD keys
-  'KeyW': 'up',
-  'KeyS': 'down',
-  'KeyA': 'left',
-  'KeyD': 'right',
-  // Arrow keys
-  'ArrowUp': 'up',
-  'ArrowDown': 'down',
-  'ArrowLeft': 'left',
-  'ArrowRight': 'right'
-};
+// Player's own key bindings: action (direction or pause) -> key code. Default to the chosen
+// scheme's keys (CONTROL_SCHEME_KEYS, client.js) plus Escape; a table saved from the key bindings
+// panel (keybindings.js) replaces them. Couch-mode local players keep their preset schemes.
+const BINDING_ACTIONS = ['up', 'down', 'left', 'right', 'pause'];
+let customKeyBindings = null; // Saved table, or null for the scheme defaults
+
+// Relative steering: the left/right keys send 'turnLeft'/'turnRight' (the server turns from the
+// snake's heading) and up/down do nothing. Applies to every keyboard player on this client.
+const RELATIVE_CONTROLS_KEY = 'snakeGameRelativeControls';
+const RELATIVE_KEY_TURNS = { left: 'turnLeft', right: 'turnRight', up: null, down: null };
+let relativeControls = false;
 
 // Opposite directions (prevent reversal)
 const OPPOSITES = {
@@ -29,18 +27,21 @@ const OPPOSITES = {
 
 // Function to set player's control scheme
 function setPlayerControlScheme(scheme) {
-  if (scheme === 'wasd' || scheme === 'arrows') {
+  if (CONTROL_SCHEME_KEYS[scheme]) {
     playerControlScheme = scheme;
     localStorage.setItem('snakeGameControlScheme', scheme);
   }
 }
 
 document.addEventListener('DOMContentLoaded', () => {
+  loadKeyBindings();
+  relativeControls = localStorage.getItem(RELATIVE_CONTROLS_KEY) === 'true';
+
   // Get control scheme from URL first, then localStorage
   const urlParams = new URLSearchParams(window.location.search);
   const controlSchemeParam = urlParams.get('controls');
   
-  if (controlSchemeParam && (controlSchemeParam === 'wasd' || controlSchemeParam === 'arrows')) {
+  if (controlSchemeParam && CONTROL_SCHEME_KEYS[controlSchemeParam]) {
     setPlayerControlScheme(controlSchemeParam);
   } else {
     // Try to get control scheme from localStorage
@@ -91,10 +92,8 @@ function setupInputHandlers() {
       return; // Allow normal typing behavior
     }
     
-    // Check if key matches player's control scheme
-    if (playerControlScheme === 'wasd' && (key === 'KeyW' || key === 'KeyS' || key === 'KeyA' || key === 'KeyD')) {
-      e.preventDefault();
-    } else if (playerControlScheme === 'arrows' && key.startsWith('Arrow')) {
+    // Check if key belongs to a control scheme in use on this keyboard
+    if (getKeyBinding(key)) {
       e.preventDefault();
     }
   });
@@ -283,38 +282,37 @@ function handleKeyDown(e) {
     return; // User is typing, don't process as game input
   }
   
-  // Check if key matches player's control scheme FIRST
-  let direction = null;
-  if (playerControlScheme === 'wasd') {
-    // Only accept WASD keys
-    if (key === 'KeyW' || key === 'KeyS' || key === 'KeyA' || key === 'KeyD') {
-      direction = KEY_TO_DIRECTION[key];
-    }
-  } else if (playerControlScheme === 'arrows') {
-    // Only accept Arrow keys
-    if (key.startsWith('Arrow')) {
-      direction = KEY_TO_DIRECTION[key];
-    }
+  // Check if key matches a control scheme in use on this keyboard FIRST
+  const binding = getKeyBinding(key);
+  if (!binding) {
+    return; // Not a game key for any player on this keyboard
   }
 
-  if (!direction) {
-    return; // Not a game key for this player's control scheme
-  }
-  
-  // Prevent opposite direction change (instant check)
-  if (lastDirection && OPPOSITES[direction] === lastDirection) {
+  // Check if key is already pressed (prevents duplicate sends from key repeat)
+  if (keyState[key] || !binding.direction) {
     return;
   }
 
-  // Check if key is already pressed (prevents duplicate sends from key repeat)
-  if (keyState[key]) {
-    return;
+  // Mark key as pressed once the input went out
+  if (steerSnake(binding.direction, binding.playerId)) {
+    keyState[key] = true;
+  }
+}
+
+// Send a direction for the own snake (playerId null) or a local player's snake, IMMEDIATELY -
+// no throttle, no delay. Shared by the keyboard and gamepads (gamepad.js). Returns true when sent.
+function steerSnake(direction, playerId) {
+  const lastDirection = lastDirections[playerId || 'self'];
+
+  // Prevent opposite direction change (instant check)
+  if (lastDirection && OPPOSITES[direction] === lastDirection) {
+    return false;
   }
 
   // Check if game is paused BEFORE sending input
   const isPaused = typeof window !== 'undefined' && window.gameState ? window.gameState.isPaused : false;
   if (isPaused) {
-    return; // Don't send input when paused
+    return false; // Don't send input when paused
   }
 
   // Hide inactivity warning overlay immediately when player moves (before server response)
@@ -336,23 +334,152 @@ function handleKeyDown(e) {
     if (overlayMessage) overlayMessage.classList.remove('countdown-blinking');
   }
 
-  // Mark key as pressed and send input IMMEDIATELY - no throttle, no delay
-  keyState[key] = true;
-  sendInputToServer(direction);
-  lastDirection = direction;
+  sendInputToServer(direction, playerId);
+  lastDirections[playerId || 'self'] = direction;
+  return true;
 }
 
 function handleKeyUp(e) {
   const key = e.code;
-  // Check if key matches player's control scheme
-  if (playerControlScheme === 'wasd' && (key === 'KeyW' || key === 'KeyS' || key === 'KeyA' || key === 'KeyD')) {
-    keyState[key] = false;
-  } else if (playerControlScheme === 'arrows' && key.startsWith('Arrow')) {
+  // Check if key matches a control scheme in use on this keyboard
+  if (getKeyBinding(key)) {
     keyState[key] = false;
   }
 }
 
-function sendInputToServer(direction) {
+function getDefaultKeyBindings() {
+  const bindings = { pause: 'Escape' };
+  Object.entries(CONTROL_SCHEME_KEYS[playerControlScheme]).forEach(([code, direction]) => {
+    bindings[direction] = code;
+  });
+  return bindings;
+}
+
+function getKeyBindings() {
+  return customKeyBindings || getDefaultKeyBindings();
+}
+
+function loadKeyBindings() {
+  const saved = getSavedKeyBindings();
+  customKeyBindings = saved && !validateKeyBindings(saved) ? saved : null;
+}
+
+// Returns an error message, or null after saving the table
+function saveKeyBindings(bindings) {
+  const error = validateKeyBindings(bindings);
+  if (error) {
+    return error;
+  }
+  customKeyBindings = {};
+  BINDING_ACTIONS.forEach(action => {
+    customKeyBindings[action] = bindings[action];
+  });
+  localStorage.setItem(KEY_BINDINGS_KEY, JSON.stringify(customKeyBindings));
+  return null;
+}
+
+// Back to the control scheme's keys
+function resetKeyBindings() {
+  customKeyBindings = null;
+  localStorage.removeItem(KEY_BINDINGS_KEY);
+}
+
+// Local players (couch mode) were assigned: a saved table using one of their keys would steer the
+// own snake with it, so fall back to the scheme's keys. Returns the conflict, or null.
+function resetConflictingKeyBindings() {
+  const conflict = customKeyBindings && findKeyBindingConflict(customKeyBindings);
+  if (conflict) {
+    resetKeyBindings();
+  }
+  return conflict || null;
+}
+
+// Returns an error message for a malformed or conflicting table, or null when it can be used
+function validateKeyBindings(bindings) {
+  if (!bindings || typeof bindings !== 'object') {
+    return 'Key bindings must be an object';
+  }
+  const missing = BINDING_ACTIONS.find(action => typeof bindings[action] !== 'string' || !/^[A-Za-z0-9]+$/.test(bindings[action]));
+  if (missing) {
+    return `No valid key for ${missing}`;
+  }
+  return findKeyBindingConflict(bindings);
+}
+
+// Two actions on one key, or a key a local player (couch mode) already steers with
+function findKeyBindingConflict(bindings) {
+  for (let i = 0; i < BINDING_ACTIONS.length; i++) {
+    for (let j = i + 1; j < BINDING_ACTIONS.length; j++) {
+      if (bindings[BINDING_ACTIONS[i]] === bindings[BINDING_ACTIONS[j]]) {
+        return `${formatKeyCode(bindings[BINDING_ACTIONS[i]])} is bound to both ${BINDING_ACTIONS[i]} and ${BINDING_ACTIONS[j]}`;
+      }
+    }
+  }
+  const localPlayers = window.localPlayers || [];
+  for (const action of BINDING_ACTIONS) {
+    const localPlayer = localPlayers.find(player => CONTROL_SCHEME_KEYS[player.controlScheme]?.[bindings[action]]);
+    if (localPlayer) {
+      return `${formatKeyCode(bindings[action])} is used by ${localPlayer.name}`;
+    }
+  }
+  return null;
+}
+
+// Short label for a key code, e.g. KeyW -> W, ArrowUp -> ↑, Escape -> Esc
+function formatKeyCode(code) {
+  const arrows = { ArrowUp: '↑', ArrowDown: '↓', ArrowLeft: '←', ArrowRight: '→' };
+  if (arrows[code]) {
+    return arrows[code];
+  }
+  if (code === 'Escape') {
+    return 'Esc';
+  }
+  return code.replace(/^(Key|Digit)/, '');
+}
+
+function isPauseKey(code) {
+  return getKeyBindings().pause === code;
+}
+
+function isRelativeControls() {
+  return relativeControls;
+}
+
+function setRelativeControls(enabled) {
+  relativeControls = Boolean(enabled);
+  localStorage.setItem(RELATIVE_CONTROLS_KEY, String(relativeControls));
+  resetInputState();
+}
+
+// Which snake a key steers: { direction, playerId } (playerId null for the player's own snake),
+// or null. Local players (couch mode) each have their own scheme, set from gameStarted. With
+// relative steering the direction is a turn, or null for the unused up/down keys.
+function getKeyBinding(key) {
+  const binding = getAbsoluteKeyBinding(key);
+  if (binding && relativeControls) {
+    binding.direction = RELATIVE_KEY_TURNS[binding.direction];
+  }
+  return binding;
+}
+
+function getAbsoluteKeyBinding(key) {
+  const bindings = getKeyBindings();
+  const ownDirection = ['up', 'down', 'left', 'right'].find(direction => bindings[direction] === key);
+  if (ownDirection) {
+    return { direction: ownDirection, playerId: null };
+  }
+  const localPlayers = window.localPlayers || [];
+  for (const localPlayer of localPlayers) {
+    const scheme = CONTROL_SCHEME_KEYS[localPlayer.controlScheme];
+    if (scheme && scheme[key]) {
+      return { direction: scheme[key], playerId: localPlayer.id };
+    }
+  }
+  return null;
+}
+
+// playerId: one of this client's local players; omitted for the player's own snake
+function sendInputToServer(direction, playerId) {
   const roomCode = typeof window !== 'undefined' && window.currentRoomCode
     ? window.currentRoomCode
     : new URLSearchParams(window.location.search).get('room');
@@ -368,16 +495,25 @@ function sendInputToServer(direction) {
   if (!roomCodeParam) {
     return;
   }
+
+  // Spectators watch only - server rejects their input anyway
+  if (window.isSpectator) {
+    return;
+  }
   
   // Send input immediately
-  socketToUse.emit('playerInput', {
+  const input = {
     roomCode: roomCodeParam,
     direction: direction
-  });
+  };
+  if (playerId) {
+    input.playerId = playerId;
+  }
+  socketToUse.emit('playerInput', input);
 }
 
 // Reset input state (useful when game pauses)
 function resetInputState() {
   keyState = {};
-  lastDirection = null;
+  lastDirections = {};
 }
@@ -2,6 +2,8 @@ let currentRoomCode = '';
 let isHost = false;
 let playerId = '';
 let roomIsPublic = false;
+let isSpectator = false;
+let spectatorName = '';
 
 document.addEventListener('DOMContentLoaded', () => {
   console.log('Join.js: DOMContentLoaded fired');
@@ -12,6 +14,7 @@ document.addEventListener('DOMContentLoaded', () => {
   const roomCodeInput = document.getElementById('roomCode');
   const generateRoomCodeBtn = document.getElementById('generateRoomCode');
   const joinButton = document.getElementById('joinButton');
+  const spectateButton = document.getElementById('spectateButton');
   const startGameButton = document.getElementById('startGameButton');
   const leaveRoomButton = document.getElementById('leaveRoomButton');
   const nameError = document.getElementById('nameError');
@@ -317,6 +320,9 @@ document.addEventListener('DOMContentLoaded', () => {
       singlePlayerFields2.style.display = 'block';
       if (npcCustomizationSection) npcCustomizationSection.style.display = 'block';
       if (singlePlayerGameOptions) singlePlayerGameOptions.style.display = 'block';
+      if (spectateButton) {
+        spectateButton.style.display = 'none';
+      }
       joinButton.textContent = 'Start Single-Player Game';
       if (npcCountSelect) {
         renderNpcCustomization(parseInt(npcCountSelect.value || '2', 10));
@@ -328,6 +334,9 @@ document.addEventListener('DOMContentLoaded', () => {
       singlePlayerFields2.style.display = 'none';
       if (npcCustomizationSection) npcCustomizationSection.style.display = 'none';
       if (singlePlayerGameOptions) singlePlayerGameOptions.style.display = 'none';
+      if (spectateButton) {
+        spectateButton.style.display = 'block';
+      }
       joinButton.textContent = 'Join Room';
     }
   }
@@ -344,6 +353,171 @@ document.addEventListener('DOMContentLoaded', () => {
   const defaultMode = defaultModeRadio ? defaultModeRadio.value : 'single-player';
   updateModeUI(defaultMode);
 
+  // Custom key bindings (game menu) replace the control scheme - picking a scheme here goes back
+  // to its keys, so the choice (and the ?controls= it's passed on with) takes effect
+  const customBindingsNote = document.getElementById('customBindingsNote');
+  if (customBindingsNote && getSavedKeyBindings()) {
+    customBindingsNote.style.display = 'block';
+  }
+  controlSchemeRadios.forEach(radio => {
+    radio.addEventListener('change', () => {
+      localStorage.removeItem(KEY_BINDINGS_KEY);
+      if (customBindingsNote) {
+        customBindingsNote.style.display = 'none';
+      }
+    });
+  });
+
+  // Custom maps are handed over from the map editor (editor.html) through localStorage
+  function loadEditorMap() {
+    try {
+      const stored = localStorage.getItem('snakeGameCustomMap');
+      return stored ? JSON.parse(stored) : null;
+    } catch (error) {
+      console.error('Failed to read custom map:', error);
+      return null;
+    }
+  }
+
+  // Food type weights from a group of .food-weight-select elements, e.g. { normal: 100, golden: 10 }
+  function readFoodWeights(containerId) {
+    const weights = {};
+    document.querySelectorAll(`#${containerId} .food-weight-select`).forEach(select => {
+      weights[select.dataset.foodType] = parseInt(select.value, 10) || 0;
+    });
+    return weights;
+  }
+
+  function describeFoodWeights(foodWeights) {
+    const labels = { normal: 'Normal', golden: 'Golden', poison: 'Poison', moving: 'Moving', cluster: 'Cluster' };
+    const enabled = Object.keys(labels).filter(type => foodWeights && foodWeights[type] > 0);
+    if (enabled.length === 0 || (enabled.length === 1 && enabled[0] === 'normal')) {
+      return 'Normal only';
+    }
+    return enabled.map(type => `${labels[type]} ${foodWeights[type]}`).join(', ');
+  }
+
+  // Starting value when the host picks a score target type (see server/winConditions.js for limits)
+  const SCORE_TARGET_DEFAULTS = { score: 500, length: 25 };
+
+  function describeScoreTarget(scoreTarget) {
+    if (!scoreTarget) {
+      return 'None';
+    }
+    return scoreTarget.type === 'length'
+      ? `First to length ${scoreTarget.value}`
+      : `First to ${scoreTarget.value} points`;
+  }
+
+  // Power-up rules from a .powerup-settings container, e.g. { enabled, types, duration, ... }
+  // (see normalizePowerUpConfig in server/powerups.js). null until the type list has been rendered.
+  function readPowerUpConfig(containerId) {
+    const container = document.getElementById(containerId);
+    const typeToggles = container ? container.querySelectorAll('.powerup-type-toggle') : [];
+    if (typeToggles.length === 0) {
+      return null;
+    }
+    const duration = container.querySelector('.powerup-duration-select').value;
+    return {
+      enabled: container.querySelector('.powerup-enabled-toggle').checked,
+      types: Array.from(typeToggles).filter(toggle => toggle.checked).map(toggle => toggle.dataset.powerupType),
+      duration: duration ? parseInt(duration, 10) : null,
+      spawnFrequency: container.querySelector('.powerup-frequency-select').value,
+      maxOnBoard: parseInt(container.querySelector('.powerup-max-select').value, 10),
+      despawnTime: parseInt(container.querySelector('.powerup-despawn-select').value, 10),
+      stacking: container.querySelector('.powerup-stacking-toggle').checked
+    };
+  }
+
+  function applyPowerUpConfig(containerId, config) {
+    const container = document.getElementById(containerId);
+    if (!container || !config) {
+      return;
+    }
+    container.querySelector('.powerup-enabled-toggle').checked = config.enabled;
+    container.querySelectorAll('.powerup-type-toggle').forEach(toggle => {
+      toggle.checked = config.types.includes(toggle.dataset.powerupType);
+    });
+    container.querySelector('.powerup-duration-select').value = config.duration || '';
+    container.querySelector('.powerup-frequency-select').value = config.spawnFrequency;
+    container.querySelector('.powerup-max-select').value = String(config.maxOnBoard);
+    container.querySelector('.powerup-despawn-select').value = String(config.despawnTime);
+    container.querySelector('.powerup-stacking-toggle').checked = config.stacking;
+  }
+
+  function describePowerUpConfig(config) {
+    if (!config || !config.enabled) {
+      return 'OFF';
+    }
+    const total = window.powerUpCatalog ? window.powerUpCatalog.length : config.types.length;
+    return [
+      `${config.types.length}/${total} types`,
+      config.duration ? `${config.duration}s effects` : 'default durations',
+      `${config.spawnFrequency} spawns`,
+      `max ${config.maxOnBoard} on board`,
+      config.stacking ? 'stacking' : 'no stacking'
+    ].join(', ');
+  }
+
+  // Lobby power-up rules last received from the server (re-applied once the type list renders)
+  let lobbyPowerUpConfig = null;
+
+  // One checkbox per registered power-up type; the settings only show when the server has power-ups on
+  function renderPowerUpTypeToggles(catalog) {
+    ['singlePlayerPowerupSettings', 'lobbyPowerupSettings'].forEach(containerId => {
+      const container = document.getElementById(containerId);
+      if (!container) {
+        return;
+      }
+      const typesContainer = container.querySelector('.powerup-types');
+      typesContainer.innerHTML = '';
+      catalog.forEach(definition => {
+        const label = document.createElement('label');
+        label.title = definition.description;
+        label.innerHTML = `<input type="checkbox" class="powerup-type-toggle" data-powerup-type="${definition.id}" checked> ${definition.icon} ${definition.name}`;
+        typesContainer.appendChild(label);
+      });
+      container.style.display = 'block';
+    });
+    applyPowerUpConfig('lobbyPowerupSettings', lobbyPowerUpConfig);
+    const powerupsStatus = document.getElementById('powerupsStatus');
+    if (powerupsStatus) {
+      powerupsStatus.style.display = 'inline';
+      powerupsStatus.textContent = `Power-ups: ${describePowerUpConfig(lobbyPowerUpConfig || readPowerUpConfig('lobbyPowerupSettings'))}`;
+    }
+  }
+
+  if (window.powerUpCatalog) {
+    renderPowerUpTypeToggles(window.powerUpCatalog);
+  }
+  if (socket) {
+    socket.on('powerUpTypes', renderPowerUpTypeToggles);
+  }
+
+  const singlePlayerMapSelect = document.getElementById('singlePlayerMapSelect');
+  const singlePlayerMapSelectStatus = document.getElementById('singlePlayerMapSelectStatus');
+  if (singlePlayerMapSelect && singlePlayerMapSelectStatus) {
+    singlePlayerMapSelect.addEventListener('change', () => {
+      const editorMap = singlePlayerMapSelect.value === 'custom' ? loadEditorMap() : null;
+      if (singlePlayerMapSelect.value !== 'custom') {
+        singlePlayerMapSelectStatus.textContent = '';
+      } else {
+        singlePlayerMapSelectStatus.textContent = editorMap
+          ? `${editorMap.name || 'Custom map'} (${editorMap.width}x${editorMap.height}) ·`
+          : 'No map saved yet - save one in the editor ·';
+      }
+    });
+  }
+
+  // Show width/height inputs only for a custom single-player board size
+  const singlePlayerGridSizeSelect = document.getElementById('singlePlayerGridSizeSelect');
+  const singlePlayerCustomGridSize = document.getElementById('singlePlayerCustomGridSize');
+  if (singlePlayerGridSizeSelect && singlePlayerCustomGridSize) {
+    singlePlayerGridSizeSelect.addEventListener('change', () => {
+      singlePlayerCustomGridSize.style.display = singlePlayerGridSizeSelect.value === 'custom' ? 'flex' : 'none';
+    });
+  }
+
   if (npcCountSelect) {
     npcCountSelect.addEventListener('change', () => {
       const selectedMode = document.querySelector('input[name="gameMode"]:checked')?.value;
@@ -467,11 +641,37 @@ document.addEventListener('DOMContentLoaded', () => {
         const selectedControlScheme = document.querySelector('input[name="controlScheme"]:checked');
         const controlScheme = selectedControlScheme ? selectedControlScheme.value : 'wasd';
         
-        // Get game options for single-player (only wall mode)
+        // Get game options for single-player (wall mode and board size)
         const wallModeToggle = document.getElementById('singlePlayerWallModeToggle');
         const wallMode = wallModeToggle ? wallModeToggle.checked : false;
+        const shrinkingArenaToggle = document.getElementById('singlePlayerShrinkingArenaToggle');
+        const shrinkingArena = shrinkingArenaToggle ? shrinkingArenaToggle.checked : false;
+        const kingOfTheHillToggle = document.getElementById('singlePlayerKingOfTheHillToggle');
+        const kingOfTheHill = kingOfTheHillToggle ? kingOfTheHillToggle.checked : false;
+        const corpseFoodSelect = document.getElementById('singlePlayerCorpseFoodSelect');
+        const corpseFood = corpseFoodSelect && corpseFoodSelect.value ? parseInt(corpseFoodSelect.value, 10) : null;
+        const killPointsSelect = document.getElementById('singlePlayerKillPointsSelect');
+        const killPoints = killPointsSelect ? parseInt(killPointsSelect.value, 10) || 0 : 0;
+        const foodWeights = readFoodWeights('singlePlayerFoodWeights');
+        const powerups = readPowerUpConfig('singlePlayerPowerupSettings');
+        const gridSizeSelect = document.getElementById('singlePlayerGridSizeSelect');
+        const gridSize = gridSizeSelect ? gridSizeSelect.value : 'medium';
+        const gridWidth = parseInt(document.getElementById('singlePlayerGridWidth')?.value, 10) || 30;
+        const gridHeight = parseInt(document.getElementById('singlePlayerGridHeight')?.value, 10) || 30;
+        const mapId = singlePlayerMapSelect ? singlePlayerMapSelect.value : 'empty';
+        const customMap = mapId === 'custom' ? loadEditorMap() : null;
+        if (mapId === 'custom' && !customMap) {
+          if (nameError) {
+            nameError.textContent = 'No custom map saved yet. Open the map editor and save a map first.';
+          }
+          if (joinButton) {
+            joinButton.disabled = false;
+            joinButton.textContent = 'Start Single-Player Game';
+          }
+          return;
+        }
         
-        console.log('Emitting startSinglePlayer event with options:', { playerName, npcCount, controlScheme, wallMode });
+        console.log('Emitting startSinglePlayer event with options:', { playerName, npcCount, controlScheme, wallMode, shrinkingArena, kingOfTheHill, corpseFood, killPoints, foodWeights, powerups, gridSize, mapId });
         
         // Store game initialization data for "Play Again" functionality (use localStorage for persistence)
         const gameInitData = {
@@ -482,7 +682,18 @@ document.addEventListener('DOMContentLoaded', () => {
           playerToken,
           npcConfigs,
           gameOptions: {
-            wallMode
+            wallMode,
+            shrinkingArena,
+            kingOfTheHill,
+            corpseFood,
+            killPoints,
+            foodWeights,
+            powerups,
+            gridSize,
+            gridWidth,
+            gridHeight,
+            mapId,
+            customMap
           },
           timestamp: Date.now()
         };
@@ -559,6 +770,49 @@ document.addEventListener('DOMContentLoaded', () => {
     });
   }
 
+  // Spectate: watch a room (even a full or running one) without taking a player slot
+  if (spectateButton) {
+    spectateButton.addEventListener('click', () => {
+      const playerName = playerNameInput?.value.trim();
+      const roomCode = roomCodeInput?.value.trim().toUpperCase();
+
+      if (!playerName) {
+        if (nameError) {
+          nameError.textContent = 'Please enter your name';
+        }
+        return;
+      }
+
+      if (!roomCode) {
+        if (nameError) {
+          nameError.textContent = 'Please enter the room code to spectate';
+        }
+        return;
+      }
+
+      if (!socket) {
+        if (nameError) {
+          nameError.textContent = 'Connection error. Please wait a moment and try again.';
+        }
+        return;
+      }
+
+      if (nameError) {
+        nameError.textContent = '';
+      }
+      spectatorName = playerName;
+      spectateButton.disabled = true;
+      spectateButton.textContent = 'Joining...';
+
+      socket.emit('joinRoom', {
+        playerName,
+        roomCode,
+        spectate: true,
+        playerToken: typeof getOrCreatePlayerToken === 'function' ? getOrCreatePlayerToken() : null
+      });
+    });
+  }
+
   if (publicRoomToggle) {
     publicRoomToggle.addEventListener('click', () => {
       if (!socket || !currentRoomCode) return;
@@ -571,6 +825,17 @@ document.addEventListener('DOMContentLoaded', () => {
 
   if (publicRoomsList) {
     publicRoomsList.addEventListener('click', (e) => {
+      const watchBtn = e.target.closest('.public-room-watch');
+      if (watchBtn) {
+        if (roomCodeInput) {
+          roomCodeInput.value = watchBtn.getAttribute('data-room') || '';
+        }
+        if (spectateButton) {
+          spectateButton.click();
+        }
+        return;
+      }
+
       const joinBtn = e.target.closest('.public-room-join');
       if (!joinBtn) return;
       const roomCodeToJoin = joinBtn.getAttribute('data-room');
@@ -686,7 +951,8 @@ document.addEventListener('DOMContentLoaded', () => {
             <div class="public-room-code">${code}</div>
           </div>
           <div class="public-room-row meta">
-            <span class="public-room-players">${playerCount}/4 players</span>
+            <span class="public-room-players">${playerCount}/${room.maxPlayers || 4} players${room.spectatorCount ? ` · ${room.spectatorCount} watching` : ''}</span>
+            <button class="btn-secondary public-room-watch" data-room="${code}">Watch</button>
             <button class="btn-primary public-room-join" data-room="${code}">Join</button>
           </div>
         `;
@@ -718,6 +984,7 @@ document.addEventListener('DOMContentLoaded', () => {
     socket.on('joinedRoom', (data) => {
       playerId = data.playerId;
       isHost = data.isHost;
+      isSpectator = !!data.isSpectator;
       currentRoomCode = data.roomCode;
       roomIsPublic = !!data.isPublic;
       updatePublicToggleUI(roomIsPublic);
@@ -734,6 +1001,10 @@ document.addEventListener('DOMContentLoaded', () => {
       if (sessionHistory) {
         sessionHistory.style.display = 'none';
       }
+      const leaderboard = document.getElementById('leaderboardSection');
+      if (leaderboard) {
+        leaderboard.style.display = 'none';
+      }
       const displayRoomCode = document.getElementById('displayRoomCode');
       if (displayRoomCode) {
         displayRoomCode.textContent = currentRoomCode;
@@ -772,6 +1043,13 @@ document.addEventListener('DOMContentLoaded', () => {
         }
       }
 
+      if (isSpectator) {
+        const waitingTitle = waitingRoom.querySelector('h2');
+        if (waitingTitle) {
+          waitingTitle.textContent = 'Spectating';
+        }
+      }
+
       if (isHost && data.gameMode === 'multi-player') {
         document.getElementById('hostControls').style.display = 'block';
         setupGameOptionsHandlers();
@@ -779,6 +1057,10 @@ document.addEventListener('DOMContentLoaded', () => {
       } else {
         setPublicToggleVisibility(false);
       }
+
+      if (data.gameMode === 'multi-player' && !isSpectator) {
+        setupCouchMode();
+      }
       
       // Request current game options
       if (socket && currentRoomCode) {
@@ -790,10 +1072,17 @@ document.addEventListener('DOMContentLoaded', () => {
       nameError.textContent = data.message;
       joinButton.disabled = false;
       joinButton.textContent = 'Join Room';
+      if (spectateButton) {
+        spectateButton.disabled = false;
+        spectateButton.textContent = 'Spectate Room';
+      }
     });
 
     socket.on('playerJoined', (data) => {
       updatePlayersList(data.players);
+      if (data.spectators) {
+        updateSpectatorsList(data.spectators);
+      }
       
       if (isHost) {
         startGameButton.disabled = data.players.length < 2;
@@ -839,10 +1128,22 @@ document.addEventListener('DOMContentLoaded', () => {
       }
     });
 
+    socket.on('localPlayersUpdated', (data) => {
+      updateLocalPlayersList(data.localPlayers || []);
+    });
+
+    socket.on('spectatorLeft', (data) => {
+      updateSpectatorsList(data.spectators || []);
+    });
+
     socket.on('gameOptionsUpdated', (data) => {
       updateGameOptionsDisplay(data.gameOptions);
     });
 
+    socket.on('teamsUpdated', (data) => {
+      updatePlayersList(data.players || []);
+    });
+
     socket.on('hostChanged', (data) => {
       if (data.newHostId === playerId) {
         isHost = true;
@@ -863,6 +1164,8 @@ document.addEventListener('DOMContentLoaded', () => {
           copyDisplayRoomCodeBtn.style.display = 'none';
         }
       }
+      // Team pickers are host-only
+      updatePlayersList(lobbyPlayers);
     });
 
     // Countdown is now handled on game board, not in waiting room
@@ -886,6 +1189,10 @@ document.addEventListener('DOMContentLoaded', () => {
       }
       // Redirect to game screen immediately (sessionStorage is synchronous)
       const roomCode = data.roomCode || currentRoomCode;
+      if (isSpectator || data.isSpectator) {
+        window.location.href = `/game.html?room=${roomCode}&spectate=1&name=${encodeURIComponent(spectatorName)}`;
+        return;
+      }
       const gamePlayerId = data.playerId || playerId;
       // Get control scheme from selected radio button or localStorage
       const selectedControlScheme = document.querySelector('input[name="controlScheme"]:checked');
@@ -900,6 +1207,10 @@ document.addEventListener('DOMContentLoaded', () => {
       if (nameError) {
         nameError.textContent = data.message || 'An error occurred';
       }
+      const localPlayerError = document.getElementById('localPlayerError');
+      if (localPlayerError) {
+        localPlayerError.textContent = data.message || 'An error occurred';
+      }
       if (joinButton) {
         const selectedModeRadio = document.querySelector('input[name="gameMode"]:checked');
         const selectedMode = selectedModeRadio ? selectedModeRadio.value : 'multi-player';
@@ -933,28 +1244,218 @@ document.addEventListener('DOMContentLoaded', () => {
       window.location.reload();
     });
 
+    // Team names and colors (mirrors TEAM_COLOR_FAMILIES in server/teams.js)
+    const LOBBY_TEAMS = [
+      { name: 'Red Team', color: '#FF0000' },
+      { name: 'Blue Team', color: '#0000FF' },
+      { name: 'Green Team', color: '#00C800' },
+      { name: 'Yellow Team', color: '#FFD700' },
+      { name: 'Purple Team', color: '#8A2BE2' },
+      { name: 'Orange Team', color: '#FF8C00' }
+    ];
+    let lobbyPlayers = [];
+    let lobbyTeamSize = null; // gameOptions.teamSize (null = free-for-all)
+
     function updatePlayersList(players) {
       const playersList = document.getElementById('playersList');
       const playerCount = document.getElementById('playerCount');
+      const shuffleTeamsButton = document.getElementById('shuffleTeamsButton');
+      const teamMode = !!lobbyTeamSize;
+      lobbyPlayers = players;
       
       playerCount.textContent = players.length;
       playersList.innerHTML = '';
+      if (shuffleTeamsButton) {
+        shuffleTeamsButton.style.display = teamMode && isHost ? 'inline-block' : 'none';
+      }
 
-      players.forEach(player => {
+      // Team mode: list players grouped by team (same team count rule as the server)
+      const teamCount = Math.min(Math.max(2, Math.ceil(players.length / (lobbyTeamSize || 1))), LOBBY_TEAMS.length);
+      const orderedPlayers = teamMode
+        ? [...players].sort((a, b) => (a.teamId ?? teamCount) - (b.teamId ?? teamCount))
+        : players;
+
+      orderedPlayers.forEach(player => {
         const li = document.createElement('li');
         const hostIndicator = player.isHost ? '👑 ' : '';
-        li.textContent = hostIndicator + player.name + (player.isHost ? ' (Host)' : '');
-        if (player.id === playerId) {
+        li.textContent = hostIndicator + player.name + (player.isHost ? ' (Host)' : '') + (player.localOwnerId ? ' (Local)' : '');
+        if (player.id === playerId || player.localOwnerId === playerId) {
           li.classList.add('current-player');
         }
+
+        const team = teamMode && Number.isInteger(player.teamId) ? LOBBY_TEAMS[player.teamId] : null;
+        if (team) {
+          li.classList.add('team-player');
+          li.style.borderLeft = `4px solid ${team.color}`;
+          if (isHost) {
+            const teamSelect = document.createElement('select');
+            teamSelect.className = 'team-select';
+            teamSelect.setAttribute('aria-label', `Team for ${player.name}`);
+            LOBBY_TEAMS.slice(0, teamCount).forEach((option, teamId) => {
+              const optionEl = document.createElement('option');
+              optionEl.value = teamId;
+              optionEl.textContent = option.name;
+              teamSelect.appendChild(optionEl);
+            });
+            teamSelect.value = player.teamId;
+            teamSelect.addEventListener('change', () => {
+              socket.emit('assignTeam', {
+                roomCode: currentRoomCode,
+                playerId: player.id,
+                teamId: parseInt(teamSelect.value, 10)
+              });
+            });
+            li.appendChild(teamSelect);
+          } else {
+            const teamTag = document.createElement('span');
+            teamTag.className = 'team-tag';
+            teamTag.textContent = team.name;
+            li.appendChild(teamTag);
+          }
+        }
         playersList.appendChild(li);
       });
     }
 
+    // Couch mode: extra players on this keyboard, one control scheme each (see server/localPlayers.js)
+    const LOCAL_CONTROL_SCHEMES = { wasd: 'WASD', arrows: 'Arrow Keys', ijkl: 'IJKL', tfgh: 'TFGH' };
+    let localPlayers = [];
+
+    function getOwnControlScheme() {
+      const selectedControlScheme = document.querySelector('input[name="controlScheme"]:checked');
+      return selectedControlScheme ? selectedControlScheme.value : 'wasd';
+    }
+
+    // The own scheme, or one sharing a key with the player's custom key bindings (game menu) -
+    // those keys steer the player's own snake, so a local player couldn't use them
+    function isSchemeTakenByOwnKeys(scheme) {
+      if (scheme === getOwnControlScheme()) {
+        return true;
+      }
+      const customBindings = getSavedKeyBindings();
+      return Boolean(customBindings) && Object.values(customBindings).some(code => CONTROL_SCHEME_KEYS[scheme][code]);
+    }
+
+    function setupCouchMode() {
+      const couchModeSection = document.getElementById('couchModeSection');
+      const addLocalPlayerButton = document.getElementById('addLocalPlayerButton');
+      const localPlayerName = document.getElementById('localPlayerName');
+      const localPlayerScheme = document.getElementById('localPlayerScheme');
+      if (!couchModeSection || !addLocalPlayerButton || couchModeSection.dataset.ready) {
+        return;
+      }
+      couchModeSection.dataset.ready = 'true';
+      couchModeSection.style.display = 'block';
+      updateLocalPlayersList([]);
+
+      addLocalPlayerButton.addEventListener('click', () => {
+        const name = localPlayerName.value.trim();
+        if (!name || !localPlayerScheme.value || !socket || !socket.connected) {
+          return;
+        }
+        socket.emit('addLocalPlayer', {
+          roomCode: currentRoomCode,
+          playerName: name,
+          controlScheme: localPlayerScheme.value
+        });
+      });
+    }
+
+    function updateLocalPlayersList(players) {
+      const localPlayersList = document.getElementById('localPlayersList');
+      const localPlayerScheme = document.getElementById('localPlayerScheme');
+      const localPlayerName = document.getElementById('localPlayerName');
+      const addLocalPlayerButton = document.getElementById('addLocalPlayerButton');
+      const localPlayerError = document.getElementById('localPlayerError');
+      if (!localPlayersList || !localPlayerScheme) {
+        return;
+      }
+      if (players.length > localPlayers.length && localPlayerName) {
+        localPlayerName.value = '';
+      }
+      localPlayers = players;
+      if (localPlayerError) {
+        localPlayerError.textContent = '';
+      }
+
+      localPlayersList.innerHTML = '';
+      players.forEach(player => {
+        const li = document.createElement('li');
+        li.textContent = `${player.name} - ${LOCAL_CONTROL_SCHEMES[player.controlScheme]}`;
+        const removeButton = document.createElement('button');
+        removeButton.type = 'button';
+        removeButton.className = 'btn-secondary';
+        removeButton.textContent = 'Remove';
+        removeButton.style.marginLeft = '10px';
+        removeButton.addEventListener('click', () => {
+          socket.emit('removeLocalPlayer', { roomCode: currentRoomCode, playerId: player.id });
+        });
+        li.appendChild(removeButton);
+        localPlayersList.appendChild(li);
+      });
+
+      // Only the schemes nobody on this keyboard uses yet
+      const usedSchemes = players.map(player => player.controlScheme);
+      const freeSchemes = Object.keys(LOCAL_CONTROL_SCHEMES).filter(scheme => !usedSchemes.includes(scheme) && !isSchemeTakenByOwnKeys(scheme));
+      localPlayerScheme.innerHTML = '';
+      freeSchemes.forEach(scheme => {
+        const option = document.createElement('option');
+        option.value = scheme;
+        option.textContent = LOCAL_CONTROL_SCHEMES[scheme];
+        localPlayerScheme.appendChild(option);
+      });
+      if (addLocalPlayerButton) {
+        addLocalPlayerButton.disabled = freeSchemes.length === 0;
+      }
+    }
+
+    function updateSpectatorsList(spectators) {
+      const spectatorsSection = document.getElementById('spectatorsSection');
+      const spectatorsList = document.getElementById('spectatorsList');
+      const spectatorCount = document.getElementById('spectatorCount');
+      if (!spectatorsSection || !spectatorsList) {
+        return;
+      }
+
+      spectatorsSection.style.display = spectators.length > 0 ? 'block' : 'none';
+      if (spectatorCount) {
+        spectatorCount.textContent = spectators.length;
+      }
+      spectatorsList.innerHTML = '';
+
+      spectators.forEach(spectator => {
+        const li = document.createElement('li');
+        li.textContent = '👁 ' + spectator.name;
+        spectatorsList.appendChild(li);
+      });
+    }
+
     function setupGameOptionsHandlers() {
       const wallModeToggle = document.getElementById('wallModeToggle');
       const strictModeToggle = document.getElementById('strictModeToggle');
+      const shrinkingArenaToggle = document.getElementById('shrinkingArenaToggle');
+      const kingOfTheHillToggle = document.getElementById('kingOfTheHillToggle');
+      const corpseFoodSelect = document.getElementById('corpseFoodSelect');
+      const killPointsSelect = document.getElementById('killPointsSelect');
+      const livesSelect = document.getElementById('livesSelect');
+      const foodWeightSelects = document.querySelectorAll('#foodWeights .food-weight-select');
+      const lobbyPowerupSettings = document.getElementById('lobbyPowerupSettings');
       const timeLimitSelect = document.getElementById('timeLimitSelect');
+      const timeLimitInput = document.getElementById('timeLimitInput');
+      const customTimeLimit = document.getElementById('customTimeLimit');
+      const suddenDeathToggle = document.getElementById('suddenDeathToggle');
+      const scoreTargetSelect = document.getElementById('scoreTargetSelect');
+      const scoreTargetInput = document.getElementById('scoreTargetInput');
+      const seriesSelect = document.getElementById('seriesSelect');
+      const gridSizeSelect = document.getElementById('gridSizeSelect');
+      const gridWidthInput = document.getElementById('gridWidthInput');
+      const gridHeightInput = document.getElementById('gridHeightInput');
+      const mapSelect = document.getElementById('mapSelect');
+      const mapSelectStatus = document.getElementById('mapSelectStatus');
+      const maxPlayersSelect = document.getElementById('maxPlayersSelect');
+      const teamModeSelect = document.getElementById('teamModeSelect');
+      const teamFillBotsToggle = document.getElementById('teamFillBotsToggle');
+      const shuffleTeamsButton = document.getElementById('shuffleTeamsButton');
 
       // Wall mode toggle
       if (wallModeToggle) {
@@ -984,17 +1485,293 @@ document.addEventListener('DOMContentLoaded', () => {
         });
       }
 
-      // Time limit select
+      // Shrinking arena toggle
+      if (shrinkingArenaToggle) {
+        shrinkingArenaToggle.addEventListener('change', () => {
+          if (!socket || !socket.connected || !isHost) {
+            return;
+          }
+          socket.emit('updateGameOptions', {
+            roomCode: currentRoomCode,
+            gameOptions: {
+              shrinkingArena: shrinkingArenaToggle.checked
+            }
+          });
+        });
+      }
+
+      // King of the hill toggle
+      if (kingOfTheHillToggle) {
+        kingOfTheHillToggle.addEventListener('change', () => {
+          if (!socket || !socket.connected || !isHost) {
+            return;
+          }
+          socket.emit('updateGameOptions', {
+            roomCode: currentRoomCode,
+            gameOptions: {
+              kingOfTheHill: kingOfTheHillToggle.checked
+            }
+          });
+        });
+      }
+
+      // Corpse food select
+      if (corpseFoodSelect) {
+        corpseFoodSelect.addEventListener('change', () => {
+          if (!socket || !socket.connected || !isHost) {
+            return;
+          }
+          socket.emit('updateGameOptions', {
+            roomCode: currentRoomCode,
+            gameOptions: {
+              corpseFood: corpseFoodSelect.value ? parseInt(corpseFoodSelect.value, 10) : null
+            }
+          });
+        });
+      }
+
+      // Lives select (respawns)
+      if (livesSelect) {
+        livesSelect.addEventListener('change', () => {
+          if (!socket || !socket.connected || !isHost) {
+            return;
+          }
+          socket.emit('updateGameOptions', {
+            roomCode: currentRoomCode,
+            gameOptions: {
+              lives: livesSelect.value ? parseInt(livesSelect.value, 10) : null
+            }
+          });
+        });
+      }
+
+      // Kill bonus select
+      if (killPointsSelect) {
+        killPointsSelect.addEventListener('change', () => {
+          if (!socket || !socket.connected || !isHost) {
+            return;
+          }
+          socket.emit('updateGameOptions', {
+            roomCode: currentRoomCode,
+            gameOptions: {
+              killPoints: parseInt(killPointsSelect.value, 10) || 0
+            }
+          });
+        });
+      }
+
+      // Food type weights (the server rejects a mix where every type is off)
+      foodWeightSelects.forEach(select => {
+        select.addEventListener('change', () => {
+          if (!socket || !socket.connected || !isHost) {
+            return;
+          }
+          socket.emit('updateGameOptions', {
+            roomCode: currentRoomCode,
+            gameOptions: {
+              foodWeights: readFoodWeights('foodWeights')
+            }
+          });
+        });
+      });
+
+      // Power-up rules (one listener covers the type checkboxes rendered later)
+      if (lobbyPowerupSettings) {
+        lobbyPowerupSettings.addEventListener('change', () => {
+          const powerups = readPowerUpConfig('lobbyPowerupSettings');
+          if (!socket || !socket.connected || !isHost || !powerups) {
+            return;
+          }
+          socket.emit('updateGameOptions', {
+            roomCode: currentRoomCode,
+            gameOptions: {
+              powerups
+            }
+          });
+        });
+      }
+
+      // Time limit select (custom uses the minutes input)
+      const emitTimeLimit = () => {
+        if (!socket || !socket.connected || !isHost || !timeLimitSelect) {
+          return;
+        }
+
+        const custom = timeLimitSelect.value === 'custom';
+        if (customTimeLimit) {
+          customTimeLimit.style.display = custom ? 'flex' : 'none';
+        }
+        const value = custom ? (timeLimitInput ? timeLimitInput.value : '') : timeLimitSelect.value;
+        const timeLimit = value ? parseInt(value, 10) : null;
+        socket.emit('updateGameOptions', {
+          roomCode: currentRoomCode,
+          gameOptions: {
+            timeLimit: timeLimit
+          }
+        });
+      };
       if (timeLimitSelect) {
-        timeLimitSelect.addEventListener('change', () => {
-          if (!socket || !socket.connected || !isHost) return;
-          
-          const timeLimit = timeLimitSelect.value ? parseInt(timeLimitSelect.value) : null;
+        timeLimitSelect.addEventListener('change', emitTimeLimit);
+      }
+      if (timeLimitInput) {
+        timeLimitInput.addEventListener('change', emitTimeLimit);
+      }
+
+      // Sudden death toggle
+      if (suddenDeathToggle) {
+        suddenDeathToggle.addEventListener('change', () => {
+          if (!socket || !socket.connected || !isHost) {
+            return;
+          }
+          socket.emit('updateGameOptions', {
+            roomCode: currentRoomCode,
+            gameOptions: {
+              suddenDeath: suddenDeathToggle.checked
+            }
+          });
+        });
+      }
+
+      // Score target: type select plus the target value input
+      const emitScoreTarget = (event) => {
+        if (!socket || !socket.connected || !isHost || !scoreTargetSelect) {
+          return;
+        }
+
+        const type = scoreTargetSelect.value;
+        if (type && scoreTargetInput && event && event.target === scoreTargetSelect) {
+          // Start from a sensible target when switching between points and length
+          scoreTargetInput.value = SCORE_TARGET_DEFAULTS[type];
+        }
+        socket.emit('updateGameOptions', {
+          roomCode: currentRoomCode,
+          gameOptions: {
+            scoreTarget: type && scoreTargetInput ? { type, value: parseInt(scoreTargetInput.value, 10) } : null
+          }
+        });
+      };
+      if (scoreTargetSelect) {
+        scoreTargetSelect.addEventListener('change', emitScoreTarget);
+      }
+      if (scoreTargetInput) {
+        scoreTargetInput.addEventListener('change', emitScoreTarget);
+      }
+
+      // Series select: best-of-N keeps the room open for rematches
+      if (seriesSelect) {
+        seriesSelect.addEventListener('change', () => {
+          if (!socket || !socket.connected || !isHost) {
+            return;
+          }
+          socket.emit('updateGameOptions', {
+            roomCode: currentRoomCode,
+            gameOptions: {
+              seriesLength: seriesSelect.value ? parseInt(seriesSelect.value, 10) : null
+            }
+          });
+        });
+      }
+
+      // Max players select (the server rejects values below the current player count)
+      if (maxPlayersSelect) {
+        maxPlayersSelect.addEventListener('change', () => {
+          if (!socket || !socket.connected || !isHost) {
+            return;
+          }
+
+          socket.emit('updateGameOptions', {
+            roomCode: currentRoomCode,
+            gameOptions: {
+              maxPlayers: parseInt(maxPlayersSelect.value, 10)
+            }
+          });
+        });
+      }
+
+      // Team mode select (free-for-all, 2v2, 3v3) and bot fillers
+      if (teamModeSelect) {
+        teamModeSelect.addEventListener('change', () => {
+          if (!socket || !socket.connected || !isHost) {
+            return;
+          }
+
           socket.emit('updateGameOptions', {
             roomCode: currentRoomCode,
             gameOptions: {
-              timeLimit: timeLimit
+              teamSize: teamModeSelect.value ? parseInt(teamModeSelect.value, 10) : null
+            }
+          });
+        });
+      }
+      if (teamFillBotsToggle) {
+        teamFillBotsToggle.addEventListener('change', () => {
+          if (!socket || !socket.connected || !isHost) {
+            return;
+          }
+
+          socket.emit('updateGameOptions', {
+            roomCode: currentRoomCode,
+            gameOptions: {
+              teamFillBots: teamFillBotsToggle.checked
+            }
+          });
+        });
+      }
+      if (shuffleTeamsButton) {
+        shuffleTeamsButton.addEventListener('click', () => {
+          if (socket && socket.connected && isHost) {
+            socket.emit('shuffleTeams', { roomCode: currentRoomCode });
+          }
+        });
+      }
+
+      // Board size select (custom uses the width/height inputs)
+      const emitGridSize = () => {
+        if (!socket || !socket.connected || !isHost || !gridSizeSelect) {
+          return;
+        }
+
+        socket.emit('updateGameOptions', {
+          roomCode: currentRoomCode,
+          gameOptions: {
+            gridSize: gridSizeSelect.value,
+            gridWidth: gridWidthInput ? parseInt(gridWidthInput.value, 10) : null,
+            gridHeight: gridHeightInput ? parseInt(gridHeightInput.value, 10) : null
+          }
+        });
+      };
+      if (gridSizeSelect) {
+        gridSizeSelect.addEventListener('change', emitGridSize);
+      }
+      [gridWidthInput, gridHeightInput].forEach(input => {
+        if (input) {
+          input.addEventListener('change', emitGridSize);
+        }
+      });
+
+      // Map select (custom sends the map saved in the editor; the server validates it)
+      if (mapSelect) {
+        mapSelect.addEventListener('change', () => {
+          if (!socket || !socket.connected || !isHost) {
+            return;
+          }
+
+          const mapOptions = { mapId: mapSelect.value };
+          if (mapSelect.value === 'custom') {
+            mapOptions.customMap = loadEditorMap();
+            if (!mapOptions.customMap) {
+              if (mapSelectStatus) {
+                mapSelectStatus.textContent = 'No map saved yet - save one in the editor ·';
+              }
+              return;
             }
+          }
+          if (mapSelectStatus) {
+            mapSelectStatus.textContent = '';
+          }
+          socket.emit('updateGameOptions', {
+            roomCode: currentRoomCode,
+            gameOptions: mapOptions
           });
         });
       }
@@ -1009,7 +1786,43 @@ document.addEventListener('DOMContentLoaded', () => {
       const wallModeStatus = document.getElementById('wallModeStatus');
       const strictModeStatus = document.getElementById('strictModeStatus');
       const strictModeInfo = document.getElementById('strictModeInfo');
+      const shrinkingArenaToggle = document.getElementById('shrinkingArenaToggle');
+      const shrinkingArenaStatus = document.getElementById('shrinkingArenaStatus');
+      const kingOfTheHillToggle = document.getElementById('kingOfTheHillToggle');
+      const kingOfTheHillStatus = document.getElementById('kingOfTheHillStatus');
+      const corpseFoodSelect = document.getElementById('corpseFoodSelect');
+      const corpseFoodStatus = document.getElementById('corpseFoodStatus');
+      const killPointsSelect = document.getElementById('killPointsSelect');
+      const killPointsStatus = document.getElementById('killPointsStatus');
+      const livesSelect = document.getElementById('livesSelect');
+      const livesStatus = document.getElementById('livesStatus');
+      const foodWeightsStatus = document.getElementById('foodWeightsStatus');
+      const powerupsStatus = document.getElementById('powerupsStatus');
       const timeLimitStatus = document.getElementById('timeLimitStatus');
+      const customTimeLimit = document.getElementById('customTimeLimit');
+      const timeLimitInput = document.getElementById('timeLimitInput');
+      const suddenDeathToggle = document.getElementById('suddenDeathToggle');
+      const scoreTargetSelect = document.getElementById('scoreTargetSelect');
+      const scoreTargetValue = document.getElementById('scoreTargetValue');
+      const scoreTargetInput = document.getElementById('scoreTargetInput');
+      const scoreTargetUnit = document.getElementById('scoreTargetUnit');
+      const scoreTargetStatus = document.getElementById('scoreTargetStatus');
+      const seriesSelect = document.getElementById('seriesSelect');
+      const seriesStatus = document.getElementById('seriesStatus');
+      const gridSizeSelect = document.getElementById('gridSizeSelect');
+      const customGridSize = document.getElementById('customGridSize');
+      const gridWidthInput = document.getElementById('gridWidthInput');
+      const gridHeightInput = document.getElementById('gridHeightInput');
+      const gridSizeStatus = document.getElementById('gridSizeStatus');
+      const mapSelect = document.getElementById('mapSelect');
+      const mapStatus = document.getElementById('mapStatus');
+      const maxPlayersSelect = document.getElementById('maxPlayersSelect');
+      const maxPlayersStatus = document.getElementById('maxPlayersStatus');
+      const playerMaxCount = document.getElementById('playerMaxCount');
+      const teamModeSelect = document.getElementById('teamModeSelect');
+      const teamFillBotsLabel = document.getElementById('teamFillBotsLabel');
+      const teamFillBotsToggle = document.getElementById('teamFillBotsToggle');
+      const teamModeStatus = document.getElementById('teamModeStatus');
 
       // Update wall mode
       if (wallModeToggle && gameOptions.wallMode !== undefined) {
@@ -1037,22 +1850,285 @@ document.addEventListener('DOMContentLoaded', () => {
         strictModeInfo.style.display = gameOptions.strictMode ? 'block' : 'none';
       }
 
-      // Update time limit
+      // Update shrinking arena
+      if (shrinkingArenaToggle && gameOptions.shrinkingArena !== undefined) {
+        shrinkingArenaToggle.checked = gameOptions.shrinkingArena;
+      }
+      if (shrinkingArenaStatus) {
+        shrinkingArenaStatus.textContent = gameOptions.shrinkingArena
+          ? 'Shrinking Arena: ON (Outer ring closes every 15s after 30s)'
+          : 'Shrinking Arena: OFF';
+      }
+
+      // Update king of the hill
+      if (kingOfTheHillToggle && gameOptions.kingOfTheHill !== undefined) {
+        kingOfTheHillToggle.checked = gameOptions.kingOfTheHill;
+      }
+      if (kingOfTheHillStatus) {
+        kingOfTheHillStatus.textContent = gameOptions.kingOfTheHill
+          ? 'King of the Hill: ON (First to 250 points wins)'
+          : 'King of the Hill: OFF';
+      }
+
+      // Update corpse food
+      if (corpseFoodSelect && gameOptions.corpseFood !== undefined) {
+        corpseFoodSelect.value = gameOptions.corpseFood || '';
+      }
+      if (corpseFoodStatus) {
+        corpseFoodStatus.textContent = gameOptions.corpseFood
+          ? `Dead Snakes: Turn into food (lasts ${gameOptions.corpseFood}s)`
+          : 'Dead Snakes: Vanish';
+      }
+
+      // Update lives
+      if (livesSelect && gameOptions.lives !== undefined) {
+        livesSelect.value = gameOptions.lives || '';
+      }
+      if (livesStatus) {
+        livesStatus.textContent = gameOptions.lives
+          ? `Lives: ${gameOptions.lives} (respawn)`
+          : 'Lives: One life';
+      }
+
+      // Update kill bonus
+      if (killPointsSelect && gameOptions.killPoints !== undefined) {
+        killPointsSelect.value = String(gameOptions.killPoints || 0);
+      }
+      if (killPointsStatus) {
+        killPointsStatus.textContent = gameOptions.killPoints
+          ? `Kill Bonus: +${gameOptions.killPoints} points per kill`
+          : 'Kill Bonus: Off';
+      }
+
+      // Update food type weights
+      if (gameOptions.foodWeights) {
+        document.querySelectorAll('#foodWeights .food-weight-select').forEach(select => {
+          const weight = gameOptions.foodWeights[select.dataset.foodType];
+          if (weight !== undefined) {
+            select.value = String(weight);
+          }
+        });
+      }
+      if (foodWeightsStatus) {
+        foodWeightsStatus.textContent = `Food: ${describeFoodWeights(gameOptions.foodWeights)}`;
+      }
+
+      // Update power-up rules
+      if (gameOptions.powerups) {
+        lobbyPowerUpConfig = gameOptions.powerups;
+        applyPowerUpConfig('lobbyPowerupSettings', gameOptions.powerups);
+      }
+      if (powerupsStatus) {
+        powerupsStatus.textContent = `Power-ups: ${describePowerUpConfig(gameOptions.powerups)}`;
+      }
+
+      // Update time limit (values without a preset show in the custom input)
       if (timeLimitSelect && gameOptions.timeLimit !== undefined) {
-        timeLimitSelect.value = gameOptions.timeLimit || '';
+        const preset = Array.from(timeLimitSelect.options).some(option => option.value === String(gameOptions.timeLimit || ''));
+        const custom = !preset || (timeLimitSelect.value === 'custom' && Boolean(gameOptions.timeLimit));
+        timeLimitSelect.value = custom ? 'custom' : (gameOptions.timeLimit || '');
+        if (customTimeLimit) {
+          customTimeLimit.style.display = custom ? 'flex' : 'none';
+        }
+        if (timeLimitInput && gameOptions.timeLimit) {
+          timeLimitInput.value = gameOptions.timeLimit;
+        }
+      }
+      if (suddenDeathToggle && gameOptions.suddenDeath !== undefined) {
+        suddenDeathToggle.checked = gameOptions.suddenDeath;
       }
       if (timeLimitStatus) {
         const timeLimitText = gameOptions.timeLimit 
-          ? `${gameOptions.timeLimit} minutes` 
+          ? `${gameOptions.timeLimit} minute${gameOptions.timeLimit !== 1 ? 's' : ''}${gameOptions.suddenDeath ? ', sudden death on a tie' : ''}`
           : 'None';
         timeLimitStatus.textContent = `Time Limit: ${timeLimitText}`;
       }
+
+      // Update score target
+      const scoreTarget = gameOptions.scoreTarget || null;
+      if (scoreTargetSelect) {
+        scoreTargetSelect.value = scoreTarget ? scoreTarget.type : '';
+      }
+      if (scoreTargetValue) {
+        scoreTargetValue.style.display = scoreTarget ? 'flex' : 'none';
+      }
+      if (scoreTargetInput && scoreTarget) {
+        scoreTargetInput.value = scoreTarget.value;
+      }
+      if (scoreTargetUnit) {
+        scoreTargetUnit.textContent = scoreTarget && scoreTarget.type === 'length' ? 'segments' : 'points';
+      }
+      if (scoreTargetStatus) {
+        scoreTargetStatus.textContent = `Score Target: ${describeScoreTarget(scoreTarget)}`;
+      }
+
+      // Update series length
+      if (seriesSelect && gameOptions.seriesLength !== undefined) {
+        seriesSelect.value = gameOptions.seriesLength || '';
+      }
+      if (seriesStatus) {
+        seriesStatus.textContent = gameOptions.seriesLength
+          ? `Series: Best of ${gameOptions.seriesLength}`
+          : 'Series: Single game';
+      }
+
+      // Update max players
+      if (gameOptions.maxPlayers) {
+        if (maxPlayersSelect) {
+          maxPlayersSelect.value = gameOptions.maxPlayers;
+        }
+        if (maxPlayersStatus) {
+          maxPlayersStatus.textContent = `Max Players: ${gameOptions.maxPlayers}`;
+        }
+        if (playerMaxCount) {
+          playerMaxCount.textContent = gameOptions.maxPlayers;
+        }
+      }
+
+      // Update team mode
+      const teamSize = gameOptions.teamSize || null;
+      if (teamModeSelect) {
+        teamModeSelect.value = teamSize ? String(teamSize) : '';
+      }
+      if (teamFillBotsLabel) {
+        teamFillBotsLabel.style.display = teamSize ? 'flex' : 'none';
+      }
+      if (teamFillBotsToggle && gameOptions.teamFillBots !== undefined) {
+        teamFillBotsToggle.checked = gameOptions.teamFillBots;
+      }
+      if (teamModeStatus) {
+        teamModeStatus.textContent = teamSize
+          ? `Mode: Teams (${teamSize}v${teamSize})${gameOptions.teamFillBots ? ', bots fill empty slots' : ''}`
+          : 'Mode: Free-for-all';
+      }
+      if (teamSize !== lobbyTeamSize) {
+        lobbyTeamSize = teamSize;
+        updatePlayersList(lobbyPlayers);
+      }
+
+      // Update board size
+      if (gridSizeSelect && gameOptions.gridSize) {
+        gridSizeSelect.value = gameOptions.gridSize;
+      }
+      if (customGridSize) {
+        customGridSize.style.display = gameOptions.gridSize === 'custom' ? 'flex' : 'none';
+      }
+      if (gridWidthInput && gameOptions.gridWidth) {
+        gridWidthInput.value = gameOptions.gridWidth;
+      }
+      if (gridHeightInput && gameOptions.gridHeight) {
+        gridHeightInput.value = gameOptions.gridHeight;
+      }
+      if (gridSizeStatus && gameOptions.gridWidth && gameOptions.gridHeight) {
+        gridSizeStatus.textContent = `Board Size: ${gameOptions.gridWidth}x${gameOptions.gridHeight}`;
+      }
+
+      // Update map
+      if (mapSelect && gameOptions.mapId) {
+        mapSelect.value = gameOptions.mapId;
+      }
+      if (mapStatus && gameOptions.mapId) {
+        const mapOption = mapSelect ? mapSelect.querySelector(`option[value="${gameOptions.mapId}"]`) : null;
+        const mapName = gameOptions.mapId === 'custom' && gameOptions.customMap
+          ? gameOptions.customMap.name
+          : (mapOption ? mapOption.textContent : gameOptions.mapId);
+        mapStatus.textContent = `Map: ${mapName}`;
+      }
     }
   }
 
   // Start setting up socket handlers (will retry if socket not ready)
   setupSocketHandlers();
 
+  // Leaderboard and personal stats (persisted across server restarts)
+  const leaderboardSection = document.getElementById('leaderboardSection');
+  const leaderboardSort = document.getElementById('leaderboardSort');
+
+  function formatStatValue(stats, key) {
+    if (key === 'longestSurvival') {
+      const seconds = Math.floor((stats.longestSurvival || 0) / 1000);
+      return `${Math.floor(seconds / 60)}m ${seconds % 60}s`;
+    }
+    const labels = {
+      wins: 'wins',
+      bestScore: 'pts',
+      longestSnake: 'long',
+      kills: 'kills',
+      gamesPlayed: 'games'
+    };
+    return `${stats[key] || 0} ${labels[key] || ''}`.trim();
+  }
+
+  async function loadLeaderboard() {
+    const list = document.getElementById('leaderboardList');
+    if (!list) {
+      return;
+    }
+    const sortBy = leaderboardSort ? leaderboardSort.value : 'wins';
+    try {
+      const response = await fetch(`/api/leaderboard?sort=${encodeURIComponent(sortBy)}&limit=10`);
+      if (!response.ok) {
+        return;
+      }
+      const data = await response.json();
+      list.innerHTML = '';
+      const players = data.players || [];
+      if (players.length === 0) {
+        const emptyItem = document.createElement('li');
+        emptyItem.className = 'leaderboard-item';
+        emptyItem.textContent = 'No players ranked yet';
+        list.appendChild(emptyItem);
+        return;
+      }
+      players.forEach((stats, index) => {
+        const item = document.createElement('li');
+        item.className = 'leaderboard-item';
+        const rankSpan = document.createElement('span');
+        rankSpan.textContent = `${index + 1}.`;
+        const nameSpan = document.createElement('span');
+        nameSpan.className = 'leaderboard-name';
+        nameSpan.textContent = stats.name || 'Player';
+        const valueSpan = document.createElement('span');
+        valueSpan.textContent = formatStatValue(stats, data.sortBy || sortBy);
+        item.appendChild(rankSpan);
+        item.appendChild(nameSpan);
+        item.appendChild(valueSpan);
+        list.appendChild(item);
+      });
+    } catch (error) {
+      console.error('Failed to load leaderboard:', error);
+    }
+  }
+
+  async function loadPlayerProfile() {
+    const profile = document.getElementById('playerProfile');
+    const token = typeof getOrCreatePlayerToken === 'function' ? getOrCreatePlayerToken() : null;
+    if (!profile || !token) {
+      return;
+    }
+    try {
+      const response = await fetch(`/api/players/${encodeURIComponent(token)}`);
+      if (!response.ok) {
+        return; // No finished matches for this browser yet
+      }
+      const data = await response.json();
+      const stats = data.player;
+      profile.textContent = `Your stats: ${stats.gamesPlayed} games · ${stats.wins} wins · best ${stats.bestScore} pts · ` +
+        `longest ${stats.longestSnake} · ${stats.kills} kills · survived ${formatStatValue(stats, 'longestSurvival')}`;
+      profile.style.display = 'block';
+    } catch (error) {
+      console.error('Failed to load player profile:', error);
+    }
+  }
+
+  if (leaderboardSection) {
+    if (leaderboardSort) {
+      leaderboardSort.addEventListener('change', loadLeaderboard);
+    }
+    loadLeaderboard();
+    loadPlayerProfile();
+  }
+
   // Server URL configuration
   const serverUrlInput = document.getElementById('serverUrl');
   const saveServerUrlBtn = document.getElementById('saveServerUrl');
@@ -0,0 +1,126 @@
+// Key bindings panel: rebind each direction and the pause key, with conflict checks, and move
+// bindings between browsers via export/import (JSON). The binding table itself lives in input.js.
+const BINDING_LABELS = { up: 'Up', down: 'Down', left: 'Left', right: 'Right', pause: 'Pause / Menu' };
+
+let capturingAction = null; // Action waiting for its new key
+
+document.addEventListener('DOMContentLoaded', () => {
+  const keyBindingsPanel = document.getElementById('keyBindingsPanel');
+  const keyBindingsButton = document.getElementById('keyBindingsButton');
+  if (!keyBindingsPanel || !keyBindingsButton) {
+    return;
+  }
+
+  keyBindingsButton.addEventListener('click', () => {
+    showKeyBindingsError('');
+    renderKeyBindings();
+    keyBindingsPanel.style.display = 'flex';
+  });
+
+  document.getElementById('closeKeyBindings').addEventListener('click', () => {
+    capturingAction = null;
+    keyBindingsPanel.style.display = 'none';
+  });
+
+  document.getElementById('resetKeyBindings').addEventListener('click', () => {
+    resetKeyBindings();
+    showKeyBindingsError('');
+    renderKeyBindings();
+  });
+
+  const transfer = document.getElementById('keyBindingsTransfer');
+  document.getElementById('exportKeyBindings').addEventListener('click', async () => {
+    transfer.value = JSON.stringify({ keyBindings: getKeyBindings() });
+    transfer.select();
+    try {
+      await navigator.clipboard.writeText(transfer.value);
+      showNotification('Key bindings copied to clipboard');
+    } catch (err) {
+      // Clipboard unavailable - the text stays selected in the box
+    }
+  });
+
+  document.getElementById('importKeyBindings').addEventListener('click', () => {
+    let imported;
+    try {
+      imported = JSON.parse(transfer.value);
+    } catch (e) {
+      showKeyBindingsError('That is not valid key bindings JSON');
+      return;
+    }
+    const error = saveKeyBindings(imported && imported.keyBindings);
+    showKeyBindingsError(error || '');
+    if (!error) {
+      renderKeyBindings();
+      showNotification('Key bindings imported');
+    }
+  });
+
+  // Capture the next key for the action being rebound before the game or menu sees it
+  window.addEventListener('keydown', (e) => {
+    if (!capturingAction) {
+      return;
+    }
+    e.preventDefault();
+    e.stopImmediatePropagation();
+    const bindings = { ...getKeyBindings(), [capturingAction]: e.code };
+    const error = saveKeyBindings(bindings);
+    showKeyBindingsError(error || '');
+    capturingAction = null;
+    renderKeyBindings();
+  }, true);
+
+  updatePauseKeyHint();
+});
+
+function renderKeyBindings() {
+  const keyBindingsList = document.getElementById('keyBindingsList');
+  const bindings = getKeyBindings();
+  keyBindingsList.innerHTML = '';
+  BINDING_ACTIONS.forEach(action => {
+    const row = document.createElement('div');
+    row.className = 'key-binding-row';
+    const label = document.createElement('span');
+    label.textContent = BINDING_LABELS[action];
+    const keyButton = document.createElement('button');
+    keyButton.type = 'button';
+    keyButton.className = 'key-binding-key';
+    keyButton.textContent = capturingAction === action ? 'Press a key...' : formatKeyCode(bindings[action]);
+    keyButton.setAttribute('aria-label', `Change key for ${BINDING_LABELS[action]}`);
+    keyButton.addEventListener('click', () => {
+      capturingAction = action;
+      showKeyBindingsError('');
+      renderKeyBindings();
+    });
+    row.append(label, keyButton);
+    keyBindingsList.appendChild(row);
+  });
+  updatePauseKeyHint();
+
+  const controlSchemeDisplay = document.getElementById('controlSchemeDisplay');
+  if (controlSchemeDisplay) {
+    controlSchemeDisplay.textContent = describeCustomBindings() || CONTROL_SCHEME_LABELS[playerControlScheme];
+  }
+}
+
+// "Custom (W/A/S/D)" once the player rebound their keys, or null while the preset applies
+function describeCustomBindings() {
+  if (!customKeyBindings) {
+    return null;
+  }
+  return `Custom (${['up', 'left', 'down', 'right'].map(action => formatKeyCode(customKeyBindings[action])).join('/')})`;
+}
+
+function showKeyBindingsError(message) {
+  const keyBindingsError = document.getElementById('keyBindingsError');
+  if (keyBindingsError) {
+    keyBindingsError.textContent = message;
+  }
+}
+
+function updatePauseKeyHint() {
+  const pauseKeyHint = document.getElementById('pauseKeyHint');
+  if (pauseKeyHint) {
+    pauseKeyHint.textContent = formatKeyCode(getKeyBindings().pause).toUpperCase();
+  }
+}
@@ -8,9 +8,11 @@ document.addEventListener('DOMContentLoaded', () => {
   const resumeButton = document.getElementById('resumeButton');
   const quitButton = document.getElementById('quitButton');
 
-  // ESC key to toggle menu
+  // Pause key (ESC unless rebound, see input.js) to toggle menu
   document.addEventListener('keydown', (e) => {
-    if (e.key === 'Escape') {
+    const isPause = typeof isPauseKey === 'function' ? isPauseKey(e.code) : e.key === 'Escape';
+    const isTyping = e.target && (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA');
+    if (isPause && !window.isReplay && (!isTyping || e.key === 'Escape')) {
       toggleMenu();
     }
   });
@@ -30,6 +32,19 @@ document.addEventListener('DOMContentLoaded', () => {
     }
   });
 
+  // Relative steering toggle (input.js)
+  const relativeControlsToggle = document.getElementById('relativeControlsToggle');
+  if (relativeControlsToggle && typeof setRelativeControls === 'function') {
+    relativeControlsToggle.checked = isRelativeControls();
+    relativeControlsToggle.addEventListener('change', () => {
+      setRelativeControls(relativeControlsToggle.checked);
+      updateGameInfo();
+      if (typeof updateRelativeTouchNote === 'function') {
+        updateRelativeTouchNote();
+      }
+    });
+  }
+
   // Quit button
   quitButton.addEventListener('click', () => {
     if (confirm('Are you sure you want to quit the game?')) {
@@ -160,9 +175,12 @@ function toggleMenu() {
   if (isMenuOpen) {
     hideMenu();
     // If game was paused, resume it when closing menu (all players can resume)
-    if (window.gameState && window.gameState.isPaused) {
+    if (window.gameState && window.gameState.isPaused && !window.isSpectator) {
       resumeGame();
     }
+  } else if (window.isSpectator) {
+    // Spectators can open the menu (info/quit) but cannot pause
+    showMenu('Spectating');
   } else {
     // All players can pause when opening menu (if game is active and not already paused)
     const willPause = window.gameState && !window.gameState.isPaused && window.gameState.players;
@@ -182,12 +200,17 @@ function updateMenuText(statusText) {
   }
   if (menuHint) {
     const isPaused = (window.gameState && window.gameState.isPaused) || false;
+    const pauseKey = getPauseKeyLabel();
     menuHint.textContent = isPaused
-      ? 'Press ESC to play'
-      : 'Press ESC to pause and open menu';
+      ? `Press ${pauseKey} to play`
+      : `Press ${pauseKey} to pause and open menu`;
   }
 }
 
+function getPauseKeyLabel() {
+  return typeof getKeyBindings === 'function' ? formatKeyCode(getKeyBindings().pause).toUpperCase() : 'ESC';
+}
+
 function showMenu(statusText = '') {
   const gameMenu = document.getElementById('gameMenu');
   const pauseButton = document.getElementById('pauseButton');
@@ -207,9 +230,12 @@ function showMenu(statusText = '') {
     const isSoloMode = !roomCode || roomCode.startsWith('SP'); // Solo mode rooms start with 'SP'
     const canControlPause = window.isHost || isSoloMode;
     
-    // All players can pause/resume now
+    // All players can pause/resume now (spectators cannot)
     // Show pause/resume buttons for all players
-    if (isPaused) {
+    if (window.isSpectator) {
+      pauseButton.style.display = 'none';
+      resumeButton.style.display = 'none';
+    } else if (isPaused) {
       pauseButton.style.display = 'none';
       resumeButton.textContent = 'Play';
       resumeButton.style.display = 'inline-block';
@@ -275,6 +301,21 @@ function updateGameInfo() {
     levelDisplay.textContent = currentLevel;
   }
   
+  // Rebound keys (keybindings.js) replace the preset
+  if (typeof describeCustomBindings === 'function' && describeCustomBindings()) {
+    controlScheme = describeCustomBindings();
+  }
+
+  if (typeof isRelativeControls === 'function' && isRelativeControls()) {
+    controlScheme += ' (relative turns)';
+  }
+
+  // Couch mode: local players on this keyboard follow with their own keys
+  const localPlayers = window.localPlayers || [];
+  localPlayers.forEach(player => {
+    controlScheme += `, ${player.name}: ${player.controlScheme.toUpperCase()}`;
+  });
+
   // Update control scheme display
   const controlSchemeDisplay = document.getElementById('menuControlScheme');
   if (controlSchemeDisplay) {
@@ -309,15 +350,16 @@ function updatePlayerColorsList(players, currentPlayerId) {
   
   let html = '<ul style="list-style: none; padding: 0; margin: 0;">';
   sortedPlayers.forEach(player => {
-    const isCurrentPlayer = player.id === currentPlayerId;
+    const localPlayer = (window.localPlayers || []).find(local => local.id === player.id);
+    const isCurrentPlayer = player.id === currentPlayerId || Boolean(localPlayer);
     const playerType = player.type === 'npc' ? 'Bot' : 'Player';
-    const playerLabel = isCurrentPlayer ? ' (You)' : '';
+    const playerLabel = player.id === currentPlayerId ? ' (You)' : (localPlayer ? ` (${localPlayer.controlScheme.toUpperCase()})` : '');
     
     html += `<li style="margin-bottom: 8px; display: flex; align-items: center; gap: 10px;">
       <span class="player-color-indicator" style="
         width: 20px;
         height: 20px;
-        background-color: ${player.color};
+        background-color: ${typeof getPlayerColor === 'function' ? getPlayerColor(player) : player.color};
         border: 2px solid ${isCurrentPlayer ? '#333' : 'rgba(0,0,0,0.2)'};
         border-radius: 3px;
         display: inline-block;
@@ -23,41 +23,67 @@ function renderPowerups(gameState) {
   });
 }
 
+// Power-up descriptors from the server registry (server/powerups.js), keyed by power-up id
+// and by the activePowerups effect key it applies
+let powerUpTypes = {};
+
+function setPowerUpTypes(catalog) {
+  powerUpTypes = {};
+  catalog.forEach(definition => {
+    powerUpTypes[definition.id] = definition;
+    if (definition.effect) {
+      powerUpTypes[definition.effect] = definition;
+    }
+    if (typeof audioManager !== 'undefined' && definition.sound) {
+      audioManager.registerSynthSound(definition.sound);
+    }
+  });
+  renderPowerUpRules(catalog);
+}
+
 function getPowerupColor(type) {
-  const colors = {
-    'speed_boost': '#FFC107', // Bright Gold
-    'shield': '#00E5FF', // Bright Cyan
-    'shrink': '#FF1493', // Bright Pink
-    'slow_others': '#9C27B0' // Bright Purple
-  };
-  return colors[type] || '#FFFFFF';
+  return powerUpTypes[type] ? powerUpTypes[type].color : '#FFFFFF';
 }
 
 function getPowerupIcon(type) {
-  // Normalize type string (handle any case or spacing issues)
-  const normalizedType = String(type).toLowerCase().trim();
-  
-  const icons = {
-    'speed_boost': '⚡',
-    'speedboost': '⚡',
-    'shield': '🛡️',
-    'shrink': '📉',
-    'slow_others': '🐌',
-    'slowothers': '🐌',
-    'slowed': '🐌'
-  };
-  
-  const icon = icons[normalizedType];
-  if (!icon) {
-    console.warn('Unknown power-up type:', type, 'normalized:', normalizedType, 'available keys:', Object.keys(icons));
-    // Try to find partial match
-    for (const key in icons) {
-      if (normalizedType.includes(key) || key.includes(normalizedType)) {
-        return icons[key];
-      }
-    }
+  return powerUpTypes[type] ? powerUpTypes[type].icon : '⚡'; // Default to lightning instead of ?
+}
+
+// Effect keys read from the affected snake's side (e.g. 'slowed' -> "Slowed")
+function getPowerupName(type) {
+  const definition = powerUpTypes[type];
+  if (definition) {
+    return type === definition.effect ? definition.effectName : definition.name;
+  }
+  return String(type).replace('_', ' ').replace(/\b\w/g, l => l.toUpperCase());
+}
+
+// Fill the rules and info lists in game.html from the registry
+function renderPowerUpRules(catalog) {
+  const rulesList = document.querySelector('#powerupsRulesSection .powerups-list');
+  if (rulesList) {
+    rulesList.innerHTML = '';
+    catalog.forEach(definition => {
+      const item = document.createElement('li');
+      item.innerHTML = `
+        <span class="powerup-icon-large">${definition.icon}</span>
+        <div>
+          <strong>${definition.name}:</strong> ${definition.description}
+        </div>
+      `;
+      rulesList.appendChild(item);
+    });
+  }
+
+  const infoList = document.querySelector('#powerupsInfo ul');
+  if (infoList) {
+    infoList.innerHTML = '';
+    catalog.forEach(definition => {
+      const item = document.createElement('li');
+      item.innerHTML = `<strong>${definition.name}:</strong> ${definition.description}`;
+      infoList.appendChild(item);
+    });
   }
-  return icon || '⚡'; // Default to lightning instead of ?
 }
 
 // Update game.js renderGame function to include power-ups
@@ -92,13 +118,14 @@ function renderActivePowerups(gameState, currentPlayerId) {
 
   Object.keys(player.activePowerups).forEach(type => {
     const endTime = player.activePowerups[type];
-    const remaining = Math.max(0, Math.ceil((endTime - Date.now()) / 1000));
+    // End times are on the server game clock, not wall-clock time
+    const remaining = Math.max(0, Math.ceil((endTime - (gameState.simTime || 0)) / 1000));
 
     if (remaining > 0) {
       const indicator = document.createElement('div');
       indicator.className = 'powerup-indicator';
       const icon = getPowerupIcon(type);
-      const typeName = type.replace('_', ' ').replace(/\b\w/g, l => l.toUpperCase());
+      const typeName = getPowerupName(type);
       indicator.innerHTML = `
         <span class="powerup-icon">${icon}</span>
         <span class="powerup-name">${typeName}</span>
@@ -110,6 +137,12 @@ function renderActivePowerups(gameState, currentPlayerId) {
   });
 }
 
+if (typeof socket !== 'undefined' && socket) {
+  socket.on('powerUpTypes', (catalog) => {
+    setPowerUpTypes(catalog);
+  });
+}
+
 // Initialize power-ups on page load
 if (typeof document !== 'undefined') {
   document.addEventListener('DOMContentLoaded', () => {
@@ -0,0 +1,179 @@
+// Replay viewer (game.html?replay=<id>)
+// The server simulates the match once from its seed and input log and serves the frames
+// as keyframes + deltas; playback reuses the regular renderGame() board renderer.
+let replayFrames = [];
+let replayFrameIndex = 0;
+let replayPlaying = false;
+let replaySpeed = 1;
+let replayTimeoutId = null;
+
+const DEFAULT_REPLAY_TICK_RATE = 10; // Used when a frame has no recorded tick rate
+
+function decodeReplayFrames(frames) {
+  let state = null;
+  return frames.map(frame => {
+    state = frame.keyframe ? frame.keyframe : applyGameStateDelta(state, frame.delta);
+    return state;
+  });
+}
+
+function showReplayFrame(index) {
+  if (replayFrames.length === 0) {
+    return;
+  }
+
+  replayFrameIndex = Math.max(0, Math.min(index, replayFrames.length - 1));
+  setReplayFrame(replayFrames[replayFrameIndex]);
+
+  const slider = document.getElementById('replaySlider');
+  if (slider) {
+    slider.value = replayFrameIndex;
+  }
+  const tickDisplay = document.getElementById('replayTickDisplay');
+  if (tickDisplay) {
+    tickDisplay.textContent = `${replayFrameIndex} / ${replayFrames.length - 1}`;
+  }
+}
+
+function scheduleNextReplayFrame() {
+  clearTimeout(replayTimeoutId);
+  if (!replayPlaying) {
+    return;
+  }
+
+  if (replayFrameIndex >= replayFrames.length - 1) {
+    pauseReplay();
+    return;
+  }
+
+  const frame = replayFrames[replayFrameIndex];
+  const tickRate = (frame && frame.tickRate) || DEFAULT_REPLAY_TICK_RATE;
+  replayTimeoutId = setTimeout(() => {
+    showReplayFrame(replayFrameIndex + 1);
+    scheduleNextReplayFrame();
+  }, 1000 / tickRate / replaySpeed);
+}
+
+function playReplay() {
+  // Restart from the beginning when playing from the last frame
+  if (replayFrameIndex >= replayFrames.length - 1) {
+    showReplayFrame(0);
+  }
+  replayPlaying = true;
+  updateReplayPlayButton();
+  scheduleNextReplayFrame();
+}
+
+function pauseReplay() {
+  replayPlaying = false;
+  clearTimeout(replayTimeoutId);
+  updateReplayPlayButton();
+}
+
+function toggleReplayPlayback() {
+  if (replayPlaying) {
+    pauseReplay();
+  } else {
+    playReplay();
+  }
+}
+
+function updateReplayPlayButton() {
+  const playButton = document.getElementById('replayPlayButton');
+  if (playButton) {
+    playButton.textContent = replayPlaying ? '⏸ Pause' : '▶ Play';
+  }
+}
+
+function setupReplayControls(replay) {
+  const controls = document.getElementById('replayControls');
+  const playButton = document.getElementById('replayPlayButton');
+  const slider = document.getElementById('replaySlider');
+  const speedSelect = document.getElementById('replaySpeedSelect');
+  const focusSelect = document.getElementById('replayFocusSelect');
+
+  if (controls) {
+    controls.style.display = 'flex';
+  }
+
+  if (playButton) {
+    playButton.addEventListener('click', toggleReplayPlayback);
+  }
+
+  if (slider) {
+    slider.max = replayFrames.length - 1;
+    slider.addEventListener('input', () => {
+      showReplayFrame(Number(slider.value));
+      scheduleNextReplayFrame();
+    });
+  }
+
+  if (speedSelect) {
+    speedSelect.addEventListener('change', () => {
+      replaySpeed = Number(speedSelect.value) || 1;
+      scheduleNextReplayFrame();
+    });
+  }
+
+  // Per-player camera: highlight one snake and dim the rest
+  if (focusSelect) {
+    (replay.players || []).forEach(player => {
+      const option = document.createElement('option');
+      option.value = player.id;
+      option.textContent = player.name;
+      focusSelect.appendChild(option);
+    });
+    focusSelect.addEventListener('change', () => {
+      window.replayFocusPlayerId = focusSelect.value || null;
+    });
+  }
+
+  // Space toggles playback, arrow keys step one frame while paused
+  document.addEventListener('keydown', (e) => {
+    if (e.target && (e.target.tagName === 'INPUT' || e.target.tagName === 'SELECT')) {
+      return;
+    }
+    if (e.key === ' ') {
+      e.preventDefault();
+      toggleReplayPlayback();
+    } else if (e.key === 'ArrowRight' && !replayPlaying) {
+      showReplayFrame(replayFrameIndex + 1);
+    } else if (e.key === 'ArrowLeft' && !replayPlaying) {
+      showReplayFrame(replayFrameIndex - 1);
+    }
+  });
+}
+
+async function startReplayViewer(replayId) {
+  let replay = null;
+  try {
+    const response = await fetch(`/api/replays/${encodeURIComponent(replayId)}/frames`);
+    if (response.status === 429) {
+      showOverlay('Replay Busy', 'Too many replay requests - try again in a minute.', () => {
+        window.location.href = '/';
+      });
+      return;
+    }
+    if (response.ok) {
+      replay = await response.json();
+    }
+  } catch (error) {
+    console.error('Error loading replay:', error);
+  }
+
+  if (!replay || !Array.isArray(replay.frames) || replay.frames.length === 0) {
+    showOverlay('Replay Not Found', 'This replay is no longer available.', () => {
+      window.location.href = '/';
+    });
+    return;
+  }
+
+  if (!replay.verified) {
+    console.warn(`Replay ${replay.id} did not re-simulate to the recorded final state`);
+  }
+
+  replayFrames = decodeReplayFrames(replay.frames);
+  setupReplayControls(replay);
+  showReplayFrame(0);
+  playReplay();
+}
@@ -0,0 +1,70 @@
+// Delta decoding for game state broadcasts (mirrors server/stateSync.js)
+// The server sends keyframes as 'gameStateUpdate' and per-tick diffs as 'gameStateDelta'
+
+function cloneGameState(state) {
+  return JSON.parse(JSON.stringify(state));
+}
+
+// Apply a server delta to the current state and return the new state object
+// (the previous state is left untouched so event detection can compare both)
+function applyGameStateDelta(baseState, delta) {
+  const nextState = cloneGameState(baseState);
+  if (!delta) {
+    return nextState;
+  }
+
+  if (delta.changes) {
+    Object.keys(delta.changes).forEach(key => {
+      nextState[key] = delta.changes[key];
+    });
+  }
+  if (delta.removed) {
+    delta.removed.forEach(key => {
+      delete nextState[key];
+    });
+  }
+
+  if (delta.food) {
+    const removedPositions = new Set(delta.food.removed.map(pos => `${pos.x},${pos.y}`));
+    nextState.food = (nextState.food || []).filter(item => !removedPositions.has(`${item.x},${item.y}`));
+    nextState.food.push(...delta.food.added);
+  }
+
+  if (!nextState.players) {
+    nextState.players = {};
+  }
+  if (delta.players) {
+    Object.keys(delta.players).forEach(id => {
+      const player = nextState.players[id];
+      const playerDelta = delta.players[id];
+      if (!player) {
+        return;
+      }
+      if (playerDelta.snake) {
+        player.snake = playerDelta.snake;
+      } else if (playerDelta.heads || playerDelta.pop) {
+        const snake = player.snake || [];
+        const kept = playerDelta.pop ? snake.slice(0, snake.length - playerDelta.pop) : snake;
+        player.snake = (playerDelta.heads || []).concat(kept);
+      }
+      if (playerDelta.set) {
+        Object.assign(player, playerDelta.set);
+      }
+      if (playerDelta.unset) {
+        playerDelta.unset.forEach(key => {
+          delete player[key];
+        });
+      }
+    });
+  }
+  if (delta.addedPlayers) {
+    Object.assign(nextState.players, delta.addedPlayers);
+  }
+  if (delta.removedPlayers) {
+    delta.removedPlayers.forEach(id => {
+      delete nextState.players[id];
+    });
+  }
+
+  return nextState;
+}
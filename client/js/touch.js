@@ -0,0 +1,184 @@
+// Touch controls for phones: swipe anywhere on the board to steer (minimum swipe distance,
+// optional tap to pause), a choice between swipes and the arrow pad, and vibration feedback
+// when your snake eats or dies. With relative steering on, the board halves turn left/right
+// instead (no swipes or tap to pause). Settings are saved in localStorage and edited in the
+// game menu.
+const TOUCH_SETTINGS_KEY = 'touchSettings';
+const DEFAULT_TOUCH_SETTINGS = {
+  mode: 'both',      // 'arrows' | 'swipe' | 'both'
+  swipeDistance: 30, // Minimum swipe length in px
+  tapToPause: false,
+  vibration: true
+};
+const TAP_MAX_DURATION = 250; // A shorter touch that stays under the swipe distance is a tap (ms)
+const VIBRATION_PATTERNS = {
+  eat: 30,
+  death: [100, 50, 200]
+};
+
+let touchSettings = { ...DEFAULT_TOUCH_SETTINGS };
+
+document.addEventListener('DOMContentLoaded', () => {
+  loadTouchSettings();
+  applyTouchSettings();
+  setupSwipeControls();
+  setupTouchSettingsUI();
+});
+
+function loadTouchSettings() {
+  const saved = localStorage.getItem(TOUCH_SETTINGS_KEY);
+  if (!saved) {
+    return;
+  }
+  try {
+    touchSettings = { ...DEFAULT_TOUCH_SETTINGS, ...JSON.parse(saved) };
+  } catch (e) {
+    console.error('Error loading touch settings:', e);
+  }
+}
+
+function saveTouchSettings() {
+  localStorage.setItem(TOUCH_SETTINGS_KEY, JSON.stringify(touchSettings));
+}
+
+function isSwipeEnabled() {
+  return touchSettings.mode === 'swipe' || touchSettings.mode === 'both';
+}
+
+// Body classes: swipe-controls blocks scrolling on the board, touch-swipe-only hides the arrow pad
+function applyTouchSettings() {
+  document.body.classList.toggle('swipe-controls', isSwipeEnabled());
+  document.body.classList.toggle('touch-swipe-only', touchSettings.mode === 'swipe');
+}
+
+function setupSwipeControls() {
+  const boardContainer = document.querySelector('.game-board-container');
+  if (!boardContainer) {
+    return;
+  }
+
+  let swipe = null; // { x, y, startTime, swiped } for the touch in progress
+
+  boardContainer.addEventListener('touchstart', (e) => {
+    swipe = null;
+    // Buttons and overlays (rules screen, game over) keep their normal taps
+    if (window.isReplay || e.target.closest('button, select, input, .rules-screen-overlay, .overlay-content')) {
+      return;
+    }
+    const touch = e.changedTouches[0];
+
+    // Relative steering (input.js): touching the left or right half of the board turns that way.
+    // Swipes and tap to pause are off meanwhile (the settings say so, see updateRelativeTouchNote).
+    if (typeof isRelativeControls === 'function' && isRelativeControls()) {
+      const rect = boardContainer.getBoundingClientRect();
+      steerSnake(touch.clientX < rect.left + rect.width / 2 ? 'turnLeft' : 'turnRight', null);
+      return;
+    }
+
+    if (isSwipeEnabled() && e.touches.length === 1) {
+      swipe = { x: touch.clientX, y: touch.clientY, startTime: Date.now(), swiped: false };
+    }
+  }, { passive: true });
+
+  boardContainer.addEventListener('touchmove', (e) => {
+    if (!swipe) {
+      return;
+    }
+    e.preventDefault();
+    const touch = e.touches[0];
+    const dx = touch.clientX - swipe.x;
+    const dy = touch.clientY - swipe.y;
+    if (Math.max(Math.abs(dx), Math.abs(dy)) < touchSettings.swipeDistance) {
+      return;
+    }
+    // Steer as soon as the swipe is long enough; measuring restarts here so one touch can chain turns
+    const direction = Math.abs(dx) > Math.abs(dy)
+      ? (dx > 0 ? 'right' : 'left')
+      : (dy > 0 ? 'down' : 'up');
+    // Same path as keys and gamepads (input.js): pause check and reversal tracking
+    steerSnake(direction, null);
+    swipe.x = touch.clientX;
+    swipe.y = touch.clientY;
+    swipe.swiped = true;
+  }, { passive: false });
+
+  boardContainer.addEventListener('touchend', () => {
+    const isTap = swipe && !swipe.swiped && Date.now() - swipe.startTime <= TAP_MAX_DURATION;
+    if (isTap && touchSettings.tapToPause && typeof toggleMenu === 'function') {
+      toggleMenu();
+    }
+    swipe = null;
+  });
+
+  boardContainer.addEventListener('touchcancel', () => {
+    swipe = null;
+  });
+}
+
+// Game menu "Touch Controls" section (only on touch devices)
+function setupTouchSettingsUI() {
+  const touchSettingsSection = document.getElementById('touchSettingsSection');
+  if (!touchSettingsSection || !('ontouchstart' in window || navigator.maxTouchPoints > 0)) {
+    return;
+  }
+  touchSettingsSection.style.display = 'block';
+
+  const modeSelect = document.getElementById('touchModeSelect');
+  const distanceSlider = document.getElementById('swipeDistanceSlider');
+  const distanceValue = document.getElementById('swipeDistanceValue');
+  const tapToPauseToggle = document.getElementById('tapToPauseToggle');
+  const vibrationToggle = document.getElementById('vibrationToggle');
+  const vibrationSetting = document.getElementById('vibrationSetting');
+
+  modeSelect.value = touchSettings.mode;
+  distanceSlider.value = touchSettings.swipeDistance;
+  distanceValue.textContent = touchSettings.swipeDistance;
+  tapToPauseToggle.checked = touchSettings.tapToPause;
+  vibrationToggle.checked = touchSettings.vibration;
+  if (vibrationSetting && !navigator.vibrate) {
+    vibrationSetting.style.display = 'none';
+  }
+
+  modeSelect.addEventListener('change', () => {
+    touchSettings.mode = modeSelect.value;
+    applyTouchSettings();
+    saveTouchSettings();
+  });
+  distanceSlider.addEventListener('input', () => {
+    touchSettings.swipeDistance = parseInt(distanceSlider.value, 10);
+    distanceValue.textContent = touchSettings.swipeDistance;
+    saveTouchSettings();
+  });
+  tapToPauseToggle.addEventListener('change', () => {
+    touchSettings.tapToPause = tapToPauseToggle.checked;
+    saveTouchSettings();
+  });
+  vibrationToggle.addEventListener('change', () => {
+    touchSettings.vibration = vibrationToggle.checked;
+    saveTouchSettings();
+  });
+  updateRelativeTouchNote();
+}
+
+// With relative steering on, board touches only turn: grey out the swipe and tap settings and
+// show why (menu.js calls this when the toggle changes)
+function updateRelativeTouchNote() {
+  const relative = typeof isRelativeControls === 'function' && isRelativeControls();
+  const relativeTouchNote = document.getElementById('relativeTouchNote');
+  if (relativeTouchNote) {
+    relativeTouchNote.style.display = relative ? '' : 'none';
+  }
+  ['swipeDistanceSlider', 'tapToPauseToggle'].forEach(id => {
+    const control = document.getElementById(id);
+    if (control) {
+      control.disabled = relative;
+    }
+  });
+}
+
+// Vibration API feedback for one of this client's snakes ('eat' or 'death')
+function vibrateFeedback(event) {
+  if (touchSettings.vibration && navigator.vibrate && VIBRATION_PATTERNS[event]) {
+    navigator.vibrate(VIBRATION_PATTERNS[event]);
+  }
+}
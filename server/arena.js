@@ -0,0 +1,89 @@
+// Battle-royale shrinking arena: on a schedule the outer ring of the playable area closes.
+// gameState.arena = { inset, nextShrinkTime, ... } (null when the option is off); cells within
+// `inset` of the board edge are the closed zone - lethal, and nothing spawns there.
+// Wall mode: the zone edge kills like a wall. Wrapping mode: snakes wrap at the zone edge.
+const ARENA_FIRST_SHRINK = 30000; // Game-clock ms before the first ring closes
+const ARENA_SHRINK_INTERVAL = 15000; // Game-clock ms between rings
+const ARENA_MIN_SIZE = 8; // Never shrink the playable area below this many cells per side
+
+const DIRECTION_STEPS = {
+  up: { x: 0, y: -1 },
+  down: { x: 0, y: 1 },
+  left: { x: -1, y: 0 },
+  right: { x: 1, y: 0 }
+};
+
+function createArena() {
+  return {
+    inset: 0,
+    nextShrinkTime: ARENA_FIRST_SHRINK,
+    shrinkInterval: ARENA_SHRINK_INTERVAL,
+    minSize: ARENA_MIN_SIZE
+  };
+}
+
+// Playable cells (inclusive); the whole board when the arena option is off
+function getArenaBounds(gameState) {
+  const inset = gameState.arena ? gameState.arena.inset : 0;
+  return {
+    minX: inset,
+    minY: inset,
+    maxX: gameState.gridWidth - 1 - inset,
+    maxY: gameState.gridHeight - 1 - inset
+  };
+}
+
+function isInsideArena(gameState, x, y) {
+  const bounds = getArenaBounds(gameState);
+  return x >= bounds.minX && x <= bounds.maxX && y >= bounds.minY && y <= bounds.maxY;
+}
+
+// Next cell in a direction: wall mode steps straight (possibly out of bounds),
+// wrapping mode wraps around the playable area
+function stepPosition(gameState, pos, dir) {
+  const step = DIRECTION_STEPS[dir];
+  if (!step) {
+    return { ...pos };
+  }
+  if (gameState.wallMode) {
+    return { x: pos.x + step.x, y: pos.y + step.y };
+  }
+  const bounds = getArenaBounds(gameState);
+  const width = bounds.maxX - bounds.minX + 1;
+  const height = bounds.maxY - bounds.minY + 1;
+  return {
+    x: bounds.minX + (((pos.x - bounds.minX + step.x) % width) + width) % width,
+    y: bounds.minY + (((pos.y - bounds.minY + step.y) % height) + height) % height
+  };
+}
+
+// Whether closing one more ring keeps the playable area at least minSize per side
+function canShrink(gameState) {
+  const bounds = getArenaBounds(gameState);
+  return bounds.maxX - bounds.minX + 1 - 2 >= gameState.arena.minSize &&
+    bounds.maxY - bounds.minY + 1 - 2 >= gameState.arena.minSize;
+}
+
+// Close the next ring when it is due. Returns true if the arena shrank this tick.
+function updateArena(gameState, simTime) {
+  const arena = gameState.arena;
+  if (!arena || arena.nextShrinkTime === null || simTime < arena.nextShrinkTime) {
+    return false;
+  }
+  if (!canShrink(gameState)) {
+    arena.nextShrinkTime = null;
+    return false;
+  }
+  arena.inset++;
+  // null once fully shrunk (the client stops its countdown)
+  arena.nextShrinkTime = canShrink(gameState) ? arena.nextShrinkTime + arena.shrinkInterval : null;
+  return true;
+}
+
+module.exports = {
+  createArena,
+  getArenaBounds,
+  isInsideArena,
+  stepPosition,
+  updateArena
+};
@@ -2,8 +2,72 @@ const GRID_WIDTH = 30;
 const GRID_HEIGHT = 30;
 const CELL_SIZE = 20;
 
+// Board size presets selectable per room (gameOptions.gridSize)
+const GRID_PRESETS = {
+  small: { width: 20, height: 20 },
+  medium: { width: GRID_WIDTH, height: GRID_HEIGHT },
+  large: { width: 40, height: 40 }
+};
+const MIN_GRID_SIZE = 15; // Custom sizes are clamped to this range (cells per side)
+const MAX_GRID_SIZE = 60;
+const BOARD_PIXELS = 600; // Target board width in pixels (cell size scales with the grid)
+
+const DEFAULT_MAX_PLAYERS = 4;
+const MAX_PLAYERS_LIMIT = 12; // Largest room size a host can configure
+
+// Snake colors in seat order: Red, Green, Blue, Yellow, then more distinct colors for big rooms
+const SNAKE_COLORS = [
+  '#FF0000', // Red
+  '#00FF00', // Green (sharp)
+  '#0000FF', // Blue (sharp)
+  '#FFFF00', // Yellow
+  '#FF8C00', // Orange
+  '#FF00FF', // Magenta
+  '#00FFFF', // Cyan
+  '#8B4513', // Brown
+  '#000080', // Navy
+  '#808000', // Olive
+  '#008080', // Teal
+  '#800000'  // Maroon
+];
+
+// Color for a seat; past the palette, spread hues by the golden angle so they stay distinct
+function getSnakeColor(index) {
+  if (index < SNAKE_COLORS.length) {
+    return SNAKE_COLORS[index];
+  }
+  return `hsl(${Math.round((index * 137.5) % 360)}, 75%, 45%)`;
+}
+
+// Resolve a preset name (or 'custom' + dimensions) to concrete grid dimensions
+function resolveGridSize(gridSize, width, height) {
+  if (gridSize === 'custom') {
+    const clamp = (value, fallback) => {
+      const parsed = Math.floor(Number(value));
+      return Number.isFinite(parsed) ? Math.min(Math.max(parsed, MIN_GRID_SIZE), MAX_GRID_SIZE) : fallback;
+    };
+    return { gridSize: 'custom', gridWidth: clamp(width, GRID_WIDTH), gridHeight: clamp(height, GRID_HEIGHT) };
+  }
+  const presetName = GRID_PRESETS[gridSize] ? gridSize : 'medium';
+  return { gridSize: presetName, gridWidth: GRID_PRESETS[presetName].width, gridHeight: GRID_PRESETS[presetName].height };
+}
+
+// Cell size that keeps the board roughly BOARD_PIXELS wide (30x30 stays at CELL_SIZE)
+function getCellSizeForGrid(width, height) {
+  return Math.min(Math.max(Math.floor(BOARD_PIXELS / Math.max(width, height)), 10), 24);
+}
+
 module.exports = {
   GRID_WIDTH,
   GRID_HEIGHT,
-  CELL_SIZE
+  CELL_SIZE,
+  GRID_PRESETS,
+  MIN_GRID_SIZE,
+  MAX_GRID_SIZE,
+  DEFAULT_MAX_PLAYERS,
+  MAX_PLAYERS_LIMIT,
+  SNAKE_COLORS,
+  resolveGridSize,
+  getCellSizeForGrid,
+  getSnakeColor
 };
@@ -0,0 +1,145 @@
+// Typed food: every item in gameState.food is { x, y } (normal) or { x, y, type, ... } for the
+// special kinds below. Spawn chances come from room.gameOptions.foodWeights, copied onto
+// gameState.foodWeights (null = normal food only).
+const simulation = require('./simulation');
+const arena = require('./arena');
+
+// score: points for eating it; grow: segments gained (negative shrinks);
+// levelWeight: how much it counts toward the next level (FOOD_PER_LEVEL items per level)
+const FOOD_TYPES = {
+  normal: { label: 'Normal', score: 10, grow: 1, levelWeight: 1 },
+  golden: { label: 'Golden', score: 30, grow: 1, levelWeight: 2, lifetime: 8000 },
+  poison: { label: 'Poison', score: 0, grow: -3, levelWeight: 0, lifetime: 15000 }, // Expires so it can't clog the board
+  moving: { label: 'Moving', score: 20, grow: 1, levelWeight: 1 },
+  cluster: { label: 'Cluster', score: 5, grow: 1, levelWeight: 0.5, burstSize: 5 }
+};
+
+const DEFAULT_FOOD_WEIGHTS = { normal: 100, golden: 0, poison: 0, moving: 0, cluster: 0 };
+const MAX_FOOD_WEIGHT = 100;
+const MOVING_FOOD_STEP_CHANCE = 0.5; // Moving food wanders on about every other tick
+
+const WANDER_STEPS = [
+  { x: 0, y: -1 },
+  { x: 0, y: 1 },
+  { x: -1, y: 0 },
+  { x: 1, y: 0 }
+];
+
+function getFoodTypeName(food) {
+  return food.type && FOOD_TYPES[food.type] ? food.type : 'normal';
+}
+
+function getFoodType(food) {
+  return FOOD_TYPES[getFoodTypeName(food)];
+}
+
+// Validate host input: { type: weight } with whole numbers 0..MAX_FOOD_WEIGHT and at least one
+// non-zero weight. Missing types keep their default. Returns the weights, or null if invalid.
+function normalizeFoodWeights(input) {
+  if (!input || typeof input !== 'object') {
+    return null;
+  }
+  const weights = { ...DEFAULT_FOOD_WEIGHTS };
+  for (const [type, value] of Object.entries(input)) {
+    const weight = Number(value);
+    if (!FOOD_TYPES[type] || !Number.isInteger(weight) || weight < 0 || weight > MAX_FOOD_WEIGHT) {
+      return null;
+    }
+    weights[type] = weight;
+  }
+  return Object.values(weights).some(weight => weight > 0) ? weights : null;
+}
+
+// Weights for gameState.foodWeights: null when only normal food can spawn
+// (keeps the seeded food sequence identical to games without typed food)
+function getActiveFoodWeights(foodWeights) {
+  if (!foodWeights) {
+    return null;
+  }
+  const hasSpecial = Object.keys(foodWeights).some(type => type !== 'normal' && foodWeights[type] > 0);
+  return hasSpecial ? { ...foodWeights } : null;
+}
+
+function rollFoodType(gameState) {
+  const weights = gameState.foodWeights;
+  if (!weights) {
+    return 'normal';
+  }
+  const total = Object.values(weights).reduce((sum, weight) => sum + weight, 0);
+  let roll = simulation.nextRandom(gameState) * total;
+  for (const type of Object.keys(FOOD_TYPES)) {
+    roll -= weights[type] || 0;
+    if (roll < 0) {
+      return type;
+    }
+  }
+  return 'normal';
+}
+
+// New food item of a type at a cell (clusterId groups the pieces of one burst)
+function createFood(gameState, type, x, y, clusterId = null) {
+  if (type === 'normal') {
+    return { x, y };
+  }
+  const food = { x, y, type };
+  if (FOOD_TYPES[type].lifetime) {
+    food.expiresAt = simulation.getSimTime(gameState) + FOOD_TYPES[type].lifetime;
+  }
+  if (clusterId !== null) {
+    food.clusterId = clusterId;
+  }
+  return food;
+}
+
+// Whether eating this item should trigger a top-up: a burst only counts as one item,
+// so it is replaced once its last piece is gone; food frenzy extras (see powerups.js) never are
+function shouldReplace(gameState, eatenFood) {
+  if (eatenFood.frenzyUntil !== undefined) {
+    return false;
+  }
+  if (eatenFood.clusterId === undefined) {
+    return true;
+  }
+  return !gameState.food.some(food => food.clusterId === eatenFood.clusterId);
+}
+
+// Per tick: drop expired items and let moving food wander (occupiedCells: "x,y" keys food can't
+// move onto). Returns how many items need replacing.
+function updateFood(gameState, occupiedCells) {
+  if (!gameState.foodWeights) {
+    return 0;
+  }
+  const now = simulation.getSimTime(gameState);
+  const before = gameState.food.length;
+  gameState.food = gameState.food.filter(food => food.expiresAt === undefined || food.expiresAt > now);
+  const expired = before - gameState.food.length;
+
+  gameState.food.forEach(food => {
+    if (food.type !== 'moving' || simulation.nextRandom(gameState) >= MOVING_FOOD_STEP_CHANCE) {
+      return;
+    }
+    const step = WANDER_STEPS[simulation.randomInt(gameState, WANDER_STEPS.length)];
+    const x = food.x + step.x;
+    const y = food.y + step.y;
+    if (arena.isInsideArena(gameState, x, y) && !occupiedCells.has(`${x},${y}`)) {
+      occupiedCells.delete(`${food.x},${food.y}`);
+      occupiedCells.add(`${x},${y}`);
+      food.x = x;
+      food.y = y;
+    }
+  });
+  return expired;
+}
+
+module.exports = {
+  FOOD_TYPES,
+  DEFAULT_FOOD_WEIGHTS,
+  getFoodTypeName,
+  getFoodType,
+  normalizeFoodWeights,
+  getActiveFoodWeights,
+  rollFoodType,
+  createFood,
+  shouldReplace,
+  updateFood
+};
@@ -1,4 +1,19 @@
-const { GRID_WIDTH, GRID_HEIGHT, CELL_SIZE } = require('./config');
+const { GRID_WIDTH, GRID_HEIGHT, CELL_SIZE, getCellSizeForGrid, getSnakeColor } = require('./config');
+const stateSync = require('./stateSync');
+const simulation = require('./simulation');
+const replays = require('./replays');
+const matchResults = require('./matchResults');
+const maps = require('./maps');
+const teams = require('./teams');
+const arena = require('./arena');
+const hill = require('./hill');
+const pellets = require('./pellets');
+const foodTypes = require('./foodTypes');
+const series = require('./series');
+const kills = require('./kills');
+const lives = require('./lives');
+const winConditions = require('./winConditions');
+const localPlayers = require('./localPlayers');
 
 // Access to rooms and gameSessions from index.js (will be set by index.js)
 let rooms = null;
@@ -37,7 +52,7 @@ function calculateLevel(totalFoodEaten) {
   return Math.floor(totalFoodEaten / FOOD_PER_LEVEL) + 1;
 }
 
-// Calculate total food eaten across all players
+// Calculate total food eaten across all players (weighted by food type, see foodTypes.js)
 function calculateTotalFoodEaten(gameState) {
   return gameState.totalFoodEaten || 0;
 }
@@ -67,20 +82,49 @@ function getPowerupsModule() {
   return powerupsModule;
 }
 
-function getPlayerSpeedFactor(player, powerups) {
+function getPlayerSpeedFactor(player, powerups, gameState) {
   let factor = 1;
   if (powerups) {
-    if (powerups.hasActivePowerUp(player, 'speedBoost')) {
+    if (powerups.hasActivePowerUp(player, 'speedBoost', gameState)) {
       factor *= 2;
     }
-    if (powerups.hasActivePowerUp(player, 'slowed')) {
+    if (powerups.hasActivePowerUp(player, 'slowed', gameState)) {
       factor *= 0.5;
     }
   }
   return factor;
 }
 
-function createGameState(players, enablePowerups = false, wallMode = false, timeLimit = null, strictMode = false) {
+// Ghost power-up: the snake passes through (and is passed through by) snake bodies
+function isGhost(player, gameState) {
+  return Boolean(player.activePowerups) && getPowerupsModule().hasActivePowerUp(player, 'ghost', gameState);
+}
+
+// options: the room's gameOptions (timeLimit in minutes, grid size, map, mode toggles, ...) -
+// anything missing falls back to its default. setup: { enablePowerups, teamList }, the parts of
+// a match that aren't room options.
+function createGameState(players, options = {}, setup = {}) {
+  const {
+    wallMode = false,
+    strictMode = false,
+    timeLimit = null,
+    seed = null,
+    gridWidth = GRID_WIDTH,
+    gridHeight = GRID_HEIGHT,
+    shrinkingArena = false,
+    kingOfTheHill = false,
+    corpseFood = null,
+    foodWeights = null,
+    powerups: powerupConfig = null,
+    killPoints = 0,
+    lives: maxLives = null,
+    scoreTarget = null,
+    suddenDeath = false
+  } = options;
+  const { enablePowerups = false, teamList = null } = setup;
+  const obstacles = maps.getMapObstacles(options);
+  const startPositions = maps.getStartPositions(gridWidth, gridHeight, players.length);
+
   const gameState = {
     players: {},
     food: [],
@@ -99,51 +143,71 @@ function createGameState(players, enablePowerups = false, wallMode = false, time
     lastPlayerInputTime: {}, // Track last input time for each player (for inactivity detection)
     inactivityWarnings: {}, // Track which players have been warned about inactivity
     tickCount: 0,
+    tickRate: null, // Tick rate of the running game loop (drives the game clock)
     lastInputTick: {},
-    gridWidth: GRID_WIDTH,
-    gridHeight: GRID_HEIGHT,
-    cellSize: CELL_SIZE,
+    gridWidth: gridWidth,
+    gridHeight: gridHeight,
+    cellSize: getCellSizeForGrid(gridWidth, gridHeight), // Scaled so larger boards still fit on screen
+    obstacles: maps.clearSpawnAreas(obstacles, startPositions), // Static map cells [{ x, y }] - lethal, never spawned on
+    teams: teamList, // Team mode: [{ id, name, color, size }] (see teams.js), null for free-for-all
+    arena: shrinkingArena ? arena.createArena() : null, // Battle-royale closing zone (see arena.js)
+    pellets: corpseFood ? [] : null, // Corpse food pellets [{ x, y, expiresAt }] (see pellets.js)
+    pelletDecay: corpseFood ? corpseFood * 1000 : null, // Game-clock ms before a pellet disappears
+    foodWeights: foodTypes.getActiveFoodWeights(foodWeights), // Typed food spawn weights (see foodTypes.js), null = normal only
+    killPoints: killPoints || 0, // Score bonus per kill (see kills.js)
+    lives: lives.createLives(maxLives), // Lives and respawn rules (see lives.js), null = one life
+    scoreTarget: winConditions.createScoreTarget(scoreTarget), // First to N points/length wins (see winConditions.js)
+    suddenDeath: Boolean(suddenDeath), // Tied when time runs out: play on until the tie breaks
+    overtime: null, // Sudden-death overtime in progress (see winConditions.js)
     lastSurvivorSince: null
   };
 
+  // Seeded PRNG + tick clock: a seed plus the ordered input log reproduces the game
+  simulation.initSimulation(gameState, seed);
+
+  // King of the hill: control zone placed with the seeded PRNG (see hill.js)
+  gameState.hill = kingOfTheHill ? hill.createHill(gameState) : null;
+
   if (enablePowerups) {
     gameState.powerups = [];
     gameState.lastPowerUpSpawnTime = undefined; // Will be initialized on first spawn attempt
+    gameState.powerupConfig = powerupConfig || getPowerupsModule().getDefaultPowerUpConfig(); // Room rules (see powerups.js)
   }
 
-  // Initialize each player's snake with main colors: Red, Green (sharp), Blue (sharp), Yellow
-  const colorPalette = [
-    '#FF0000', // Red
-    '#00FF00', // Green (sharp)
-    '#0000FF', // Blue (sharp)
-    '#FFFF00'  // Yellow
-  ];
-  
-  const startPositions = [
-    { x: 5, y: 5, dir: 'right' },
-    { x: GRID_WIDTH - 6, y: GRID_HEIGHT - 6, dir: 'left' },
-    { x: 5, y: GRID_HEIGHT - 6, dir: 'right' },
-    { x: GRID_WIDTH - 6, y: 5, dir: 'left' }
-  ];
-
   console.log('[gameLogic] Creating gameState with players:', players.map(p => ({ id: p.id, name: p.name, type: p.type })));
 
+  const teamMemberCounts = {};
   players.forEach((player, index) => {
     const pos = startPositions[index % startPositions.length];
+    const teamId = teamList ? player.teamId : null;
+    let teamMemberIndex = 0;
+    if (teamList) {
+      teamMemberIndex = teamMemberCounts[teamId] || 0;
+      teamMemberCounts[teamId] = teamMemberIndex + 1;
+    }
 
-    // Assign colors in order: Red, Green, Blue, Yellow
+    // Assign colors in seat order: Red, Green, Blue, Yellow, then the extended palette
+    // (team mode: shades of the team's color family)
     const playerData = {
       id: player.id,
       name: player.name,
       type: player.type || 'human',
-      color: colorPalette[index % colorPalette.length],
+      color: teamList ? teams.getTeamColor(teamId, teamMemberIndex) : getSnakeColor(index),
+      colorIndex: teamList ? teamId : index, // Lets the client swap in its colorblind palette (one color per team)
+      teamId,
       snake: [pos],
       direction: pos.dir,
       nextDirection: pos.dir,
       score: 0,
       isAlive: true, // CRITICAL: All players start alive
-      survivalStartTime: Date.now(), // Track when player started surviving
+      survivalStartTime: 0, // Game clock time when player started surviving
       survivalTime: 0, // Will be calculated when player dies
+      longestSnake: 1, // Longest length reached (player stats)
+      kills: 0, // Opponents that crashed into this snake (player stats)
+      deaths: 0,
+      lives: gameState.lives && (player.type || 'human') === 'human' ? gameState.lives.max : null, // Lives mode: lives left
+      respawnAt: null,
+      spawnProtectedUntil: null,
       speedAccumulator: 0,
       isHost: player.isHost || false // Include host status in gameState
     };
@@ -168,7 +232,8 @@ function createGameState(players, enablePowerups = false, wallMode = false, time
   return gameState;
 }
 
-function generateFood(gameState, count = 1) {
+// Cells food can't spawn on (or wander into): snakes, food, corpse pellets and map obstacles
+function getOccupiedCells(gameState) {
   const occupiedCells = new Set();
   
   // Mark all snake cells as occupied
@@ -180,28 +245,82 @@ function generateFood(gameState, count = 1) {
     }
   });
 
-  // Mark existing food as occupied
+  // Mark existing food (and corpse pellets) as occupied
   gameState.food.forEach(food => {
     occupiedCells.add(`${food.x},${food.y}`);
   });
+  (gameState.pellets || []).forEach(pellet => {
+    occupiedCells.add(`${pellet.x},${pellet.y}`);
+  });
 
-  // Generate new food
+  // Never spawn food inside map obstacles
+  (gameState.obstacles || []).forEach(cell => {
+    occupiedCells.add(`${cell.x},${cell.y}`);
+  });
+  return occupiedCells;
+}
+
+function generateFood(gameState, count = 1) {
+  const occupiedCells = getOccupiedCells(gameState);
+
+  // Generate new food (only inside the playable area)
+  const bounds = arena.getArenaBounds(gameState);
   for (let i = 0; i < count; i++) {
     let attempts = 0;
     let x, y;
     
     do {
-      x = Math.floor(Math.random() * GRID_WIDTH);
-      y = Math.floor(Math.random() * GRID_HEIGHT);
+      x = bounds.minX + simulation.randomInt(gameState, bounds.maxX - bounds.minX + 1);
+      y = bounds.minY + simulation.randomInt(gameState, bounds.maxY - bounds.minY + 1);
       attempts++;
     } while (occupiedCells.has(`${x},${y}`) && attempts < 100);
 
     if (attempts < 100) {
-      gameState.food.push({ x, y });
+      const type = foodTypes.rollFoodType(gameState);
+      if (type === 'cluster') {
+        spawnFoodBurst(gameState, x, y, occupiedCells);
+      } else {
+        gameState.food.push(foodTypes.createFood(gameState, type, x, y));
+      }
     }
   }
 }
 
+// Cluster food: a burst of small pieces on a cell and its free neighbours
+function spawnFoodBurst(gameState, x, y, occupiedCells) {
+  gameState.foodClusterCounter = (gameState.foodClusterCounter || 0) + 1;
+  const cells = [[0, 0], [0, -1], [0, 1], [-1, 0], [1, 0]].slice(0, foodTypes.FOOD_TYPES.cluster.burstSize);
+  cells.forEach(([dx, dy]) => {
+    const cellX = x + dx;
+    const cellY = y + dy;
+    const key = `${cellX},${cellY}`;
+    if ((dx === 0 && dy === 0) || (arena.isInsideArena(gameState, cellX, cellY) && !occupiedCells.has(key))) {
+      occupiedCells.add(key);
+      gameState.food.push(foodTypes.createFood(gameState, 'cluster', cellX, cellY, gameState.foodClusterCounter));
+    }
+  });
+}
+
+// Typed food upkeep each tick: golden and poison food expire (and are replaced), moving food wanders
+function updateTypedFood(gameState) {
+  const expired = foodTypes.updateFood(gameState, getOccupiedCells(gameState));
+  if (expired > 0) {
+    generateFood(gameState, expired);
+  }
+}
+
+// Relative controls: 'turnLeft'/'turnRight' turn from the snake's heading (its queued turn, if
+// any). Returns the absolute direction for processPlayerInput; other inputs pass through.
+const RELATIVE_TURNS = {
+  turnLeft: { up: 'left', left: 'down', down: 'right', right: 'up' },
+  turnRight: { up: 'right', right: 'down', down: 'left', left: 'up' }
+};
+
+function resolveRelativeInput(player, input) {
+  const turns = RELATIVE_TURNS[input];
+  return turns ? turns[player.nextDirection || player.direction] : input;
+}
+
 function processPlayerInput(room, playerId, direction) {
   if (!room.gameState || !room.gameState.players[playerId]) {
     return;
@@ -233,14 +352,43 @@ function processPlayerInput(room, playerId, direction) {
     'right': 'left'
   };
 
+  // Reverse controls power-up: steering is flipped (the raw input is what gets recorded,
+  // so replays apply the same flip)
+  const reversed = Boolean(player.activePowerups) && getPowerupsModule().hasActivePowerUp(player, 'reversed', room.gameState);
+  const steer = reversed ? opposites[direction] : direction;
+
   const currentDirection = player.nextDirection || player.direction;
-  if (opposites[direction] === currentDirection) {
+  if (opposites[steer] === currentDirection) {
     return; // Can't reverse direction
   }
 
   // Queue direction change (will be applied on next tick)
-  player.nextDirection = direction;
+  player.nextDirection = steer;
   room.gameState.lastInputTick[playerId] = currentTick;
+  replays.recordInput(room, playerId, direction);
+}
+
+// A snake dies: death/kill stats, lives, corpse food, power-ups and the collision + kill broadcasts
+// (the score is kept for winner determination, minus the lives-mode death penalty)
+function eliminatePlayer(room, player, cause, killer, ioInstance, powerups) {
+  const gameState = room.gameState;
+  const killEvent = kills.recordKill(gameState, player, killer, cause);
+  lives.handleDeath(gameState, player, simulation.getSimTime(gameState));
+  if (ioInstance) {
+    ioInstance.to(room.code).emit('playerCollided', {
+      playerName: player.name,
+      collisionType: cause
+    });
+    ioInstance.to(room.code).emit('playerKilled', killEvent);
+  }
+  player.isAlive = false;
+  if (player.survivalStartTime !== undefined) {
+    player.survivalTime = simulation.getSimTime(gameState) - player.survivalStartTime;
+  }
+  pellets.dropCorpse(gameState, player, simulation.getSimTime(gameState));
+  if (powerups && powerups.cancelPlayerPowerUps) {
+    powerups.cancelPlayerPowerUps(player);
+  }
 }
 
 function advancePlayers(gameState, movingPlayers, room, enablePowerups, ioInstance, powerups) {
@@ -254,43 +402,12 @@ function advancePlayers(gameState, movingPlayers, room, enablePowerups, ioInstan
     // Apply queued direction change
     player.direction = player.nextDirection;
 
-    // Calculate new head position
-    const head = { ...player.snake[0] };
-    if (gameState.wallMode) {
-      // Wall mode: check bounds, don't wrap
-      switch (player.direction) {
-        case 'up':
-          head.y = head.y - 1;
-          break;
-        case 'down':
-          head.y = head.y + 1;
-          break;
-        case 'left':
-          head.x = head.x - 1;
-          break;
-        case 'right':
-          head.x = head.x + 1;
-          break;
-      }
-    } else {
-      // Wrapping mode (default)
-      switch (player.direction) {
-        case 'up':
-          head.y = (head.y - 1 + GRID_HEIGHT) % GRID_HEIGHT;
-          break;
-        case 'down':
-          head.y = (head.y + 1) % GRID_HEIGHT;
-          break;
-        case 'left':
-          head.x = (head.x - 1 + GRID_WIDTH) % GRID_WIDTH;
-          break;
-        case 'right':
-          head.x = (head.x + 1) % GRID_WIDTH;
-          break;
-      }
-    }
+    // Calculate new head position (wall mode: no wrap, checked below; wrapping mode wraps
+    // around the playable area, which is smaller than the board once the arena shrinks)
+    const head = arena.stepPosition(gameState, player.snake[0], player.direction);
 
-    const hasShield = powerups && powerups.hasActivePowerUp(player, 'shield');
+    // Spawn protection after a respawn works like a shield (see lives.js)
+    const hasShield = (powerups && powerups.hasActivePowerUp(player, 'shield', gameState)) || lives.isSpawnProtected(gameState, player);
     newHeads.set(player.id, { head, player, hasShield });
   });
 
@@ -307,8 +424,11 @@ function advancePlayers(gameState, movingPlayers, room, enablePowerups, ioInstan
   });
 
   // Find head-to-head collisions (two or more heads at same position)
-  headPositions.forEach((playerIds) => {
+  headPositions.forEach((positionPlayerIds) => {
+    // Ghosts drift through other heads
+    const playerIds = positionPlayerIds.filter(id => !isGhost(gameState.players[id], gameState));
     if (playerIds.length >= 2) {
+
       // In solo mode, skip head-to-head collisions between human and NPC
       if (room?.gameMode === 'single-player') {
         const players = playerIds.map(id => gameState.players[id]);
@@ -326,10 +446,11 @@ function advancePlayers(gameState, movingPlayers, room, enablePowerups, ioInstan
         return; // Skip collision - players can walk through each other
       }
 
-      // Head-to-head collision detected - all involved players die
+      // Head-to-head collision detected - all involved players die (except against teammates only)
       playerIds.forEach(playerId => {
+        const hitsOpponent = playerIds.some(id => id !== playerId && !teams.areTeammates(gameState.players[id], gameState.players[playerId]));
         const allHaveShield = playerIds.every(id => newHeads.get(id).hasShield);
-        if (!allHaveShield) {
+        if (hitsOpponent && !allHaveShield) {
           headToHeadCollisions.add(playerId);
         }
       });
@@ -349,24 +470,9 @@ function advancePlayers(gameState, movingPlayers, room, enablePowerups, ioInstan
 
     const { head, hasShield } = data;
 
-    // Check head-to-head collision first
+    // Check head-to-head collision first (a trade - nobody gets the kill)
     if (headToHeadCollisions.has(player.id)) {
-      // Broadcast collision notification to all players
-      if (ioInstance) {
-        ioInstance.to(room.code).emit('playerCollided', {
-          playerName: player.name,
-          collisionType: 'head-to-head'
-        });
-      }
-      player.isAlive = false;
-      // Don't zero score - keep final score for winner determination
-      if (player.survivalStartTime) {
-        player.survivalTime = Date.now() - player.survivalStartTime;
-      }
-      // Cancel power-ups on death
-      if (enablePowerups && powerups && powerups.cancelPlayerPowerUps) {
-        powerups.cancelPlayerPowerUps(player);
-      }
+      eliminatePlayer(room, player, 'head-to-head', null, ioInstance, enablePowerups ? powerups : null);
       // Check win condition immediately if player died in solo or single-player mode
       const humanPlayers = Object.values(gameState.players).filter(p => p.type === 'human');
       if (humanPlayers.length === 1 && (room?.gameMode === 'single-player' || room?.gameMode === 'solo')) {
@@ -377,29 +483,16 @@ function advancePlayers(gameState, movingPlayers, room, enablePowerups, ioInstan
       return;
     }
 
-    // Check other collisions (self, other snakes, walls)
+    // Check other collisions (self, other snakes, walls, obstacles)
     const collisionResult = checkCollision(gameState, player, head, room);
     const isCollisionDetected = collisionResult !== false && collisionResult !== null && collisionResult !== undefined;
+    const collisionType = isCollisionDetected && typeof collisionResult === 'object' && collisionResult.type ? collisionResult.type : 'unknown';
 
-    if (isCollisionDetected && !hasShield) {
-      const collisionType = typeof collisionResult === 'object' && collisionResult.type ? collisionResult.type : 'unknown';
-
-      // Broadcast collision notification to all players
-      if (ioInstance) {
-        ioInstance.to(room.code).emit('playerCollided', {
-          playerName: player.name,
-          collisionType: collisionType
-        });
-      }
-      player.isAlive = false;
-      // Don't zero score - keep final score for winner determination
-      if (player.survivalStartTime) {
-        player.survivalTime = Date.now() - player.survivalStartTime;
-      }
-      // Cancel power-ups on death
-      if (enablePowerups && powerups && powerups.cancelPlayerPowerUps) {
-        powerups.cancelPlayerPowerUps(player);
-      }
+    // Shields protect against snakes and walls, but nothing can move into an obstacle
+    if (isCollisionDetected && (!hasShield || collisionType === 'obstacle')) {
+      // Credit the snake that was hit
+      const killer = kills.getKiller(gameState, player, collisionType, collisionResult.details);
+      eliminatePlayer(room, player, collisionType, killer, ioInstance, enablePowerups ? powerups : null);
       // Check win condition immediately if player died in solo or single-player mode
       const humanPlayers = Object.values(gameState.players).filter(p => p.type === 'human');
       if (humanPlayers.length === 1 && (room?.gameMode === 'single-player' || room?.gameMode === 'solo')) {
@@ -412,29 +505,67 @@ function advancePlayers(gameState, movingPlayers, room, enablePowerups, ioInstan
 
     // Add new head
     player.snake.unshift(head);
+    if (player.snake.length > (player.longestSnake || 0)) {
+      player.longestSnake = player.snake.length;
+    }
 
     // Check if food eaten
     const foodIndex = gameState.food.findIndex(f => f.x === head.x && f.y === head.y);
     if (foodIndex !== -1) {
-      // Food eaten - grow snake and increase score
-      gameState.food.splice(foodIndex, 1);
-      player.score += 10;
-      gameState.totalFoodEaten = (gameState.totalFoodEaten || 0) + 1;
+      // Food eaten - score and grow (or shrink) by its type
+      const [food] = gameState.food.splice(foodIndex, 1);
+      const type = foodTypes.getFoodType(food);
+      player.score += type.score;
+      gameState.totalFoodEaten = (gameState.totalFoodEaten || 0) + type.levelWeight;
+      if (type.grow < 1) {
+        // Poison: no growth, and lose segments from the tail (never the head)
+        const keep = Math.max(1, player.snake.length - 1 + type.grow);
+        player.snake.length = keep;
+      }
 
       // Update level based on total food eaten
-      const newLevel = calculateLevel(gameState.totalFoodEaten);
+      const newLevel = calculateLevel(calculateTotalFoodEaten(gameState));
       if (newLevel !== gameState.level) {
         gameState.level = newLevel;
       }
 
-      generateFood(gameState, 1);
+      if (foodTypes.shouldReplace(gameState, food)) {
+        generateFood(gameState, 1);
+      }
     } else {
-      // Remove tail (snake moves forward)
-      player.snake.pop();
+      const pelletPoints = pellets.eatPellet(gameState, head.x, head.y);
+      if (pelletPoints > 0) {
+        // Corpse pellet: grow and score, but no level progress and no food top-up
+        player.score += pelletPoints;
+      } else {
+        // Remove tail (snake moves forward)
+        player.snake.pop();
+      }
     }
   });
 }
 
+// After a ring closes: snakes caught in it die, food and power-ups there are removed
+function applyArenaShrink(room, ioInstance, powerups) {
+  const gameState = room.gameState;
+  Object.values(gameState.players).forEach(player => {
+    if (!player.isAlive || !player.snake[0] || arena.isInsideArena(gameState, player.snake[0].x, player.snake[0].y)) {
+      return;
+    }
+    eliminatePlayer(room, player, 'zone', null, ioInstance, powerups);
+  });
+
+  const foodCount = gameState.food.length;
+  gameState.food = gameState.food.filter(food => arena.isInsideArena(gameState, food.x, food.y));
+  if (gameState.powerups) {
+    gameState.powerups = gameState.powerups.filter(powerup => arena.isInsideArena(gameState, powerup.x, powerup.y));
+  }
+  if (gameState.pellets) {
+    gameState.pellets = gameState.pellets.filter(pellet => arena.isInsideArena(gameState, pellet.x, pellet.y));
+  }
+  generateFood(gameState, foodCount - gameState.food.length);
+}
+
 function updateGameState(room, enablePowerups = false, ioInstance = null) {
   const gameState = room.gameState;
   // --- CRITICAL: Don't update game state if paused ---
@@ -449,17 +580,21 @@ function updateGameState(room, enablePowerups = false, ioInstance = null) {
   }
 
   gameState.tickCount = (gameState.tickCount || 0) + 1;
+  // Game clock advances by the nominal tick length of the running loop, independent of timer jitter
+  simulation.advanceSimClock(gameState, gameState.tickRate || calculateTickRate(gameState.level, room.gameMode));
 
   // Update timer (only if startTime is set - game has actually started)
   if (gameState.startTime && gameState.startTime > 0) {
-    const currentTime = Date.now();
-    const elapsedTime = currentTime - gameState.startTime - (gameState.totalPauseDuration || 0);
+    const elapsedTime = simulation.getSimTime(gameState);
     gameState.timer = Math.floor(elapsedTime / 1000);
     
-    // Check time limit
-    if (gameState.timeLimit && elapsedTime >= gameState.timeLimit) {
+    // Check time limit (already passed in sudden-death overtime)
+    if (gameState.timeLimit && elapsedTime >= gameState.timeLimit && !gameState.overtime) {
       // Time limit reached - trigger game end
       checkWinCondition(gameState, true, room);
+      if (gameState.overtime && ioInstance) {
+        ioInstance.to(room.code).emit('overtimeStarted', { maxDuration: gameState.overtime.maxDuration });
+      }
       return;
     }
   } else {
@@ -469,6 +604,28 @@ function updateGameState(room, enablePowerups = false, ioInstance = null) {
 
   const powerups = enablePowerups ? getPowerupsModule() : null;
 
+  // Shrinking arena: close the next ring when it is due
+  if (arena.updateArena(gameState, simulation.getSimTime(gameState))) {
+    applyArenaShrink(room, ioInstance, powerups);
+  }
+
+  // Lives mode: snakes whose respawn delay is over come back
+  lives.updateRespawns(gameState, simulation.getSimTime(gameState)).forEach(player => {
+    if (ioInstance) {
+      ioInstance.to(room.code).emit('playerRespawned', {
+        playerId: player.id,
+        playerName: player.name,
+        livesLeft: player.lives
+      });
+    }
+  });
+
+  // Corpse food: pellets that outlived the decay time disappear
+  pellets.decayPellets(gameState, simulation.getSimTime(gameState));
+
+  // Typed food: expire golden/poison food, move wandering food
+  updateTypedFood(gameState);
+
   // Power-ups system (if enabled)
   if (enablePowerups && gameState.powerups !== undefined && powerups) {
     powerups.spawnPowerUp(gameState);
@@ -481,13 +638,14 @@ function updateGameState(room, enablePowerups = false, ioInstance = null) {
 
   let maxSteps = 0;
   Object.values(gameState.players).forEach(player => {
-    if (!player.isAlive) {
+    // Disconnected players (reconnect grace period) stay frozen in place
+    if (!player.isAlive || player.disconnected) {
       return;
     }
     if (player.speedAccumulator === undefined) {
       player.speedAccumulator = 0;
     }
-    const speedFactor = getPlayerSpeedFactor(player, powerups);
+    const speedFactor = getPlayerSpeedFactor(player, powerups, gameState);
     player.speedAccumulator += speedFactor;
     const steps = Math.floor(player.speedAccumulator);
     if (steps > maxSteps) {
@@ -497,7 +655,7 @@ function updateGameState(room, enablePowerups = false, ioInstance = null) {
 
   for (let step = 0; step < maxSteps; step++) {
     const movingPlayers = Object.values(gameState.players).filter(
-      player => player.isAlive && player.speedAccumulator >= 1
+      player => player.isAlive && !player.disconnected && player.speedAccumulator >= 1
     );
     if (movingPlayers.length === 0) {
       break;
@@ -514,6 +672,11 @@ function updateGameState(room, enablePowerups = false, ioInstance = null) {
     }
   }
 
+  // King of the hill: score the control zone (and move it when due)
+  if (!gameState.winner) {
+    hill.updateHill(gameState, simulation.getSimTime(gameState));
+  }
+
   // Don't check win condition if game is paused (prevents game from ending while paused)
   if (!room.isPaused && !gameState.isPaused) {
     checkWinCondition(gameState, false, room);
@@ -528,16 +691,29 @@ function checkCollision(gameState, player, newHead, room = null) {
 
   // Check wall collision (only if wall mode is enabled)
   if (gameState.wallMode) {
-    if (newHead.x < 0 || newHead.x >= GRID_WIDTH || newHead.y < 0 || newHead.y >= GRID_HEIGHT) {
-      return { type: 'wall', details: { position: newHead, gridBounds: { width: GRID_WIDTH, height: GRID_HEIGHT } } };
+    if (newHead.x < 0 || newHead.x >= gameState.gridWidth || newHead.y < 0 || newHead.y >= gameState.gridHeight) {
+      return { type: 'wall', details: { position: newHead, gridBounds: { width: gameState.gridWidth, height: gameState.gridHeight } } };
     }
   }
+
+  // Shrinking arena: the closed zone is lethal
+  if (!arena.isInsideArena(gameState, newHead.x, newHead.y)) {
+    return { type: 'zone', details: { position: newHead, bounds: arena.getArenaBounds(gameState) } };
+  }
+
+  // Check map obstacle collision (lethal in every mode)
+  if (maps.isObstacle(gameState, newHead.x, newHead.y)) {
+    return { type: 'obstacle', details: { position: newHead } };
+  }
   
+  // Ghosts pass through every snake body, their own included
+  const ghost = isGhost(player, gameState);
+
   // Check self collision
   // IMPORTANT: Check against CURRENT snake state (before new head is added)
   // The newHead position should NOT collide with segments at indices 1 to length-1
   // Skip index 0 (current head) since we're moving away from it
-  for (let i = 1; i < player.snake.length; i++) {
+  for (let i = 1; i < player.snake.length && !ghost; i++) {
     const segment = player.snake[i];
     if (!segment) {
       continue; // Skip null/undefined segments
@@ -554,7 +730,7 @@ function checkCollision(gameState, player, newHead, room = null) {
   
   for (let j = 0; j < otherPlayers.length; j++) {
     const otherPlayer = otherPlayers[j];
-    if (otherPlayer.id === player.id || !otherPlayer.isAlive) {
+    if (otherPlayer.id === player.id || !otherPlayer.isAlive || ghost || isGhost(otherPlayer, gameState)) {
       continue;
     }
     
@@ -570,6 +746,11 @@ function checkCollision(gameState, player, newHead, room = null) {
       continue; // Skip collision check - players can walk through each other
     }
 
+    // Team mode: teammates pass through each other
+    if (teams.areTeammates(player, otherPlayer)) {
+      continue;
+    }
+
     // Check collision with other snake
     if (otherPlayer.snake.length > 0) {
       // In strict mode: check ALL body segments (not just head)
@@ -631,12 +812,7 @@ function respawnNPCsIfNeeded(room, npcs) {
     const deadNPC = npcPlayers.find(p => !p.isAlive);
     if (deadNPC) {
       // Respawn the NPC with initial position using corner positions
-      const startPositions = [
-        { x: 5, y: 5, dir: 'right' },
-        { x: GRID_WIDTH - 6, y: GRID_HEIGHT - 6, dir: 'left' },
-        { x: 5, y: GRID_HEIGHT - 6, dir: 'right' },
-        { x: GRID_WIDTH - 6, y: 5, dir: 'left' }
-      ];
+      const startPositions = maps.getStartPositions(gameState.gridWidth, gameState.gridHeight);
       
       // Find an available starting position (not occupied by human player or their snake)
       const humanPlayer = humanPlayers[0];
@@ -651,11 +827,12 @@ function respawnNPCsIfNeeded(room, npcs) {
         });
       }
       
-      // Find a safe position from corner positions
+      // Find a safe position from corner positions (still inside the arena)
+      const bounds = arena.getArenaBounds(gameState);
       let respawnPos = null;
       for (const pos of startPositions) {
         const posKey = `${pos.x},${pos.y}`;
-        if (!occupiedCells.has(posKey)) {
+        if (!occupiedCells.has(posKey) && arena.isInsideArena(gameState, pos.x, pos.y)) {
           respawnPos = pos;
           break;
         }
@@ -665,10 +842,10 @@ function respawnNPCsIfNeeded(room, npcs) {
       if (!respawnPos) {
         let attempts = 0;
         while (attempts < 50 && !respawnPos) {
-          const x = Math.floor(Math.random() * GRID_WIDTH);
-          const y = Math.floor(Math.random() * GRID_HEIGHT);
+          const x = bounds.minX + simulation.randomInt(gameState, bounds.maxX - bounds.minX + 1);
+          const y = bounds.minY + simulation.randomInt(gameState, bounds.maxY - bounds.minY + 1);
           const posKey = `${x},${y}`;
-          if (!occupiedCells.has(posKey)) {
+          if (!occupiedCells.has(posKey) && !maps.isObstacle(gameState, x, y)) {
             respawnPos = { x, y, dir: 'right' };
             break;
           }
@@ -677,8 +854,11 @@ function respawnNPCsIfNeeded(room, npcs) {
       }
       
       // If still no position found, use the first corner position anyway
+      // (or the arena center once the corners are in the closed zone)
       if (!respawnPos) {
-        respawnPos = startPositions[0];
+        respawnPos = arena.isInsideArena(gameState, startPositions[0].x, startPositions[0].y)
+          ? startPositions[0]
+          : { x: Math.floor((bounds.minX + bounds.maxX) / 2), y: Math.floor((bounds.minY + bounds.maxY) / 2), dir: 'right' };
       }
       
       // Respawn the NPC
@@ -688,7 +868,7 @@ function respawnNPCsIfNeeded(room, npcs) {
       deadNPC.nextDirection = respawnPos.dir;
       deadNPC.score = 0; // Reset score on respawn
       deadNPC.speedAccumulator = 0;
-      deadNPC.survivalStartTime = Date.now();
+      deadNPC.survivalStartTime = simulation.getSimTime(gameState);
       deadNPC.survivalTime = 0;
       
       console.log(`[NPC Respawn] Respawned ${deadNPC.name} at position (${respawnPos.x}, ${respawnPos.y})`);
@@ -696,18 +876,179 @@ function respawnNPCsIfNeeded(room, npcs) {
   }
 }
 
+// Game over bookkeeping shared by every gameEnded emit: saves the replay and
+// records the match for leaderboards and the round for a running series.
+// Returns the replay id for the event payload.
+function finishMatch(room) {
+  const replayId = replays.finishRecording(room);
+  matchResults.recordFinishedMatch(room, replayId);
+  series.recordRound(room);
+  return replayId;
+}
+
+const ROOM_CLEANUP_DELAY = 10000; // Long enough for players to see the game over screen
+
+// Ends the match for everyone in the room: records it (finishMatch) and emits gameEnded
+// with the replay id and series standings. Multiplayer rooms are then deleted after
+// ROOM_CLEANUP_DELAY so the code can be reused (cleanupDelay: 0 deletes right away,
+// e.g. when nobody is left) - except while a series is running, whose room stays open
+// for the rematch. onCleanup(roomCode) runs just before the room is deleted.
+function endMatch(io, room, { winner, alivePlayers, deadPlayers }, { cleanupDelay, onCleanup } = {}) {
+  io.to(room.code).emit('gameEnded', {
+    winner,
+    gameState: stateSync.toClientState(room.gameState),
+    gameMode: room.gameMode,
+    alivePlayers,
+    deadPlayers,
+    roomCode: room.code, // Include room code for cleanup
+    replayId: finishMatch(room),
+    series: series.getSeriesSummary(room) // After finishMatch, which records the round
+  });
+
+  const delay = cleanupDelay ?? (room.gameMode === 'multi-player' ? ROOM_CLEANUP_DELAY : null);
+  if (delay === null || !rooms) {
+    return;
+  }
+  const cleanUp = () => {
+    const checkRoom = rooms.get(room.code);
+    if (checkRoom && !checkRoom.isGameActive && !series.isSeriesRunning(checkRoom)) {
+      if (onCleanup) {
+        onCleanup(room.code);
+      }
+      rooms.delete(room.code);
+      console.log(`Room ${room.code} cleaned up after game ended - room code can be reused`);
+    }
+  };
+  if (delay === 0) {
+    cleanUp();
+  } else {
+    setTimeout(cleanUp, delay);
+  }
+}
+
+function checkTeamWinCondition(gameState, timeLimitReached) {
+  let standings = teams.getTeamStandings(gameState);
+  const teamsAlive = standings.filter(team => team.alive > 0);
+
+  if (!timeLimitReached && teamsAlive.length > 1) {
+    gameState.lastSurvivorSince = null;
+    gameState.winner = null;
+    return;
+  }
+
+  if (!timeLimitReached && teamsAlive.length === 1) {
+    // Same grace period as free-for-all: don't end a game nobody has scored in yet
+    const totalScore = standings.reduce((sum, team) => sum + team.score, 0);
+    if (totalScore === 0) {
+      if (gameState.lastSurvivorSince === null || gameState.lastSurvivorSince === undefined) {
+        gameState.lastSurvivorSince = simulation.getSimTime(gameState);
+      }
+      if (simulation.getSimTime(gameState) - gameState.lastSurvivorSince < 5000) {
+        gameState.winner = null;
+        return;
+      }
+    }
+
+    // Survival bonus (+50 points) for each member of the last team standing
+    Object.values(gameState.players).forEach(player => {
+      if (player.isAlive) {
+        player.score += 50;
+      }
+    });
+    standings = teams.getTeamStandings(gameState);
+  }
+
+  gameState.winner = standings[0] ? getTeamWinner(standings[0]) : null;
+}
+
+function getTeamWinner(standing) {
+  return {
+    id: `team-${standing.id}`,
+    name: standing.name,
+    score: standing.score,
+    isTeam: true,
+    teamId: standing.id,
+    memberIds: standing.memberIds
+  };
+}
+
+// King of the hill: the first snake (team mode: team total) to reach the score target wins.
+// Returns true once the match is decided.
+function checkHillWinCondition(gameState) {
+  const target = gameState.hill.scoreTarget;
+  if (gameState.teams) {
+    const leader = teams.getTeamStandings(gameState)[0];
+    if (leader && leader.score >= target) {
+      gameState.winner = getTeamWinner(leader);
+      return true;
+    }
+    return false;
+  }
+  const leader = Object.values(gameState.players).sort((a, b) => b.score - a.score)[0];
+  if (leader && leader.score >= target) {
+    gameState.winner = { id: leader.id, name: leader.name, score: leader.score };
+    return true;
+  }
+  return false;
+}
+
+// Score target: the first snake (team mode: team) to reach the target points or length wins.
+// Returns true once the match is decided.
+function checkScoreTargetWinCondition(gameState) {
+  const leaderId = winConditions.getScoreTargetLeaderId(gameState);
+  if (leaderId === null) {
+    return false;
+  }
+  if (gameState.teams) {
+    gameState.winner = getTeamWinner(teams.getTeamStandings(gameState).find(team => team.id === leaderId));
+    return true;
+  }
+  const leader = gameState.players[leaderId];
+  gameState.winner = { id: leader.id, name: leader.name, score: leader.score };
+  return true;
+}
+
 function checkWinCondition(gameState, timeLimitReached = false, room = null) {
-  const alivePlayers = Object.values(gameState.players).filter(p => p.isAlive);
+  // Lives mode: snakes waiting to respawn are still in the game
+  const alivePlayers = Object.values(gameState.players).filter(p => lives.isInPlay(p));
   const allPlayers = Object.values(gameState.players);
 
-  // If time limit reached, end game regardless of alive players
-  if (timeLimitReached) {
-    // Apply survival bonus to all alive players
+  if (gameState.hill && checkHillWinCondition(gameState)) {
+    return;
+  }
+
+  if (gameState.scoreTarget && checkScoreTargetWinCondition(gameState)) {
+    return;
+  }
+
+  // Sudden death: a lead still tied when time runs out goes to overtime instead of the tiebreakers
+  if (timeLimitReached && winConditions.startOvertime(gameState)) {
+    gameState.winner = null;
+    return;
+  }
+  let timeUp = timeLimitReached;
+  if (gameState.overtime) {
+    if (!winConditions.isOvertimeOver(gameState)) {
+      gameState.winner = null;
+      return;
+    }
+    timeUp = true; // Tie broken (or overtime ran out): ranked as when time runs out
+  }
+
+  // Time is up and the game ends here: survival bonus for every snake still in play
+  if (timeUp) {
     alivePlayers.forEach(player => {
       player.score += 50;
     });
   }
-  
+
+  // Team mode: the game ends when one team is left standing (or time runs out / everyone is down);
+  // teams are ranked by their total score
+  if (gameState.teams) {
+    checkTeamWinCondition(gameState, timeUp);
+    return;
+  }
+
   // Check if single-player mode (1 human player + NPCs)
   const humanPlayers = allPlayers.filter(p => p.type === 'human');
   if (humanPlayers.length === 1 && allPlayers.length > 1) {
@@ -716,7 +1057,7 @@ function checkWinCondition(gameState, timeLimitReached = false, room = null) {
     const npcPlayers = allPlayers.filter(p => p.type === 'npc');
     
     // Game continues as long as human player is alive
-    if (humanPlayer.isAlive) {
+    if (humanPlayer.isAlive && !timeUp) {
       gameState.winner = null;
       return; // Game continues as long as human player is alive
     }
@@ -724,20 +1065,23 @@ function checkWinCondition(gameState, timeLimitReached = false, room = null) {
     // Human player died - game ends immediately
     // Human player is declared as the player (even though they lost)
     // This ensures gameEnded event is properly emitted
+    if (!humanPlayer.isAlive) {
       gameState.winner = {
-      id: humanPlayer.id,
-      name: humanPlayer.name,
-      score: humanPlayer.score,
-      isLoser: true // Mark as loser to indicate game ended due to death
-    };
-    return;
+        id: humanPlayer.id,
+        name: humanPlayer.name,
+        score: humanPlayer.score,
+        isLoser: true // Mark as loser to indicate game ended due to death
+      };
+      return;
+    }
+    // Time ran out with the human still alive: ranked by score below
   }
   
   // Handle solo mode (1 player, no NPCs)
   if (allPlayers.length === 1) {
     const soloPlayer = allPlayers[0];
-    // If player is alive, game continues
-    if (soloPlayer.isAlive) {
+    // If player is alive, game continues (until the time limit)
+    if (soloPlayer.isAlive && !timeUp) {
       gameState.winner = null;
       return;
     }
@@ -748,7 +1092,7 @@ function checkWinCondition(gameState, timeLimitReached = false, room = null) {
       id: soloPlayer.id, 
       name: soloPlayer.name, 
       score: soloPlayer.score,
-      isLoser: true // Mark as loser for solo mode
+      isLoser: !soloPlayer.isAlive // Mark as loser for solo mode (outlasting the time limit isn't a loss)
     };
     return;
   }
@@ -767,6 +1111,16 @@ function checkWinCondition(gameState, timeLimitReached = false, room = null) {
     return (b.survivalTime || 0) - (a.survivalTime || 0);
   });
   
+  // Time is up (or sudden death is decided): highest score wins, ties go to the tiebreakers above
+  if (timeUp) {
+    gameState.winner = {
+      id: sortedByScore[0].id,
+      name: sortedByScore[0].name,
+      score: sortedByScore[0].score
+    };
+    return;
+  }
+
   if (alivePlayers.length === 0) {
     // All players died - winner is the one with highest score
     if (sortedByScore.length > 0 && sortedByScore[0].score >= 0) {
@@ -789,10 +1143,10 @@ function checkWinCondition(gameState, timeLimitReached = false, room = null) {
     
     // Don't end game immediately after start (all scores are 0)
     if (totalScore === 0) {
-      if (!gameState.lastSurvivorSince) {
-        gameState.lastSurvivorSince = Date.now();
+      if (gameState.lastSurvivorSince === null || gameState.lastSurvivorSince === undefined) {
+        gameState.lastSurvivorSince = simulation.getSimTime(gameState);
       }
-      if (Date.now() - gameState.lastSurvivorSince < 5000) {
+      if (simulation.getSimTime(gameState) - gameState.lastSurvivorSince < 5000) {
         gameState.winner = null;
         return;
       }
@@ -851,25 +1205,30 @@ function startGameLoop(room, io, enablePowerups = false, npcs = null) {
   // This ensures timer starts counting from 0 when snakes start moving
   // CRITICAL: Only set startTime if countdown is not active and game hasn't started yet
   // Don't set startTime if countdown is still running or if it's already set
-  if (!room.countdownActive && (!room.gameState.startTime || room.gameState.startTime === 0)) {
-  room.gameState.startTime = Date.now();
-  room.gameState.timer = 0; // Reset timer to 0 to ensure it starts fresh
+  const isFirstStart = !room.countdownActive && (!room.gameState.startTime || room.gameState.startTime === 0);
+  if (isFirstStart) {
+    room.gameState.startTime = Date.now();
+    room.gameState.timer = 0; // Reset timer to 0 to ensure it starts fresh
   }
 
   // Calculate initial speed based on current level
   const currentLevel = room.gameState.level;
   const currentTickRate = calculateTickRate(currentLevel, room.gameMode);
   const currentGameSpeed = 1000 / currentTickRate;
+  room.gameState.tickRate = currentTickRate;
+
+  // Record the match from its first tick (see replays.js)
+  if (isFirstStart) {
+    replays.startRecording(room, enablePowerups, npcs);
+  }
 
   // Send initial timer update immediately (before first interval)
   // Also calculate timer immediately so it shows 00:00:01 right away
   if (room.gameState) {
-    // Calculate timer immediately (should be 0 or 1 second)
-    const currentTime = Date.now();
-    const elapsedTime = currentTime - room.gameState.startTime - (room.gameState.totalPauseDuration || 0);
-    room.gameState.timer = Math.max(0, Math.floor(elapsedTime / 1000));
-    const initialPayload = { gameState: room.gameState };
-    io.to(room.code).emit('gameStateUpdate', initialPayload);
+    // Timer follows the game clock, which only advances on ticks
+    room.gameState.timer = Math.max(0, Math.floor(simulation.getSimTime(room.gameState) / 1000));
+    // Loop (re)start always sends a keyframe
+    stateSync.broadcastGameState(io, room, true);
   }
 
   // Define the game loop function
@@ -888,7 +1247,7 @@ function startGameLoop(room, io, enablePowerups = false, npcs = null) {
       // Timer will resume from the correct value when game resumes
       // Only send game state update to keep UI in sync (timer stays frozen)
       if (room.gameState) {
-        io.to(room.code).emit('gameStateUpdate', { gameState: room.gameState });
+        stateSync.broadcastGameState(io, room);
       }
       return; // Do not process game state or move snakes
     }
@@ -897,16 +1256,9 @@ function startGameLoop(room, io, enablePowerups = false, npcs = null) {
     if (room.gameState && !room.isPaused && !room.gameState.isPaused) {
       // Update timer only when not paused
       if (room.gameState.startTime && room.gameState.startTime > 0) {
-        const currentTime = Date.now();
-        const elapsedTime = currentTime - room.gameState.startTime - (room.gameState.totalPauseDuration || 0);
+        const elapsedTime = simulation.getSimTime(room.gameState);
         room.gameState.timer = Math.floor(elapsedTime / 1000);
-        
-        // Check time limit
-        if (room.gameState.timeLimit && elapsedTime >= room.gameState.timeLimit) {
-          // Time limit reached - trigger game end
-          checkWinCondition(room.gameState, true, room);
-          return;
-        }
+        // The time limit is checked on the game clock in updateGameState
       } else {
         room.gameState.timer = 0;
       }
@@ -920,13 +1272,16 @@ function startGameLoop(room, io, enablePowerups = false, npcs = null) {
         // Game was just paused due to inactivity - skip game state update
         // Send game state update to sync pause state
         if (room.gameState) {
-          io.to(room.code).emit('gameStateUpdate', { gameState: room.gameState });
+          stateSync.broadcastGameState(io, room);
         }
         return; // Skip rest of game loop iteration
       }
       
-      // Process NPC inputs if in single-player mode
-      if (npcs && room.gameMode === 'single-player') {
+      // Replay sync point for anything changed outside the simulation since the last tick
+      replays.recordTickStart(room);
+
+      // Process NPC inputs (single-player bots, team-mode fillers)
+      if (npcs) {
         const npcModule = getNPCModule();
         if (npcModule) {
           npcModule.processNPCInputs(room.gameState, npcs);
@@ -939,9 +1294,10 @@ function startGameLoop(room, io, enablePowerups = false, npcs = null) {
       if (room.gameMode === 'single-player' && npcs) {
         respawnNPCsIfNeeded(room, npcs);
       }
+      replays.recordTickEnd(room);
 
       // Check if level changed (speed needs to update)
-      const newLevel = calculateLevel(room.gameState.totalFoodEaten);
+      const newLevel = calculateLevel(calculateTotalFoodEaten(room.gameState));
       if (newLevel !== room.gameState.level) {
         // Level changed - restart loop with new speed
         room.gameState.level = newLevel;
@@ -953,9 +1309,9 @@ function startGameLoop(room, io, enablePowerups = false, npcs = null) {
     }
 
     // Send game state to all players (even when paused, so timer displays correctly)
+    // Keyframes are sent periodically, deltas in between (see stateSync.js)
     if (room.gameState) {
-      const updatePayload = { gameState: room.gameState };
-      io.to(room.code).emit('gameStateUpdate', updatePayload);
+      stateSync.broadcastGameState(io, room);
     }
 
     // Check if game ended
@@ -1012,25 +1368,11 @@ function startGameLoop(room, io, enablePowerups = false, npcs = null) {
         }
       }
       
-      io.to(room.code).emit('gameEnded', {
+      endMatch(io, room, {
         winner: winnerForEvent || room.gameState.winner,
-        gameState: room.gameState,
-        gameMode: room.gameMode,
-        alivePlayers: alivePlayers,
-        deadPlayers: deadPlayers,
-        roomCode: room.code // Include room code for cleanup
+        alivePlayers,
+        deadPlayers
       });
-      
-      // Clean up room after a delay to allow room code reuse (for multiplayer only)
-      if (room.gameMode === 'multi-player') {
-        setTimeout(() => {
-          const checkRoom = rooms.get(room.code);
-          if (checkRoom && !checkRoom.isGameActive) {
-            rooms.delete(room.code);
-            console.log(`Room ${room.code} cleaned up after game ended - room code can be reused`);
-          }
-        }, 10000); // 10 second delay to allow players to see game over screen
-      }
     }
   };
 
@@ -1133,8 +1475,8 @@ function checkPlayerInactivity(gameState, room, ioInstance) {
   }
   
   Object.entries(gameState.players).forEach(([playerId, player]) => {
-    // Only check human players
-    if (player.type !== 'human' || !player.isAlive) {
+    // Only check human players (skip frozen players waiting to reconnect)
+    if (player.type !== 'human' || !player.isAlive || player.disconnected) {
       return;
     }
     
@@ -1152,8 +1494,10 @@ function checkPlayerInactivity(gameState, room, ioInstance) {
           const socket = ioInstance.sockets.sockets.get(roomPlayer.socketId);
           if (socket) {
             const remainingSeconds = Math.ceil((INACTIVITY_THRESHOLD - inactiveDuration) / 1000);
+            // Local players share the owner's socket - name who has to move
+            const who = roomPlayer.localOwnerId ? roomPlayer.name : 'You';
             socket.emit('inactivityWarning', {
-              message: `You will be kicked in ${remainingSeconds} seconds if you don't move!`,
+              message: `${who} will be kicked in ${remainingSeconds} seconds if you don't move!`,
               remainingSeconds: remainingSeconds
             });
             gameState.inactivityWarnings[playerId] = true; // Mark as warned
@@ -1170,8 +1514,9 @@ function checkPlayerInactivity(gameState, room, ioInstance) {
           return; // Player already removed
         }
         
-        // Mark player as dead in game state
+        // Mark player as dead in game state (kicked players don't respawn)
         player.isAlive = false;
+        lives.forfeitLives(player);
         
         // Cancel power-ups if enabled
         if (room.enablePowerups) {
@@ -1183,15 +1528,20 @@ function checkPlayerInactivity(gameState, room, ioInstance) {
         
         // Remove player from room
         room.players.delete(playerId);
+        // A local player's socket is its owner's and stays in the room; an owner takes their local players along
+        const isLocalPlayer = Boolean(roomPlayer.localOwnerId);
+        if (!isLocalPlayer) {
+          localPlayers.removeLocalPlayers(room, playerId);
+        }
         if (room.playerTokens && roomPlayer.token) {
           room.playerTokens.delete(roomPlayer.token);
         }
-        if (room.socketToPlayerId && roomPlayer.socketId) {
+        if (room.socketToPlayerId && roomPlayer.socketId && !isLocalPlayer) {
           room.socketToPlayerId.delete(roomPlayer.socketId);
         }
         
         // Disconnect socket if connected and notify player
-        if (roomPlayer.socketId && ioInstance) {
+        if (roomPlayer.socketId && ioInstance && !isLocalPlayer) {
           const socket = ioInstance.sockets.sockets.get(roomPlayer.socketId);
           if (socket) {
             socket.leave(room.code);
@@ -1211,7 +1561,7 @@ function checkPlayerInactivity(gameState, room, ioInstance) {
         
         // Handle host reassignment if needed
         if (roomPlayer.isHost && room.players.size > 0) {
-          const remainingPlayers = Array.from(room.players.values());
+          const remainingPlayers = localPlayers.getHostCandidates(Array.from(room.players.values()));
           const randomIndex = Math.floor(Math.random() * remainingPlayers.length);
           const newHost = remainingPlayers[randomIndex];
           newHost.isHost = true;
@@ -1235,9 +1585,7 @@ function checkPlayerInactivity(gameState, room, ioInstance) {
         
         // Send game state update
         if (room.isGameActive && room.gameState) {
-          ioInstance.to(room.code).emit('gameStateUpdate', {
-            gameState: room.gameState
-          });
+          stateSync.broadcastGameState(ioInstance, room, true);
         }
       } else {
         // Solo/single-player: Check if player is disconnected
@@ -1295,14 +1643,7 @@ function checkPlayerInactivity(gameState, room, ioInstance) {
           }
           
           // Emit gameEnded event
-          ioInstance.to(room.code).emit('gameEnded', {
-            winner: gameState.winner,
-            gameState: gameState,
-            gameMode: room.gameMode,
-            alivePlayers: alivePlayers,
-            deadPlayers: deadPlayers,
-            roomCode: room.code
-          });
+          endMatch(ioInstance, room, { winner: gameState.winner, alivePlayers, deadPlayers });
         } else {
           // Solo/single-player: Player is connected but inactive - end the game (consistent with multiplayer kick behavior)
           // Only end if game hasn't already ended
@@ -1356,14 +1697,7 @@ function checkPlayerInactivity(gameState, room, ioInstance) {
             }
             
             // Emit gameEnded event (game ends, player loses due to inactivity)
-            ioInstance.to(room.code).emit('gameEnded', {
-              winner: gameState.winner,
-              gameState: gameState,
-              gameMode: room.gameMode,
-              alivePlayers: alivePlayers,
-              deadPlayers: deadPlayers,
-              roomCode: room.code
-            });
+            endMatch(ioInstance, room, { winner: gameState.winner, alivePlayers, deadPlayers });
           }
         }
       }
@@ -1374,12 +1708,16 @@ function checkPlayerInactivity(gameState, room, ioInstance) {
 module.exports = {
   createGameState,
   processPlayerInput,
+  resolveRelativeInput,
+  updateGameState, // Also used to re-simulate replays
+  respawnNPCsIfNeeded,
   startGameLoop,
   stopGameLoop,
   pauseGame,
   resumeGame,
   checkPlayerInactivity,
   checkWinCondition, // Export checkWinCondition to allow external calls
+  endMatch,
   GRID_WIDTH,
   GRID_HEIGHT,
   CELL_SIZE,
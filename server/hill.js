@@ -0,0 +1,108 @@
+// King of the hill: a square control zone that awards points every tick to the only snake
+// occupying it (head or body). The zone relocates on a schedule and the first snake
+// (or team) to reach the score target wins.
+// gameState.hill = { x, y, size, ... } (null when the mode is off); x/y is the top-left cell.
+const simulation = require('./simulation');
+const maps = require('./maps');
+const arena = require('./arena');
+
+const HILL_SIZE = 3; // Cells per side
+const HILL_POINTS_PER_TICK = 1;
+const HILL_MOVE_INTERVAL = 20000; // Game-clock ms between relocations
+const HILL_SCORE_TARGET = 250;
+
+function isInHill(hill, x, y) {
+  return x >= hill.x && x < hill.x + hill.size && y >= hill.y && y < hill.y + hill.size;
+}
+
+function isHillInsideArena(gameState, hill) {
+  return arena.isInsideArena(gameState, hill.x, hill.y) &&
+    arena.isInsideArena(gameState, hill.x + hill.size - 1, hill.y + hill.size - 1);
+}
+
+function hillHasObstacle(gameState, x, y, size) {
+  for (let dx = 0; dx < size; dx++) {
+    for (let dy = 0; dy < size; dy++) {
+      if (maps.isObstacle(gameState, x + dx, y + dy)) {
+        return true;
+      }
+    }
+  }
+  return false;
+}
+
+// Move the zone to a random obstacle-free spot inside the playable area (seeded, so replays match)
+function placeHill(gameState, hill) {
+  const bounds = arena.getArenaBounds(gameState);
+  const rangeX = Math.max(1, bounds.maxX - bounds.minX + 2 - hill.size);
+  const rangeY = Math.max(1, bounds.maxY - bounds.minY + 2 - hill.size);
+  for (let attempts = 0; attempts < 50; attempts++) {
+    const x = bounds.minX + simulation.randomInt(gameState, rangeX);
+    const y = bounds.minY + simulation.randomInt(gameState, rangeY);
+    if ((x !== hill.x || y !== hill.y) && !hillHasObstacle(gameState, x, y, hill.size)) {
+      hill.x = x;
+      hill.y = y;
+      return;
+    }
+  }
+  // Crowded map: fall back to the middle of the playable area
+  hill.x = Math.floor((bounds.minX + bounds.maxX + 1 - hill.size) / 2);
+  hill.y = Math.floor((bounds.minY + bounds.maxY + 1 - hill.size) / 2);
+}
+
+// Needs the seeded simulation (call after simulation.initSimulation)
+function createHill(gameState) {
+  const hill = {
+    x: null,
+    y: null,
+    size: HILL_SIZE,
+    pointsPerTick: HILL_POINTS_PER_TICK,
+    moveInterval: HILL_MOVE_INTERVAL,
+    nextMoveTime: HILL_MOVE_INTERVAL,
+    scoreTarget: HILL_SCORE_TARGET,
+    holderId: null, // Player scoring this tick
+    contested: false // More than one snake in the zone
+  };
+  placeHill(gameState, hill);
+  return hill;
+}
+
+function getHillOccupants(gameState, hill) {
+  return Object.values(gameState.players).filter(player =>
+    player.isAlive && player.snake.some(segment => segment && isInHill(hill, segment.x, segment.y))
+  );
+}
+
+// Called once per tick after movement: relocate when due, then score the zone
+function updateHill(gameState, simTime) {
+  const hill = gameState.hill;
+  if (!hill) {
+    return;
+  }
+  // Relocate on schedule, or straight away once a shrinking arena closes over it
+  if (simTime >= hill.nextMoveTime || !isHillInsideArena(gameState, hill)) {
+    placeHill(gameState, hill);
+    hill.nextMoveTime = simTime + hill.moveInterval;
+  }
+
+  const occupants = getHillOccupants(gameState, hill);
+  hill.contested = occupants.length > 1;
+  hill.holderId = occupants.length === 1 ? occupants[0].id : null;
+  if (hill.holderId) {
+    occupants[0].score += hill.pointsPerTick;
+  }
+}
+
+// Target cell for NPCs contesting the zone
+function getHillCenter(hill) {
+  const offset = Math.floor(hill.size / 2);
+  return { x: hill.x + offset, y: hill.y + offset };
+}
+
+module.exports = {
+  HILL_SCORE_TARGET,
+  createHill,
+  isInHill,
+  updateHill,
+  getHillCenter
+};
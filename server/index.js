@@ -3,7 +3,22 @@ const http = require('http');
 const { Server } = require('socket.io');
 const path = require('path');
 const gameLogic = require('./gameLogic');
+const stateSync = require('./stateSync');
+const replays = require('./replays');
+const persistence = require('./persistence');
+const matchResults = require('./matchResults');
 const npcAI = require('./npcAI');
+const { resolveGridSize, DEFAULT_MAX_PLAYERS, MAX_PLAYERS_LIMIT } = require('./config');
+const maps = require('./maps');
+const teams = require('./teams');
+const pellets = require('./pellets');
+const foodTypes = require('./foodTypes');
+const powerups = require('./powerups');
+const series = require('./series');
+const kills = require('./kills');
+const lives = require('./lives');
+const winConditions = require('./winConditions');
+const localPlayers = require('./localPlayers');
 
 const app = express();
 const server = http.createServer(app);
@@ -70,6 +85,11 @@ const featureFlags = {
 };
 const allowSoloMode = process.env.ENABLE_SOLO_MODE === 'true';
 
+// Power-ups need both the server feature flag and the room's own switch
+function arePowerUpsEnabled(gameOptions) {
+  return featureFlags.powerups && Boolean(gameOptions.powerups && gameOptions.powerups.enabled);
+}
+
 function createPlayerId() {
   return `player-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
 }
@@ -124,6 +144,44 @@ function updateGameStateHost(room, newHostId) {
   }
 }
 
+// Spectators watch a room without taking a player slot (socketId -> { socketId, name })
+function isSpectatorSocket(room, socketId) {
+  return !!(room && room.spectators && room.spectators.has(socketId));
+}
+
+function getSpectatorList(room) {
+  if (!room || !room.spectators) {
+    return [];
+  }
+  return Array.from(room.spectators.values()).map(s => ({ name: s.name }));
+}
+
+function addSpectator(room, socket, name) {
+  if (!room.spectators) {
+    room.spectators = new Map();
+  }
+  room.spectators.set(socket.id, {
+    socketId: socket.id,
+    name: String(name || 'Spectator').trim().slice(0, 20) || 'Spectator'
+  });
+  socket.join(room.code);
+}
+
+function getPlayerList(room) {
+  return Array.from(room.players.values()).map(p => ({
+    id: p.id,
+    name: p.name,
+    isHost: p.isHost,
+    teamId: p.teamId ?? null,
+    localOwnerId: p.localOwnerId || null // Couch mode: shares the owner's keyboard (see localPlayers.js)
+  }));
+}
+
+// Player cap chosen by the host (rooms created before the option existed use the default)
+function getRoomMaxPlayers(room) {
+  return (room.gameOptions && room.gameOptions.maxPlayers) || DEFAULT_MAX_PLAYERS;
+}
+
 function shouldRoomBePublic(room) {
   if (!room) return false;
   if (room.gameMode !== 'multi-player') return false;
@@ -131,7 +189,7 @@ function shouldRoomBePublic(room) {
   if (room.isGameActive) return false;
   if (room.countdownActive) return false;
   if (!room.players || room.players.size === 0) return false;
-  if (room.players.size >= 4) return false;
+  if (room.players.size >= getRoomMaxPlayers(room)) return false;
   return true;
 }
 
@@ -150,7 +208,8 @@ function addOrUpdatePublicRoom(room) {
     roomCode: room.code,
     hostName: getHostName(room),
     playerCount: room.players.size,
-    maxPlayers: 4,
+    spectatorCount: room.spectators ? room.spectators.size : 0,
+    maxPlayers: getRoomMaxPlayers(room),
     createdAt
   });
 }
@@ -202,6 +261,136 @@ app.get('/api/server-info', (req, res) => {
   });
 });
 
+// Built-in obstacle maps
+app.get('/api/maps', (req, res) => {
+  res.json({ maps: maps.listBuiltInMaps() });
+});
+
+// Built-in map as map JSON for a board size (used by the map editor)
+app.get('/api/maps/:mapId', (req, res) => {
+  const grid = resolveGridSize('custom', req.query.width, req.query.height);
+  const map = maps.buildBuiltInMap(req.params.mapId, grid.gridWidth, grid.gridHeight);
+  if (!map) {
+    res.status(404).json({ error: 'Map not found' });
+    return;
+  }
+  res.json(map);
+});
+
+// Validate an edited/imported map without starting a game
+app.post('/api/maps/validate', express.json({ limit: '256kb' }), (req, res) => {
+  const result = maps.validateMap(req.body);
+  if (result.error) {
+    res.status(400).json({ valid: false, error: result.error });
+    return;
+  }
+  res.json({ valid: true, map: result.map });
+});
+
+// Replay list (newest first)
+app.get('/api/replays', async (req, res) => {
+  try {
+    res.json({ replays: await replays.listReplays() });
+  } catch (error) {
+    console.error('Error listing replays:', error.message);
+    res.status(500).json({ error: 'Could not list replays' });
+  }
+});
+
+// Compact replay file (seed, initial state, input log)
+app.get('/api/replays/:replayId', async (req, res) => {
+  try {
+    const replay = await replays.loadReplay(req.params.replayId);
+    if (!replay) {
+      res.status(404).json({ error: 'Replay not found' });
+      return;
+    }
+    res.json(replay);
+  } catch (error) {
+    console.error('Error loading replay:', error.message);
+    res.status(500).json({ error: 'Could not load replay' });
+  }
+});
+
+// Leaderboard: top players by wins, bestScore, longestSnake, longestSurvival, kills or gamesPlayed
+app.get('/api/leaderboard', async (req, res) => {
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 10, 1), 100);
+  const sortBy = persistence.LEADERBOARD_SORTS.includes(req.query.sort) ? req.query.sort : 'wins';
+  try {
+    res.json({ sortBy, players: await persistence.getStore().getLeaderboard(sortBy, limit) });
+  } catch (error) {
+    console.error('Error loading leaderboard:', error.message);
+    res.status(500).json({ error: 'Could not load leaderboard' });
+  }
+});
+
+// Player profile by player token (the token stays private to its owner)
+app.get('/api/players/:token', async (req, res) => {
+  try {
+    const store = persistence.getStore();
+    const stats = await store.getPlayer(req.params.token);
+    if (!stats) {
+      res.status(404).json({ error: 'Player not found' });
+      return;
+    }
+    const recentMatches = await store.getRecentMatches(10, req.params.token);
+    res.json({ player: stats, recentMatches: recentMatches.map(matchResults.toPublicMatch) });
+  } catch (error) {
+    console.error('Error loading player profile:', error.message);
+    res.status(500).json({ error: 'Could not load player profile' });
+  }
+});
+
+// Recently finished matches
+app.get('/api/matches', async (req, res) => {
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+  try {
+    const matches = await persistence.getStore().getRecentMatches(limit);
+    res.json({ matches: matches.map(matchResults.toPublicMatch) });
+  } catch (error) {
+    console.error('Error loading matches:', error.message);
+    res.status(500).json({ error: 'Could not load matches' });
+  }
+});
+
+// Replay viewer frames are simulated on a replay's first view and stored (see replays.js) -
+// keep anonymous clients from hammering new replays
+const REPLAY_FRAMES_RATE_LIMIT = 20; // Requests per client per window
+const REPLAY_FRAMES_RATE_WINDOW = 60 * 1000;
+const replayFramesRequests = new Map(); // ip -> { count, windowStart }
+
+function isReplayFramesRequestAllowed(ip) {
+  const now = Date.now();
+  replayFramesRequests.forEach((entry, key) => {
+    if (now - entry.windowStart >= REPLAY_FRAMES_RATE_WINDOW) {
+      replayFramesRequests.delete(key);
+    }
+  });
+  const entry = replayFramesRequests.get(ip) || { count: 0, windowStart: now };
+  entry.count += 1;
+  replayFramesRequests.set(ip, entry);
+  return entry.count <= REPLAY_FRAMES_RATE_LIMIT;
+}
+
+// Frames for the replay viewer
+app.get('/api/replays/:replayId/frames', async (req, res) => {
+  if (!isReplayFramesRequestAllowed(req.ip)) {
+    res.status(429).json({ error: 'Too many replay requests - try again in a minute' });
+    return;
+  }
+  try {
+    const frames = await replays.loadReplayFrames(req.params.replayId);
+    if (!frames) {
+      res.status(404).json({ error: 'Replay not found' });
+      return;
+    }
+    res.json(frames);
+  } catch (error) {
+    console.error('Error simulating replay:', error.message);
+    res.status(500).json({ error: 'Could not play replay' });
+  }
+});
+
 // Game rooms management
 const rooms = new Map();
 // Track room cleanup timeouts for active games
@@ -211,6 +400,7 @@ const npcInstances = new Map(); // roomCode -> Map of npcId -> npc object
 const publicRooms = new Map(); // roomCode -> { roomCode, hostName, playerCount, maxPlayers, createdAt }
 
 // Game session tracking for dev mode
+const serverStartedAt = Date.now(); // Older matches only exist in the stats store
 let gameSessionCount = 0;
 const gameSessions = new Map(); // sessionId -> { roomCode, startTime, endTime, winner, players }
 
@@ -258,6 +448,157 @@ function cleanupOrphanedSessions() {
 // Run cleanup every 30 seconds
 setInterval(cleanupOrphanedSessions, 30000);
 
+// How long a disconnected multiplayer player keeps their seat during an active game
+const RECONNECT_GRACE_PERIOD = 30000; // 30 seconds
+
+// Re-attach a returning multiplayer player (same token) to their held seat
+function reconnectMultiplayerPlayer(room, player, socket) {
+  if (player.disconnectTimeoutId) {
+    clearTimeout(player.disconnectTimeoutId);
+    player.disconnectTimeoutId = null;
+  }
+  player.disconnected = false;
+  player.disconnectedAt = null;
+  player.socketId = socket.id;
+  mapSocketToPlayer(room, socket.id, player.id);
+  socket.join(room.code);
+
+  if (roomCleanupTimeouts.has(room.code)) {
+    clearTimeout(roomCleanupTimeouts.get(room.code));
+    roomCleanupTimeouts.delete(room.code);
+  }
+
+  // Unfreeze the snake and reset inactivity tracking so the player isn't kicked right away
+  const gameState = room.gameState;
+  if (gameState && gameState.players[player.id]) {
+    const gameStatePlayer = gameState.players[player.id];
+    gameStatePlayer.disconnected = false;
+    gameStatePlayer.speedAccumulator = 0;
+    if (gameState.lastPlayerInputTime) {
+      gameState.lastPlayerInputTime[player.id] = Date.now();
+    }
+    if (gameState.inactivityWarnings) {
+      gameState.inactivityWarnings[player.id] = false;
+    }
+  }
+  localPlayers.syncLocalPlayers(room, player);
+
+  socket.to(room.code).emit('playerReconnected', {
+    playerId: player.id,
+    playerName: player.name
+  });
+
+  devLog.log(`Player ${player.name} reconnected to active game in room ${room.code}`);
+}
+
+// Grace period ran out: treat the held seat like a regular mid-game disconnect
+function expireDisconnectedPlayer(roomCode, playerId) {
+  const room = rooms.get(roomCode);
+  if (!room || !room.isGameActive || room.gameMode !== 'multi-player') {
+    return;
+  }
+  const player = room.players.get(playerId);
+  if (!player || player.socketId || !player.disconnected) {
+    return;
+  }
+
+  player.disconnectTimeoutId = null;
+  const wasHost = player.isHost;
+  const playerName = player.name;
+
+  if (room.playerTokens && player.token) {
+    room.playerTokens.delete(player.token);
+  }
+
+  // Mark player as dead now that they didn't come back in time
+  if (room.gameState && room.gameState.players[playerId]) {
+    const gameStatePlayer = room.gameState.players[playerId];
+    gameStatePlayer.isAlive = false;
+    gameStatePlayer.disconnected = false;
+    lives.forfeitLives(gameStatePlayer);
+    if (room.enablePowerups) {
+      const powerups = require('./powerups');
+      if (powerups && powerups.cancelPlayerPowerUps) {
+        powerups.cancelPlayerPowerUps(gameStatePlayer);
+      }
+    }
+    devLog.log(`Marked player ${playerName} (${playerId}) as dead after reconnect grace period`);
+  }
+  localPlayers.removeLocalPlayers(room, playerId); // Their snakes leave with the owner
+
+  // Give up the seat like quitGame does, so later rounds (series rematch) don't wait for them
+  room.players.delete(playerId);
+  if (room.socketToPlayerId) {
+    room.socketToPlayerId.forEach((id, socketId) => {
+      if (id === playerId) {
+        room.socketToPlayerId.delete(socketId);
+      }
+    });
+  }
+  if (room.readyPlayers) {
+    room.readyPlayers.delete(playerId);
+  }
+
+  const remainingConnectedPlayers = Array.from(room.players.values()).filter(p => p.socketId);
+
+  // If only one connected player left, end the game
+  if (remainingConnectedPlayers.length === 1 && room.gameState) {
+    const lastPlayer = remainingConnectedPlayers[0];
+    devLog.log(`Only one connected player (${lastPlayer.name}) remaining after reconnect timeout, ending game`);
+
+    gameLogic.checkWinCondition(room.gameState, false, room);
+    room.isGameActive = false;
+    gameLogic.stopGameLoop(room);
+
+    const alivePlayers = Object.values(room.gameState.players).filter(p => p.isAlive);
+    const deadPlayers = Object.values(room.gameState.players).filter(p => !p.isAlive);
+
+    gameLogic.endMatch(io, room, { winner: room.gameState.winner, alivePlayers, deadPlayers }, {
+      onCleanup: code => {
+        removePublicRoom(code);
+        markSessionAsEnded(code, 'game_ended');
+      }
+    });
+    return;
+  }
+
+  if (remainingConnectedPlayers.length === 0) {
+    return;
+  }
+
+  // If host timed out, assign new host randomly from connected players
+  if (wasHost) {
+    player.isHost = false;
+    const hostCandidates = localPlayers.getHostCandidates(remainingConnectedPlayers);
+    const randomIndex = Math.floor(Math.random() * hostCandidates.length);
+    const newHost = hostCandidates[randomIndex];
+    newHost.isHost = true;
+    updateGameStateHost(room, newHost.id);
+
+    devLog.log(`Assigned new host randomly: ${newHost.name} (${newHost.id}) - host did not reconnect`);
+    io.to(roomCode).emit('hostChanged', {
+      newHostId: newHost.id,
+      newHostName: newHost.name
+    });
+  }
+
+  io.to(roomCode).emit('playerLeft', {
+    playerName: playerName,
+    reason: 'disconnected',
+    wasHost: wasHost,
+    players: remainingConnectedPlayers.map(p => ({
+      id: p.id,
+      name: p.name,
+      isHost: p.isHost,
+      teamId: p.teamId ?? null
+    }))
+  });
+
+  if (room.gameState) {
+    stateSync.broadcastGameState(io, room, true);
+  }
+}
+
 // Set dev mode references in gameLogic module (after variables are declared)
 gameLogic.setDevModeRefs(rooms, gameSessions, () => gameSessionCount);
 
@@ -267,6 +608,10 @@ io.on('connection', (socket) => {
 
   // Send feature flags to client
   socket.emit('featureFlags', featureFlags);
+  if (featureFlags.powerups) {
+    // Power-up registry descriptors (icons, colors, sounds) for rendering
+    socket.emit('powerUpTypes', powerups.getPowerUpCatalog());
+  }
 
   // Handle server URL changes
   socket.on('serverUrlChanged', (data) => {
@@ -282,7 +627,7 @@ io.on('connection', (socket) => {
     console.log(`[SERVER URL CHANGED] Client ${socket.id} ${action} server URL: ${oldUrl} → ${newUrl}`);
   });
 
-  socket.on('requestSessionHistory', () => {
+  socket.on('requestSessionHistory', async () => {
     // Clean up orphaned sessions before sending history
     cleanupOrphanedSessions();
     
@@ -369,6 +714,29 @@ io.on('connection', (socket) => {
       })
       .slice(0, 5);
 
+    // Fill up with matches persisted by earlier server runs (gameSessions starts empty on restart)
+    if (sessions.length < 5) {
+      try {
+        const storedMatches = await persistence.getStore().getRecentMatches(5);
+        storedMatches
+          .filter(match => match.endTime < serverStartedAt)
+          .slice(0, 5 - sessions.length)
+          .forEach(match => {
+            sessions.push({
+              sessionId: match.sessionId || match.id,
+              roomCode: match.roomCode,
+              gameMode: match.gameMode,
+              winnerName: match.winner ? match.winner.name : null,
+              winnerScore: match.winner ? match.winner.score : null,
+              durationSeconds: Math.floor((match.durationMs || 0) / 1000),
+              isActive: false
+            });
+          });
+      } catch (error) {
+        devLog.error('Could not load stored matches for session history:', error.message);
+      }
+    }
+
     socket.emit('sessionHistory', { sessions });
   });
 
@@ -400,7 +768,7 @@ io.on('connection', (socket) => {
         socket.emit('publicRoomStatus', { roomCode, isPublic: room.isPublic || false, error: 'Cannot make room public after game start' });
         return;
       }
-      if (room.players.size >= 4) {
+      if (room.players.size >= getRoomMaxPlayers(room)) {
         socket.emit('publicRoomStatus', { roomCode, isPublic: room.isPublic || false, error: 'Room is full' });
         return;
       }
@@ -462,17 +830,267 @@ io.on('connection', (socket) => {
     }
     
     if (gameOptions.timeLimit !== undefined) {
-      // Validate time limit: null or one of [3, 5, 10, 15] minutes
-      const validTimeLimits = [null, 3, 5, 10, 15];
-      if (validTimeLimits.includes(gameOptions.timeLimit)) {
+      // Validate time limit: null or whole minutes (see winConditions.js)
+      if (winConditions.isValidTimeLimit(gameOptions.timeLimit)) {
         room.gameOptions.timeLimit = gameOptions.timeLimit;
       }
     }
 
+    if (gameOptions.scoreTarget !== undefined) {
+      // First to N points or length N: null = off, or { type, value } (see winConditions.js)
+      if (winConditions.isValidScoreTarget(gameOptions.scoreTarget)) {
+        room.gameOptions.scoreTarget = winConditions.createScoreTarget(gameOptions.scoreTarget);
+      }
+    }
+
+    if (gameOptions.suddenDeath !== undefined) {
+      room.gameOptions.suddenDeath = Boolean(gameOptions.suddenDeath);
+    }
+
+    if (gameOptions.seed !== undefined) {
+      // Fixed seed for reproducible games (null = fresh random seed each game)
+      if (gameOptions.seed === null || Number.isFinite(gameOptions.seed)) {
+        room.gameOptions.seed = gameOptions.seed;
+      }
+    }
+
+    if (gameOptions.gridSize !== undefined) {
+      // Board size preset (small/medium/large) or 'custom' with gridWidth/gridHeight (clamped)
+      Object.assign(room.gameOptions, resolveGridSize(gameOptions.gridSize, gameOptions.gridWidth, gameOptions.gridHeight));
+      if (room.gameOptions.mapId === 'custom') {
+        // Custom maps carry their own size - resizing the board drops the map
+        maps.applyMapOptions(room.gameOptions, 'empty');
+      }
+    }
+
+    if (gameOptions.mapId !== undefined || gameOptions.customMap !== undefined) {
+      const mapError = maps.applyMapOptions(room.gameOptions, gameOptions.mapId, gameOptions.customMap || null);
+      if (mapError) {
+        socket.emit('error', { message: `Invalid map: ${mapError}` });
+      }
+    }
+
+    if (gameOptions.maxPlayers !== undefined) {
+      // Room size: 2 up to MAX_PLAYERS_LIMIT, never below the players already in the room
+      const maxPlayers = Number(gameOptions.maxPlayers);
+      if (!Number.isInteger(maxPlayers) || maxPlayers < 2 || maxPlayers > MAX_PLAYERS_LIMIT) {
+        socket.emit('error', { message: `Max players must be between 2 and ${MAX_PLAYERS_LIMIT}` });
+      } else if (maxPlayers < room.players.size) {
+        socket.emit('error', { message: `There are already ${room.players.size} players in the room` });
+      } else {
+        room.gameOptions.maxPlayers = maxPlayers;
+        addOrUpdatePublicRoom(room);
+        broadcastPublicRooms(io);
+      }
+    }
+
+    if (gameOptions.teamSize !== undefined) {
+      // Team mode: null = free-for-all, otherwise players per team
+      if (gameOptions.teamSize === null || teams.TEAM_SIZES.includes(gameOptions.teamSize)) {
+        room.gameOptions.teamSize = gameOptions.teamSize;
+      }
+    }
+
+    if (gameOptions.teamFillBots !== undefined) {
+      room.gameOptions.teamFillBots = Boolean(gameOptions.teamFillBots);
+    }
+
+    if (gameOptions.shrinkingArena !== undefined) {
+      room.gameOptions.shrinkingArena = Boolean(gameOptions.shrinkingArena);
+    }
+
+    if (gameOptions.kingOfTheHill !== undefined) {
+      room.gameOptions.kingOfTheHill = Boolean(gameOptions.kingOfTheHill);
+    }
+
+    if (gameOptions.foodWeights !== undefined) {
+      // Typed food spawn weights, e.g. { normal: 100, golden: 10 } (see foodTypes.js)
+      const foodWeights = foodTypes.normalizeFoodWeights(gameOptions.foodWeights);
+      if (foodWeights) {
+        room.gameOptions.foodWeights = foodWeights;
+      }
+    }
+
+    if (gameOptions.corpseFood !== undefined) {
+      // null = bodies vanish, or pellet decay time in seconds
+      if (pellets.isValidCorpseFood(gameOptions.corpseFood)) {
+        room.gameOptions.corpseFood = gameOptions.corpseFood;
+      }
+    }
+
+    if (gameOptions.lives !== undefined) {
+      // Lives mode: null = one life, or lives per human player (see lives.js)
+      if (lives.isValidLives(gameOptions.lives)) {
+        room.gameOptions.lives = gameOptions.lives;
+      }
+    }
+
+    if (gameOptions.killPoints !== undefined) {
+      // Score bonus per kill, 0 = off (see kills.js)
+      if (kills.isValidKillPoints(gameOptions.killPoints)) {
+        room.gameOptions.killPoints = gameOptions.killPoints;
+      }
+    }
+
+    if (gameOptions.powerups !== undefined) {
+      // Power-up rules, merged over the current ones (see powerups.js)
+      const powerupConfig = powerups.normalizePowerUpConfig({ ...room.gameOptions.powerups, ...gameOptions.powerups });
+      if (powerupConfig) {
+        room.gameOptions.powerups = powerupConfig;
+      } else {
+        socket.emit('error', { message: 'Invalid power-up settings' });
+      }
+    }
+
+    if (gameOptions.seriesLength !== undefined) {
+      // null = single game, or best-of-N series (see series.js)
+      if (series.isValidSeriesLength(gameOptions.seriesLength)) {
+        room.gameOptions.seriesLength = gameOptions.seriesLength;
+      }
+    }
+
     // Broadcast updated options to all players in room
     io.to(roomCode).emit('gameOptionsUpdated', {
       gameOptions: room.gameOptions
     });
+
+    if (gameOptions.teamSize !== undefined || gameOptions.maxPlayers !== undefined) {
+      teams.normalizeTeams(room);
+      io.to(roomCode).emit('teamsUpdated', { players: getPlayerList(room) });
+    }
+  });
+
+  // Team mode: host moves a player to another team, or shuffles everyone (lobby only)
+  socket.on('assignTeam', (data) => {
+    const { roomCode, playerId, teamId } = data;
+    const room = rooms.get(roomCode);
+    if (!room) {
+      socket.emit('error', { message: 'Room not found' });
+      return;
+    }
+
+    const player = getPlayerBySocket(room, socket.id);
+    if (!player || !player.isHost) {
+      socket.emit('error', { message: 'Only host can change teams' });
+      return;
+    }
+    if (room.gameState) {
+      socket.emit('error', { message: 'Teams are locked once the game has started' });
+      return;
+    }
+
+    const teamError = teams.assignTeam(room, playerId, teamId);
+    if (teamError) {
+      socket.emit('error', { message: teamError });
+    }
+    io.to(roomCode).emit('teamsUpdated', { players: getPlayerList(room) });
+  });
+
+  socket.on('shuffleTeams', (data) => {
+    const { roomCode } = data;
+    const room = rooms.get(roomCode);
+    if (!room) {
+      socket.emit('error', { message: 'Room not found' });
+      return;
+    }
+
+    const player = getPlayerBySocket(room, socket.id);
+    if (!player || !player.isHost) {
+      socket.emit('error', { message: 'Only host can change teams' });
+      return;
+    }
+    if (room.gameState || !teams.isTeamMode(room.gameOptions)) {
+      return;
+    }
+
+    teams.shuffleTeams(room);
+    io.to(roomCode).emit('teamsUpdated', { players: getPlayerList(room) });
+  });
+
+  // Couch mode: another player on this client's keyboard (see localPlayers.js)
+  socket.on('addLocalPlayer', (data) => {
+    const { roomCode, controlScheme } = data;
+    const playerName = String(data.playerName || '').trim();
+    const room = rooms.get(roomCode);
+    if (!room) {
+      socket.emit('error', { message: 'Room not found' });
+      return;
+    }
+
+    const owner = getPlayerBySocket(room, socket.id);
+    if (!owner || room.gameMode !== 'multi-player') {
+      socket.emit('error', { message: 'Player not found in room' });
+      return;
+    }
+    if (room.gameState) {
+      socket.emit('error', { message: 'Local players can only join before the game starts' });
+      return;
+    }
+    if (!playerName) {
+      socket.emit('error', { message: 'Player name is required' });
+      return;
+    }
+    const maxPlayers = getRoomMaxPlayers(room);
+    if (room.players.size >= maxPlayers) {
+      socket.emit('error', { message: `Room is full (max ${maxPlayers} players)` });
+      return;
+    }
+    if (Array.from(room.players.values()).some(p => p.name.toLowerCase() === playerName.toLowerCase())) {
+      socket.emit('error', { message: 'Player name already taken' });
+      return;
+    }
+    const localError = localPlayers.validateNewLocalPlayer(room, owner, playerName, controlScheme);
+    if (localError) {
+      socket.emit('error', { message: localError });
+      return;
+    }
+
+    const playerId = createPlayerId();
+    room.players.set(playerId, localPlayers.createLocalPlayer(owner, playerId, playerName, controlScheme));
+    teams.normalizeTeams(room);
+
+    socket.emit('localPlayersUpdated', { localPlayers: localPlayers.describeLocalPlayers(room, owner.id) });
+    io.to(roomCode).emit('playerJoined', {
+      playerId,
+      playerName,
+      isHost: false,
+      players: getPlayerList(room),
+      spectators: getSpectatorList(room)
+    });
+    addOrUpdatePublicRoom(room);
+    console.log(`Local player ${playerName} joined room ${roomCode} on ${owner.name}'s keyboard`);
+  });
+
+  socket.on('removeLocalPlayer', (data) => {
+    const { roomCode, playerId } = data;
+    const room = rooms.get(roomCode);
+    if (!room) {
+      socket.emit('error', { message: 'Room not found' });
+      return;
+    }
+
+    const owner = getPlayerBySocket(room, socket.id);
+    const player = room.players.get(playerId);
+    if (!owner || !player || player.localOwnerId !== owner.id) {
+      socket.emit('error', { message: 'Local player not found' });
+      return;
+    }
+    if (room.gameState) {
+      socket.emit('error', { message: 'Local players can only leave before the game starts' });
+      return;
+    }
+
+    room.players.delete(playerId);
+    teams.normalizeTeams(room);
+
+    socket.emit('localPlayersUpdated', { localPlayers: localPlayers.describeLocalPlayers(room, owner.id) });
+    io.to(roomCode).emit('playerLeft', {
+      playerName: player.name,
+      reason: 'left',
+      wasHost: false,
+      players: getPlayerList(room)
+    });
+    addOrUpdatePublicRoom(room);
   });
 
   // Handle player joining
@@ -486,12 +1104,60 @@ io.on('connection', (socket) => {
       return;
     }
 
+    // Spectators can watch any existing room, even when it is full or already running
+    if (data.spectate) {
+      const watchedRoom = rooms.get(roomCode);
+      if (!watchedRoom) {
+        socket.emit('joinError', { message: 'Room not found' });
+        return;
+      }
+
+      addSpectator(watchedRoom, socket, playerName);
+
+      socket.emit('joinedRoom', {
+        playerId: null,
+        isHost: false,
+        isSpectator: true,
+        roomCode,
+        gameMode: watchedRoom.gameMode,
+        gameOptions: watchedRoom.gameOptions,
+        playerToken,
+        isPublic: watchedRoom.isPublic || false
+      });
+
+      io.to(roomCode).emit('playerJoined', {
+        playerId: null,
+        playerName,
+        isHost: false,
+        isSpectator: true,
+        players: getPlayerList(watchedRoom),
+        spectators: getSpectatorList(watchedRoom)
+      });
+
+      // Game already created - send it so the spectator goes straight to the board
+      if (watchedRoom.gameState) {
+        socket.emit('gameStarted', {
+          gameState: stateSync.toClientState(watchedRoom.gameState),
+          roomCode,
+          playerId: null,
+          gameMode: watchedRoom.gameMode,
+          isHost: false,
+          isSpectator: true
+        });
+      }
+
+      addOrUpdatePublicRoom(watchedRoom);
+      console.log(`Spectator ${playerName} joined room ${roomCode}`);
+      return;
+    }
+
     // Find or create room
     let room = rooms.get(roomCode);
     if (!room) {
       room = {
         code: roomCode,
         players: new Map(),
+        spectators: new Map(), // Maps socket.id to spectator info (watch-only)
         playerTokens: new Map(), // Maps player tokens to player IDs
         socketToPlayerId: new Map(), // Maps socket.id to gameState player ID
         lastChatAt: new Map(),
@@ -503,7 +1169,24 @@ io.on('connection', (socket) => {
         gameOptions: {
           wallMode: false,        // Default: wrapping
           strictMode: false,      // Default: body segments can be walked over
-          timeLimit: null,        // null = disabled, or minutes (3/5/10/15)
+          timeLimit: null,        // null = disabled, or minutes (1-60)
+          scoreTarget: null,      // null = off, or { type: 'score' | 'length', value } (see winConditions.js)
+          suddenDeath: false,     // Time limit ending in a tie goes to overtime (see winConditions.js)
+          seed: null,             // null = fresh random seed, or fixed seed for reproducible games
+          ...resolveGridSize('medium'), // gridSize preset + gridWidth/gridHeight in cells
+          mapId: 'empty',         // Built-in map id, or 'custom' with customMap (see maps.js)
+          customMap: null,
+          maxPlayers: DEFAULT_MAX_PLAYERS, // Host can raise this up to MAX_PLAYERS_LIMIT
+          teamSize: null,         // null = free-for-all, or 2/3 players per team (see teams.js)
+          teamFillBots: true,     // Team mode: fill empty team slots with NPCs
+          shrinkingArena: false,  // Battle royale: the playable area closes in over time (see arena.js)
+          kingOfTheHill: false,   // Objective mode: hold the control zone to reach the score target (see hill.js)
+          corpseFood: null,       // null = dead snakes vanish, or seconds their food pellets last (see pellets.js)
+          killPoints: 0,          // Score bonus per kill, 0 = off (see kills.js)
+          lives: null,            // null = one life, or lives per player with respawns (see lives.js)
+          foodWeights: { ...foodTypes.DEFAULT_FOOD_WEIGHTS }, // Spawn weight per food type (see foodTypes.js)
+          powerups: powerups.getDefaultPowerUpConfig(), // Enabled types, duration, spawn rate, stacking (see powerups.js)
+          seriesLength: null,     // null = single game, or best-of-3/5 with rematches (see series.js)
           maxPauseTime: 15 * 60 * 1000  // 15 minutes in ms
         },
         isPublic: false,
@@ -527,9 +1210,8 @@ io.on('connection', (socket) => {
       room.publicCreatedAt = null;
     }
 
-    // Reconnection disabled for active games - sessions expire immediately on refresh/disconnect
-    // BUT: Allow reconnection during ready phase (before game starts) for multiplayer
-    // Check if player token exists and game hasn't started yet
+    // Allow reconnection during ready phase (before game starts) for multiplayer,
+    // and during an active game while the disconnected player's seat is still held
     if (room.playerTokens && room.playerTokens.has(playerToken)) {
       const existingPlayerId = room.playerTokens.get(playerToken);
       const existingPlayer = room.players.get(existingPlayerId);
@@ -549,6 +1231,7 @@ io.on('connection', (socket) => {
           existingPlayer.disconnectedAt = null;
 
           mapSocketToPlayer(room, socket.id, existingPlayerId);
+          localPlayers.syncLocalPlayers(room, existingPlayer);
           socket.join(roomCode);
 
           socket.emit('joinedRoom', {
@@ -566,17 +1249,42 @@ io.on('connection', (socket) => {
           // Send gameStarted event so they see the rules screen
           if (room.gameState) {
             socket.emit('gameStarted', {
-              gameState: room.gameState,
+              gameState: stateSync.toClientState(room.gameState),
               roomCode: roomCode,
               playerId: existingPlayerId,
+              localPlayers: localPlayers.describeLocalPlayers(room, existingPlayerId),
               gameMode: room.gameMode,
               isHost: existingPlayer.isHost
             });
           }
           
+          return;
+        } else if (room.gameMode === 'multi-player' && existingPlayer.disconnected && !room.gameState.winner) {
+          // Game in progress - seat is still held (reconnect grace period), resume control
+          existingPlayer.controlScheme = controlScheme || existingPlayer.controlScheme;
+          reconnectMultiplayerPlayer(room, existingPlayer, socket);
+
+          socket.emit('joinedRoom', {
+            playerId: existingPlayerId,
+            isHost: existingPlayer.isHost,
+            roomCode,
+            gameMode: room.gameMode,
+            gameOptions: room.gameOptions,
+            playerToken,
+            isPublic: room.isPublic || false
+          });
+          socket.emit('gameStarted', {
+            gameState: stateSync.toClientState(room.gameState),
+            roomCode: roomCode,
+            playerId: existingPlayerId,
+            localPlayers: localPlayers.describeLocalPlayers(room, existingPlayerId),
+            gameMode: room.gameMode,
+            isHost: existingPlayer.isHost
+          });
+          stateSync.sendKeyframe(socket, room);
           return;
         } else {
-          // Game has started - reconnection not allowed, token was deleted
+          // Game has started and the seat is no longer held - token was deleted
           devLog.log(`Reconnection blocked for ${existingPlayer.name} - game has started`);
         }
       }
@@ -595,9 +1303,10 @@ io.on('connection', (socket) => {
       return;
     }
 
-    // Check if room is full (max 4 players)
-    if (room.players.size >= 4) {
-      socket.emit('joinError', { message: 'Room is full (max 4 players)' });
+    // Check if room is full (host-configured max players)
+    const maxPlayers = getRoomMaxPlayers(room);
+    if (room.players.size >= maxPlayers) {
+      socket.emit('joinError', { message: `Room is full (max ${maxPlayers} players)` });
       return;
     }
 
@@ -622,6 +1331,7 @@ io.on('connection', (socket) => {
       controlScheme: controlScheme || 'wasd'
     });
     room.playerTokens.set(playerToken, playerId);
+    teams.normalizeTeams(room); // Team mode: new players join the smallest team
     
     // Map socket.id to playerId (for reconnection handling)
     mapSocketToPlayer(room, socket.id, playerId);
@@ -641,11 +1351,8 @@ io.on('connection', (socket) => {
       playerId,
       playerName,
       isHost,
-      players: Array.from(room.players.values()).map(p => ({
-        id: p.id,
-        name: p.name,
-        isHost: p.isHost
-      }))
+      players: getPlayerList(room),
+      spectators: getSpectatorList(room)
     });
 
     console.log(`Player ${playerName} joined room ${roomCode}`);
@@ -661,19 +1368,58 @@ io.on('connection', (socket) => {
       return;
     }
 
+    if (isSpectatorSocket(room, socket.id)) {
+      socket.emit('error', { message: 'Spectators cannot start the game' });
+      return;
+    }
+
     const player = getPlayerBySocket(room, socket.id);
     if (!player || !player.isHost) {
       socket.emit('error', { message: 'Only host can start the game' });
       return;
     }
 
+    // Rematches restart a room from the game board - never on top of a running round
+    if (room.isGameActive || room.countdownActive) {
+      socket.emit('error', { message: 'The game is already in progress' });
+      return;
+    }
+
     if (room.players.size < 2) {
       socket.emit('error', { message: 'Need at least 2 players to start' });
       return;
     }
 
-    if (room.players.size > 4) {
-      socket.emit('error', { message: 'Maximum 4 players allowed' });
+    if (room.players.size > getRoomMaxPlayers(room)) {
+      socket.emit('error', { message: `Maximum ${getRoomMaxPlayers(room)} players allowed` });
+      return;
+    }
+
+    // Team mode: players in spawn order, empty team slots filled with NPCs when enabled
+    let playersArray = Array.from(room.players.values());
+    let teamList = null;
+    room.npcs = null;
+    if (teams.isTeamMode(room.gameOptions)) {
+      const fillers = new Map();
+      const roster = teams.buildTeamRoster(room, (teamId, index) => {
+        const npcId = `npc-${roomCode}-${index}`;
+        const npcConfig = npcAI.normalizeNPCConfig(null, `Bot-${index + 1}`);
+        fillers.set(npcId, npcAI.createNPC(npcId, npcConfig.name, npcConfig));
+        return { id: npcId, name: npcConfig.name, socketId: null, type: 'npc', isHost: false };
+      });
+      if (roster.error) {
+        socket.emit('error', { message: roster.error });
+        return;
+      }
+      playersArray = roster.players;
+      teamList = roster.teams;
+      room.npcs = fillers.size > 0 ? fillers : null;
+    }
+
+    // Spawn points need space - big rooms on small boards would start on top of each other
+    const boardCapacity = maps.getMaxPlayersForGrid(room.gameOptions.gridWidth, room.gameOptions.gridHeight);
+    if (playersArray.length > boardCapacity) {
+      socket.emit('error', { message: `The board is too small for ${playersArray.length} players (max ${boardCapacity}) - pick a larger board size` });
       return;
     }
 
@@ -685,9 +1431,13 @@ io.on('connection', (socket) => {
     }
 
     // Initialize game state
-    const playersArray = Array.from(room.players.values());
-    devLog.log('Creating game state with players:', playersArray.map(p => ({ id: p.id, name: p.name, isHost: p.isHost })));
-    room.gameState = gameLogic.createGameState(playersArray, featureFlags.powerups, room.gameOptions.wallMode, room.gameOptions.timeLimit, room.gameOptions.strictMode || false);
+    devLog.log('Creating game state with players:', playersArray.map(p => ({ id: p.id, name: p.name, isHost: p.isHost, teamId: p.teamId })));
+    room.gameState = gameLogic.createGameState(playersArray, room.gameOptions, {
+      enablePowerups: arePowerUpsEnabled(room.gameOptions),
+      teamList
+    });
+    matchResults.captureMatchTokens(room);
+    series.startRound(room);
     
     // Track game session start for multiplayer
     gameSessionCount++;
@@ -701,7 +1451,8 @@ io.on('connection', (socket) => {
       endTime: null,
       winner: null,
       players: playersArray.map(p => ({ id: p.id, name: p.name, type: p.type || 'human' })),
-      gameMode: room.gameMode || 'multi-player'
+      gameMode: room.gameMode || 'multi-player',
+      seed: room.gameState.seed // Seed + input log reproduces the game
     });
     
     // Log game session start
@@ -725,7 +1476,7 @@ io.on('connection', (socket) => {
       }
     });
     
-    room.enablePowerups = featureFlags.powerups;
+    room.enablePowerups = arePowerUpsEnabled(room.gameOptions);
     room.isPaused = false;
     // Initialize ready players tracking
     room.readyPlayers = new Set();
@@ -746,6 +1497,9 @@ io.on('connection', (socket) => {
         devLog.warn(`Player missing socketId in room ${roomCode}`, player?.id);
         continue;
       }
+      if (player.localOwnerId) {
+        continue; // Local players play on their owner's client (listed in the owner's gameStarted)
+      }
       
       // Verify player exists in gameState
       const gameStatePlayer = room.gameState.players[player.id];
@@ -766,18 +1520,20 @@ io.on('connection', (socket) => {
       const socketObj = io.sockets.sockets.get(player.socketId);
       if (socketObj && socketObj.connected) {
         socketObj.emit('gameStarted', {
-          gameState: room.gameState,
+          gameState: stateSync.toClientState(room.gameState),
           roomCode: roomCode,
           playerId: player.id,
+          localPlayers: localPlayers.describeLocalPlayers(room, player.id),
           gameMode: room.gameMode
         });
         devLog.log(`Sent gameStarted to ${player.name} (${player.id})`);
       } else {
         // Fallback: emit to socket ID
         io.to(player.socketId).emit('gameStarted', {
-          gameState: room.gameState,
+          gameState: stateSync.toClientState(room.gameState),
           roomCode: roomCode,
           playerId: player.id,
+          localPlayers: localPlayers.describeLocalPlayers(room, player.id),
           isHost: player.isHost,
           gameMode: room.gameMode
         });
@@ -785,6 +1541,20 @@ io.on('connection', (socket) => {
       }
     }
 
+    // Spectators waiting in the room follow the players to the game board
+    if (room.spectators) {
+      room.spectators.forEach(spectator => {
+        io.to(spectator.socketId).emit('gameStarted', {
+          gameState: stateSync.toClientState(room.gameState),
+          roomCode: roomCode,
+          playerId: null,
+          gameMode: room.gameMode,
+          isHost: false,
+          isSpectator: true
+        });
+      });
+    }
+
     // Store countdown state in room so reconnecting players can receive it
     room.countdownActive = false; // Will be set to true when countdown starts
     room.countdownValue = null;
@@ -832,11 +1602,24 @@ io.on('connection', (socket) => {
     
     // Use gameOptions from client if provided, otherwise use defaults
     const wallMode = gameOptions && gameOptions.wallMode !== undefined ? Boolean(gameOptions.wallMode) : false;
-    const timeLimit = gameOptions && gameOptions.timeLimit !== undefined ? gameOptions.timeLimit : null;
+    const timeLimit = gameOptions && winConditions.isValidTimeLimit(gameOptions.timeLimit) ? gameOptions.timeLimit : null;
+    const scoreTarget = gameOptions && gameOptions.scoreTarget && winConditions.isValidScoreTarget(gameOptions.scoreTarget)
+      ? winConditions.createScoreTarget(gameOptions.scoreTarget)
+      : null;
+    const suddenDeath = gameOptions ? Boolean(gameOptions.suddenDeath) : false;
+    const seed = gameOptions && Number.isFinite(gameOptions.seed) ? gameOptions.seed : null;
+    const grid = gameOptions ? resolveGridSize(gameOptions.gridSize, gameOptions.gridWidth, gameOptions.gridHeight) : resolveGridSize('medium');
+    const shrinkingArena = gameOptions ? Boolean(gameOptions.shrinkingArena) : false;
+    const kingOfTheHill = gameOptions ? Boolean(gameOptions.kingOfTheHill) : false;
+    const corpseFood = gameOptions && pellets.isValidCorpseFood(gameOptions.corpseFood) ? gameOptions.corpseFood : null;
+    const killPoints = gameOptions && kills.isValidKillPoints(gameOptions.killPoints) ? gameOptions.killPoints : 0;
+    const foodWeights = (gameOptions && foodTypes.normalizeFoodWeights(gameOptions.foodWeights)) || { ...foodTypes.DEFAULT_FOOD_WEIGHTS };
+    const powerupConfig = (gameOptions && powerups.normalizePowerUpConfig(gameOptions.powerups)) || powerups.getDefaultPowerUpConfig();
     
     const room = {
       code: roomCode,
       players: new Map(),
+      spectators: new Map(), // Maps socket.id to spectator info (watch-only)
       playerTokens: new Map(), // Maps player tokens to player IDs
       socketToPlayerId: new Map(), // Maps socket.id to player ID
       gameState: null,
@@ -850,12 +1633,33 @@ io.on('connection', (socket) => {
         wallMode: wallMode,        // From client or default: wrapping
         strictMode: false,         // Default: body segments can be walked over
         timeLimit: timeLimit,      // From client or default: null (disabled)
+        seed: seed,                // From client or default: null (fresh random seed)
+        ...grid,                   // From client or default: medium (30x30)
+        mapId: 'empty',            // Default: no obstacles (client choice applied below)
+        customMap: null,
+        shrinkingArena: shrinkingArena, // From client or default: off
+        kingOfTheHill: kingOfTheHill,   // From client or default: off
+        corpseFood: corpseFood,         // From client or default: null (bodies vanish)
+        killPoints: killPoints,         // From client or default: 0 (kills don't score)
+        scoreTarget: scoreTarget,       // From client or default: null (no score target)
+        suddenDeath: suddenDeath,       // From client or default: off
+        foodWeights: foodWeights,       // From client or default: normal food only
+        powerups: powerupConfig,        // From client or default: every type, normal rules
         maxPauseTime: 15 * 60 * 1000  // 15 minutes in ms
       },
       isPublic: false,
       publicCreatedAt: null
     };
 
+    // Optional obstacle map (built-in id, or a custom map exported from the map editor)
+    if (gameOptions && (gameOptions.mapId || gameOptions.customMap)) {
+      const mapError = maps.applyMapOptions(room.gameOptions, gameOptions.mapId, gameOptions.customMap || null);
+      if (mapError) {
+        socket.emit('error', { message: `Invalid map: ${mapError}` });
+        return;
+      }
+    }
+
     const npcConfigInput = Array.isArray(data.npcConfigs) ? data.npcConfigs : [];
     const npcConfigList = [];
     for (let i = 0; i < parsedNpcCount; i++) {
@@ -912,13 +1716,20 @@ io.on('connection', (socket) => {
         wallMode: false,
         strictMode: false,
         timeLimit: null,
+        seed: null,
+        ...resolveGridSize('medium'),
+        mapId: 'empty',
+        customMap: null,
         maxPauseTime: 15 * 60 * 1000
       };
     }
     
     // Initialize game state
-    room.gameState = gameLogic.createGameState(Array.from(room.players.values()), featureFlags.powerups, room.gameOptions.wallMode, room.gameOptions.timeLimit, room.gameOptions.strictMode || false);
-    room.enablePowerups = featureFlags.powerups;
+    room.gameState = gameLogic.createGameState(Array.from(room.players.values()), room.gameOptions, {
+      enablePowerups: arePowerUpsEnabled(room.gameOptions)
+    });
+    matchResults.captureMatchTokens(room);
+    room.enablePowerups = arePowerUpsEnabled(room.gameOptions);
     room.isPaused = false;
     
     // Track game session start for single-player
@@ -934,7 +1745,8 @@ io.on('connection', (socket) => {
       endTime: null,
       winner: null,
       players: playersArray.map(p => ({ id: p.id, name: p.name, type: p.type || 'human' })),
-      gameMode: actualGameMode
+      gameMode: actualGameMode,
+      seed: room.gameState.seed // Seed + input log reproduces the game
     });
     
     // Log game session start
@@ -958,7 +1770,7 @@ io.on('connection', (socket) => {
     const player = room.players.get(playerId);
     // Send gameStarted immediately so player redirects to game board
     socket.emit('gameStarted', {
-      gameState: room.gameState,
+      gameState: stateSync.toClientState(room.gameState),
       roomCode: roomCode,
       playerId: playerId,
       gameMode: room.gameMode,
@@ -1011,15 +1823,15 @@ io.on('connection', (socket) => {
         // Countdown finished - start the game loop
         room.isGameActive = true;
         if (isSinglePlayer) {
-          gameLogic.startGameLoop(room, io, featureFlags.powerups, room.npcs);
+          gameLogic.startGameLoop(room, io, room.enablePowerups, room.npcs);
         } else {
-          gameLogic.startGameLoop(room, io, featureFlags.powerups, null);
+          gameLogic.startGameLoop(room, io, room.enablePowerups, room.npcs || null); // Team-mode fillers
         }
 
         // Send initial game state update immediately with timer = 0
         if (room.gameState) {
           room.gameState.timer = 0;
-          io.to(roomCode).emit('gameStateUpdate', { gameState: room.gameState });
+          stateSync.broadcastGameState(io, room, true);
         }
 
         console.log(`Game started in room ${roomCode}`);
@@ -1075,9 +1887,7 @@ io.on('connection', (socket) => {
         
         // Send gameStateUpdate to ensure all players sync resume state
         if (room.gameState) {
-          io.to(roomCode).emit('gameStateUpdate', {
-            gameState: room.gameState
-          });
+          stateSync.broadcastGameState(io, room, true);
         }
 
         console.log(`Game resumed in room ${roomCode} after countdown`);
@@ -1131,8 +1941,9 @@ io.on('connection', (socket) => {
       devLog.log('Initialized readyPlayers set for room:', roomCode);
     }
     
-    // Add player to ready set (use player.id for consistency)
+    // Add player to ready set (use player.id for consistency); local players are ready with their owner
     room.readyPlayers.add(player.id);
+    localPlayers.getLocalPlayers(room, player.id).forEach(localPlayer => room.readyPlayers.add(localPlayer.id));
 
     devLog.log('Player marked as ready:', {
       roomCode,
@@ -1249,17 +2060,51 @@ io.on('connection', (socket) => {
       });
       return;
     }
+
+    // Client missed a delta (sequence gap) - resend a keyframe without re-running the join flow
+    if (data.keyframe && (getPlayerIdFromSocket(room, socket.id) || isSpectatorSocket(room, socket.id))) {
+      stateSync.sendKeyframe(socket, room);
+      return;
+    }
+
+    // Spectators (game page load): register the new socket and send the current state
+    if (data.spectate) {
+      if (!isSpectatorSocket(room, socket.id)) {
+        addSpectator(room, socket, data.spectatorName);
+        io.to(roomCode).emit('playerJoined', {
+          playerId: null,
+          playerName: room.spectators.get(socket.id).name,
+          isHost: false,
+          isSpectator: true,
+          players: getPlayerList(room),
+          spectators: getSpectatorList(room)
+        });
+      }
+      if (room.countdownActive && room.countdownValue !== null) {
+        socket.emit('gameCountdown', { countdown: room.countdownValue });
+      }
+      socket.emit('gameStarted', {
+        gameState: stateSync.toClientState(room.gameState),
+        roomCode: roomCode,
+        playerId: null,
+        gameMode: room.gameMode,
+        isHost: false,
+        isSpectator: true
+      });
+      stateSync.sendKeyframe(socket, room);
+      return;
+    }
     
     // For multiplayer games, ensure player is in room
     // Allow reconnection during ready phase (before game starts) via playerToken
     if (room.gameMode === 'multi-player' && room.gameState) {
       let playerId = getPlayerIdFromSocket(room, socket.id);
       
-      // Try to find player by token if not found by socket (reconnection during ready phase)
+      // Try to find player by token if not found by socket (ready phase, or seat held mid-game)
       const gameStartedForReconnect = room.gameState.startTime && room.gameState.startTime > 0;
-      if (!playerId && playerToken && room.playerTokens && room.playerTokens.has(playerToken) && !gameStartedForReconnect) {
+      if (!playerId && playerToken && room.playerTokens && room.playerTokens.has(playerToken)) {
         playerId = room.playerTokens.get(playerToken);
-        devLog.log(`Reconnecting player via token during ready phase: playerId=${playerId}, socket=${socket.id}`);
+        devLog.log(`Reconnecting player via token: playerId=${playerId}, socket=${socket.id}, gameStarted=${!!gameStartedForReconnect}`);
       }
 
       const player = playerId ? room.players.get(playerId) : null;
@@ -1283,12 +2128,15 @@ io.on('connection', (socket) => {
         socket.join(roomCode);
         devLog.log(`Reconnected player ${player.name} during ready phase via requestGameState`);
       } else if (player.disconnected && gameStartedForReconnect) {
-        // Game has started - reconnection not allowed
-        socket.emit('gameStateError', {
-          message: 'Session expired. Please rejoin the room.',
-          roomCode: roomCode
-        });
-        return;
+        // Game has started - only possible while the seat is held (token still valid)
+        if (!playerToken || room.playerTokens.get(playerToken) !== playerId) {
+          socket.emit('gameStateError', {
+            message: 'Session expired. Please rejoin the room.',
+            roomCode: roomCode
+          });
+          return;
+        }
+        reconnectMultiplayerPlayer(room, player, socket);
       }
 
       // Player is connected and not disconnected - allow access
@@ -1298,6 +2146,7 @@ io.on('connection', (socket) => {
       }
       player.socketId = socket.id;
       mapSocketToPlayer(room, socket.id, playerId);
+      localPlayers.syncLocalPlayers(room, player);
       socket.join(roomCode);
       if (room.countdownActive && room.countdownValue !== null) {
         socket.emit('gameCountdown', { countdown: room.countdownValue });
@@ -1323,7 +2172,7 @@ io.on('connection', (socket) => {
       if (!room.isGameActive && room.gameState && !hasGameLoop && !isCountdownActive && gameHasStarted) {
         room.isGameActive = true;
         room.isPaused = false;
-        gameLogic.startGameLoop(room, io, room.enablePowerups || false, null);
+        gameLogic.startGameLoop(room, io, room.enablePowerups || false, room.npcs || null);
         console.log(`Restarted game loop for multiplayer room ${roomCode} after player reconnection`);
       } else if (!room.isGameActive && room.gameState && hasGameLoop && !isCountdownActive && gameHasStarted) {
         // Game loop exists but room is marked inactive - just reactivate
@@ -1334,7 +2183,7 @@ io.on('connection', (socket) => {
         // Room exists but game loop doesn't - restart it (only if game has started)
         room.isGameActive = true;
         room.isPaused = false;
-        gameLogic.startGameLoop(room, io, room.enablePowerups || false, null);
+        gameLogic.startGameLoop(room, io, room.enablePowerups || false, room.npcs || null);
         console.log(`Restarted game loop for multiplayer room ${roomCode} (game loop was missing)`);
       } else {
         // Log why we're skipping - with detailed reason
@@ -1365,20 +2214,27 @@ io.on('connection', (socket) => {
       const socketObj = io.sockets.sockets.get(socket.id);
       if (socketObj) {
         socketObj.emit('gameStarted', {
-          gameState: room.gameState,
+          gameState: stateSync.toClientState(room.gameState),
           roomCode: roomCode,
           playerId: playerId,
+          localPlayers: localPlayers.describeLocalPlayers(room, playerId),
           gameMode: room.gameMode
         });
       } else {
         io.to(socket.id).emit('gameStarted', {
-          gameState: room.gameState,
+          gameState: stateSync.toClientState(room.gameState),
           roomCode: roomCode,
           playerId: playerId,
+          localPlayers: localPlayers.describeLocalPlayers(room, playerId),
           isHost: player ? player.isHost : false,
           gameMode: room.gameMode
         });
       }
+
+      // Mid-game rejoin: send the full current state so the player can resume control
+      if (gameStartedForReconnect) {
+        stateSync.sendKeyframe(socket, room);
+      }
       return;
     }
     
@@ -1486,7 +2342,7 @@ io.on('connection', (socket) => {
     console.log(`Sending game state to ${socket.id} for room ${roomCode}`);
     const player = getPlayerBySocket(room, socket.id);
     socket.emit('gameStarted', {
-      gameState: room.gameState,
+      gameState: stateSync.toClientState(room.gameState),
       roomCode: roomCode,
       playerId: player ? player.id : socket.id,
       isHost: player ? player.isHost : false,
@@ -1501,6 +2357,11 @@ io.on('connection', (socket) => {
     
     devLog.log('playerInput received:', { socketId: socket.id, roomCode, direction, roomExists: !!room, isGameActive: room?.isGameActive, isPaused: room?.isPaused });
     
+    if (isSpectatorSocket(room, socket.id)) {
+      socket.emit('inputRejected', { reason: 'Spectators cannot control snakes' });
+      return;
+    }
+
     // Reject input if game is not active, paused, or countdown is still active
     if (!room || !room.isGameActive || room.isPaused || (room.countdownActive === true && room.countdownValue !== null && room.countdownValue > 0)) {
       devLog.warn('Input rejected: Game not active, paused, or countdown active', { 
@@ -1514,8 +2375,10 @@ io.on('connection', (socket) => {
       return;
     }
 
-    // First, try to get player ID from socket mapping (for reconnected players)
-    const playerId = getPlayerIdFromSocket(room, socket.id);
+    // First, try to get player ID from socket mapping (for reconnected players); in couch mode
+    // data.playerId picks one of the local players sharing this socket (see localPlayers.js)
+    const socketPlayerId = getPlayerIdFromSocket(room, socket.id);
+    const playerId = socketPlayerId ? localPlayers.resolveInputPlayerId(room, socketPlayerId, data.playerId) : null;
     const player = playerId ? room.players.get(playerId) : null;
     devLog.log(`Looking for player with playerId: ${playerId}, found: ${!!player}`);
     
@@ -1562,7 +2425,7 @@ io.on('connection', (socket) => {
     }
 
     devLog.log(`Processing input for player ${player.name} (${playerId}): ${direction}`);
-    gameLogic.processPlayerInput(room, gameStatePlayerId, direction);
+    gameLogic.processPlayerInput(room, gameStatePlayerId, gameLogic.resolveRelativeInput(gameStatePlayer, direction));
   });
 
   // Handle pause/resume/quit
@@ -1576,6 +2439,11 @@ io.on('connection', (socket) => {
       return;
     }
 
+    if (isSpectatorSocket(room, socket.id)) {
+      socket.emit('pauseError', { message: 'Spectators cannot pause the game' });
+      return;
+    }
+
     const player = getPlayerBySocket(room, socket.id);
     if (!player || player.type !== 'human') {
       socket.emit('pauseError', { message: 'Player not found' });
@@ -1608,9 +2476,7 @@ io.on('connection', (socket) => {
     
     // Send gameStateUpdate to ensure all players sync pause state
     if (room.gameState) {
-      io.to(roomCode).emit('gameStateUpdate', {
-        gameState: room.gameState
-      });
+      stateSync.broadcastGameState(io, room, true);
     }
   });
 
@@ -1624,6 +2490,11 @@ io.on('connection', (socket) => {
       return;
     }
 
+    if (isSpectatorSocket(room, socket.id)) {
+      socket.emit('resumeError', { message: 'Spectators cannot resume the game' });
+      return;
+    }
+
     const player = getPlayerBySocket(room, socket.id);
     if (!player || player.type !== 'human') {
       socket.emit('resumeError', { message: 'Player not found' });
@@ -1648,6 +2519,18 @@ io.on('connection', (socket) => {
       return;
     }
 
+    // Spectators just stop watching - the game is unaffected
+    if (isSpectatorSocket(room, socket.id)) {
+      const spectator = room.spectators.get(socket.id);
+      room.spectators.delete(socket.id);
+      socket.leave(roomCode);
+      io.to(roomCode).emit('spectatorLeft', {
+        spectatorName: spectator.name,
+        spectators: getSpectatorList(room)
+      });
+      return;
+    }
+
     const player = getPlayerBySocket(room, socket.id);
     if (!player || player.type !== 'human') {
       return;
@@ -1683,22 +2566,14 @@ io.on('connection', (socket) => {
       const alivePlayers = players.filter(p => p.isAlive).map(p => ({ id: p.id, name: p.name, type: p.type, score: p.score }));
       const deadPlayers = players.filter(p => !p.isAlive).map(p => ({ id: p.id, name: p.name, type: p.type, score: p.score }));
       
-      // Emit gameEnded event
-      if (room.gameState) {
-        io.to(roomCode).emit('gameEnded', {
-          winner: room.gameState.winner,
-          gameState: room.gameState,
-          gameMode: room.gameMode,
-          alivePlayers: alivePlayers,
-          deadPlayers: deadPlayers,
-          roomCode: roomCode
-        });
-      }
-      
-      // Mark session as ended and clean up
+      // Emit gameEnded event, then mark session as ended and clean up
       markSessionAsEnded(roomCode, 'player_quit');
       removePublicRoom(roomCode);
-      rooms.delete(roomCode);
+      if (room.gameState) {
+        gameLogic.endMatch(io, room, { winner: room.gameState.winner, alivePlayers, deadPlayers }, { cleanupDelay: 0 });
+      } else {
+        rooms.delete(roomCode);
+      }
       
       return;
     }
@@ -1722,11 +2597,14 @@ io.on('connection', (socket) => {
       return;
     }
 
+    localPlayers.removeLocalPlayers(room, player.id); // Couch players on this keyboard leave too
+
     // Mark player as dead in game state (their snake stops moving)
     if (room.gameState) {
       // Mark by player ID
       if (room.gameState.players[player.id]) {
         room.gameState.players[player.id].isAlive = false;
+        lives.forfeitLives(room.gameState.players[player.id]);
         // Cancel power-ups on quit
         if (room.enablePowerups) {
           const powerups = require('./powerups');
@@ -1741,6 +2619,7 @@ io.on('connection', (socket) => {
         if (room.gameState.players[playerId].name === player.name && 
             room.gameState.players[playerId].type === 'human') {
           room.gameState.players[playerId].isAlive = false;
+          lives.forfeitLives(room.gameState.players[playerId]);
           // Cancel power-ups on quit
           if (room.enablePowerups) {
             const powerups = require('./powerups');
@@ -1756,10 +2635,7 @@ io.on('connection', (socket) => {
       
       // Send gameStateUpdate to all players so they see the snake stop immediately
       if (room.isGameActive && room.gameState) {
-        io.to(roomCode).emit('gameStateUpdate', {
-          gameState: room.gameState,
-          playerId: player.id
-        });
+        stateSync.broadcastGameState(io, room, true);
       }
     }
 
@@ -1797,24 +2673,12 @@ io.on('connection', (socket) => {
       const alivePlayers = Object.values(room.gameState.players).filter(p => p.isAlive);
       const deadPlayers = Object.values(room.gameState.players).filter(p => !p.isAlive);
       
-      io.to(roomCode).emit('gameEnded', {
-        winner: room.gameState.winner,
-        gameState: room.gameState,
-        gameMode: room.gameMode,
-        alivePlayers: alivePlayers,
-        deadPlayers: deadPlayers,
-        roomCode: roomCode
-      });
-      
-      // Clean up room after delay
-      setTimeout(() => {
-        const checkRoom = rooms.get(roomCode);
-        if (checkRoom && !checkRoom.isGameActive) {
-          removePublicRoom(roomCode);
-          markSessionAsEnded(roomCode, 'game_ended');
-          rooms.delete(roomCode);
+      gameLogic.endMatch(io, room, { winner: room.gameState.winner, alivePlayers, deadPlayers }, {
+        onCleanup: code => {
+          removePublicRoom(code);
+          markSessionAsEnded(code, 'game_ended');
         }
-      }, 10000);
+      });
       
       return;
     }
@@ -1858,7 +2722,7 @@ io.on('connection', (socket) => {
       
       // If host quit AND game has started, assign new host randomly
       if (wasHost && remainingPlayerCount > 0 && room.isGameActive) {
-        const remainingPlayers = Array.from(room.players.values());
+        const remainingPlayers = localPlayers.getHostCandidates(Array.from(room.players.values()));
         const randomIndex = Math.floor(Math.random() * remainingPlayers.length);
         const newHost = remainingPlayers[randomIndex];
         newHost.isHost = true;
@@ -1874,13 +2738,11 @@ io.on('connection', (socket) => {
         
         // Send updated gameState to all players
         if (room.gameState) {
-          io.to(roomCode).emit('gameStateUpdate', {
-            gameState: room.gameState
-          });
+          stateSync.broadcastGameState(io, room, true);
         }
       } else if (wasHost && remainingPlayerCount > 0 && !room.isGameActive) {
         // Host quit before game started - assign first player as host
-        const newHost = Array.from(room.players.values())[0];
+        const newHost = localPlayers.getHostCandidates(Array.from(room.players.values()))[0];
         newHost.isHost = true;
         devLog.log(`Assigned new host: ${newHost.name} (${newHost.id}) - game not started yet`);
         io.to(roomCode).emit('hostChanged', {
@@ -1902,7 +2764,11 @@ io.on('connection', (socket) => {
         return;
       }
 
-      const player = getPlayerBySocket(room, socket.id);
+      // Spectators share the room chat, tagged so players can tell them apart
+      const spectator = room.spectators ? room.spectators.get(socket.id) : null;
+      const player = spectator
+        ? { id: socket.id, name: `${spectator.name} (spectator)` }
+        : getPlayerBySocket(room, socket.id);
       
       if (!player) {
         devLog.warn('Chat: Player not found for socket:', socket.id, 'in room:', roomCode);
@@ -1940,6 +2806,17 @@ io.on('connection', (socket) => {
     console.log('Player disconnected:', socket.id);
     
     for (const [roomCode, room] of rooms.entries()) {
+      if (isSpectatorSocket(room, socket.id)) {
+        const spectator = room.spectators.get(socket.id);
+        room.spectators.delete(socket.id);
+        io.to(roomCode).emit('spectatorLeft', {
+          spectatorName: spectator.name,
+          spectators: getSpectatorList(room)
+        });
+        addOrUpdatePublicRoom(room);
+        continue;
+      }
+
       const playerId = getPlayerIdFromSocket(room, socket.id);
       if (!playerId) {
         continue;
@@ -1957,6 +2834,9 @@ io.on('connection', (socket) => {
          broadcastPublicRooms(io);
        }
 
+      // Multiplayer seats are held during an active game (reconnect grace period)
+      const holdsSeat = room.gameMode === 'multi-player' && room.isGameActive;
+
       // Immediately mark session as ended when player disconnects (page refresh)
       // BUT: Only if game has actually started (not during ready phase)
       if (room.sessionId && gameSessions.has(room.sessionId)) {
@@ -1964,13 +2844,15 @@ io.on('connection', (socket) => {
         // Only mark as ended if game has started (startTime > 0)
         // During ready phase (before game starts), don't mark session as ended yet
         const gameHasStarted = room.gameState && room.gameState.startTime && room.gameState.startTime > 0;
-        if (!session.endTime && gameHasStarted) {
+        if (!session.endTime && gameHasStarted && !holdsSeat) {
           session.endTime = Date.now();
           session.endReason = 'page_refresh_disconnect';
           devLog.log(`Session ${room.sessionId} marked as ended immediately on disconnect (game had started)`);
         } else if (!session.endTime && !gameHasStarted) {
           // Game hasn't started yet - player can still rejoin during ready phase
           devLog.log(`Session ${room.sessionId} - player disconnected during ready phase, session not ended yet`);
+        } else if (!session.endTime && holdsSeat) {
+          devLog.log(`Session ${room.sessionId} - player disconnected mid-game, waiting for reconnection`);
         }
       }
 
@@ -1979,10 +2861,13 @@ io.on('connection', (socket) => {
       }
 
       // Delete player token immediately on disconnect to prevent reconnection
-      // BUT: Keep token during ready phase (before game starts) for multiplayer to allow reconnection
+      // BUT: Keep token during ready phase (before game starts) and while a multiplayer seat is held
       const gameHasStarted = room.gameState && room.gameState.startTime && room.gameState.startTime > 0;
       if (room.playerTokens && player.token) {
-        if (gameHasStarted || room.gameMode !== 'multi-player') {
+        if (holdsSeat) {
+          // Active multiplayer game - token removed when the grace period expires
+          devLog.log(`Keeping player token for ${player.name} - reconnect grace period`);
+        } else if (gameHasStarted || room.gameMode !== 'multi-player') {
           // Game has started OR not multiplayer - delete token (no reconnection)
           room.playerTokens.delete(player.token);
           devLog.log(`Deleted player token for ${player.name} on disconnect - session expired (game started or not multiplayer)`);
@@ -1998,7 +2883,7 @@ io.on('connection', (socket) => {
         player.socketId = null;
 
         // For solo/single-player modes: pause game on disconnect, allow reconnection
-        // (Multiplayer: sessions expire immediately, no reconnection)
+        // (Multiplayer: seat is held for RECONNECT_GRACE_PERIOD, see below)
         if (room.gameMode === 'solo' || room.gameMode === 'single-player') {
           console.log(`Player ${player.name} disconnected from ${room.gameMode} game, pausing game (allowing reconnection)`);
           
@@ -2011,103 +2896,29 @@ io.on('connection', (socket) => {
           // Don't continue with disconnect logic - just pause
           break;
         } else if (room.gameMode === 'multi-player') {
-          // Store wasHost BEFORE any changes
-          const wasHost = player.isHost;
           const playerName = player.name;
-          
-          // For multiplayer: Mark player as dead when they disconnect
+
+          // Hold the seat: freeze the snake and keep the token so the player can
+          // resume control if they rejoin within the grace period
           if (room.gameState && room.gameState.players[player.id]) {
-            const gameStatePlayer = room.gameState.players[player.id];
-            gameStatePlayer.isAlive = false;
-            if (room.enablePowerups) {
-              const powerups = require('./powerups');
-              if (powerups && powerups.cancelPlayerPowerUps) {
-                powerups.cancelPlayerPowerUps(gameStatePlayer);
-              }
-            }
-            devLog.log(`Marked player ${playerName} (${player.id}) as dead on disconnect`);
+            room.gameState.players[player.id].disconnected = true;
           }
+          localPlayers.syncLocalPlayers(room, player);
 
-          devLog.log(`Player ${playerName} disconnected from multiplayer game, marked as dead`);
-
-          // Check connected players (excluding the one disconnecting)
-          const remainingConnectedPlayers = Array.from(room.players.values()).filter(p => p.socketId && p.id !== player.id);
-          
-          // If only one connected player left and game is active, end the game
-          if (remainingConnectedPlayers.length === 1 && room.isGameActive && room.gameState) {
-            const lastPlayer = remainingConnectedPlayers[0];
-            devLog.log(`Only one connected player (${lastPlayer.name}) remaining after disconnect, ending game`);
-            
-            // Check win condition to determine winner
-            gameLogic.checkWinCondition(room.gameState, false, room);
-            
-            // Stop game loop
-            room.isGameActive = false;
-            gameLogic.stopGameLoop(room);
-            
-            // Emit gameEnded event
-            const alivePlayers = Object.values(room.gameState.players).filter(p => p.isAlive);
-            const deadPlayers = Object.values(room.gameState.players).filter(p => !p.isAlive);
-            
-            io.to(roomCode).emit('gameEnded', {
-              winner: room.gameState.winner,
-              gameState: room.gameState,
-              gameMode: room.gameMode,
-              alivePlayers: alivePlayers,
-              deadPlayers: deadPlayers,
-              roomCode: roomCode
-            });
-            
-            // Clean up room after delay
-            setTimeout(() => {
-              const checkRoom = rooms.get(roomCode);
-              if (checkRoom && !checkRoom.isGameActive) {
-                removePublicRoom(roomCode);
-                markSessionAsEnded(roomCode, 'game_ended');
-                rooms.delete(roomCode);
-              }
-            }, 10000);
-            
-            // Don't continue with disconnect logic since game ended
-            break;
+          if (player.disconnectTimeoutId) {
+            clearTimeout(player.disconnectTimeoutId);
           }
+          player.disconnectTimeoutId = setTimeout(() => {
+            expireDisconnectedPlayer(roomCode, playerId);
+          }, RECONNECT_GRACE_PERIOD);
 
-          if (remainingConnectedPlayers.length > 0) {
-            devLog.log(`Emitting playerLeft for ${playerName} (wasHost: ${wasHost}) to room ${roomCode}`);
-            io.to(roomCode).emit('playerLeft', {
-              playerName: playerName,
-              reason: 'disconnected',
-              wasHost: wasHost,
-              players: remainingConnectedPlayers.map(p => ({
-                id: p.id,
-                name: p.name,
-                isHost: p.isHost
-              }))
-            });
-            
-            // If host disconnected AND game has started, assign new host randomly from connected players
-            if (wasHost && remainingConnectedPlayers.length > 0 && room.isGameActive) {
-              const randomIndex = Math.floor(Math.random() * remainingConnectedPlayers.length);
-              const newHost = remainingConnectedPlayers[randomIndex];
-              newHost.isHost = true;
-              
-              // Update gameState to reflect new host
-              updateGameStateHost(room, newHost.id);
-              
-              devLog.log(`Assigned new host randomly: ${newHost.name} (${newHost.id}) - game was active`);
-              io.to(roomCode).emit('hostChanged', {
-                newHostId: newHost.id,
-                newHostName: newHost.name
-              });
-              
-              // Send updated gameState to all players
-              if (room.gameState) {
-                io.to(roomCode).emit('gameStateUpdate', {
-                  gameState: room.gameState
-                });
-              }
-            }
-          }
+          devLog.log(`Player ${playerName} disconnected from multiplayer game, holding seat for ${RECONNECT_GRACE_PERIOD}ms`);
+
+          io.to(roomCode).emit('playerDisconnected', {
+            playerId: player.id,
+            playerName: playerName,
+            gracePeriod: RECONNECT_GRACE_PERIOD
+          });
 
           const connectedPlayers = Array.from(room.players.values()).filter(p => p.socketId && p.id !== player.id);
           if (connectedPlayers.length === 0) {
@@ -2119,22 +2930,17 @@ io.on('connection', (socket) => {
               clearTimeout(roomCleanupTimeouts.get(roomCode));
             }
 
-            // For ready phase (game not started), give more time for reconnection
-            const gameStartedForCleanup = room.gameState && room.gameState.startTime && room.gameState.startTime > 0;
-            const roomCleanupTimeout = gameStartedForCleanup ? 10000 : 30000; // 30 seconds during ready phase, 10 seconds after game starts
-            devLog.log(`Setting room cleanup timeout for ${roomCode}: ${roomCleanupTimeout}ms (gameStarted: ${gameStartedForCleanup})`);
-            
             const timeoutId = setTimeout(() => {
               const checkRoom = rooms.get(roomCode);
               const activePlayers = checkRoom ? Array.from(checkRoom.players.values()).filter(p => p.socketId) : [];
               if (checkRoom && activePlayers.length === 0) {
-              removePublicRoom(roomCode);
+                removePublicRoom(roomCode);
                 markSessionAsEnded(roomCode, 'all_players_disconnected');
                 rooms.delete(roomCode);
                 roomCleanupTimeouts.delete(roomCode);
                 console.log(`Room ${roomCode} deleted after timeout (no reconnection)`);
               }
-            }, roomCleanupTimeout);
+            }, RECONNECT_GRACE_PERIOD);
 
             roomCleanupTimeouts.set(roomCode, timeoutId);
           }
@@ -2155,6 +2961,7 @@ io.on('connection', (socket) => {
         player.disconnected = true;
         player.disconnectedAt = Date.now();
         player.socketId = null;
+        localPlayers.syncLocalPlayers(room, player);
 
         if (player.disconnectTimeoutId) {
           clearTimeout(player.disconnectTimeoutId);
@@ -2175,6 +2982,7 @@ io.on('connection', (socket) => {
           }
 
           const wasHost = currentPlayer.isHost;
+          localPlayers.removeLocalPlayers(currentRoom, playerId);
           currentRoom.players.delete(playerId);
           // Only delete token if game has started (keep during ready phase for reconnection)
           if (currentRoom.playerTokens && currentPlayer.token) {
@@ -2188,7 +2996,7 @@ io.on('connection', (socket) => {
           }
 
           if (wasHost && currentRoom.players.size > 0) {
-            const newHost = Array.from(currentRoom.players.values())[0];
+            const newHost = localPlayers.getHostCandidates(Array.from(currentRoom.players.values()))[0];
             newHost.isHost = true;
             
             // Update gameState if game is active
@@ -2203,21 +3011,16 @@ io.on('connection', (socket) => {
             
             // Send updated gameState if game is active
             if (currentRoom.isGameActive && currentRoom.gameState) {
-              io.to(roomCode).emit('gameStateUpdate', {
-                gameState: currentRoom.gameState
-              });
+              stateSync.broadcastGameState(io, currentRoom, true);
             }
           }
 
+          teams.normalizeTeams(currentRoom);
           io.to(roomCode).emit('playerLeft', {
             playerName: currentPlayer.name,
             reason: 'disconnected',
             wasHost,
-            players: Array.from(currentRoom.players.values()).map(p => ({
-              id: p.id,
-              name: p.name,
-              isHost: p.isHost
-            }))
+            players: getPlayerList(currentRoom)
           });
 
           if (currentRoom.readyPlayers) {
@@ -2251,13 +3054,14 @@ io.on('connection', (socket) => {
         player.disconnectedAt = Date.now();
         player.socketId = null;
       } else {
+        localPlayers.removeLocalPlayers(room, playerId);
         room.players.delete(playerId);
         if (room.playerTokens && player.token) {
           room.playerTokens.delete(player.token);
         }
 
         if (player.isHost && room.players.size > 0) {
-          const newHost = Array.from(room.players.values())[0];
+          const newHost = localPlayers.getHostCandidates(Array.from(room.players.values()))[0];
           newHost.isHost = true;
           
           // Update gameState if game is active
@@ -2272,19 +3076,14 @@ io.on('connection', (socket) => {
           
           // Send updated gameState if game is active
           if (room.isGameActive && room.gameState) {
-            io.to(roomCode).emit('gameStateUpdate', {
-              gameState: room.gameState
-            });
+            stateSync.broadcastGameState(io, room, true);
           }
         }
 
+        teams.normalizeTeams(room);
         io.to(roomCode).emit('playerLeft', {
           playerName: player.name,
-          players: Array.from(room.players.values()).map(p => ({
-            id: p.id,
-            name: p.name,
-            isHost: p.isHost
-          }))
+          players: getPlayerList(room)
         });
 
         if (room.players.size === 0 && !room.isGameActive && !room.gameState) {
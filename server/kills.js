@@ -0,0 +1,48 @@
+// Kill attribution: a snake that crashes into another snake's body is credited to that snake.
+// Every player has kills/deaths counters in gameState.players; gameState.killPoints is the score
+// bonus per kill (0 = kills don't score). Each death is broadcast as a 'playerKilled' event
+// ({ victimId, victimName, killerId, killerName, cause, time }) for the HUD kill feed.
+const simulation = require('./simulation');
+const teams = require('./teams');
+
+const KILL_POINTS_OPTIONS = [0, 25, 50, 100];
+
+function isValidKillPoints(value) {
+  return KILL_POINTS_OPTIONS.includes(value);
+}
+
+// The snake that was hit, or null for deaths nobody caused (walls, self, zone, head-to-head trades)
+function getKiller(gameState, victim, collisionType, details) {
+  if (collisionType !== 'head-to-body' || !details) {
+    return null;
+  }
+  const killer = gameState.players[details.otherPlayerId];
+  if (!killer || killer.id === victim.id || teams.areTeammates(killer, victim)) {
+    return null;
+  }
+  return killer;
+}
+
+// Count the death (and the kill, with its score bonus). Returns the kill event payload.
+function recordKill(gameState, victim, killer, cause) {
+  victim.deaths = (victim.deaths || 0) + 1;
+  if (killer) {
+    killer.kills = (killer.kills || 0) + 1;
+    killer.score += gameState.killPoints || 0;
+  }
+  return {
+    victimId: victim.id,
+    victimName: victim.name,
+    killerId: killer ? killer.id : null,
+    killerName: killer ? killer.name : null,
+    cause,
+    time: simulation.getSimTime(gameState)
+  };
+}
+
+module.exports = {
+  KILL_POINTS_OPTIONS,
+  isValidKillPoints,
+  getKiller,
+  recordKill
+};
@@ -0,0 +1,144 @@
+// Lives and respawn (multiplayer): each human starts with gameState.lives.max lives. A death
+// costs a life and part of the score; with lives left the snake comes back at length 1 after
+// respawnDelay, at a spot away from other snakes, and can't crash for protectionTime.
+// gameState.lives = { max, respawnDelay, protectionTime, scorePenalty } (null when the mode is off);
+// per player: lives (remaining), respawnAt (game-clock ms, null unless waiting) and
+// spawnProtectedUntil (game-clock ms).
+const simulation = require('./simulation');
+const maps = require('./maps');
+const arena = require('./arena');
+
+const LIVES_OPTIONS = [2, 3, 5];
+const RESPAWN_DELAY = 3000; // Game-clock ms spent dead before coming back
+const SPAWN_PROTECTION_TIME = 2000; // Game-clock ms of immunity after a respawn
+const DEATH_SCORE_PENALTY = 0.25; // Share of the score lost on each death
+const SAFE_SPAWN_DISTANCE = 5; // Cells kept between a respawn and other snakes' heads
+
+function isValidLives(value) {
+  return value === null || LIVES_OPTIONS.includes(value);
+}
+
+function createLives(maxLives) {
+  if (!maxLives) {
+    return null;
+  }
+  return {
+    max: maxLives,
+    respawnDelay: RESPAWN_DELAY,
+    protectionTime: SPAWN_PROTECTION_TIME,
+    scorePenalty: DEATH_SCORE_PENALTY
+  };
+}
+
+// Lives only apply to humans (team-mode bot fillers are out after one death)
+function usesLives(gameState, player) {
+  return Boolean(gameState.lives) && player.type === 'human';
+}
+
+// Still in the game: alive, or dead with a respawn pending
+function isInPlay(player) {
+  return player.isAlive || (player.respawnAt !== null && player.respawnAt !== undefined);
+}
+
+function isSpawnProtected(gameState, player) {
+  return Boolean(player.spawnProtectedUntil) && simulation.getSimTime(gameState) < player.spawnProtectedUntil;
+}
+
+// Called when a snake dies: spend a life, apply the score penalty, schedule the respawn
+// (deaths in sudden-death overtime are final, see winConditions.js)
+function handleDeath(gameState, player, simTime) {
+  if (!usesLives(gameState, player)) {
+    return;
+  }
+  player.lives = Math.max(0, (player.lives || 0) - 1);
+  player.score -= Math.floor(player.score * gameState.lives.scorePenalty);
+  player.spawnProtectedUntil = null;
+  player.respawnAt = player.lives > 0 && !gameState.overtime ? simTime + gameState.lives.respawnDelay : null;
+}
+
+// Leaving the game (quit, kick, reconnect timeout) gives up the remaining lives
+function forfeitLives(player) {
+  player.lives = 0;
+  player.respawnAt = null;
+}
+
+function distanceToNearestHead(gameState, x, y) {
+  let nearest = Infinity;
+  Object.values(gameState.players).forEach(player => {
+    if (player.isAlive && player.snake[0]) {
+      nearest = Math.min(nearest, Math.abs(player.snake[0].x - x) + Math.abs(player.snake[0].y - y));
+    }
+  });
+  return nearest;
+}
+
+// Start seats first, then seeded random cells: the first free one far enough from every head,
+// otherwise the free candidate furthest from them
+function findRespawnPosition(gameState) {
+  const occupied = new Set();
+  Object.values(gameState.players).forEach(player => {
+    if (player.isAlive) {
+      player.snake.forEach(segment => occupied.add(`${segment.x},${segment.y}`));
+    }
+  });
+  const bounds = arena.getArenaBounds(gameState);
+  const centerX = (bounds.minX + bounds.maxX) / 2;
+  const candidates = maps.getStartPositions(gameState.gridWidth, gameState.gridHeight, Object.keys(gameState.players).length);
+  for (let i = 0; i < 30; i++) {
+    const x = bounds.minX + simulation.randomInt(gameState, bounds.maxX - bounds.minX + 1);
+    const y = bounds.minY + simulation.randomInt(gameState, bounds.maxY - bounds.minY + 1);
+    candidates.push({ x, y, dir: x <= centerX ? 'right' : 'left' }); // Head away from the nearer side wall
+  }
+
+  let best = null;
+  let bestDistance = -1;
+  for (const pos of candidates) {
+    if (occupied.has(`${pos.x},${pos.y}`) || !arena.isInsideArena(gameState, pos.x, pos.y) || maps.isObstacle(gameState, pos.x, pos.y)) {
+      continue;
+    }
+    const distance = distanceToNearestHead(gameState, pos.x, pos.y);
+    if (distance >= SAFE_SPAWN_DISTANCE) {
+      return pos;
+    }
+    if (distance > bestDistance) {
+      best = pos;
+      bestDistance = distance;
+    }
+  }
+  return best || { x: Math.floor(centerX), y: Math.floor((bounds.minY + bounds.maxY) / 2), dir: 'right' };
+}
+
+// Per tick: bring back snakes whose respawn is due. Returns the players that respawned.
+function updateRespawns(gameState, simTime) {
+  if (!gameState.lives) {
+    return [];
+  }
+  const respawned = [];
+  Object.values(gameState.players).forEach(player => {
+    if (player.isAlive || player.respawnAt === null || player.respawnAt === undefined || simTime < player.respawnAt) {
+      return;
+    }
+    const pos = findRespawnPosition(gameState);
+    player.isAlive = true;
+    player.snake = [{ x: pos.x, y: pos.y }];
+    player.direction = pos.dir;
+    player.nextDirection = pos.dir;
+    player.speedAccumulator = 0;
+    player.respawnAt = null;
+    player.spawnProtectedUntil = simTime + gameState.lives.protectionTime;
+    respawned.push(player);
+  });
+  return respawned;
+}
+
+module.exports = {
+  LIVES_OPTIONS,
+  isValidLives,
+  createLives,
+  usesLives,
+  isInPlay,
+  isSpawnProtected,
+  handleDeath,
+  forfeitLives,
+  updateRespawns
+};
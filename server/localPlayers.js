@@ -0,0 +1,130 @@
+// Local (couch) players: one client registers extra players that share its keyboard, each bound to
+// its own control scheme. They are regular room players (room.players) with localOwnerId set to
+// the player who registered them; they share the owner's socket, follow the owner's connection
+// state and leave with the owner. The owner's socket may send input for any of them
+// (playerInput with playerId).
+const lives = require('./lives');
+
+const CONTROL_SCHEMES = ['wasd', 'arrows', 'ijkl', 'tfgh'];
+const MAX_PLAYERS_PER_CLIENT = CONTROL_SCHEMES.length; // Owner included - one scheme each
+
+function isValidControlScheme(scheme) {
+  return CONTROL_SCHEMES.includes(scheme);
+}
+
+function getLocalPlayers(room, ownerId) {
+  return Array.from(room.players.values()).filter(player => player.localOwnerId === ownerId);
+}
+
+// Payload for the owner's client: [{ id, name, controlScheme }]
+function describeLocalPlayers(room, ownerId) {
+  return getLocalPlayers(room, ownerId).map(player => ({
+    id: player.id,
+    name: player.name,
+    controlScheme: player.controlScheme
+  }));
+}
+
+// Schemes still free on the owner's keyboard
+function getFreeControlSchemes(room, owner) {
+  const used = [owner, ...getLocalPlayers(room, owner.id)].map(player => player.controlScheme || 'wasd');
+  return CONTROL_SCHEMES.filter(scheme => !used.includes(scheme));
+}
+
+// Returns an error message, or null when the player can be added
+function validateNewLocalPlayer(room, owner, playerName, controlScheme) {
+  if (owner.localOwnerId) {
+    return 'Local players cannot add more players';
+  }
+  if (getLocalPlayers(room, owner.id).length + 1 >= MAX_PLAYERS_PER_CLIENT) {
+    return `At most ${MAX_PLAYERS_PER_CLIENT} players can share one keyboard`;
+  }
+  if (!isValidControlScheme(controlScheme)) {
+    return 'Unknown control scheme';
+  }
+  if (!getFreeControlSchemes(room, owner).includes(controlScheme)) {
+    return 'That control scheme is already used on this keyboard';
+  }
+  return null;
+}
+
+function createLocalPlayer(owner, playerId, playerName, controlScheme) {
+  return {
+    id: playerId,
+    name: playerName,
+    socketId: owner.socketId,
+    token: `${owner.token}-${controlScheme}`,
+    type: 'human',
+    isHost: false,
+    controlScheme,
+    localOwnerId: owner.id
+  };
+}
+
+// Players that can take over as host (local players can't - host controls go through the owner's socket)
+function getHostCandidates(players) {
+  return players.filter(player => !player.localOwnerId);
+}
+
+// Player id a socket's input applies to: the owner, or one of the owner's local players
+function resolveInputPlayerId(room, ownerId, requestedId) {
+  if (!requestedId || requestedId === ownerId) {
+    return ownerId;
+  }
+  const player = room.players.get(requestedId);
+  return player && player.localOwnerId === ownerId ? requestedId : null;
+}
+
+// Copy the owner's connection (socket, disconnect state, frozen snake) to their local players
+function syncLocalPlayers(room, owner) {
+  const ownerState = room.gameState && room.gameState.players[owner.id];
+  getLocalPlayers(room, owner.id).forEach(player => {
+    player.socketId = owner.socketId;
+    player.disconnected = owner.disconnected;
+    player.disconnectedAt = owner.disconnectedAt;
+    const gameStatePlayer = room.gameState && room.gameState.players[player.id];
+    if (gameStatePlayer && ownerState) {
+      gameStatePlayer.disconnected = ownerState.disconnected;
+      if (!ownerState.disconnected && room.gameState.lastPlayerInputTime) {
+        room.gameState.lastPlayerInputTime[player.id] = Date.now(); // Not kicked right after a reconnect
+      }
+    }
+  });
+}
+
+// The owner left: remove their local players from the room; snakes already in a game are out.
+// Returns the removed players.
+function removeLocalPlayers(room, ownerId) {
+  const removed = getLocalPlayers(room, ownerId);
+  removed.forEach(player => {
+    room.players.delete(player.id);
+    if (room.readyPlayers) {
+      room.readyPlayers.delete(player.id);
+    }
+    const gameStatePlayer = room.gameState && room.gameState.players[player.id];
+    if (gameStatePlayer) {
+      gameStatePlayer.isAlive = false;
+      gameStatePlayer.disconnected = false;
+      lives.forfeitLives(gameStatePlayer);
+      if (room.enablePowerups) {
+        require('./powerups').cancelPlayerPowerUps(gameStatePlayer);
+      }
+    }
+  });
+  return removed;
+}
+
+module.exports = {
+  CONTROL_SCHEMES,
+  MAX_PLAYERS_PER_CLIENT,
+  isValidControlScheme,
+  getLocalPlayers,
+  describeLocalPlayers,
+  getFreeControlSchemes,
+  validateNewLocalPlayer,
+  createLocalPlayer,
+  getHostCandidates,
+  resolveInputPlayerId,
+  syncLocalPlayers,
+  removeLocalPlayers
+};
@@ -0,0 +1,340 @@
+// Arena maps: static obstacles placed on the board
+// Map JSON format (exported/imported by the map editor, client/editor.html):
+//   { "format": "snake-map", "version": 1, "name": "My map",
+//     "width": 30, "height": 30, "obstacles": [{ "x": 3, "y": 4 }, ...] }
+// Built-in maps are generated for the room's board size; custom maps carry their own size.
+const { MIN_GRID_SIZE, MAX_GRID_SIZE } = require('./config');
+
+const MAP_FORMAT = 'snake-map';
+const MAP_VERSION = 1;
+const MAX_MAP_NAME_LENGTH = 40;
+const MAX_OBSTACLE_RATIO = 0.4; // At most 40% of the board can be obstacles
+
+const DIRECTION_STEPS = {
+  up: { x: 0, y: -1 },
+  down: { x: 0, y: 1 },
+  left: { x: -1, y: 0 },
+  right: { x: 1, y: 0 }
+};
+
+// Spawn points for a game. Up to four players use the corners (inset 5 cells);
+// bigger rooms are spread evenly around an ellipse, each heading clockwise.
+function getStartPositions(gridWidth, gridHeight, count = 4) {
+  if (count <= 4) {
+    return [
+      { x: 5, y: 5, dir: 'right' },
+      { x: gridWidth - 6, y: gridHeight - 6, dir: 'left' },
+      { x: 5, y: gridHeight - 6, dir: 'right' },
+      { x: gridWidth - 6, y: 5, dir: 'left' }
+    ];
+  }
+
+  const cx = (gridWidth - 1) / 2;
+  const cy = (gridHeight - 1) / 2;
+  const rx = cx - 4;
+  const ry = cy - 4;
+  const positions = [];
+  for (let i = 0; i < count; i++) {
+    const angle = (2 * Math.PI * i) / count - (3 * Math.PI) / 4; // First seat in the top-left
+    const tx = -Math.sin(angle);
+    const ty = Math.cos(angle);
+    const dir = Math.abs(tx) > Math.abs(ty) ? (tx > 0 ? 'right' : 'left') : (ty > 0 ? 'down' : 'up');
+    positions.push({
+      x: Math.round(cx + rx * Math.cos(angle)),
+      y: Math.round(cy + ry * Math.sin(angle)),
+      dir
+    });
+  }
+  return positions;
+}
+
+// Most players that fit a board with room to move (the corner layout always fits four)
+function getMaxPlayersForGrid(gridWidth, gridHeight) {
+  const rx = (gridWidth - 1) / 2 - 4;
+  const ry = (gridHeight - 1) / 2 - 4;
+  const perimeter = 2 * Math.PI * Math.sqrt((rx * rx + ry * ry) / 2);
+  return Math.max(4, Math.floor(perimeter / 4)); // Keep spawns at least ~4 cells apart
+}
+
+// Cells that must stay free: around each spawn point and a few cells ahead of it
+function getSpawnZone(positions) {
+  const zone = new Set();
+  positions.forEach(pos => {
+    for (let dy = -2; dy <= 2; dy++) {
+      for (let dx = -2; dx <= 2; dx++) {
+        zone.add(`${pos.x + dx},${pos.y + dy}`);
+      }
+    }
+    const step = DIRECTION_STEPS[pos.dir] || DIRECTION_STEPS.right;
+    for (let i = 3; i <= 5; i++) {
+      zone.add(`${pos.x + step.x * i},${pos.y + step.y * i}`);
+    }
+  });
+  return zone;
+}
+
+// Maps are built around the four corner spawns; big rooms clear obstacles off their extra spawns
+function clearSpawnAreas(obstacles, positions) {
+  const zone = getSpawnZone(positions);
+  return obstacles.filter(cell => !zone.has(`${cell.x},${cell.y}`));
+}
+
+function addRect(cells, x, y, width, height) {
+  for (let dy = 0; dy < height; dy++) {
+    for (let dx = 0; dx < width; dx++) {
+      cells.push({ x: x + dx, y: y + dy });
+    }
+  }
+}
+
+// Built-in map generators: (width, height, spawnZone) => obstacle cells (spawn zones are cleared afterwards)
+const BUILT_IN_MAPS = {
+  empty: {
+    name: 'Empty Arena',
+    generate: () => []
+  },
+  pillars: {
+    name: 'Pillars',
+    generate: (width, height, spawnZone) => {
+      // 2x2 pillars on a 6-cell lattice centred on the board (whole pillars kept out of spawn areas)
+      const cells = [];
+      const spacing = 6;
+      for (let y = (Math.floor(height / 2) - 1) % spacing; y + 1 < height - 2; y += spacing) {
+        for (let x = (Math.floor(width / 2) - 1) % spacing; x + 1 < width - 2; x += spacing) {
+          const pillar = [];
+          addRect(pillar, x, y, 2, 2);
+          if (x >= 2 && y >= 2 && pillar.every(cell => !spawnZone.has(`${cell.x},${cell.y}`))) {
+            cells.push(...pillar);
+          }
+        }
+      }
+      return cells;
+    }
+  },
+  fence: {
+    name: 'Fence',
+    generate: (width, height) => {
+      // Border wall with a gate in the middle of each side
+      const cells = [];
+      const gateX = Math.floor(width / 2);
+      const gateY = Math.floor(height / 2);
+      for (let x = 0; x < width; x++) {
+        if (Math.abs(x - gateX) > 2) {
+          cells.push({ x, y: 0 }, { x, y: height - 1 });
+        }
+      }
+      for (let y = 1; y < height - 1; y++) {
+        if (Math.abs(y - gateY) > 2) {
+          cells.push({ x: 0, y }, { x: width - 1, y });
+        }
+      }
+      return cells;
+    }
+  },
+  cross: {
+    name: 'Cross',
+    generate: (width, height) => {
+      // Plus shape with an open centre
+      const cells = [];
+      const cx = Math.floor(width / 2);
+      const cy = Math.floor(height / 2);
+      const armX = Math.floor(width / 4);
+      const armY = Math.floor(height / 4);
+      for (let x = cx - armX; x <= cx + armX; x++) {
+        if (Math.abs(x - cx) > 2) {
+          cells.push({ x, y: cy });
+        }
+      }
+      for (let y = cy - armY; y <= cy + armY; y++) {
+        if (Math.abs(y - cy) > 2) {
+          cells.push({ x: cx, y });
+        }
+      }
+      return cells;
+    }
+  },
+  maze: {
+    name: 'Maze',
+    generate: (width, height) => {
+      // Staggered horizontal bars, alternating which side is open
+      const cells = [];
+      const gap = Math.max(3, Math.floor(width / 5));
+      let fromLeft = true;
+      for (let y = 8; y < height - 8; y += 4) {
+        const start = fromLeft ? 0 : gap;
+        const end = fromLeft ? width - gap : width;
+        for (let x = start; x < end; x++) {
+          cells.push({ x, y });
+        }
+        fromLeft = !fromLeft;
+      }
+      return cells;
+    }
+  }
+};
+
+// In-bounds, de-duplicated obstacle list with spawn zones removed
+function normalizeObstacles(cells, gridWidth, gridHeight, spawnZone) {
+  const seen = new Set();
+  const obstacles = [];
+  cells.forEach(cell => {
+    const key = `${cell.x},${cell.y}`;
+    if (cell.x < 0 || cell.x >= gridWidth || cell.y < 0 || cell.y >= gridHeight || spawnZone.has(key) || seen.has(key)) {
+      return;
+    }
+    seen.add(key);
+    obstacles.push({ x: cell.x, y: cell.y });
+  });
+  return obstacles;
+}
+
+function listBuiltInMaps() {
+  return Object.entries(BUILT_IN_MAPS).map(([id, map]) => ({ id, name: map.name }));
+}
+
+// Built-in map as a map JSON object for the given board size (null for unknown ids)
+function buildBuiltInMap(mapId, gridWidth, gridHeight) {
+  const builtIn = BUILT_IN_MAPS[mapId];
+  if (!builtIn) {
+    return null;
+  }
+  const spawnZone = getSpawnZone(getStartPositions(gridWidth, gridHeight));
+  return {
+    format: MAP_FORMAT,
+    version: MAP_VERSION,
+    name: builtIn.name,
+    width: gridWidth,
+    height: gridHeight,
+    obstacles: normalizeObstacles(builtIn.generate(gridWidth, gridHeight, spawnZone), gridWidth, gridHeight, spawnZone)
+  };
+}
+
+// Validate an imported map. Returns { map } (normalized) or { error } with a readable message.
+function validateMap(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { error: 'Map must be a JSON object' };
+  }
+  if (input.format !== undefined && input.format !== MAP_FORMAT) {
+    return { error: `Unknown map format "${input.format}"` };
+  }
+  if (input.version !== undefined && input.version !== MAP_VERSION) {
+    return { error: `Unsupported map version ${input.version}` };
+  }
+
+  const width = input.width;
+  const height = input.height;
+  if (!Number.isInteger(width) || !Number.isInteger(height) ||
+      width < MIN_GRID_SIZE || width > MAX_GRID_SIZE || height < MIN_GRID_SIZE || height > MAX_GRID_SIZE) {
+    return { error: `Map width and height must be whole numbers from ${MIN_GRID_SIZE} to ${MAX_GRID_SIZE}` };
+  }
+  if (!Array.isArray(input.obstacles)) {
+    return { error: 'Map obstacles must be an array of { x, y } cells' };
+  }
+  if (input.obstacles.length > Math.floor(width * height * MAX_OBSTACLE_RATIO)) {
+    return { error: `Too many obstacles (max ${Math.floor(width * height * MAX_OBSTACLE_RATIO)} for a ${width}x${height} map)` };
+  }
+
+  const spawnZone = getSpawnZone(getStartPositions(width, height));
+  const seen = new Set();
+  const obstacles = [];
+  for (let i = 0; i < input.obstacles.length; i++) {
+    const cell = input.obstacles[i];
+    if (!cell || !Number.isInteger(cell.x) || !Number.isInteger(cell.y) ||
+        cell.x < 0 || cell.x >= width || cell.y < 0 || cell.y >= height) {
+      return { error: `Obstacle ${i + 1} is not a cell inside the ${width}x${height} board` };
+    }
+    const key = `${cell.x},${cell.y}`;
+    if (spawnZone.has(key)) {
+      return { error: `Obstacle at (${cell.x}, ${cell.y}) blocks a spawn point` };
+    }
+    if (!seen.has(key)) {
+      seen.add(key);
+      obstacles.push({ x: cell.x, y: cell.y });
+    }
+  }
+
+  const name = typeof input.name === 'string' && input.name.trim()
+    ? input.name.trim().slice(0, MAX_MAP_NAME_LENGTH)
+    : 'Custom map';
+
+  return {
+    map: {
+      format: MAP_FORMAT,
+      version: MAP_VERSION,
+      name,
+      width,
+      height,
+      obstacles
+    }
+  };
+}
+
+// Obstacles for a room's game options (built-in map id, or the validated custom map)
+function getMapObstacles(gameOptions) {
+  if (!gameOptions) {
+    return [];
+  }
+  if (gameOptions.mapId === 'custom' && gameOptions.customMap) {
+    return gameOptions.customMap.obstacles.map(cell => ({ x: cell.x, y: cell.y }));
+  }
+  const map = buildBuiltInMap(gameOptions.mapId, gameOptions.gridWidth, gameOptions.gridHeight);
+  return map ? map.obstacles : [];
+}
+
+// Apply a map choice to a room's game options. A custom map also fixes the board size.
+// Returns an error message, or null when the options were updated.
+function applyMapOptions(gameOptions, mapId, customMap = null) {
+  if (customMap || mapId === 'custom') {
+    if (!customMap) {
+      return gameOptions.customMap ? null : 'No custom map uploaded';
+    }
+    const result = validateMap(customMap);
+    if (result.error) {
+      return result.error;
+    }
+    Object.assign(gameOptions, {
+      mapId: 'custom',
+      customMap: result.map,
+      gridSize: 'custom',
+      gridWidth: result.map.width,
+      gridHeight: result.map.height
+    });
+    return null;
+  }
+  if (!BUILT_IN_MAPS[mapId]) {
+    return `Unknown map "${mapId}"`;
+  }
+  gameOptions.mapId = mapId;
+  gameOptions.customMap = null;
+  return null;
+}
+
+// Obstacle lookup sets are cached per obstacle array (gameState.obstacles never changes mid-game)
+const obstacleSets = new WeakMap();
+
+function isObstacle(gameState, x, y) {
+  const obstacles = gameState.obstacles;
+  if (!obstacles || obstacles.length === 0) {
+    return false;
+  }
+  let cells = obstacleSets.get(obstacles);
+  if (!cells) {
+    cells = new Set(obstacles.map(cell => `${cell.x},${cell.y}`));
+    obstacleSets.set(obstacles, cells);
+  }
+  return cells.has(`${x},${y}`);
+}
+
+module.exports = {
+  MAP_FORMAT,
+  MAP_VERSION,
+  getStartPositions,
+  getMaxPlayersForGrid,
+  clearSpawnAreas,
+  listBuiltInMaps,
+  buildBuiltInMap,
+  validateMap,
+  applyMapOptions,
+  getMapObstacles,
+  isObstacle
+};
@@ -0,0 +1,83 @@
+// Finished match records for the persistence layer (leaderboards, player profiles)
+const persistence = require('./persistence');
+const simulation = require('./simulation');
+
+const recordedGames = new WeakSet(); // gameState objects already recorded (gameEnded can fire twice)
+
+// Remember which token owns which seat when the game starts; tokens of players who
+// leave mid-game are deleted from room.playerTokens, but their match still counts
+function captureMatchTokens(room) {
+  room.matchTokens = new Map();
+  if (room.playerTokens) {
+    room.playerTokens.forEach((playerId, token) => {
+      room.matchTokens.set(playerId, token);
+    });
+  }
+}
+
+function buildMatchRecord(room, replayId = null) {
+  const gameState = room.gameState;
+  const tokens = room.matchTokens || new Map();
+  const gameTime = simulation.getSimTime(gameState);
+  // Solo/single-player "winners" are flagged isLoser when the human died
+  const winner = gameState.winner && !gameState.winner.isLoser ? gameState.winner : null;
+  const endTime = Date.now();
+
+  return {
+    id: replayId || `${endTime}-${room.code}`,
+    sessionId: room.sessionId || null,
+    roomCode: room.code,
+    gameMode: room.gameMode,
+    seed: gameState.seed,
+    replayId,
+    startTime: gameState.startTime,
+    endTime,
+    durationMs: gameTime,
+    winner: winner ? { name: winner.name, score: winner.score } : null,
+    players: Object.values(gameState.players).map(player => ({
+      token: player.type === 'npc' ? null : (tokens.get(player.id) || null),
+      name: player.name,
+      type: player.type,
+      score: player.score,
+      isAlive: player.isAlive,
+      teamId: player.teamId ?? null,
+      isWinner: !!winner && (winner.id === player.id || (winner.memberIds || []).includes(player.id)), // Team wins count for every member
+      longestSnake: Math.max(player.longestSnake || 0, player.snake ? player.snake.length : 0),
+      survivalTime: player.isAlive ? gameTime - (player.survivalStartTime || 0) : (player.survivalTime || 0),
+      kills: player.kills || 0
+    }))
+  };
+}
+
+// Store the result of a finished game (no-op for games that never started)
+function recordFinishedMatch(room, replayId = null) {
+  const gameState = room && room.gameState;
+  if (!gameState || !gameState.startTime || recordedGames.has(gameState)) {
+    return;
+  }
+  recordedGames.add(gameState);
+
+  const match = buildMatchRecord(room, replayId);
+  persistence.getStore().recordMatch(match).catch(error => {
+    console.error(`[persistence] Failed to record match ${match.id}:`, error.message);
+  });
+}
+
+// Match record without player tokens (safe for public endpoints)
+function toPublicMatch(match) {
+  return {
+    ...match,
+    players: match.players.map(player => {
+      const publicPlayer = { ...player };
+      delete publicPlayer.token;
+      return publicPlayer;
+    })
+  };
+}
+
+module.exports = {
+  captureMatchTokens,
+  buildMatchRecord,
+  recordFinishedMatch,
+  toPublicMatch
+};
@@ -1,5 +1,10 @@
-// Basic NPC AI for single-player mode
-const { GRID_WIDTH, GRID_HEIGHT } = require('./gameLogic');
+// Basic NPC AI for single-player mode (and team-mode fillers)
+const simulation = require('./simulation');
+const maps = require('./maps');
+const teams = require('./teams');
+const arena = require('./arena');
+const hill = require('./hill');
+const foodTypes = require('./foodTypes');
 
 const NPC_PROFILES = {
   balanced: {
@@ -121,64 +126,98 @@ function getNPCSettings(npc) {
   };
 }
 
-function chooseTargetType(settings, hasFood, hasOpponent) {
+function chooseTargetType(settings, hasFood, hasOpponent, gameState, hasZone = false) {
   const bias = settings.profile.bias || { food: 0.6, hunt: 0.3, survival: 0.1 };
   const aggressionBoost = 0.6 + settings.aggression * 0.8;
   const cautionBoost = 0.6 + settings.caution * 0.8;
   const weights = {
     food: bias.food * (1 + (1 - settings.aggression) * 0.3),
     hunt: bias.hunt * aggressionBoost,
+    // King of the hill: holding the zone is how matches are won, so every profile contests it
+    zone: 0.8 + settings.aggression * 0.4,
     survival: bias.survival * cautionBoost
   };
 
-  if (!hasFood) weights.food = 0;
-  if (!hasOpponent) weights.hunt = 0;
+  if (!hasFood) {
+    weights.food = 0;
+  }
+  if (!hasOpponent) {
+    weights.hunt = 0;
+  }
+  if (!hasZone) {
+    weights.zone = 0;
+  }
 
-  const total = weights.food + weights.hunt + weights.survival;
-  if (total <= 0) return hasFood ? 'food' : 'survival';
+  const total = weights.food + weights.hunt + weights.zone + weights.survival;
+  if (total <= 0) {
+    return hasFood ? 'food' : 'survival';
+  }
 
-  const roll = Math.random() * total;
-  if (roll < weights.food) return 'food';
-  if (roll < weights.food + weights.hunt) return 'hunt';
+  const roll = simulation.nextRandom(gameState) * total;
+  if (roll < weights.food) {
+    return 'food';
+  }
+  if (roll < weights.food + weights.hunt) {
+    return 'hunt';
+  }
+  if (roll < weights.food + weights.hunt + weights.zone) {
+    return 'zone';
+  }
   return 'survival';
 }
 
-function getCenterTarget() {
-  return { x: Math.floor(GRID_WIDTH / 2), y: Math.floor(GRID_HEIGHT / 2) };
+function getCenterTarget(gameState) {
+  return { x: Math.floor(gameState.gridWidth / 2), y: Math.floor(gameState.gridHeight / 2) };
 }
 
 function findBestFoodTarget(head, gameState, settings) {
   let bestFood = null;
   let bestScore = -Infinity;
   const cautionBoost = 1 + settings.caution * 0.5;
+  const { minX, minY, maxX, maxY } = arena.getArenaBounds(gameState);
+
+  const msPerTick = 1000 / (gameState.tickRate || 5);
+  const now = simulation.getSimTime(gameState);
 
   gameState.food.forEach(food => {
+    const type = foodTypes.getFoodType(food);
     const dx = food.x - head.x;
     const dy = food.y - head.y;
     const distance = Math.abs(dx) + Math.abs(dy);
-    let score = 1000 / (distance + 1);
+    // Typed food: never chase poison, skip golden food that will expire first, weigh the rest by value
+    if (type.grow < 1 || (food.expiresAt !== undefined && now + distance * msPerTick >= food.expiresAt)) {
+      return;
+    }
+    let score = 1000 / (distance + 1) * (type.score / foodTypes.FOOD_TYPES.normal.score);
+
+    // King of the hill: food in or next to the zone is worth detouring for
+    if (gameState.hill) {
+      const center = hill.getHillCenter(gameState.hill);
+      const zoneDistance = Math.abs(food.x - center.x) + Math.abs(food.y - center.y);
+      score += 200 / (zoneDistance + 1);
+    }
 
     if (gameState.wallMode) {
       const foodWallDist = Math.min(
-        food.x,
-        GRID_WIDTH - 1 - food.x,
-        food.y,
-        GRID_HEIGHT - 1 - food.y
+        food.x - minX,
+        maxX - food.x,
+        food.y - minY,
+        maxY - food.y
       );
       score += foodWallDist * 2 * cautionBoost;
 
       const headWallDist = Math.min(
-        head.x,
-        GRID_WIDTH - 1 - head.x,
-        head.y,
-        GRID_HEIGHT - 1 - head.y
+        head.x - minX,
+        maxX - head.x,
+        head.y - minY,
+        maxY - head.y
       );
 
       if (headWallDist < 3) {
-        const requiresWallHug = (head.x < 3 && food.x < 3) ||
-                               (head.x > GRID_WIDTH - 4 && food.x > GRID_WIDTH - 4) ||
-                               (head.y < 3 && food.y < 3) ||
-                               (head.y > GRID_HEIGHT - 4 && food.y > GRID_HEIGHT - 4);
+        const requiresWallHug = (head.x < minX + 3 && food.x < minX + 3) ||
+                               (head.x > maxX - 3 && food.x > maxX - 3) ||
+                               (head.y < minY + 3 && food.y < minY + 3) ||
+                               (head.y > maxY - 3 && food.y > maxY - 3);
         if (requiresWallHug) {
           score -= 50 * cautionBoost;
         }
@@ -194,12 +233,16 @@ function findBestFoodTarget(head, gameState, settings) {
   return bestFood;
 }
 
-function findBestOpponentTarget(head, gameState, playerId) {
+function findBestOpponentTarget(head, gameState, player) {
   let bestTarget = null;
   let bestScore = -Infinity;
 
   Object.values(gameState.players).forEach(otherPlayer => {
-    if (otherPlayer.id === playerId || !otherPlayer.isAlive || !otherPlayer.snake || otherPlayer.snake.length === 0) {
+    if (otherPlayer.id === player.id || !otherPlayer.isAlive || !otherPlayer.snake || otherPlayer.snake.length === 0) {
+      return;
+    }
+    // Never hunt teammates
+    if (teams.areTeammates(player, otherPlayer)) {
       return;
     }
     const otherHead = otherPlayer.snake[0];
@@ -214,16 +257,39 @@ function findBestOpponentTarget(head, gameState, playerId) {
   return bestTarget;
 }
 
-function getDirectionToTarget(head, target, currentDir, wallMode) {
+// Corpse food: nearest pellet that can still be reached before it decays (hunters scavenge kills)
+function findBestPelletTarget(head, gameState) {
+  if (!gameState.pellets || gameState.pellets.length === 0) {
+    return null;
+  }
+  const msPerTick = 1000 / (gameState.tickRate || 5);
+  const now = simulation.getSimTime(gameState);
+  let bestPellet = null;
+  let bestDistance = Infinity;
+  gameState.pellets.forEach(pellet => {
+    const distance = Math.abs(pellet.x - head.x) + Math.abs(pellet.y - head.y);
+    if (distance < bestDistance && now + distance * msPerTick < pellet.expiresAt) {
+      bestDistance = distance;
+      bestPellet = pellet;
+    }
+  });
+  return bestPellet;
+}
+
+function getDirectionToTarget(head, target, currentDir, gameState) {
   if (!target) return null;
+  // Wrapping happens at the edge of the playable area (the whole board unless the arena shrank)
+  const bounds = arena.getArenaBounds(gameState);
+  const gridWidth = bounds.maxX - bounds.minX + 1;
+  const gridHeight = bounds.maxY - bounds.minY + 1;
   const dx = target.x - head.x;
   const dy = target.y - head.y;
 
   let wrappedDx = dx;
   let wrappedDy = dy;
-  if (!wallMode) {
-    wrappedDx = dx > GRID_WIDTH / 2 ? dx - GRID_WIDTH : (dx < -GRID_WIDTH / 2 ? dx + GRID_WIDTH : dx);
-    wrappedDy = dy > GRID_HEIGHT / 2 ? dy - GRID_HEIGHT : (dy < -GRID_HEIGHT / 2 ? dy + GRID_HEIGHT : dy);
+  if (!gameState.wallMode) {
+    wrappedDx = dx > gridWidth / 2 ? dx - gridWidth : (dx < -gridWidth / 2 ? dx + gridWidth : dx);
+    wrappedDy = dy > gridHeight / 2 ? dy - gridHeight : (dy < -gridHeight / 2 ? dy + gridHeight : dy);
   }
 
   let targetDir = null;
@@ -259,34 +325,43 @@ function decideNPCMove(npc, gameState, player) {
   // Add delay based on difficulty
   npc.decisionDelay = (npc.decisionDelay || 0) - 1;
   if (npc.decisionDelay > 0) {
+    // Map obstacles never move, so always dodge one directly ahead
+    if (isObstacleAhead(head, currentDir, gameState)) {
+      return avoidCollisions(player, gameState, currentDir, settings);
+    }
     return null; // Wait before making decision
   }
   npc.decisionDelay = Math.floor(settings.reactionTime / 50); // Reset delay
 
   // Sometimes make mistakes (based on success rate) - but still use smart avoidance
-  if (Math.random() > settings.successRate) {
+  if (simulation.nextRandom(gameState) > settings.successRate) {
     // Even when making mistakes, use collision avoidance to survive longer
     return avoidCollisions(player, gameState, currentDir, settings);
   }
 
   const foodTarget = findBestFoodTarget(head, gameState, settings);
-  const opponentTarget = findBestOpponentTarget(head, gameState, player.id);
-  const targetType = chooseTargetType(settings, !!foodTarget, !!opponentTarget);
+  const opponentTarget = findBestOpponentTarget(head, gameState, player);
+  const pelletTarget = findBestPelletTarget(head, gameState);
+  const zoneTarget = gameState.hill ? hill.getHillCenter(gameState.hill) : null;
+  const targetType = chooseTargetType(settings, !!foodTarget, !!(opponentTarget || pelletTarget), gameState, !!zoneTarget);
 
   let target = null;
-  if (targetType === 'hunt' && opponentTarget) {
-    target = opponentTarget;
+  if (targetType === 'hunt' && (pelletTarget || opponentTarget)) {
+    // Clean up a fresh kill before looking for the next one
+    target = pelletTarget || opponentTarget;
   } else if (targetType === 'food' && foodTarget) {
     target = foodTarget;
+  } else if (targetType === 'zone') {
+    target = zoneTarget;
   } else if (targetType === 'survival') {
-    target = getCenterTarget();
+    target = getCenterTarget(gameState);
   }
 
   if (!target) {
-    target = foodTarget || getCenterTarget();
+    target = foodTarget || getCenterTarget(gameState);
   }
 
-  const preferredDir = getDirectionToTarget(head, target, currentDir, gameState.wallMode);
+  const preferredDir = getDirectionToTarget(head, target, currentDir, gameState);
   if (!preferredDir) {
     return avoidCollisions(player, gameState, currentDir, settings);
   }
@@ -295,8 +370,17 @@ function decideNPCMove(npc, gameState, player) {
   return safeDir || preferredDir;
 }
 
-// Check if a position is safe (not occupied by snake body)
+function isObstacleAhead(head, dir, gameState) {
+  const next = arena.stepPosition(gameState, head, dir);
+  return maps.isObstacle(gameState, next.x, next.y);
+}
+
+// Check if a position is safe (inside the arena, not a map obstacle or occupied by snake body)
 function isPositionSafe(pos, gameState, excludePlayerId) {
+  if (!arena.isInsideArena(gameState, pos.x, pos.y) || maps.isObstacle(gameState, pos.x, pos.y)) {
+    return false;
+  }
+
   // Check all players' snake bodies
   return Object.values(gameState.players).every(otherPlayer => {
     if (otherPlayer.id === excludePlayerId || !otherPlayer.isAlive) return true;
@@ -319,23 +403,7 @@ function predictOtherSnakePositions(gameState, excludePlayerId) {
     
     const otherHead = otherPlayer.snake[0];
     const otherDir = otherPlayer.nextDirection || otherPlayer.direction;
-    let nextPos = { ...otherHead };
-    
-    if (gameState.wallMode) {
-      switch (otherDir) {
-        case 'up': nextPos.y = otherHead.y - 1; break;
-        case 'down': nextPos.y = otherHead.y + 1; break;
-        case 'left': nextPos.x = otherHead.x - 1; break;
-        case 'right': nextPos.x = otherHead.x + 1; break;
-      }
-    } else {
-      switch (otherDir) {
-        case 'up': nextPos.y = (otherHead.y - 1 + GRID_HEIGHT) % GRID_HEIGHT; break;
-        case 'down': nextPos.y = (otherHead.y + 1) % GRID_HEIGHT; break;
-        case 'left': nextPos.x = (otherHead.x - 1 + GRID_WIDTH) % GRID_WIDTH; break;
-        case 'right': nextPos.x = (otherHead.x + 1) % GRID_WIDTH; break;
-      }
-    }
+    const nextPos = arena.stepPosition(gameState, otherHead, otherDir);
     
     predictions.set(otherPlayer.id, nextPos);
   });
@@ -344,14 +412,15 @@ function predictOtherSnakePositions(gameState, excludePlayerId) {
 }
 
 // Calculate distance to nearest wall
-function distanceToWall(head, dir, wallMode) {
-  if (!wallMode) return Infinity; // No walls in wrap mode
+function distanceToWall(head, dir, gameState) {
+  if (!gameState.wallMode) return Infinity; // No walls in wrap mode
+  const { minX, minY, maxX, maxY } = arena.getArenaBounds(gameState);
   
   switch (dir) {
-    case 'up': return head.y;
-    case 'down': return GRID_HEIGHT - 1 - head.y;
-    case 'left': return head.x;
-    case 'right': return GRID_WIDTH - 1 - head.x;
+    case 'up': return head.y - minY;
+    case 'down': return maxY - head.y;
+    case 'left': return head.x - minX;
+    case 'right': return maxX - head.x;
     default: return Infinity;
   }
 }
@@ -359,6 +428,7 @@ function distanceToWall(head, dir, wallMode) {
 // Check if moving in a direction would lead to a dead end (look ahead 2-3 steps)
 function wouldLeadToDeadEnd(head, dir, gameState, player, lookAhead = 2) {
   if (!gameState.wallMode) return false; // No dead ends in wrap mode
+  const { minX, minY, maxX, maxY } = arena.getArenaBounds(gameState);
   
   let currentPos = { ...head };
   let currentDir = dir;
@@ -373,8 +443,8 @@ function wouldLeadToDeadEnd(head, dir, gameState, player, lookAhead = 2) {
     }
     
     // Check if out of bounds
-    if (currentPos.x < 0 || currentPos.x >= GRID_WIDTH || 
-        currentPos.y < 0 || currentPos.y >= GRID_HEIGHT) {
+    if (currentPos.x < minX || currentPos.x > maxX ||
+        currentPos.y < minY || currentPos.y > maxY) {
       return true; // Hit wall
     }
     
@@ -397,8 +467,8 @@ function wouldLeadToDeadEnd(head, dir, gameState, player, lookAhead = 2) {
         case 'right': testPos.x++; break;
       }
       
-      if (testPos.x < 0 || testPos.x >= GRID_WIDTH || 
-          testPos.y < 0 || testPos.y >= GRID_HEIGHT) {
+      if (testPos.x < minX || testPos.x > maxX ||
+          testPos.y < minY || testPos.y > maxY) {
         return false; // Would hit wall
       }
       
@@ -421,6 +491,7 @@ function avoidCollisions(player, gameState, preferredDir, settings = null) {
   const cautionFactor = settings ? 0.5 + settings.caution : 1;
   const lookAhead = settings ? settings.lookAhead : 3;
   const randomness = settings ? settings.randomness : 0;
+  const { minX, minY, maxX, maxY } = arena.getArenaBounds(gameState);
   
   // Predict where other snakes will be
   const otherSnakePredictions = predictOtherSnakePositions(gameState, player.id);
@@ -431,13 +502,13 @@ function avoidCollisions(player, gameState, preferredDir, settings = null) {
     validDirs = validDirs.filter(dir => {
       switch (dir) {
         case 'up':
-          return head.y > 0;
+          return head.y > minY;
         case 'down':
-          return head.y < GRID_HEIGHT - 1;
+          return head.y < maxY;
         case 'left':
-          return head.x > 0;
+          return head.x > minX;
         case 'right':
-          return head.x < GRID_WIDTH - 1;
+          return head.x < maxX;
         default:
           return true;
       }
@@ -448,28 +519,12 @@ function avoidCollisions(player, gameState, preferredDir, settings = null) {
   const dirScores = [];
   
   for (const dir of validDirs) {
-    let newHead = { ...head };
-    
     // Calculate new position based on wall mode
-    if (gameState.wallMode) {
-      switch (dir) {
-        case 'up': newHead.y = head.y - 1; break;
-        case 'down': newHead.y = head.y + 1; break;
-        case 'left': newHead.x = head.x - 1; break;
-        case 'right': newHead.x = head.x + 1; break;
-      }
-    } else {
-      switch (dir) {
-        case 'up': newHead.y = (head.y - 1 + GRID_HEIGHT) % GRID_HEIGHT; break;
-        case 'down': newHead.y = (head.y + 1) % GRID_HEIGHT; break;
-        case 'left': newHead.x = (head.x - 1 + GRID_WIDTH) % GRID_WIDTH; break;
-        case 'right': newHead.x = (head.x + 1) % GRID_WIDTH; break;
-      }
-    }
+    const newHead = arena.stepPosition(gameState, head, dir);
     
     // Check wall collision
     if (gameState.wallMode) {
-      if (newHead.x < 0 || newHead.x >= GRID_WIDTH || newHead.y < 0 || newHead.y >= GRID_HEIGHT) {
+      if (newHead.x < minX || newHead.x > maxX || newHead.y < minY || newHead.y > maxY) {
         continue; // Skip this direction
       }
     }
@@ -509,10 +564,15 @@ function avoidCollisions(player, gameState, preferredDir, settings = null) {
     if (dir === preferredDir) {
       score += 50;
     }
+
+    // Steer around poison food
+    if (gameState.food.some(food => food.x === newHead.x && food.y === newHead.y && foodTypes.getFoodType(food).grow < 1)) {
+      score -= 60 * cautionFactor;
+    }
     
     // In wall mode, prefer directions that keep us away from walls
     if (gameState.wallMode) {
-      const wallDist = distanceToWall(newHead, dir, true);
+      const wallDist = distanceToWall(newHead, dir, gameState);
       score += wallDist * (2 + 3 * cautionFactor);
       
       // Heavy penalty for being too close to walls (within 2 cells)
@@ -529,24 +589,7 @@ function avoidCollisions(player, gameState, preferredDir, settings = null) {
     // Count how many future directions are available from this position
     const futureDirs = directions.filter(d => {
       if (d === opposites[dir]) return false;
-      let testPos = { ...newHead };
-      if (gameState.wallMode) {
-        switch (d) {
-          case 'up': testPos.y--; break;
-          case 'down': testPos.y++; break;
-          case 'left': testPos.x--; break;
-          case 'right': testPos.x++; break;
-        }
-        if (testPos.x < 0 || testPos.x >= GRID_WIDTH || 
-            testPos.y < 0 || testPos.y >= GRID_HEIGHT) return false;
-      } else {
-        switch (d) {
-          case 'up': testPos.y = (newHead.y - 1 + GRID_HEIGHT) % GRID_HEIGHT; break;
-          case 'down': testPos.y = (newHead.y + 1) % GRID_HEIGHT; break;
-          case 'left': testPos.x = (newHead.x - 1 + GRID_WIDTH) % GRID_WIDTH; break;
-          case 'right': testPos.x = (newHead.x + 1) % GRID_WIDTH; break;
-        }
-      }
+      const testPos = arena.stepPosition(gameState, newHead, d);
       return isPositionSafe(testPos, gameState, player.id);
     });
     
@@ -563,8 +606,8 @@ function avoidCollisions(player, gameState, preferredDir, settings = null) {
     if (randomness > 0 && dirScores.length > 1) {
       const topScore = dirScores[0].score;
       const viable = dirScores.filter(item => item.score >= topScore - 25);
-      if (viable.length > 1 && Math.random() < randomness) {
-        return viable[Math.floor(Math.random() * viable.length)].dir;
+      if (viable.length > 1 && simulation.nextRandom(gameState) < randomness) {
+        return viable[simulation.randomInt(gameState, viable.length)].dir;
       }
     }
     if (dirScores[0].score > 0) {
@@ -0,0 +1,56 @@
+// Corpse food: when a snake dies its body turns into a trail of pellets that decay after a while.
+// gameState.pellets = [{ x, y, expiresAt }] (null when the option is off). Pellets are kept apart
+// from gameState.food so generateFood top-ups and the level counter are unaffected.
+const arena = require('./arena');
+const maps = require('./maps');
+
+const PELLET_SCORE = 3; // Normal food is worth 10
+const CORPSE_FOOD_DECAY_OPTIONS = [10, 20, 30]; // Seconds a pellet stays on the board
+
+function isValidCorpseFood(value) {
+  return value === null || CORPSE_FOOD_DECAY_OPTIONS.includes(value);
+}
+
+// Lay a pellet on every body cell that is still free and playable
+function dropCorpse(gameState, player, simTime) {
+  if (!gameState.pellets) {
+    return;
+  }
+  const taken = new Set(gameState.food.map(food => `${food.x},${food.y}`));
+  gameState.pellets.forEach(pellet => taken.add(`${pellet.x},${pellet.y}`));
+  player.snake.forEach(segment => {
+    const key = `${segment.x},${segment.y}`;
+    if (taken.has(key) || !arena.isInsideArena(gameState, segment.x, segment.y) || maps.isObstacle(gameState, segment.x, segment.y)) {
+      return;
+    }
+    taken.add(key);
+    gameState.pellets.push({ x: segment.x, y: segment.y, expiresAt: simTime + gameState.pelletDecay });
+  });
+}
+
+// Remove the pellet at a cell. Returns the points it was worth (0 if there was none).
+function eatPellet(gameState, x, y) {
+  if (!gameState.pellets) {
+    return 0;
+  }
+  const index = gameState.pellets.findIndex(pellet => pellet.x === x && pellet.y === y);
+  if (index === -1) {
+    return 0;
+  }
+  gameState.pellets.splice(index, 1);
+  return PELLET_SCORE;
+}
+
+function decayPellets(gameState, simTime) {
+  if (gameState.pellets && gameState.pellets.length > 0) {
+    gameState.pellets = gameState.pellets.filter(pellet => pellet.expiresAt > simTime);
+  }
+}
+
+module.exports = {
+  CORPSE_FOOD_DECAY_OPTIONS,
+  isValidCorpseFood,
+  dropCorpse,
+  eatPellet,
+  decayPellets
+};
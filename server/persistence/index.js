@@ -0,0 +1,41 @@
+// Pluggable persistence for finished matches and per-player stats
+// Backend is chosen with STATS_STORE=json|sqlite|memory (default: json).
+// Files live in STATS_DATA_DIR (default: server/data). SQLite needs the optional
+// better-sqlite3 package; without it the JSON backend is used instead.
+const path = require('path');
+const { createJsonStore } = require('./jsonStore');
+const { createSqliteStore } = require('./sqliteStore');
+const playerStats = require('./playerStats');
+
+const DATA_DIR = process.env.STATS_DATA_DIR || path.join(__dirname, '..', 'data');
+
+let store = null;
+
+function createStore(type = 'json', dataDir = DATA_DIR) {
+  if (type === 'memory') {
+    return createJsonStore(null);
+  }
+  if (type === 'sqlite') {
+    try {
+      return createSqliteStore(path.join(dataDir, 'stats.sqlite'));
+    } catch (error) {
+      console.warn(`[persistence] SQLite store unavailable (${error.message}), using JSON file store`);
+    }
+  }
+  return createJsonStore(path.join(dataDir, 'stats.json'));
+}
+
+// Shared store instance, created on first use
+function getStore() {
+  if (!store) {
+    store = createStore(process.env.STATS_STORE || 'json');
+    console.log(`[persistence] Using ${store.type} stats store`);
+  }
+  return store;
+}
+
+module.exports = {
+  createStore,
+  getStore,
+  LEADERBOARD_SORTS: playerStats.LEADERBOARD_SORTS
+};
@@ -0,0 +1,95 @@
+// JSON file persistence backend (also used in-memory when no file path is given)
+const fs = require('fs');
+const path = require('path');
+const playerStats = require('./playerStats');
+
+const MAX_STORED_MATCHES = 500; // Oldest matches are dropped past this count
+
+function loadData(filePath) {
+  if (!filePath) {
+    return null;
+  }
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error(`[persistence] Could not read ${filePath}, starting empty:`, error.message);
+    }
+    return null;
+  }
+}
+
+function createJsonStore(filePath = null) {
+  const data = loadData(filePath) || {};
+  const matches = Array.isArray(data.matches) ? data.matches : [];
+  const players = new Map(Object.entries(data.players || {}));
+  let writeQueue = Promise.resolve();
+
+  // Write to a temp file and rename so a crash never leaves a half-written file
+  function persist() {
+    if (!filePath) {
+      return Promise.resolve();
+    }
+    const snapshot = JSON.stringify({
+      matches,
+      players: Object.fromEntries(players)
+    });
+    const write = writeQueue.then(async () => {
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      const tempPath = `${filePath}.tmp`;
+      await fs.promises.writeFile(tempPath, snapshot);
+      await fs.promises.rename(tempPath, filePath);
+    });
+    // A failed write must not reject the queue, or every later write would be skipped;
+    // the caller still gets the rejection through `write`
+    writeQueue = write.catch(error => {
+      console.error(`[persistence] Could not write ${filePath}:`, error.message);
+    });
+    return write;
+  }
+
+  async function recordMatch(match) {
+    matches.push(match);
+    if (matches.length > MAX_STORED_MATCHES) {
+      matches.splice(0, matches.length - MAX_STORED_MATCHES);
+    }
+
+    match.players.forEach(matchPlayer => {
+      if (!matchPlayer.token) {
+        return; // NPCs and untracked players
+      }
+      const stats = players.get(matchPlayer.token) || playerStats.createPlayerStats(matchPlayer.token, matchPlayer.name);
+      players.set(matchPlayer.token, playerStats.applyMatchResult(stats, matchPlayer, match));
+    });
+
+    await persist();
+  }
+
+  async function getLeaderboard(sortBy, limit) {
+    return playerStats.sortLeaderboard(Array.from(players.values()), sortBy, limit);
+  }
+
+  async function getPlayer(token) {
+    const stats = players.get(token);
+    return stats ? playerStats.toPublicStats(stats) : null;
+  }
+
+  async function getRecentMatches(limit, token = null) {
+    const filtered = token
+      ? matches.filter(match => match.players.some(p => p.token === token))
+      : matches;
+    return filtered.slice(-limit).reverse();
+  }
+
+  return {
+    type: filePath ? 'json' : 'memory',
+    recordMatch,
+    getLeaderboard,
+    getPlayer,
+    getRecentMatches
+  };
+}
+
+module.exports = {
+  createJsonStore
+};
@@ -0,0 +1,64 @@
+// Per-player stats aggregation shared by every persistence backend
+
+// Leaderboard sort keys (public API values)
+const LEADERBOARD_SORTS = ['wins', 'bestScore', 'longestSnake', 'longestSurvival', 'kills', 'gamesPlayed'];
+
+function createPlayerStats(token, name) {
+  return {
+    token,
+    name,
+    gamesPlayed: 0,
+    wins: 0,
+    bestScore: 0,
+    longestSnake: 0,
+    longestSurvival: 0, // ms of game clock time
+    totalSurvivalTime: 0,
+    kills: 0,
+    lastPlayedAt: null
+  };
+}
+
+// Fold one finished match into a player's stats (returns the updated stats object)
+function applyMatchResult(stats, matchPlayer, match) {
+  stats.name = matchPlayer.name || stats.name;
+  stats.gamesPlayed += 1;
+  if (matchPlayer.isWinner) {
+    stats.wins += 1;
+  }
+  stats.bestScore = Math.max(stats.bestScore, matchPlayer.score || 0);
+  stats.longestSnake = Math.max(stats.longestSnake, matchPlayer.longestSnake || 0);
+  stats.longestSurvival = Math.max(stats.longestSurvival, matchPlayer.survivalTime || 0);
+  stats.totalSurvivalTime += matchPlayer.survivalTime || 0;
+  stats.kills += matchPlayer.kills || 0;
+  stats.lastPlayedAt = match.endTime;
+  return stats;
+}
+
+function normalizeLeaderboardSort(sortBy) {
+  return LEADERBOARD_SORTS.includes(sortBy) ? sortBy : 'wins';
+}
+
+// Public view of a stats record - tokens double as reconnect credentials, never expose them
+function toPublicStats(stats) {
+  const publicStats = { ...stats };
+  delete publicStats.token;
+  return publicStats;
+}
+
+function sortLeaderboard(statsList, sortBy, limit) {
+  const key = normalizeLeaderboardSort(sortBy);
+  return statsList
+    .filter(stats => stats.gamesPlayed > 0)
+    .sort((a, b) => (b[key] - a[key]) || (b.bestScore - a.bestScore) || (b.wins - a.wins))
+    .slice(0, limit)
+    .map(toPublicStats);
+}
+
+module.exports = {
+  LEADERBOARD_SORTS,
+  createPlayerStats,
+  applyMatchResult,
+  normalizeLeaderboardSort,
+  toPublicStats,
+  sortLeaderboard
+};
@@ -0,0 +1,95 @@
+// SQLite persistence backend (requires the optional better-sqlite3 package)
+const fs = require('fs');
+const path = require('path');
+const playerStats = require('./playerStats');
+
+const PLAYER_COLUMNS = ['name', 'gamesPlayed', 'wins', 'bestScore', 'longestSnake', 'longestSurvival', 'totalSurvivalTime', 'kills', 'lastPlayedAt'];
+
+function createSqliteStore(filePath) {
+  // Throws if better-sqlite3 is not installed - the caller falls back to JSON
+  const Database = require('better-sqlite3');
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const db = new Database(filePath);
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS matches (
+      id TEXT PRIMARY KEY,
+      endTime INTEGER NOT NULL,
+      data TEXT NOT NULL
+    );
+    CREATE TABLE IF NOT EXISTS match_players (
+      matchId TEXT NOT NULL,
+      token TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS match_players_token ON match_players (token);
+    CREATE TABLE IF NOT EXISTS players (
+      token TEXT PRIMARY KEY,
+      name TEXT,
+      gamesPlayed INTEGER NOT NULL DEFAULT 0,
+      wins INTEGER NOT NULL DEFAULT 0,
+      bestScore INTEGER NOT NULL DEFAULT 0,
+      longestSnake INTEGER NOT NULL DEFAULT 0,
+      longestSurvival INTEGER NOT NULL DEFAULT 0,
+      totalSurvivalTime INTEGER NOT NULL DEFAULT 0,
+      kills INTEGER NOT NULL DEFAULT 0,
+      lastPlayedAt INTEGER
+    );
+  `);
+
+  const insertMatch = db.prepare('INSERT OR REPLACE INTO matches (id, endTime, data) VALUES (?, ?, ?)');
+  const insertMatchPlayer = db.prepare('INSERT INTO match_players (matchId, token) VALUES (?, ?)');
+  const selectPlayer = db.prepare('SELECT * FROM players WHERE token = ?');
+  const upsertPlayer = db.prepare(`
+    INSERT OR REPLACE INTO players (token, ${PLAYER_COLUMNS.join(', ')})
+    VALUES (@token, ${PLAYER_COLUMNS.map(column => `@${column}`).join(', ')})
+  `);
+  const selectRecentMatches = db.prepare('SELECT data FROM matches ORDER BY endTime DESC LIMIT ?');
+  const selectRecentPlayerMatches = db.prepare(`
+    SELECT m.data FROM matches m JOIN match_players mp ON mp.matchId = m.id
+    WHERE mp.token = ? ORDER BY m.endTime DESC LIMIT ?
+  `);
+
+  const recordMatchTransaction = db.transaction((match) => {
+    insertMatch.run(match.id, match.endTime, JSON.stringify(match));
+    match.players.forEach(matchPlayer => {
+      if (!matchPlayer.token) {
+        return; // NPCs and untracked players
+      }
+      insertMatchPlayer.run(match.id, matchPlayer.token);
+      const stats = selectPlayer.get(matchPlayer.token) || playerStats.createPlayerStats(matchPlayer.token, matchPlayer.name);
+      upsertPlayer.run(playerStats.applyMatchResult(stats, matchPlayer, match));
+    });
+  });
+
+  async function recordMatch(match) {
+    recordMatchTransaction(match);
+  }
+
+  async function getLeaderboard(sortBy, limit) {
+    const key = playerStats.normalizeLeaderboardSort(sortBy);
+    const rows = db.prepare(`SELECT * FROM players WHERE gamesPlayed > 0 ORDER BY ${key} DESC, bestScore DESC, wins DESC LIMIT ?`).all(limit);
+    return rows.map(playerStats.toPublicStats);
+  }
+
+  async function getPlayer(token) {
+    const stats = selectPlayer.get(token);
+    return stats ? playerStats.toPublicStats(stats) : null;
+  }
+
+  async function getRecentMatches(limit, token = null) {
+    const rows = token ? selectRecentPlayerMatches.all(token, limit) : selectRecentMatches.all(limit);
+    return rows.map(row => JSON.parse(row.data));
+  }
+
+  return {
+    type: 'sqlite',
+    recordMatch,
+    getLeaderboard,
+    getPlayer,
+    getRecentMatches
+  };
+}
+
+module.exports = {
+  createSqliteStore
+};
@@ -1,91 +1,398 @@
 // Power-ups system (bonus feature - feature flag enabled)
-const { GRID_WIDTH, GRID_HEIGHT } = require('./config');
+const simulation = require('./simulation');
+const arena = require('./arena');
+const teams = require('./teams');
 
-const POWERUP_TYPES = {
-  SPEED_BOOST: 'speed_boost',
-  SHIELD: 'shield',
-  SHRINK: 'shrink',
-  SLOW_OTHERS: 'slow_others'
+const POWERUP_DURATION = 7000; // 7 seconds in milliseconds
+// Game-clock ms between spawns [min, max] per room spawn frequency
+const POWERUP_SPAWN_INTERVALS = {
+  rare: [20000, 30000],
+  normal: [12000, 20000],
+  frequent: [5000, 10000]
 };
+const POWERUP_DURATION_OPTIONS = [null, 5, 10, 15]; // Seconds (null = each type's own duration)
+const POWERUP_DESPAWN_OPTIONS = [15, 30, 60]; // Seconds an uncollected power-up stays on the board
+const MAX_ON_BOARD_LIMIT = 5;
+const MAGNET_RADIUS = 5; // Food within this many cells (each axis) drifts toward a magnet
+const FRENZY_FOOD_COUNT = 8; // Extra food scattered by a food frenzy
+const TELEPORT_ATTEMPTS = 50;
 
-const POWERUP_DURATION = 7000; // 7 seconds in milliseconds
-const POWERUP_SPAWN_INTERVAL_MIN = 12000; // 12 seconds minimum between spawns
-const POWERUP_SPAWN_INTERVAL_MAX = 20000; // 20 seconds maximum between spawns
-const MAX_ACTIVE_POWERUPS = 2; // Maximum number of power-ups active on the board at once
+// Power-up registry: every type declares how it looks, how often it spawns and what it does.
+//   id: power-up type on the board (gameState.powerups[].type)
+//   name / description / icon / color: shown by the client (sent once as the 'powerUpTypes' catalog)
+//   duration: game-clock ms the effect lasts (0 = instant)
+//   weight: relative spawn chance
+//   target: who gets the timed effect - 'self', 'others' (every other snake), 'opponents'
+//     (other snakes not on the collector's team) or 'none' (instant, board-wide)
+//   exclusive: collecting it clears the collector's other effects (no stacking)
+//   effect: key in player.activePowerups holding the effect end time
+//   effectName: label for the effect on the affected snake (defaults to name)
+//   apply(gameState, collector, now): runs once when collected
+//   tick(gameState, player, now): runs every tick while the effect is active
+//   expire(gameState, player): runs when the effect times out
+//   sound: synth tone the client plays on pickup (name doubles as the sound file key)
+const POWERUP_REGISTRY = {};
+
+function registerPowerUp(definition) {
+  POWERUP_REGISTRY[definition.id] = {
+    duration: POWERUP_DURATION,
+    weight: 1,
+    target: 'self',
+    exclusive: false,
+    effect: null,
+    ...definition
+  };
+}
+
+function getPowerUpType(id) {
+  return POWERUP_REGISTRY[id] || null;
+}
+
+// Registry entry that owns an activePowerups key (e.g. 'slowed' -> slow_others)
+function getPowerUpTypeByEffect(effect) {
+  return Object.values(POWERUP_REGISTRY).find(definition => definition.effect === effect) || null;
+}
+
+// Client-facing descriptors (no hooks)
+function getPowerUpCatalog() {
+  return Object.values(POWERUP_REGISTRY).map(definition => ({
+    id: definition.id,
+    name: definition.name,
+    description: definition.description,
+    icon: definition.icon,
+    color: definition.color,
+    effect: definition.effect,
+    effectName: definition.effectName || definition.name,
+    sound: definition.sound
+  }));
+}
+
+// "x,y" keys of cells taken by snakes, food, pellets, power-ups and obstacles
+function getBlockedCells(gameState) {
+  const blocked = new Set();
+  Object.values(gameState.players).forEach(player => {
+    if (player.isAlive) {
+      player.snake.forEach(segment => blocked.add(`${segment.x},${segment.y}`));
+    }
+  });
+  gameState.food.forEach(food => blocked.add(`${food.x},${food.y}`));
+  (gameState.pellets || []).forEach(pellet => blocked.add(`${pellet.x},${pellet.y}`));
+  (gameState.powerups || []).forEach(powerup => blocked.add(`${powerup.x},${powerup.y}`));
+  (gameState.obstacles || []).forEach(cell => blocked.add(`${cell.x},${cell.y}`));
+  return blocked;
+}
+
+// Random free cell inside the playable area (seeded), or null if none was found
+function findFreeCell(gameState, blocked) {
+  const bounds = arena.getArenaBounds(gameState);
+  for (let attempts = 0; attempts < 100; attempts++) {
+    const x = bounds.minX + simulation.randomInt(gameState, bounds.maxX - bounds.minX + 1);
+    const y = bounds.minY + simulation.randomInt(gameState, bounds.maxY - bounds.minY + 1);
+    if (!blocked.has(`${x},${y}`)) {
+      return { x, y };
+    }
+  }
+  return null;
+}
+
+// Magnet: food near the head drifts one cell toward it per tick
+function pullFood(gameState, player) {
+  const head = player.snake[0];
+  if (!head) {
+    return;
+  }
+  const blocked = getBlockedCells(gameState);
+  gameState.food.forEach(food => {
+    const dx = head.x - food.x;
+    const dy = head.y - food.y;
+    if (Math.abs(dx) > MAGNET_RADIUS || Math.abs(dy) > MAGNET_RADIUS || (dx === 0 && dy === 0)) {
+      return;
+    }
+    const x = Math.abs(dx) >= Math.abs(dy) ? food.x + Math.sign(dx) : food.x;
+    const y = Math.abs(dx) >= Math.abs(dy) ? food.y : food.y + Math.sign(dy);
+    if (blocked.has(`${x},${y}`)) {
+      return;
+    }
+    blocked.delete(`${food.x},${food.y}`);
+    blocked.add(`${x},${y}`);
+    food.x = x;
+    food.y = y;
+  });
+}
+
+// Teleport: move the whole snake (keeping its shape) to a random spot where every segment
+// and the cell ahead are free. Stays put if no such spot is found.
+function teleportSnake(gameState, player) {
+  const blocked = getBlockedCells(gameState);
+  player.snake.forEach(segment => blocked.delete(`${segment.x},${segment.y}`));
+  const head = player.snake[0];
+  for (let attempts = 0; attempts < TELEPORT_ATTEMPTS; attempts++) {
+    const target = findFreeCell(gameState, blocked);
+    if (!target) {
+      return;
+    }
+    const moved = player.snake.map(segment => ({ x: segment.x + target.x - head.x, y: segment.y + target.y - head.y }));
+    const ahead = arena.stepPosition(gameState, moved[0], player.direction);
+    const fits = moved.concat([ahead]).every(cell =>
+      arena.isInsideArena(gameState, cell.x, cell.y) && !blocked.has(`${cell.x},${cell.y}`)
+    );
+    if (fits) {
+      player.snake = moved;
+      return;
+    }
+  }
+}
+
+// Food frenzy: scatter extra food that vanishes when the frenzy ends and is never topped up
+function spawnFrenzyFood(gameState, now, duration) {
+  const blocked = getBlockedCells(gameState);
+  for (let i = 0; i < FRENZY_FOOD_COUNT; i++) {
+    const cell = findFreeCell(gameState, blocked);
+    if (!cell) {
+      return;
+    }
+    blocked.add(`${cell.x},${cell.y}`);
+    gameState.food.push({ x: cell.x, y: cell.y, frenzyUntil: now + duration });
+  }
+}
+
+registerPowerUp({
+  id: 'speed_boost',
+  name: 'Speed Boost',
+  description: 'Move twice as fast',
+  icon: '⚡',
+  color: '#FFC107', // Bright Gold
+  weight: 3,
+  exclusive: true,
+  effect: 'speedBoost',
+  sound: { name: 'speedBoost', wave: 'square', frequencies: [600, 1000], glide: true, duration: 0.2 }
+});
+
+registerPowerUp({
+  id: 'shield',
+  name: 'Shield',
+  description: 'Survive hitting snakes and walls',
+  icon: '🛡️',
+  color: '#00E5FF', // Bright Cyan
+  weight: 3,
+  exclusive: true,
+  effect: 'shield',
+  sound: { name: 'shield', wave: 'triangle', frequencies: [520, 440, 520], step: 0.1, duration: 0.35 }
+});
+
+registerPowerUp({
+  id: 'shrink',
+  name: 'Shrink',
+  description: 'Drop your last 3 segments',
+  icon: '📉',
+  color: '#FF1493', // Bright Pink
+  weight: 2,
+  exclusive: true,
+  effect: 'shrink',
+  apply: (gameState, collector) => {
+    for (let i = 0; i < 3 && collector.snake.length > 1; i++) {
+      collector.snake.pop();
+    }
+  },
+  sound: { name: 'shrink', wave: 'sine', frequencies: [800, 400], glide: true, duration: 0.25 }
+});
+
+registerPowerUp({
+  id: 'slow_others',
+  name: 'Slow Others',
+  description: 'Every other snake moves at half speed',
+  icon: '🐌',
+  color: '#9C27B0', // Bright Purple
+  weight: 2,
+  target: 'others',
+  effect: 'slowed',
+  effectName: 'Slowed',
+  sound: { name: 'slowOthers', wave: 'sine', frequencies: [350], wobble: { rate: 5, depth: 50 }, duration: 0.4 }
+});
+
+registerPowerUp({
+  id: 'magnet',
+  name: 'Magnet',
+  description: 'Pulls nearby food toward your head',
+  icon: '🧲',
+  color: '#F44336', // Bright Red
+  weight: 2,
+  exclusive: true,
+  effect: 'magnet',
+  tick: (gameState, player) => pullFood(gameState, player),
+  sound: { name: 'magnet', wave: 'sawtooth', frequencies: [300, 600], glide: true, duration: 0.3 }
+});
+
+registerPowerUp({
+  id: 'ghost',
+  name: 'Ghost',
+  description: 'Pass through snake bodies',
+  icon: '👻',
+  color: '#ECEFF1', // Pale Grey
+  weight: 2,
+  exclusive: true,
+  effect: 'ghost',
+  sound: { name: 'ghost', wave: 'sine', frequencies: [900, 300], glide: true, wobble: { rate: 8, depth: 30 }, duration: 0.45 }
+});
+
+registerPowerUp({
+  id: 'reverse_controls',
+  name: 'Reverse Controls',
+  description: "Opponents' controls are flipped",
+  icon: '🔄',
+  color: '#FF9800', // Bright Orange
+  duration: 5000,
+  weight: 1,
+  target: 'opponents',
+  effect: 'reversed',
+  effectName: 'Reversed',
+  sound: { name: 'reverseControls', wave: 'square', frequencies: [700, 500, 700, 500], step: 0.08, duration: 0.35 }
+});
+
+registerPowerUp({
+  id: 'teleport',
+  name: 'Teleport',
+  description: 'Jump to a random safe spot',
+  icon: '🌀',
+  color: '#3F51B5', // Indigo
+  duration: 0,
+  weight: 2,
+  target: 'none',
+  apply: (gameState, collector) => teleportSnake(gameState, collector),
+  sound: { name: 'teleport', wave: 'triangle', frequencies: [1200, 200], glide: true, duration: 0.2 }
+});
+
+registerPowerUp({
+  id: 'food_frenzy',
+  name: 'Food Frenzy',
+  description: 'Scatters extra food for a few seconds',
+  icon: '🍒',
+  color: '#8BC34A', // Light Green
+  weight: 1,
+  target: 'none',
+  apply: (gameState, collector, now) => spawnFrenzyFood(gameState, now, getDuration(gameState, POWERUP_REGISTRY.food_frenzy)),
+  sound: { name: 'foodFrenzy', wave: 'sine', frequencies: [660, 880, 990], step: 0.07, duration: 0.3 }
+});
+
+// Per-room rules (room.gameOptions.powerups, copied onto gameState.powerupConfig):
+//   enabled: power-ups on in this room (the server --enable-powerups flag must also be on)
+//   types: ids of the power-ups that can spawn
+//   duration: seconds every timed effect lasts, null = each type's own duration
+//   spawnFrequency: key of POWERUP_SPAWN_INTERVALS
+//   maxOnBoard: uncollected power-ups allowed at once
+//   despawnTime: seconds before an uncollected power-up disappears
+//   stacking: effects combine and repeat pickups extend them, instead of replacing each other
+function getDefaultPowerUpConfig() {
+  return {
+    enabled: true,
+    types: Object.keys(POWERUP_REGISTRY),
+    duration: null,
+    spawnFrequency: 'normal',
+    maxOnBoard: 2,
+    despawnTime: 30,
+    stacking: false
+  };
+}
+
+// Validate host input over the defaults. Returns the config, or null if any field is invalid.
+function normalizePowerUpConfig(input) {
+  if (!input || typeof input !== 'object') {
+    return null;
+  }
+  const config = { ...getDefaultPowerUpConfig(), ...input };
+  const maxOnBoard = Number(config.maxOnBoard);
+  const isValid = typeof config.enabled === 'boolean' &&
+    typeof config.stacking === 'boolean' &&
+    Array.isArray(config.types) && config.types.every(id => POWERUP_REGISTRY[id]) &&
+    POWERUP_DURATION_OPTIONS.includes(config.duration) &&
+    Object.prototype.hasOwnProperty.call(POWERUP_SPAWN_INTERVALS, config.spawnFrequency) &&
+    Number.isInteger(maxOnBoard) && maxOnBoard >= 1 && maxOnBoard <= MAX_ON_BOARD_LIMIT &&
+    POWERUP_DESPAWN_OPTIONS.includes(config.despawnTime);
+  if (!isValid) {
+    return null;
+  }
+  return {
+    enabled: config.enabled,
+    types: Object.keys(POWERUP_REGISTRY).filter(id => config.types.includes(id)), // Registry order, no duplicates
+    duration: config.duration,
+    spawnFrequency: config.spawnFrequency,
+    maxOnBoard,
+    despawnTime: config.despawnTime,
+    stacking: config.stacking
+  };
+}
+
+function getConfig(gameState) {
+  return gameState.powerupConfig || getDefaultPowerUpConfig();
+}
+
+// Effect length for a type under the room rules (instant types stay instant)
+function getDuration(gameState, definition) {
+  const duration = getConfig(gameState).duration;
+  return definition.duration > 0 && duration ? duration * 1000 : definition.duration;
+}
+
+// Weighted pick over the room's enabled types (seeded)
+function rollPowerUpType(gameState) {
+  const enabledTypes = getConfig(gameState).types;
+  const types = Object.values(POWERUP_REGISTRY).filter(definition => enabledTypes.includes(definition.id));
+  const total = types.reduce((sum, definition) => sum + definition.weight, 0);
+  let roll = simulation.nextRandom(gameState) * total;
+  for (const definition of types) {
+    roll -= definition.weight;
+    if (roll < 0) {
+      return definition.id;
+    }
+  }
+  return types[types.length - 1].id;
+}
 
 function spawnPowerUp(gameState) {
   // Initialize lastPowerUpSpawnTime if not set
   if (gameState.lastPowerUpSpawnTime === undefined) {
-    gameState.lastPowerUpSpawnTime = Date.now();
+    gameState.lastPowerUpSpawnTime = simulation.getSimTime(gameState);
     return; // Don't spawn immediately on game start
   }
 
-  // Check if we have reached max active power-ups
+  // Check if we have reached max active power-ups (or the room has every type turned off)
+  const config = getConfig(gameState);
   const activePowerUpCount = gameState.powerups ? gameState.powerups.length : 0;
-  if (activePowerUpCount >= MAX_ACTIVE_POWERUPS) {
+  if (activePowerUpCount >= config.maxOnBoard || config.types.length === 0) {
     return; // Don't spawn if max power-ups already active
   }
 
   // Calculate time since last spawn
-  const timeSinceLastSpawn = Date.now() - gameState.lastPowerUpSpawnTime;
+  const now = simulation.getSimTime(gameState);
+  const timeSinceLastSpawn = now - gameState.lastPowerUpSpawnTime;
   
   // Randomize spawn interval between min and max
-  const spawnInterval = POWERUP_SPAWN_INTERVAL_MIN + 
-    Math.random() * (POWERUP_SPAWN_INTERVAL_MAX - POWERUP_SPAWN_INTERVAL_MIN);
+  const [intervalMin, intervalMax] = POWERUP_SPAWN_INTERVALS[config.spawnFrequency];
+  const spawnInterval = intervalMin + simulation.nextRandom(gameState) * (intervalMax - intervalMin);
   
   // Only spawn if enough time has passed
   if (timeSinceLastSpawn < spawnInterval) {
     return;
   }
 
-  // Find empty cell
-  const occupiedCells = new Set();
-  
-  Object.values(gameState.players).forEach(player => {
-    if (player.isAlive) {
-      player.snake.forEach(segment => {
-        occupiedCells.add(`${segment.x},${segment.y}`);
-      });
-    }
-  });
-
-  gameState.food.forEach(food => {
-    occupiedCells.add(`${food.x},${food.y}`);
-  });
+  // Find an empty cell (only inside the playable area, never in the closed zone of a shrinking arena)
+  const cell = findFreeCell(gameState, getBlockedCells(gameState));
 
-  if (gameState.powerups) {
-    gameState.powerups.forEach(powerup => {
-      occupiedCells.add(`${powerup.x},${powerup.y}`);
-    });
-  }
-
-  let attempts = 0;
-  let x, y;
-  
-  do {
-    x = Math.floor(Math.random() * GRID_WIDTH);
-    y = Math.floor(Math.random() * GRID_HEIGHT);
-    attempts++;
-  } while (occupiedCells.has(`${x},${y}`) && attempts < 100);
-
-  if (attempts < 100) {
+  if (cell) {
     if (!gameState.powerups) {
       gameState.powerups = [];
     }
 
-    const types = Object.values(POWERUP_TYPES);
-    const type = types[Math.floor(Math.random() * types.length)];
-
+    gameState.powerUpCounter = (gameState.powerUpCounter || 0) + 1;
     gameState.powerups.push({
-      id: Date.now() + Math.random(),
-      x,
-      y,
-      type,
-      spawnTime: Date.now()
+      id: gameState.powerUpCounter,
+      x: cell.x,
+      y: cell.y,
+      type: rollPowerUpType(gameState),
+      spawnTime: now
     });
 
     // Update last spawn time
-    gameState.lastPowerUpSpawnTime = Date.now();
+    gameState.lastPowerUpSpawnTime = now;
   }
 }
 
@@ -104,102 +411,116 @@ function checkPowerUpCollisions(gameState, ioInstance = null, roomCode = null) {
 
     if (powerupIndex !== -1) {
       const powerup = gameState.powerups[powerupIndex];
-      applyPowerUp(player, powerup.type, gameState);
-      
+      const definition = getPowerUpType(powerup.type);
+      gameState.powerups.splice(powerupIndex, 1);
+      if (!definition) {
+        return;
+      }
+      applyPowerUp(player, definition, gameState);
+
       // Emit sound event for power-up collection
       if (ioInstance && roomCode) {
-        const soundMap = {
-          'speed_boost': 'speedBoost',
-          'shield': 'shield',
-          'shrink': 'shrink',
-          'slow_others': 'slowOthers'
-        };
-        const soundEvent = soundMap[powerup.type] || 'speedBoost';
         ioInstance.to(roomCode).emit('powerUpCollected', {
           playerId: player.id,
           playerName: player.name,
           type: powerup.type,
-          sound: soundEvent
+          sound: definition.sound.name
         });
       }
-      
-      gameState.powerups.splice(powerupIndex, 1);
     }
   });
 }
 
-function applyPowerUp(player, type, gameState) {
+// Snakes that receive a power-up's timed effect
+function getEffectTargets(gameState, collector, target) {
+  const others = Object.values(gameState.players).filter(other => other.id !== collector.id && other.isAlive);
+  switch (target) {
+    case 'self':
+      return [collector];
+    case 'others':
+      return others;
+    case 'opponents':
+      return others.filter(other => !teams.areTeammates(collector, other));
+    default:
+      return [];
+  }
+}
+
+function applyPowerUp(player, definition, gameState) {
   if (!player.activePowerups) {
     player.activePowerups = {};
   }
 
-  // Prevent stacking: Clear existing power-ups before applying new one
-  // Exception: SLOW_OTHERS doesn't stack on the collector, but applies to others
-  if (type !== POWERUP_TYPES.SLOW_OTHERS) {
-    // Clear all existing power-ups for this player
+  // Without stacking, exclusive power-ups clear the collector's existing ones.
+  // Effects aimed at other snakes (slow, reverse) can always stack on them.
+  const stacking = getConfig(gameState).stacking;
+  if (definition.exclusive && !stacking) {
     player.activePowerups = {};
   }
 
-  const endTime = Date.now() + POWERUP_DURATION;
-
-  switch (type) {
-    case POWERUP_TYPES.SPEED_BOOST:
-      player.activePowerups.speedBoost = endTime;
-      break;
-    case POWERUP_TYPES.SHIELD:
-      player.activePowerups.shield = endTime;
-      break;
-    case POWERUP_TYPES.SHRINK:
-      player.activePowerups.shrink = endTime;
-      // Remove last 3 segments
-      for (let i = 0; i < 3 && player.snake.length > 1; i++) {
-        player.snake.pop();
+  const now = simulation.getSimTime(gameState);
+  const duration = getDuration(gameState, definition);
+  if (definition.effect && duration > 0) {
+    getEffectTargets(gameState, player, definition.target).forEach(target => {
+      if (!target.activePowerups) {
+        target.activePowerups = {};
       }
-      break;
-    case POWERUP_TYPES.SLOW_OTHERS:
-      // Apply slow effect to all other players (can stack on others)
-      Object.values(gameState.players).forEach(otherPlayer => {
-        if (otherPlayer.id !== player.id && otherPlayer.isAlive) {
-          if (!otherPlayer.activePowerups) {
-            otherPlayer.activePowerups = {};
-          }
-          // Allow stacking of slow effect on other players
-          otherPlayer.activePowerups.slowed = endTime;
-        }
-      });
-      break;
+      // Stacking: picking up an effect that is still running extends it
+      const current = target.activePowerups[definition.effect];
+      const start = stacking && current > now ? current : now;
+      target.activePowerups[definition.effect] = start + duration;
+    });
+  }
+
+  if (definition.apply) {
+    definition.apply(gameState, player, now);
   }
 }
 
 function updatePowerUps(gameState) {
+  const now = simulation.getSimTime(gameState);
+
   // Remove expired powerups
   if (gameState.powerups) {
+    const despawnTime = getConfig(gameState).despawnTime * 1000;
     gameState.powerups = gameState.powerups.filter(
-      p => Date.now() - p.spawnTime < 30000 // Remove after 30 seconds if not collected
+      p => now - p.spawnTime < despawnTime // Remove after the room's despawn time if not collected
     );
   }
 
-  // Remove expired active powerups
+  // Food frenzy leftovers disappear when the frenzy ends
+  if (gameState.food.some(food => food.frenzyUntil !== undefined && food.frenzyUntil <= now)) {
+    gameState.food = gameState.food.filter(food => food.frenzyUntil === undefined || food.frenzyUntil > now);
+  }
+
+  // Run tick hooks of active effects, expire the ones that ran out
   Object.values(gameState.players).forEach(player => {
     if (player.activePowerups) {
       Object.keys(player.activePowerups).forEach(key => {
-        if (player.activePowerups[key] < Date.now()) {
+        const definition = getPowerUpTypeByEffect(key);
+        if (player.activePowerups[key] < now) {
           delete player.activePowerups[key];
+          if (definition && definition.expire) {
+            definition.expire(gameState, player);
+          }
+        } else if (definition && definition.tick && player.isAlive) {
+          definition.tick(gameState, player, now);
         }
       });
 
-      if (Object.keys(player.activePowerups).length === 0) {
+      if (player.activePowerups && Object.keys(player.activePowerups).length === 0) {
         delete player.activePowerups;
       }
     }
   });
 }
 
-function hasActivePowerUp(player, type) {
+// Power-up end times are game clock times (see simulation.js)
+function hasActivePowerUp(player, type, gameState) {
   if (!player.activePowerups) {
     return false;
   }
-  return player.activePowerups[type] && player.activePowerups[type] > Date.now();
+  return player.activePowerups[type] && player.activePowerups[type] > simulation.getSimTime(gameState);
 }
 
 // Cancel all power-ups for a player (called when player dies)
@@ -210,11 +531,15 @@ function cancelPlayerPowerUps(player) {
 }
 
 module.exports = {
+  registerPowerUp,
+  getPowerUpType,
+  getPowerUpCatalog,
+  getDefaultPowerUpConfig,
+  normalizePowerUpConfig,
   spawnPowerUp,
   checkPowerUpCollisions,
   updatePowerUps,
   hasActivePowerUp,
   cancelPlayerPowerUps,
-  POWERUP_TYPES,
   POWERUP_DURATION
 };
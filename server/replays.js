@@ -0,0 +1,432 @@
+// Match replays: record the seed, initial state and every accepted input, then
+// re-simulate the match when the replay viewer (game.html?replay=<id>) first asks for it;
+// the frames built then are stored next to the replay.
+// Out-of-band changes that the simulation cannot reproduce on its own
+// (disconnects, quits, inactivity kicks, host changes) are stored as sync points:
+// full state snapshots taken at the start of the tick where they were noticed.
+
+const fs = require('fs');
+const path = require('path');
+const stateSync = require('./stateSync');
+
+const REPLAY_VERSION = 1;
+const REPLAY_DIR = process.env.REPLAY_DIR || path.join(__dirname, 'replays');
+const FRAMES_DIR = path.join(REPLAY_DIR, 'frames'); // Viewer payloads, built once per replay
+const MAX_REPLAY_FILES = 100; // Oldest replays are pruned past this count
+const FRAMES_CACHE_SIZE = 10; // Viewer payloads kept in memory
+const SIMULATION_CHUNK_TICKS = 50; // Ticks simulated between yields to the event loop (live rooms keep running)
+
+const framesCache = new Map(); // replay id -> viewer payload, least recently used first
+const framesLoads = new Map(); // replay id -> pending load (concurrent requests share it)
+
+// gameState keys driven by wall-clock time or input bookkeeping - they never affect the simulation
+const NON_SIMULATED_KEYS = [
+  'startTime',
+  'pauseStartTime',
+  'pauseStartedAt',
+  'totalPauseDuration',
+  'totalPauseTime',
+  'isPaused',
+  'lastPlayerInputTime',
+  'inactivityWarnings',
+  'lastInputTick'
+];
+
+let gameLogicModule = null;
+let npcAIModule = null;
+
+// Lazy load simulation modules (gameLogic requires this module)
+function getGameLogic() {
+  if (!gameLogicModule) {
+    gameLogicModule = require('./gameLogic');
+  }
+  return gameLogicModule;
+}
+
+function getNPCModule() {
+  if (!npcAIModule) {
+    npcAIModule = require('./npcAI');
+  }
+  return npcAIModule;
+}
+
+function cloneState(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+// Serialized simulation-relevant state (queued directions come from the input log)
+function getSimulationKey(gameState) {
+  const state = {};
+  Object.keys(gameState).forEach(key => {
+    if (!NON_SIMULATED_KEYS.includes(key) && key !== 'players') {
+      state[key] = gameState[key];
+    }
+  });
+  state.players = {};
+  Object.keys(gameState.players).forEach(id => {
+    const player = { ...gameState.players[id] };
+    delete player.nextDirection;
+    state.players[id] = player;
+  });
+  return JSON.stringify(state);
+}
+
+// Small string hash so a re-simulation can be checked against the recorded match
+function hashString(value) {
+  let hash = 5381;
+  for (let i = 0; i < value.length; i++) {
+    hash = ((hash * 33) ^ value.charCodeAt(i)) >>> 0;
+  }
+  return hash.toString(16);
+}
+
+function createReplayId(room) {
+  const code = String(room.code || 'room').replace(/[^A-Za-z0-9]/g, '');
+  return `${Date.now()}-${code}`;
+}
+
+function isValidReplayId(replayId) {
+  return typeof replayId === 'string' && /^[0-9]+-[A-Za-z0-9]*$/.test(replayId);
+}
+
+function getReplayPath(replayId) {
+  return path.join(REPLAY_DIR, `${replayId}.json`);
+}
+
+function getFramesPath(replayId) {
+  return path.join(FRAMES_DIR, `${replayId}.json`);
+}
+
+function cacheFrames(replayId, frames) {
+  framesCache.delete(replayId);
+  framesCache.set(replayId, frames);
+  if (framesCache.size > FRAMES_CACHE_SIZE) {
+    framesCache.delete(framesCache.keys().next().value);
+  }
+}
+
+// Start recording when the game loop first starts (after the countdown)
+function startRecording(room, enablePowerups = false, npcs = null) {
+  if (!room || !room.gameState) {
+    return;
+  }
+
+  room.replayRecording = {
+    replay: {
+      version: REPLAY_VERSION,
+      id: createReplayId(room),
+      roomCode: room.code,
+      gameMode: room.gameMode,
+      enablePowerups: !!enablePowerups,
+      seed: room.gameState.seed,
+      createdAt: Date.now(),
+      endedAt: null,
+      initialState: cloneState(room.gameState),
+      npcs: npcs ? Array.from(npcs.values()).map(cloneState) : [],
+      inputs: [], // [tick, playerId, direction]
+      syncPoints: [], // { tick, state }
+      finalTick: 0,
+      checksum: null,
+      players: [],
+      winner: null
+    },
+    lastKey: getSimulationKey(room.gameState)
+  };
+}
+
+// Record an input accepted by processPlayerInput
+function recordInput(room, playerId, direction) {
+  const recording = room && room.replayRecording;
+  if (!recording || !room.gameState) {
+    return;
+  }
+  recording.replay.inputs.push([room.gameState.tickCount || 0, playerId, direction]);
+}
+
+// Store a sync point if anything changed outside the simulation since the last tick
+function captureSyncPoint(recording, gameState) {
+  const key = getSimulationKey(gameState);
+  if (key !== recording.lastKey) {
+    recording.replay.syncPoints.push({
+      tick: gameState.tickCount || 0,
+      state: cloneState(gameState)
+    });
+    recording.lastKey = key;
+  }
+}
+
+// Called at the start of each simulated tick
+function recordTickStart(room) {
+  const recording = room && room.replayRecording;
+  if (!recording || !room.gameState) {
+    return;
+  }
+  captureSyncPoint(recording, room.gameState);
+}
+
+// Called after each simulated tick
+function recordTickEnd(room) {
+  const recording = room && room.replayRecording;
+  if (!recording || !room.gameState) {
+    return;
+  }
+  recording.lastKey = getSimulationKey(room.gameState);
+}
+
+async function pruneReplays() {
+  const files = (await fs.promises.readdir(REPLAY_DIR)).filter(file => file.endsWith('.json')).sort();
+  const excess = files.length - MAX_REPLAY_FILES;
+  for (let i = 0; i < excess; i++) {
+    const replayId = files[i].replace(/\.json$/, '');
+    framesCache.delete(replayId);
+    await fs.promises.unlink(getReplayPath(replayId));
+    await fs.promises.unlink(getFramesPath(replayId)).catch(() => {});
+  }
+}
+
+async function saveFrames(frames) {
+  await fs.promises.mkdir(FRAMES_DIR, { recursive: true });
+  await fs.promises.writeFile(getFramesPath(frames.id), JSON.stringify(frames));
+}
+
+async function saveReplay(replay) {
+  await fs.promises.mkdir(REPLAY_DIR, { recursive: true });
+  await fs.promises.writeFile(getReplayPath(replay.id), JSON.stringify(replay));
+  await pruneReplays();
+}
+
+// Finish the recording when gameEnded fires and write it to disk
+// Returns the replay id (or null when nothing was recorded)
+function finishRecording(room) {
+  const recording = room && room.replayRecording;
+  if (!recording || !room.gameState) {
+    return null;
+  }
+  room.replayRecording = null;
+
+  const replay = recording.replay;
+  const gameState = room.gameState;
+  // Capture whatever ended the game outside the simulation (quit, expired seat, ...)
+  captureSyncPoint(recording, gameState);
+
+  replay.finalTick = gameState.tickCount || 0;
+  replay.checksum = hashString(getSimulationKey(gameState));
+  replay.endedAt = Date.now();
+  replay.players = Object.values(gameState.players).map(p => ({
+    id: p.id,
+    name: p.name,
+    type: p.type,
+    color: p.color,
+    score: p.score
+  }));
+  replay.winner = gameState.winner ? { id: gameState.winner.id, name: gameState.winner.name, score: gameState.winner.score } : null;
+
+  saveReplay(replay).catch(error => {
+    console.error(`[replays] Failed to save replay ${replay.id}:`, error.message);
+  });
+  return replay.id;
+}
+
+async function loadReplay(replayId) {
+  if (!isValidReplayId(replayId)) {
+    return null;
+  }
+  try {
+    const contents = await fs.promises.readFile(getReplayPath(replayId), 'utf8');
+    return JSON.parse(contents);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+}
+
+async function readFrames(replayId) {
+  try {
+    return JSON.parse(await fs.promises.readFile(getFramesPath(replayId), 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+}
+
+// Viewer payload for a replay (see buildReplayFrames): memory cache, then the frames file.
+// The first request simulates the match (off the tick path, in chunks) and stores the result.
+// Returns null when the replay doesn't exist.
+async function loadReplayFrames(replayId) {
+  if (!isValidReplayId(replayId)) {
+    return null;
+  }
+  if (framesCache.has(replayId)) {
+    const frames = framesCache.get(replayId);
+    cacheFrames(replayId, frames);
+    return frames;
+  }
+  if (!framesLoads.has(replayId)) {
+    const load = (async () => {
+      let frames = await readFrames(replayId);
+      if (!frames) {
+        const replay = await loadReplay(replayId);
+        if (!replay) {
+          return null;
+        }
+        frames = await buildReplayFrames(replay);
+        await saveFrames(frames);
+      }
+      cacheFrames(replayId, frames);
+      return frames;
+    })();
+    framesLoads.set(replayId, load);
+    load.then(() => framesLoads.delete(replayId), () => framesLoads.delete(replayId));
+  }
+  return framesLoads.get(replayId);
+}
+
+// Summaries for the replay list, newest first
+async function listReplays(limit = 20) {
+  let files = [];
+  try {
+    files = (await fs.promises.readdir(REPLAY_DIR)).filter(file => file.endsWith('.json')).sort().reverse();
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  }
+
+  const summaries = [];
+  for (const file of files.slice(0, limit)) {
+    const replay = await loadReplay(file.replace(/\.json$/, ''));
+    if (replay) {
+      summaries.push({
+        id: replay.id,
+        roomCode: replay.roomCode,
+        gameMode: replay.gameMode,
+        createdAt: replay.createdAt,
+        endedAt: replay.endedAt,
+        ticks: replay.finalTick,
+        players: replay.players,
+        winner: replay.winner
+      });
+    }
+  }
+  return summaries;
+}
+
+function groupByTick(entries, getTick) {
+  const groups = new Map();
+  entries.forEach(entry => {
+    const tick = getTick(entry);
+    if (!groups.has(tick)) {
+      groups.set(tick, []);
+    }
+    groups.get(tick).push(entry);
+  });
+  return groups;
+}
+
+function yieldToEventLoop() {
+  return new Promise(resolve => setImmediate(resolve));
+}
+
+// Re-run the match from seed + inputs, mirroring the live game loop
+// (see gameLoopIteration in gameLogic.js). onState gets every tick's gameState as clients see it;
+// resolves to whether the final state matches the recorded checksum.
+async function simulateReplay(replay, onState) {
+  const gameLogic = getGameLogic();
+  const npcModule = getNPCModule();
+  const room = {
+    code: replay.roomCode,
+    gameMode: replay.gameMode,
+    gameState: cloneState(replay.initialState),
+    isPaused: false,
+    countdownActive: false
+  };
+  room.gameState.isPaused = false;
+  const npcs = replay.npcs.length > 0 ? new Map(replay.npcs.map(npc => [npc.id, cloneState(npc)])) : null;
+  const inputsByTick = groupByTick(replay.inputs, input => input[0]);
+  const syncPointsByTick = groupByTick(replay.syncPoints, syncPoint => syncPoint.tick);
+
+  const applySyncPoints = (tick) => {
+    (syncPointsByTick.get(tick) || []).forEach(syncPoint => {
+      room.gameState = cloneState(syncPoint.state);
+      room.gameState.isPaused = false;
+    });
+  };
+
+  onState(stateSync.toClientState(room.gameState));
+  while ((room.gameState.tickCount || 0) < replay.finalTick && !room.gameState.winner) {
+    const tick = room.gameState.tickCount || 0;
+    if (tick > 0 && tick % SIMULATION_CHUNK_TICKS === 0) {
+      await yieldToEventLoop();
+    }
+    (inputsByTick.get(tick) || []).forEach(([, playerId, direction]) => {
+      gameLogic.processPlayerInput(room, playerId, direction);
+    });
+    applySyncPoints(tick);
+
+    if (npcs) {
+      npcModule.processNPCInputs(room.gameState, npcs);
+    }
+    gameLogic.updateGameState(room, replay.enablePowerups, null);
+    if (room.gameMode === 'single-player' && npcs) {
+      gameLogic.respawnNPCsIfNeeded(room, npcs);
+    }
+
+    if ((room.gameState.tickCount || 0) === tick) {
+      break; // No progress (time limit reached) - the live loop stops here too
+    }
+    onState(stateSync.toClientState(room.gameState));
+  }
+
+  // Final out-of-band changes (the move that ended the game)
+  if (syncPointsByTick.has(replay.finalTick)) {
+    applySyncPoints(replay.finalTick);
+    onState(stateSync.toClientState(room.gameState));
+  }
+
+  return hashString(getSimulationKey(room.gameState)) === replay.checksum;
+}
+
+// Viewer payload: replay summary + frames as keyframes and deltas (see stateSync.js)
+// (only the previous state is kept while building)
+async function buildReplayFrames(replay) {
+  const frames = [];
+  let previousState = null;
+  const verified = await simulateReplay(replay, state => {
+    if (frames.length % stateSync.KEYFRAME_INTERVAL === 0) {
+      frames.push({ keyframe: state });
+    } else {
+      frames.push({ delta: stateSync.computeDelta(previousState, state) });
+    }
+    previousState = state;
+  });
+
+  return {
+    id: replay.id,
+    roomCode: replay.roomCode,
+    gameMode: replay.gameMode,
+    seed: replay.seed,
+    createdAt: replay.createdAt,
+    players: replay.players,
+    winner: replay.winner,
+    verified,
+    frames
+  };
+}
+
+module.exports = {
+  startRecording,
+  recordInput,
+  recordTickStart,
+  recordTickEnd,
+  finishRecording,
+  loadReplay,
+  loadReplayFrames,
+  listReplays,
+  simulateReplay,
+  buildReplayFrames
+};
@@ -0,0 +1,121 @@
+// Best-of-N series: the multiplayer room stays open between rounds and the host starts the next
+// round with a rematch. room.series = { bestOf, winsNeeded, round, standings, rounds, championId }
+// (null when room.gameOptions.seriesLength is off). Standings are keyed by competitor - the player
+// id, or the `team-<id>` winner id in team mode - so round wins and points add up across rounds.
+const teams = require('./teams');
+
+const SERIES_LENGTHS = [3, 5];
+
+const recordedGames = new WeakSet(); // gameState objects already counted (gameEnded can fire twice)
+
+function isValidSeriesLength(value) {
+  return value === null || SERIES_LENGTHS.includes(value);
+}
+
+function createSeries(bestOf) {
+  return {
+    bestOf,
+    winsNeeded: Math.floor(bestOf / 2) + 1,
+    round: 0,
+    standings: {}, // competitorId -> { id, name, wins, points }
+    rounds: [], // { round, winnerId, winnerName } per finished round
+    championId: null
+  };
+}
+
+// Called when a game starts: continue the running series, or open a new one
+// (first round, the last series is decided, or the host picked another length)
+function startRound(room) {
+  const bestOf = room.gameOptions.seriesLength || null;
+  if (!bestOf) {
+    room.series = null;
+    return;
+  }
+  if (!room.series || room.series.championId || room.series.bestOf !== bestOf) {
+    room.series = createSeries(bestOf);
+  }
+  room.series.round++;
+}
+
+function getCompetitors(gameState) {
+  if (gameState.teams) {
+    return teams.getTeamStandings(gameState).map(team => ({ id: `team-${team.id}`, name: team.name, score: team.score }));
+  }
+  return Object.values(gameState.players).map(player => ({ id: player.id, name: player.name, score: player.score }));
+}
+
+// Most round wins first, total points break ties
+function getRankedStandings(series) {
+  return Object.values(series.standings).sort((a, b) => (b.wins - a.wins) || (b.points - a.points));
+}
+
+// Decided once someone has a majority of rounds, or when every round has been played
+function findChampion(series) {
+  const leader = getRankedStandings(series)[0];
+  if (!leader) {
+    return null;
+  }
+  return leader.wins >= series.winsNeeded || series.rounds.length >= series.bestOf ? leader.id : null;
+}
+
+// Add the finished round to the series (no-op outside series mode)
+function recordRound(room) {
+  const series = room && room.series;
+  const gameState = room && room.gameState;
+  if (!series || !gameState || !gameState.startTime || recordedGames.has(gameState)) {
+    return;
+  }
+  recordedGames.add(gameState);
+
+  getCompetitors(gameState).forEach(competitor => {
+    if (!series.standings[competitor.id]) {
+      series.standings[competitor.id] = { id: competitor.id, name: competitor.name, wins: 0, points: 0 };
+    }
+    series.standings[competitor.id].points += competitor.score;
+  });
+
+  // Solo-style "winners" flagged isLoser don't count; a round without a winner is a draw
+  const winner = gameState.winner && !gameState.winner.isLoser ? gameState.winner : null;
+  if (winner && series.standings[winner.id]) {
+    series.standings[winner.id].wins++;
+  }
+  series.rounds.push({
+    round: series.round,
+    winnerId: winner ? winner.id : null,
+    winnerName: winner ? winner.name : null
+  });
+  series.championId = findChampion(series);
+}
+
+// True between rounds of an undecided series - its room has to stay open for the rematch
+function isSeriesRunning(room) {
+  return !!(room && room.series && !room.series.championId);
+}
+
+// Scoreboard sent with gameEnded (null outside series mode)
+function getSeriesSummary(room) {
+  const series = room && room.series;
+  if (!series) {
+    return null;
+  }
+  const standings = getRankedStandings(series);
+  const champion = series.championId ? series.standings[series.championId] : null;
+  return {
+    bestOf: series.bestOf,
+    winsNeeded: series.winsNeeded,
+    round: series.round,
+    standings,
+    rounds: series.rounds,
+    isOver: !!champion,
+    champion: champion ? { id: champion.id, name: champion.name } : null
+  };
+}
+
+module.exports = {
+  SERIES_LENGTHS,
+  isValidSeriesLength,
+  startRound,
+  recordRound,
+  isSeriesRunning,
+  getSeriesSummary
+};
@@ -0,0 +1,60 @@
+// Deterministic simulation helpers: seeded PRNG and tick-based game clock
+// Everything that affects the outcome of a game (food, power-ups, NPC choices,
+// power-up timers, survival times) must draw randomness and time from here,
+// so that a seed plus the ordered input log reproduces a game exactly.
+
+// Generate a fresh 32-bit seed for a new game
+function createSeed() {
+  return Math.floor(Math.random() * 0x100000000) >>> 0;
+}
+
+// Accept numbers or numeric strings, fall back to a fresh seed
+function normalizeSeed(seed) {
+  const value = Number(seed);
+  if (seed === null || seed === undefined || seed === '' || !Number.isFinite(value)) {
+    return createSeed();
+  }
+  return Math.floor(Math.abs(value)) >>> 0;
+}
+
+// Seed the PRNG state stored on the gameState
+function initSimulation(gameState, seed) {
+  gameState.seed = normalizeSeed(seed);
+  gameState.rngState = gameState.seed;
+  gameState.simTime = 0;
+}
+
+// mulberry32 - small, fast, and its whole state is one serializable integer
+function nextRandom(gameState) {
+  gameState.rngState = (gameState.rngState + 0x6D2B79F5) >>> 0;
+  let t = gameState.rngState;
+  t = Math.imul(t ^ (t >>> 15), t | 1);
+  t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+}
+
+// Random integer in [0, max)
+function randomInt(gameState, max) {
+  return Math.floor(nextRandom(gameState) * max);
+}
+
+// Simulated milliseconds since the game started (advances only on ticks)
+function getSimTime(gameState) {
+  return gameState.simTime || 0;
+}
+
+// Advance the game clock by one tick at the given tick rate
+function advanceSimClock(gameState, tickRate) {
+  gameState.simTime = getSimTime(gameState) + 1000 / tickRate;
+  return gameState.simTime;
+}
+
+module.exports = {
+  createSeed,
+  normalizeSeed,
+  initSimulation,
+  nextRandom,
+  randomInt,
+  getSimTime,
+  advanceSimClock
+};
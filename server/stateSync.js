@@ -0,0 +1,245 @@
+// Game state broadcasting: periodic keyframes plus per-tick deltas
+// Keyframes go out as 'gameStateUpdate' ({ gameState, seq, keyframe: true }),
+// deltas as 'gameStateDelta' ({ seq, delta }). Clients that miss a sequence
+// number ask for a fresh keyframe via requestGameState({ keyframe: true }).
+
+const KEYFRAME_INTERVAL = 40; // Ticks between forced keyframes
+
+// Top-level gameState keys that get their own diff format
+const PLAYERS_KEY = 'players';
+const FOOD_KEY = 'food';
+
+// Server-side bookkeeping (inactivity tracking, input throttling, PRNG seed and position) - never
+// broadcast. The seed would let clients predict food and NPC spawns; it is shared with the replay.
+const SERVER_ONLY_KEYS = ['lastPlayerInputTime', 'inactivityWarnings', 'lastInputTick', 'seed', 'rngState'];
+
+// Plain JSON copy of the state as clients see it
+function toClientState(gameState) {
+  const state = JSON.parse(JSON.stringify(gameState));
+  SERVER_ONLY_KEYS.forEach(key => {
+    delete state[key];
+  });
+  return state;
+}
+
+function sameValue(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function positionKey(item) {
+  return `${item.x},${item.y}`;
+}
+
+// Express a snake update as new head segments + tail pops when possible
+function diffSnake(prevSnake, nextSnake) {
+  if (!Array.isArray(prevSnake) || !Array.isArray(nextSnake)) {
+    return { snake: nextSnake };
+  }
+  if (prevSnake.length === 0 && nextSnake.length === 0) {
+    return null;
+  }
+
+  for (let headCount = 0; headCount <= nextSnake.length; headCount++) {
+    const keptLength = nextSnake.length - headCount;
+    if (keptLength > prevSnake.length) {
+      continue;
+    }
+    let matches = true;
+    for (let i = 0; i < keptLength; i++) {
+      const a = nextSnake[headCount + i];
+      const b = prevSnake[i];
+      if (!a || !b || a.x !== b.x || a.y !== b.y) {
+        matches = false;
+        break;
+      }
+    }
+    if (matches && keptLength > 0) {
+      if (headCount === 0 && keptLength === prevSnake.length) {
+        return null; // Unchanged
+      }
+      return {
+        heads: nextSnake.slice(0, headCount),
+        pop: prevSnake.length - keptLength
+      };
+    }
+  }
+
+  // Teleport, respawn, shrink from the head, ... - send the whole snake
+  return { snake: nextSnake };
+}
+
+function diffPlayer(prevPlayer, nextPlayer) {
+  const playerDelta = {};
+  const set = {};
+  const unset = [];
+
+  Object.keys(nextPlayer).forEach(key => {
+    if (key === 'snake') {
+      return;
+    }
+    if (!sameValue(prevPlayer[key], nextPlayer[key])) {
+      set[key] = nextPlayer[key];
+    }
+  });
+  Object.keys(prevPlayer).forEach(key => {
+    if (!(key in nextPlayer)) {
+      unset.push(key);
+    }
+  });
+
+  const snakeDelta = diffSnake(prevPlayer.snake, nextPlayer.snake);
+  if (snakeDelta) {
+    Object.assign(playerDelta, snakeDelta);
+  }
+  if (Object.keys(set).length > 0) {
+    playerDelta.set = set;
+  }
+  if (unset.length > 0) {
+    playerDelta.unset = unset;
+  }
+
+  return Object.keys(playerDelta).length > 0 ? playerDelta : null;
+}
+
+function diffFood(prevFood, nextFood) {
+  const prevByPos = new Map((prevFood || []).map(item => [positionKey(item), JSON.stringify(item)]));
+  const nextByPos = new Map((nextFood || []).map(item => [positionKey(item), JSON.stringify(item)]));
+
+  const removed = [];
+  prevByPos.forEach((json, pos) => {
+    if (nextByPos.get(pos) !== json) {
+      const [x, y] = pos.split(',').map(Number);
+      removed.push({ x, y });
+    }
+  });
+
+  const added = (nextFood || []).filter(item => prevByPos.get(positionKey(item)) !== JSON.stringify(item));
+
+  if (removed.length === 0 && added.length === 0) {
+    return null;
+  }
+  return { added, removed };
+}
+
+// Build the delta that turns prevState into nextState (both plain JSON objects)
+function computeDelta(prevState, nextState) {
+  const delta = {};
+  const changes = {};
+  const removed = [];
+
+  Object.keys(nextState).forEach(key => {
+    if (key === PLAYERS_KEY || key === FOOD_KEY) {
+      return;
+    }
+    if (!sameValue(prevState[key], nextState[key])) {
+      changes[key] = nextState[key];
+    }
+  });
+  Object.keys(prevState).forEach(key => {
+    if (!(key in nextState)) {
+      removed.push(key);
+    }
+  });
+
+  const foodDelta = diffFood(prevState[FOOD_KEY], nextState[FOOD_KEY]);
+  if (foodDelta) {
+    delta.food = foodDelta;
+  }
+
+  const prevPlayers = prevState[PLAYERS_KEY] || {};
+  const nextPlayers = nextState[PLAYERS_KEY] || {};
+  const players = {};
+  const addedPlayers = {};
+  Object.keys(nextPlayers).forEach(id => {
+    if (!prevPlayers[id]) {
+      addedPlayers[id] = nextPlayers[id];
+      return;
+    }
+    const playerDelta = diffPlayer(prevPlayers[id], nextPlayers[id]);
+    if (playerDelta) {
+      players[id] = playerDelta;
+    }
+  });
+  const removedPlayers = Object.keys(prevPlayers).filter(id => !nextPlayers[id]);
+
+  if (Object.keys(changes).length > 0) {
+    delta.changes = changes;
+  }
+  if (removed.length > 0) {
+    delta.removed = removed;
+  }
+  if (Object.keys(players).length > 0) {
+    delta.players = players;
+  }
+  if (Object.keys(addedPlayers).length > 0) {
+    delta.addedPlayers = addedPlayers;
+  }
+  if (removedPlayers.length > 0) {
+    delta.removedPlayers = removedPlayers;
+  }
+
+  return delta;
+}
+
+function getSyncState(room) {
+  if (!room.stateSync) {
+    room.stateSync = {
+      seq: 0,
+      snapshot: null,
+      ticksSinceKeyframe: 0
+    };
+  }
+  return room.stateSync;
+}
+
+// Broadcast the current room state: a keyframe when due (or forced), otherwise a delta
+function broadcastGameState(io, room, forceKeyframe = false) {
+  if (!room || !room.gameState) {
+    return;
+  }
+
+  const sync = getSyncState(room);
+  const nextSnapshot = toClientState(room.gameState);
+  sync.seq += 1;
+
+  if (forceKeyframe || !sync.snapshot || sync.ticksSinceKeyframe >= KEYFRAME_INTERVAL) {
+    sync.ticksSinceKeyframe = 0;
+    sync.snapshot = nextSnapshot;
+    io.to(room.code).emit('gameStateUpdate', {
+      gameState: nextSnapshot,
+      seq: sync.seq,
+      keyframe: true
+    });
+    return;
+  }
+
+  const delta = computeDelta(sync.snapshot, nextSnapshot);
+  sync.ticksSinceKeyframe += 1;
+  sync.snapshot = nextSnapshot;
+  io.to(room.code).emit('gameStateDelta', {
+    seq: sync.seq,
+    delta
+  });
+}
+
+// Send a keyframe to a single socket (gap recovery, reconnection, late joiners).
+// It carries the last broadcast snapshot - the state seq refers to and the next delta builds on.
+function sendKeyframe(socket, room) {
+  if (!room || !room.gameState) {
+    return;
+  }
+  const sync = getSyncState(room);
+  socket.emit('gameStateUpdate', {
+    gameState: sync.snapshot || toClientState(room.gameState),
+    seq: sync.seq,
+    keyframe: true
+  });
+}
+
+module.exports = {
+  broadcastGameState,
+  sendKeyframe,
+  computeDelta,
+  toClientState,
+  KEYFRAME_INTERVAL
+};
@@ -0,0 +1,195 @@
+// Team mode: multiplayer rooms where players are split into teams (2v2, 3v3, ...)
+// room.gameOptions.teamSize is null for free-for-all, or the number of players per team.
+// Lobby players carry a teamId; the game copies it onto each snake (gameState.players[id].teamId)
+// and describes the teams in gameState.teams.
+const lives = require('./lives');
+
+const TEAM_SIZES = [2, 3];
+const MIN_TEAMS = 2;
+
+// One color family per team; teammates get shades of the same color
+const TEAM_COLOR_FAMILIES = [
+  { name: 'Red', colors: ['#FF0000', '#FF7F7F', '#B22222'] },
+  { name: 'Blue', colors: ['#0000FF', '#6495ED', '#000080'] },
+  { name: 'Green', colors: ['#00C800', '#90EE90', '#006400'] },
+  { name: 'Yellow', colors: ['#FFD700', '#FFFF80', '#B8860B'] },
+  { name: 'Purple', colors: ['#8A2BE2', '#DA70D6', '#4B0082'] },
+  { name: 'Orange', colors: ['#FF8C00', '#FFC080', '#A0522D'] }
+];
+
+function isTeamMode(gameOptions) {
+  return !!gameOptions && TEAM_SIZES.includes(gameOptions.teamSize);
+}
+
+function getTeamName(teamId) {
+  const family = TEAM_COLOR_FAMILIES[teamId];
+  return family ? `${family.name} Team` : `Team ${teamId + 1}`;
+}
+
+function getTeamColor(teamId, memberIndex) {
+  const family = TEAM_COLOR_FAMILIES[teamId % TEAM_COLOR_FAMILIES.length];
+  return family.colors[memberIndex % family.colors.length];
+}
+
+// Enough teams for every human in the room (never fewer than two)
+function getTeamCount(room) {
+  const humans = Array.from(room.players.values()).filter(p => p.type !== 'npc').length;
+  return Math.min(Math.max(MIN_TEAMS, Math.ceil(humans / room.gameOptions.teamSize)), TEAM_COLOR_FAMILIES.length);
+}
+
+function getTeamMembers(room, teamId) {
+  return Array.from(room.players.values()).filter(p => p.teamId === teamId);
+}
+
+function getSmallestTeam(room, teamCount) {
+  let smallest = 0;
+  for (let teamId = 1; teamId < teamCount; teamId++) {
+    if (getTeamMembers(room, teamId).length < getTeamMembers(room, smallest).length) {
+      smallest = teamId;
+    }
+  }
+  return smallest;
+}
+
+// Keep lobby team assignments valid after joins, leaves and option changes:
+// players without a team (or on a team that no longer exists / is over capacity) move to the smallest team
+function normalizeTeams(room) {
+  if (!isTeamMode(room.gameOptions)) {
+    room.players.forEach(player => {
+      player.teamId = null;
+    });
+    return;
+  }
+
+  const teamCount = getTeamCount(room);
+  const teamSize = room.gameOptions.teamSize;
+  const counts = new Array(teamCount).fill(0);
+  const unassigned = [];
+  room.players.forEach(player => {
+    const teamId = player.teamId;
+    if (Number.isInteger(teamId) && teamId >= 0 && teamId < teamCount && counts[teamId] < teamSize) {
+      counts[teamId]++;
+    } else {
+      player.teamId = null;
+      unassigned.push(player);
+    }
+  });
+  unassigned.forEach(player => {
+    player.teamId = getSmallestTeam(room, teamCount);
+  });
+}
+
+// Host move of one player to another team. Returns an error message, or null on success.
+function assignTeam(room, playerId, teamId) {
+  if (!isTeamMode(room.gameOptions)) {
+    return 'Team mode is off';
+  }
+  const player = room.players.get(playerId);
+  if (!player) {
+    return 'Player not found';
+  }
+  const teamCount = getTeamCount(room);
+  if (!Number.isInteger(teamId) || teamId < 0 || teamId >= teamCount) {
+    return 'Unknown team';
+  }
+  if (player.teamId !== teamId && getTeamMembers(room, teamId).length >= room.gameOptions.teamSize) {
+    return `${getTeamName(teamId)} is full`;
+  }
+  player.teamId = teamId;
+  return null;
+}
+
+// Deal players into teams in random order (lobby only, so Math.random is fine)
+function shuffleTeams(room) {
+  const players = Array.from(room.players.values());
+  for (let i = players.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [players[i], players[j]] = [players[j], players[i]];
+  }
+  const teamCount = getTeamCount(room);
+  players.forEach((player, index) => {
+    player.teamId = index % teamCount;
+  });
+}
+
+// Players for createGameState in spawn-seat order, topped up with NPC fillers when enabled.
+// createFiller(teamId, index) returns a new NPC lobby player.
+// Returns { players, teams } or { error }.
+function buildTeamRoster(room, createFiller) {
+  normalizeTeams(room);
+  const teamCount = getTeamCount(room);
+  const teamSize = room.gameOptions.teamSize;
+  const rosters = [];
+  let fillerIndex = 0;
+  for (let teamId = 0; teamId < teamCount; teamId++) {
+    const members = getTeamMembers(room, teamId);
+    if (room.gameOptions.teamFillBots) {
+      while (members.length < teamSize) {
+        const filler = createFiller(teamId, fillerIndex++);
+        filler.teamId = teamId;
+        members.push(filler);
+      }
+    }
+    rosters.push(members);
+  }
+
+  if (rosters.filter(members => members.length > 0).length < MIN_TEAMS) {
+    return { error: 'Need players on at least two teams (or enable bot fillers)' };
+  }
+
+  const teams = rosters
+    .map((members, teamId) => ({ id: teamId, name: getTeamName(teamId), color: getTeamColor(teamId, 0), size: members.length }))
+    .filter(team => team.size > 0);
+
+  // Four or fewer snakes spawn in the corners: interleave so teammates share a side.
+  // Bigger games spawn around the board: keep teammates next to each other.
+  const players = [];
+  const total = rosters.reduce((sum, members) => sum + members.length, 0);
+  if (total <= 4) {
+    for (let round = 0; round < teamSize; round++) {
+      rosters.forEach(members => {
+        if (members[round]) {
+          players.push(members[round]);
+        }
+      });
+    }
+  } else {
+    rosters.forEach(members => players.push(...members));
+  }
+  return { players, teams };
+}
+
+function areTeammates(playerA, playerB) {
+  return !!playerA && !!playerB &&
+    playerA.teamId !== null && playerA.teamId !== undefined &&
+    playerA.teamId === playerB.teamId;
+}
+
+// Team totals for a running game, best first: total score, then alive members, then survival time
+function getTeamStandings(gameState) {
+  const standings = (gameState.teams || []).map(team => {
+    const members = Object.values(gameState.players).filter(p => p.teamId === team.id);
+    return {
+      id: team.id,
+      name: team.name,
+      score: members.reduce((sum, p) => sum + p.score, 0),
+      alive: members.filter(p => lives.isInPlay(p)).length, // Lives mode: respawning members still count
+      survivalTime: members.reduce((sum, p) => sum + (p.survivalTime || 0), 0),
+      memberIds: members.map(p => p.id)
+    };
+  });
+  return standings.sort((a, b) => (b.score - a.score) || (b.alive - a.alive) || (b.survivalTime - a.survivalTime));
+}
+
+module.exports = {
+  TEAM_SIZES,
+  isTeamMode,
+  getTeamName,
+  getTeamColor,
+  normalizeTeams,
+  assignTeam,
+  shuffleTeams,
+  buildTeamRoster,
+  areTeammates,
+  getTeamStandings
+};
@@ -0,0 +1,106 @@
+// Match end rules beyond last-survivor: a score target (first to N points, or first snake to
+// length N), time limits of any whole number of minutes, and sudden-death overtime when the time
+// limit runs out with the lead tied.
+// gameState.scoreTarget = { type: 'score' | 'length', value } (null when off);
+// gameState.suddenDeath (bool); gameState.overtime = { startTime, maxDuration } once a tied match
+// has gone to overtime (null otherwise). Overtime lasts until only one of the tied leaders is
+// still in play at the top score - the next point or death decides it - or maxDuration runs out.
+const simulation = require('./simulation');
+const teams = require('./teams');
+const lives = require('./lives');
+
+const MIN_TIME_LIMIT = 1; // Minutes
+const MAX_TIME_LIMIT = 60;
+const SCORE_TARGET_LIMITS = {
+  score: { min: 50, max: 5000 },
+  length: { min: 5, max: 200 }
+};
+const OVERTIME_MAX_DURATION = 60000; // Game-clock ms before the usual tiebreakers settle it
+
+function isValidTimeLimit(value) {
+  return value === null || (Number.isInteger(value) && value >= MIN_TIME_LIMIT && value <= MAX_TIME_LIMIT);
+}
+
+function isValidScoreTarget(value) {
+  if (value === null) {
+    return true;
+  }
+  const limits = value && SCORE_TARGET_LIMITS[value.type];
+  return Boolean(limits) && Number.isInteger(value.value) && value.value >= limits.min && value.value <= limits.max;
+}
+
+function createScoreTarget(scoreTarget) {
+  return scoreTarget ? { type: scoreTarget.type, value: scoreTarget.value } : null;
+}
+
+// Competitors ranked for the lead: players, or teams in team mode
+function getCompetitors(gameState) {
+  if (gameState.teams) {
+    return teams.getTeamStandings(gameState).map(team => ({
+      id: team.id,
+      score: team.score,
+      inPlay: team.alive > 0,
+      length: Math.max(0, ...team.memberIds.map(id => getSnakeLength(gameState.players[id])))
+    }));
+  }
+  return Object.values(gameState.players).map(player => ({
+    id: player.id,
+    score: player.score,
+    inPlay: lives.isInPlay(player),
+    length: getSnakeLength(player)
+  }));
+}
+
+function getSnakeLength(player) {
+  return player && player.isAlive ? player.snake.length : 0;
+}
+
+// The competitor (player or team id) that reached the score target, or null. Several reaching it
+// on the same tick: furthest past the target, then highest score.
+function getScoreTargetLeaderId(gameState) {
+  const target = gameState.scoreTarget;
+  if (!target) {
+    return null;
+  }
+  const reached = getCompetitors(gameState)
+    .filter(competitor => competitor[target.type] >= target.value)
+    .sort((a, b) => (b[target.type] - a[target.type]) || (b.score - a.score));
+  return reached.length > 0 ? reached[0].id : null;
+}
+
+// Tied for the lead: more than one competitor still in play holds the top score
+function isLeadTied(gameState) {
+  const competitors = getCompetitors(gameState);
+  const topScore = Math.max(...competitors.map(competitor => competitor.score));
+  return competitors.filter(competitor => competitor.inPlay && competitor.score === topScore).length > 1;
+}
+
+// Time is up: go to overtime instead of ending if sudden death is on and the lead is tied.
+// Returns true when overtime started.
+function startOvertime(gameState) {
+  if (!gameState.suddenDeath || gameState.overtime || !isLeadTied(gameState)) {
+    return false;
+  }
+  gameState.overtime = {
+    startTime: simulation.getSimTime(gameState),
+    maxDuration: OVERTIME_MAX_DURATION
+  };
+  return true;
+}
+
+function isOvertimeOver(gameState) {
+  const overtime = gameState.overtime;
+  return !isLeadTied(gameState) || simulation.getSimTime(gameState) - overtime.startTime >= overtime.maxDuration;
+}
+
+module.exports = {
+  MIN_TIME_LIMIT,
+  MAX_TIME_LIMIT,
+  SCORE_TARGET_LIMITS,
+  isValidTimeLimit,
+  isValidScoreTarget,
+  createScoreTarget,
+  getScoreTargetLeaderId,
+  startOvertime,
+  isOvertimeOver
+};